@@ -0,0 +1,98 @@
+// Audit trail middleware
+//
+// Every mutating route declares what it changes, after validate():
+//
+//   router.put('/timesheets/:id/edit', requireRole('supervisor'), validate({...}),
+//     audit('timesheet', { table: 'timesheets' }), handler);
+//
+// With a table (or a load function), the record is read before the handler
+// runs and again when it responds, and the entry holds only what changed.
+// Without one (routes that touch several rows, or rows not keyed by id) the
+// entry holds what was submitted, or what was returned for routes that take
+// no input. Entries are only written for successful
+// responses, and before the response goes out.
+const auditLog = require('./services/audit');
+
+const ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Never copied into the log: credentials, and image data that would only bloat it
+const OMITTED_FIELDS = new Set([
+  'pin', 'pin_hash', 'currentPin', 'newPin', 'token',
+  'signature_image', 'signatureImage', 'photoData'
+]);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function scrub(record) {
+  if (!isPlainObject(record)) {
+    return record ?? null;
+  }
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !OMITTED_FIELDS.has(key)));
+}
+
+// The submitted params and body, for routes without a record to snapshot
+function submitted(req) {
+  const values = { ...req.params, ...(isPlainObject(req.body) ? req.body : {}) };
+  return Object.keys(values).length > 0 ? scrub(values) : null;
+}
+
+// Options:
+//   table  - snapshot this table's row before and after the change
+//   key    - the row's key column (default 'id')
+//   load   - entityId => the record or null, in place of table for records
+//            spread over several tables
+//   id     - (req, body) => the entity id; defaults to req.params.id, then the
+//            response body's id so creates can be logged against the new row
+//   action - defaults to create/update/delete by HTTP method
+function audit(entity, { table, key = 'id', load, id, action } = {}) {
+  const snapshot = load || (table && (entityId => auditLog.findRecord(table, key, entityId)));
+  const entityIdOf = id || ((req, body) => req.params.id ?? (isPlainObject(body) ? body.id : undefined));
+
+  return async (req, res, next) => {
+    const entityAction = action || ACTIONS[req.method];
+    const knownId = entityIdOf(req);
+    let before = null;
+
+    try {
+      if (snapshot && knownId !== undefined) {
+        before = await snapshot(knownId);
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 400) {
+        return sendJson(body);
+      }
+
+      const entityId = knownId ?? entityIdOf(req, body);
+      const snapshotAfter = snapshot && entityId !== undefined
+        ? snapshot(entityId)
+        : Promise.resolve(entityAction === 'delete' ? null : submitted(req) || scrub(body));
+
+      snapshotAfter
+        .then(after => auditLog.recordChange({
+          entity,
+          entityId,
+          action: entityAction,
+          actor: req.user,
+          before: snapshot ? scrub(before) : (entityAction === 'delete' ? submitted(req) : null),
+          after: scrub(after)
+        }))
+        // The change itself has gone through, so a failed entry is logged
+        // rather than turned into an error response
+        .catch(err => console.error(`Failed to write audit entry for ${entity}:`, err))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = { audit };
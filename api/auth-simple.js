@@ -1,5 +1,6 @@
 // Simple authentication endpoints for JSA System
 const express = require('express');
+const { PIN_LOCKOUT_MINUTES, isValidPin, checkPin } = require('./auth');
 const router = express.Router();
 
 // Simple user creation endpoint
@@ -17,6 +18,13 @@ router.post('/create-user', async (req, res) => {
       });
     }
 
+    if (!isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'PIN must be 4 to 8 digits'
+      });
+    }
+
     // Check if user exists
     const existing = await pool.query(
       'SELECT id FROM users WHERE LOWER(name) = LOWER($1)',
@@ -32,7 +40,7 @@ router.post('/create-user', async (req, res) => {
 
     // Create user
     const result = await pool.query(
-      'INSERT INTO users (name, pin, role) VALUES ($1, $2, $3) RETURNING *',
+      "INSERT INTO users (name, pin_hash, role) VALUES ($1, crypt($2, gen_salt('bf')), $3) RETURNING id, name, role, created_at",
       [name, pin, role]
     );
 
@@ -63,19 +71,23 @@ router.post('/simple-login', async (req, res) => {
       });
     }
 
-    const result = await pool.query(
-      'SELECT * FROM users WHERE LOWER(name) = LOWER($1) AND pin = $2',
-      [name, pin]
-    );
+    const result = await checkPin(pool, name, pin);
 
-    if (result.rows.length === 0) {
+    if (result.locked) {
+      return res.status(429).json({
+        success: false,
+        error: `Too many failed attempts. Try again in ${PIN_LOCKOUT_MINUTES} minutes.`
+      });
+    }
+
+    if (!result.user) {
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
-    const user = result.rows[0];
+    const { user } = result;
 
     res.json({
       success: true,
@@ -132,7 +144,7 @@ router.put('/users/:id/role', async (req, res) => {
     }
 
     const result = await pool.query(
-      'UPDATE users SET role = $1 WHERE id = $2 RETURNING *',
+      'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, name, role, created_at',
       [role, id]
     );
 
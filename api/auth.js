@@ -0,0 +1,241 @@
+// Session tokens and role-enforcing middleware for the JSA API
+const crypto = require('crypto');
+const { ApiError, forbidden, unauthorized } = require('./errors');
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12', 10);
+const MAX_PIN_ATTEMPTS = parseInt(process.env.MAX_PIN_ATTEMPTS || '5', 10);
+const PIN_LOCKOUT_MINUTES = parseInt(process.env.PIN_LOCKOUT_MINUTES || '15', 10);
+
+// Tokens are signed with SESSION_SECRET. Without it every instance would sign
+// with its own random key, so sessions would not survive a restart or carry
+// over to another instance; that is only allowed outside production.
+if (!process.env.SESSION_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  console.warn('SESSION_SECRET is not set - using a random secret, sessions will not survive a restart');
+}
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Routes that can be called without a session token
+const PUBLIC_ROUTES = [
+  'POST /api/auth/login',
+  'POST /api/auth/register',
+  'GET /api/deployment-test',
+  // Kiosks send their device token instead (requireKiosk in kiosk.js)
+  'GET /api/kiosk',
+  'GET /api/kiosk/site-code',
+  'POST /api/kiosk/scan'
+];
+
+// The only route a user with a temporary PIN may call
+const CHANGE_PIN_ROUTE = 'POST /api/auth/change-pin';
+
+// HMAC of a token payload, or of anything else the API hands out and has to
+// recognise when it comes back (kiosk site codes)
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// Issue a signed, expiring session token for a user row
+function issueToken(user) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + SESSION_TTL_HOURS * 3600;
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    role: user.role,
+    iat: issuedAt,
+    exp: expiresAt
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+// Verify a token's signature and expiry, returning its claims or null
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch (err) {
+    return null;
+  }
+}
+
+function routeKey(req) {
+  return `${req.method} ${req.baseUrl}${req.path}`;
+}
+
+function isPublicRoute(req) {
+  return PUBLIC_ROUTES.includes(routeKey(req));
+}
+
+// PINs are 4 to 8 digits
+function isValidPin(pin) {
+  return typeof pin === 'string' && /^\d{4,8}$/.test(pin);
+}
+
+// Random 6 digit PIN handed out by a supervisor reset
+function generateTemporaryPin() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// Check a name/PIN pair against the bcrypt hashes in users.pin_hash and apply
+// the failed-attempt lockout. Resolves to { user } on success, { locked: true }
+// while the account is locked, or {} when the name or PIN is wrong.
+// Deactivated users and workers in the trash are treated as unknown names.
+async function checkPin(pool, name, pin) {
+  const result = await pool.query(
+    `SELECT id, name, role, display_name, must_change_pin,
+            locked_until IS NOT NULL AND locked_until > NOW() AS locked,
+            pin_hash IS NOT NULL AND pin_hash = crypt($2, pin_hash) AS pin_matches
+     FROM users
+     WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL AND deactivated_at IS NULL`,
+    [name, pin || '']
+  );
+
+  if (result.rows.length === 0) {
+    return {};
+  }
+
+  const user = result.rows.find(row => row.pin_matches);
+  if (user && !user.locked) {
+    await pool.query(
+      'UPDATE users SET failed_pin_attempts = 0, locked_until = NULL WHERE id = $1',
+      [user.id]
+    );
+    return { user };
+  }
+
+  if (result.rows.some(row => row.locked)) {
+    return { locked: true };
+  }
+
+  // Count the failure against every account with this name and lock the ones
+  // that reach the limit
+  const ids = result.rows.map(row => row.id);
+  const updated = await pool.query(
+    `UPDATE users
+     SET failed_pin_attempts = CASE WHEN failed_pin_attempts + 1 >= $2 THEN 0 ELSE failed_pin_attempts + 1 END,
+         locked_until = CASE WHEN failed_pin_attempts + 1 >= $2
+                             THEN NOW() + make_interval(mins => $3)
+                             ELSE locked_until END
+     WHERE id = ANY($1)
+     RETURNING locked_until IS NOT NULL AND locked_until > NOW() AS locked`,
+    [ids, MAX_PIN_ATTEMPTS, PIN_LOCKOUT_MINUTES]
+  );
+
+  return updated.rows.some(row => row.locked) ? { locked: true } : {};
+}
+
+// Look up the user behind the request's bearer token, or null if there is no
+// valid token. The user is re-read on every request so role changes,
+// deactivation and moving a worker to the trash apply immediately.
+async function loadSessionUser(req) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const claims = verifyToken(token);
+
+  if (!claims) {
+    return null;
+  }
+
+  const pool = req.app.locals.pool;
+  const result = await pool.query(
+    'SELECT id, name, role, display_name, must_change_pin FROM users WHERE id = $1 AND deleted_at IS NULL AND deactivated_at IS NULL',
+    [claims.sub]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const user = result.rows[0];
+  return {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    displayName: user.display_name || user.name,
+    mustChangePin: user.must_change_pin
+  };
+}
+
+// Resolve the session token to a user and attach it as req.user
+async function authenticate(req, res, next) {
+  if (isPublicRoute(req)) {
+    return next();
+  }
+
+  try {
+    const user = await loadSessionUser(req);
+    if (!user) {
+      return next(unauthorized('Authentication required'));
+    }
+
+    // Users on a temporary PIN have to pick their own before doing anything else
+    if (user.mustChangePin && routeKey(req) !== CHANGE_PIN_ROUTE) {
+      return next(new ApiError(403, 'PIN_CHANGE_REQUIRED', 'PIN change required'));
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Only let the listed roles through
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(forbidden('You do not have permission to perform this action'));
+    }
+    next();
+  };
+}
+
+// Let a user act on their own records (worker ID in the route params or query),
+// otherwise fall back to the listed roles
+function requireSelfOrRole(param, ...roles) {
+  return (req, res, next) => {
+    const targetId = req.params[param] || req.query[param];
+    if (req.user && targetId && String(req.user.id) === String(targetId)) {
+      return next();
+    }
+    return requireRole(...roles)(req, res, next);
+  };
+}
+
+module.exports = {
+  PIN_LOCKOUT_MINUTES,
+  isValidPin,
+  generateTemporaryPin,
+  checkPin,
+  sign,
+  issueToken,
+  verifyToken,
+  loadSessionUser,
+  authenticate,
+  requireRole,
+  requireSelfOrRole
+};
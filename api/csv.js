@@ -0,0 +1,91 @@
+// Minimal CSV reading for uploaded spreadsheets
+//
+// Handles what Excel and Google Sheets export: comma separated, fields quoted
+// with "..." when they hold commas, quotes ("") or line breaks, CRLF or LF
+// line endings and an optional byte order mark.
+
+// Split CSV text into records, each { line, fields }: the 1-based line of
+// the file the record starts on, and its field strings. Blank lines are
+// skipped; a quoted line break moves later records down a line.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const isLineBreak = position => text[position] === '\n' || (text[position] === '\r' && text[position + 1] !== '\n');
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push({ line: recordLine, fields: record });
+    }
+    record = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+        if (isLineBreak(i)) {
+          line++;
+        }
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('A quoted field is never closed');
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+// Read CSV text with a header row into { columns, rows }: the header names as
+// written, and one object per record keyed by header name, with `line` set to
+// the line of the file the record starts on.
+function readCsvTable(text) {
+  const [header = { fields: [] }, ...records] = parseCsv(text);
+  const columns = header.fields.map(name => name.trim());
+
+  const rows = records.map(({ line, fields }) => {
+    const row = { line };
+    columns.forEach((column, position) => {
+      row[column] = fields[position] === undefined ? '' : fields[position].trim();
+    });
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+module.exports = { parseCsv, readCsvTable };
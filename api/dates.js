@@ -0,0 +1,38 @@
+// Date helpers. The crews work in Ontario, so "today" means today in Eastern time.
+
+// Helper function to get EST/EDT date, today's or that of a given time
+function getEasternDate(at = new Date()) {
+  // Format date in Eastern timezone
+  const easternDateStr = new Date(at).toLocaleDateString('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  return easternDateStr; // Returns YYYY-MM-DD format
+}
+
+// "YYYY-MM-DD HH:MM" in Eastern time, for printed documents
+function formatEasternDateTime(value) {
+  return new Date(value).toLocaleString('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).replace(',', '');
+}
+
+// "YYYY-MM-DD" for a DATE column, which pg hands over as a Date at local
+// midnight; strings are passed through
+function formatDate(value) {
+  if (!(value instanceof Date)) {
+    return value || '';
+  }
+  const pad = number => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+module.exports = { getEasternDate, formatEasternDateTime, formatDate };
@@ -0,0 +1,98 @@
+// API errors and the central error handler
+//
+// Every error response has the same shape:
+//   { code: 'NOT_FOUND', message: 'Work area not found' }
+//   { code: 'VALIDATION_FAILED', message: '...', fields: { date: 'must be a date (YYYY-MM-DD)' } }
+// Routes throw (or pass to next) an ApiError for anything the client should
+// see. Anything else is logged and reported as a bare INTERNAL_ERROR so that
+// database messages, hints and stack traces never reach the client.
+
+class ApiError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+const badRequest = (message, fields) => new ApiError(400, 'BAD_REQUEST', message, fields);
+const unauthorized = message => new ApiError(401, 'UNAUTHENTICATED', message);
+const forbidden = message => new ApiError(403, 'FORBIDDEN', message);
+const notFound = message => new ApiError(404, 'NOT_FOUND', message);
+const conflict = message => new ApiError(409, 'CONFLICT', message);
+
+// Postgres errors caused by the request rather than the server
+// (https://www.postgresql.org/docs/current/errcodes-appendix.html)
+const PG_CLIENT_ERRORS = {
+  '23505': [409, 'CONFLICT', 'A record with these details already exists'],
+  '23503': [409, 'CONFLICT', 'The record is referenced by, or refers to, a record that does not exist'],
+  '22P02': [400, 'BAD_REQUEST', 'A value in the request has the wrong format'],
+  '22007': [400, 'BAD_REQUEST', 'A date or time in the request is not valid'],
+  '22008': [400, 'BAD_REQUEST', 'A date or time in the request is out of range']
+};
+
+// Map errors raised below the routes (body parsing, multer, Postgres) to ApiErrors
+function toApiError(err) {
+  if (err instanceof ApiError) {
+    return err;
+  }
+  if (err.type === 'entity.parse.failed') {
+    return badRequest('Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Upload is too large');
+  }
+  if (err.name === 'MulterError') {
+    return badRequest(`Upload rejected: ${err.message}`);
+  }
+  if (PG_CLIENT_ERRORS[err.code]) {
+    const [status, code, message] = PG_CLIENT_ERRORS[err.code];
+    return new ApiError(status, code, message);
+  }
+  return null;
+}
+
+function sendError(res, err) {
+  const body = { code: err.code, message: err.message };
+  if (err.fields) {
+    body.fields = err.fields;
+  }
+  res.status(err.status).json(body);
+}
+
+// Catch-all for /api paths no router handled
+function notFoundHandler(req, res, next) {
+  next(notFound(`No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+}
+
+// Must be registered after every route
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const apiError = toApiError(err);
+  if (apiError) {
+    if (apiError !== err) {
+      console.warn(`${req.method} ${req.originalUrl} rejected:`, err.message);
+    }
+    return sendError(res, apiError);
+  }
+
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  sendError(res, new ApiError(500, 'INTERNAL_ERROR', 'Something went wrong. Please try again.'));
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  toApiError,
+  notFoundHandler,
+  errorHandler
+};
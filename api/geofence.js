@@ -0,0 +1,99 @@
+// Site fences: whether a location is inside a project's circle or polygon,
+// and how far outside it is. Sites are small enough to treat the ground
+// around them as flat, measured in metres from the point being checked.
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle distance in metres between two { latitude, longitude }
+function distanceMeters(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Corners as x/y metres east and north of origin
+function project(origin, corners) {
+  const metresPerDegree = EARTH_RADIUS_M * Math.PI / 180;
+  const cosLat = Math.cos(toRadians(origin.latitude));
+  return corners.map(corner => ({
+    x: (corner.longitude - origin.longitude) * metresPerDegree * cosLat,
+    y: (corner.latitude - origin.latitude) * metresPerDegree
+  }));
+}
+
+// Distance from the origin to the segment a-b
+function distanceToSegment(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+// Metres from point to the polygon's edge, 0 if it is inside
+function distanceToPolygon(point, polygon) {
+  const corners = project(point, polygon);
+  let inside = false;
+  let nearest = Infinity;
+  for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+    const a = corners[i];
+    const b = corners[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * -a.y / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+    nearest = Math.min(nearest, distanceToSegment(a, b));
+  }
+  return inside ? 0 : nearest;
+}
+
+// Whether a project (a projects row) has a fence to check against
+function hasGeofence(project) {
+  if (!project || project.geofence_policy === 'off') {
+    return false;
+  }
+  if (project.geofence_type === 'circle') {
+    return project.site_latitude !== null && project.site_longitude !== null && project.site_radius_m !== null;
+  }
+  return project.geofence_type === 'polygon' && Array.isArray(project.site_polygon) && project.site_polygon.length >= 3;
+}
+
+// How a location sits against a project's fence: { distance, outside }, the
+// distance in whole metres from the fence (0 inside it). null when the
+// project has no fence or there is no location.
+function checkGeofence(project, latitude, longitude) {
+  if (!hasGeofence(project) || latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+    return null;
+  }
+
+  const point = { latitude, longitude };
+  const distance = project.geofence_type === 'circle'
+    ? Math.max(0, distanceMeters(point, { latitude: project.site_latitude, longitude: project.site_longitude }) - project.site_radius_m)
+    : distanceToPolygon(point, project.site_polygon);
+
+  const rounded = Math.round(distance);
+  return { distance: rounded, outside: rounded > 0 };
+}
+
+// The project among projects whose fence a location is closest to:
+// { project, distance, outside }, or null if none of them has a fence
+function nearestGeofence(projects, latitude, longitude) {
+  let nearest = null;
+  for (const project of projects) {
+    const check = checkGeofence(project, latitude, longitude);
+    if (check && (!nearest || check.distance < nearest.distance)) {
+      nearest = { project, ...check };
+    }
+  }
+  return nearest;
+}
+
+module.exports = {
+  distanceMeters,
+  hasGeofence,
+  checkGeofence,
+  nearestGeofence
+};
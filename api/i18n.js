@@ -0,0 +1,186 @@
+// Languages JSAs are shown in, and the fixed wording of the printable JSA and
+// JSA emails in each. What the crew wrote on a form is translated through
+// jsa_translations instead (see services/translations.js).
+
+const LANGUAGES = ['en', 'es', 'pt'];
+
+// Languages with stored translations; English is what forms are written in
+const TRANSLATED_LANGUAGES = ['es', 'pt'];
+
+// A language code for a preference as workers register it: "es", "es-MX",
+// "Spanish" and "Español" are all Spanish. Anything else is English.
+function normalizeLanguage(value) {
+  const language = String(value || '').trim().toLowerCase();
+  if (/^(es\b|spanish|espa[nñ]ol)/.test(language)) {
+    return 'es';
+  }
+  if (/^(pt\b|portuguese|portugu[eê]s)/.test(language)) {
+    return 'pt';
+  }
+  return 'en';
+}
+
+const LABELS = {
+  en: {
+    title: 'Job Safety Analysis (JSA)',
+    jsa: 'Job Safety Analysis',
+    project: 'Project',
+    unnamedProject: 'Unnamed project',
+    date: 'Date',
+    siteAddress: 'Site address',
+    formNo: 'Form no.',
+    revision: (revision, of) => `revision ${revision} of ${of}`,
+    crewSupervisor: 'Crew supervisor',
+    crewSafetyRep: 'Crew safety rep',
+    weather: 'Weather',
+    formwork: 'Formwork',
+    stepsSection: 'Job steps, hazards and controls',
+    operation: 'Job step / operation',
+    hazards: 'Potential hazards',
+    controls: 'Safety controls',
+    riskLevel: 'Risk level',
+    afterControls: 'After controls',
+    noSteps: 'No job steps recorded',
+    equipmentSection: 'Tools and PPE',
+    tools: 'Tools and equipment',
+    ppe: 'Personal protective equipment',
+    noneListed: 'None listed',
+    crewSection: 'Crew sign-off',
+    crewNotice: 'By signing, each crew member confirms this JSA was reviewed with them before work started.',
+    contentHash: 'Content hash',
+    crewMember: 'Crew member',
+    signed: 'Signed',
+    signature: 'Signature',
+    signedAt: 'Signed at',
+    yes: 'Yes',
+    no: 'No',
+    noCrew: 'No crew members listed',
+    supervisorSection: 'Supervisor review',
+    generated: 'Generated',
+    page: (page, count) => `Page ${page} of ${count}`,
+    status: 'Status',
+    crewSigned: 'Crew signed',
+    count: (part, total) => `${part} of ${total}`,
+    jobSteps: 'Job steps',
+    attached: 'The full JSA with signatures is attached as a PDF.',
+    statuses: {
+      draft: 'Draft',
+      submitted: 'Submitted',
+      crew_signed: 'Signed by crew',
+      supervisor_approved: 'Approved by supervisor',
+      locked: 'Locked'
+    }
+  },
+  es: {
+    title: 'Análisis de Seguridad del Trabajo (JSA)',
+    jsa: 'Análisis de Seguridad del Trabajo',
+    project: 'Proyecto',
+    unnamedProject: 'Proyecto sin nombre',
+    date: 'Fecha',
+    siteAddress: 'Dirección de la obra',
+    formNo: 'Formulario n.º',
+    revision: (revision, of) => `revisión ${revision} de ${of}`,
+    crewSupervisor: 'Supervisor de cuadrilla',
+    crewSafetyRep: 'Representante de seguridad',
+    weather: 'Clima',
+    formwork: 'Encofrado',
+    stepsSection: 'Pasos, peligros y controles',
+    operation: 'Paso / operación',
+    hazards: 'Peligros potenciales',
+    controls: 'Controles de seguridad',
+    riskLevel: 'Riesgo',
+    afterControls: 'Con controles',
+    noSteps: 'No hay pasos registrados',
+    equipmentSection: 'Herramientas y EPP',
+    tools: 'Herramientas y equipos',
+    ppe: 'Equipo de protección personal',
+    noneListed: 'Ninguno',
+    crewSection: 'Firmas de la cuadrilla',
+    crewNotice: 'Al firmar, cada miembro de la cuadrilla confirma que este JSA se revisó con él antes de empezar el trabajo.',
+    contentHash: 'Hash del contenido',
+    crewMember: 'Miembro de la cuadrilla',
+    signed: 'Firmó',
+    signature: 'Firma',
+    signedAt: 'Firmado el',
+    yes: 'Sí',
+    no: 'No',
+    noCrew: 'No hay miembros en la cuadrilla',
+    supervisorSection: 'Revisión del supervisor',
+    generated: 'Generado',
+    page: (page, count) => `Página ${page} de ${count}`,
+    status: 'Estado',
+    crewSigned: 'Firmas de la cuadrilla',
+    count: (part, total) => `${part} de ${total}`,
+    jobSteps: 'Pasos',
+    attached: 'El JSA completo con las firmas va adjunto en PDF.',
+    statuses: {
+      draft: 'Borrador',
+      submitted: 'Enviado',
+      crew_signed: 'Firmado por la cuadrilla',
+      supervisor_approved: 'Aprobado por el supervisor',
+      locked: 'Bloqueado'
+    }
+  },
+  pt: {
+    title: 'Análise de Segurança do Trabalho (JSA)',
+    jsa: 'Análise de Segurança do Trabalho',
+    project: 'Projeto',
+    unnamedProject: 'Projeto sem nome',
+    date: 'Data',
+    siteAddress: 'Endereço da obra',
+    formNo: 'Formulário n.º',
+    revision: (revision, of) => `revisão ${revision} de ${of}`,
+    crewSupervisor: 'Supervisor da equipe',
+    crewSafetyRep: 'Representante de segurança',
+    weather: 'Tempo',
+    formwork: 'Fôrmas',
+    stepsSection: 'Etapas, perigos e controles',
+    operation: 'Etapa / operação',
+    hazards: 'Perigos potenciais',
+    controls: 'Controles de segurança',
+    riskLevel: 'Risco',
+    afterControls: 'Com controles',
+    noSteps: 'Nenhuma etapa registrada',
+    equipmentSection: 'Ferramentas e EPI',
+    tools: 'Ferramentas e equipamentos',
+    ppe: 'Equipamento de proteção individual',
+    noneListed: 'Nenhum',
+    crewSection: 'Assinaturas da equipe',
+    crewNotice: 'Ao assinar, cada membro da equipe confirma que esta JSA foi revisada com ele antes do início do trabalho.',
+    contentHash: 'Hash do conteúdo',
+    crewMember: 'Membro da equipe',
+    signed: 'Assinou',
+    signature: 'Assinatura',
+    signedAt: 'Assinado em',
+    yes: 'Sim',
+    no: 'Não',
+    noCrew: 'Nenhum membro na equipe',
+    supervisorSection: 'Revisão do supervisor',
+    generated: 'Gerado',
+    page: (page, count) => `Página ${page} de ${count}`,
+    status: 'Status',
+    crewSigned: 'Assinaturas da equipe',
+    count: (part, total) => `${part} de ${total}`,
+    jobSteps: 'Etapas',
+    attached: 'A JSA completa com as assinaturas está anexada em PDF.',
+    statuses: {
+      draft: 'Rascunho',
+      submitted: 'Enviado',
+      crew_signed: 'Assinado pela equipe',
+      supervisor_approved: 'Aprovado pelo supervisor',
+      locked: 'Bloqueado'
+    }
+  }
+};
+
+// The wording for a language, English for any other
+function labelsFor(language) {
+  return LABELS[language] || LABELS.en;
+}
+
+module.exports = {
+  LANGUAGES,
+  TRANSLATED_LANGUAGES,
+  normalizeLanguage,
+  labelsFor
+};
@@ -0,0 +1,167 @@
+// Scheduled jobs: work the API does on its own on a schedule, with the state
+// of each job in scheduled_jobs so that only one server runs it at a time, a
+// failed run is retried, and every run is kept in job_runs. A long-running
+// server checks for due jobs every minute; serverless hosts run
+// db/run-jobs.js from their own scheduler instead.
+const os = require('os');
+const cron = require('node-cron');
+const { sendDailyJsaEmails } = require('./jsa-email');
+const { isEmailConfigured } = require('./mailer');
+const attendance = require('./services/attendance');
+const safety = require('./services/safety');
+const musters = require('./services/musters');
+const jobState = require('./services/jobs');
+
+// How long after a project's shift end a sign-in left open is closed, for
+// whoever stays late to sign out themselves
+const AUTO_SIGNOUT_GRACE_MINUTES = Number(process.env.AUTO_SIGNOUT_GRACE_MINUTES) || 60;
+
+// How long the history of job runs is kept
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS || '30', 10);
+
+// Who this server is in scheduled_jobs.locked_by
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+// Each job runs every N minutes or daily at a time in Toronto, and resolves
+// to a summary that is kept with the run. A run that hasn't finished after
+// lockMinutes is assumed dead and the job can be taken over. A failed run is
+// retried after retryMinutes (see finishRun()), or sooner if the job is due
+// again before then.
+const JOBS = {
+  'auto-signout': {
+    description: "Sign out workers still signed in after their project's shift end",
+    every: 15,
+    run: async () => {
+      const workers = await attendance.autoSignOut({ graceMinutes: AUTO_SIGNOUT_GRACE_MINUTES });
+      return { signedOut: workers.length, workers };
+    }
+  },
+  'muster-escalation': {
+    description: 'Tell supervisors about people still unaccounted for on a muster in progress',
+    every: 1,
+    retryMinutes: 1,
+    run: async () => {
+      const people = await musters.escalateMusters();
+      return { escalated: people.length, people };
+    }
+  },
+  'certificate-expiry': {
+    description: 'Update certificate statuses and tell workers whose certificates are expiring or expired',
+    at: '06:00',
+    run: async () => {
+      const certificates = await safety.refreshCertificateStatuses();
+      return { notified: certificates.length, certificates };
+    }
+  },
+  'daily-jsa-emails': {
+    description: "Email the day's approved JSAs, and any from the past week not sent yet, to their projects' lists",
+    at: '17:00',
+    run: async () => {
+      if (!isEmailConfigured()) {
+        return { skipped: 'EMAIL_HOST is not set' };
+      }
+      const sent = await sendDailyJsaEmails();
+      const deliveries = sent.flatMap(form => form.deliveries);
+      return { forms: sent.length, failed: deliveries.filter(delivery => delivery.status === 'failed').length, sent };
+    }
+  },
+  'job-run-retention': {
+    description: `Delete job runs older than ${JOB_RUN_RETENTION_DAYS} days`,
+    at: '03:00',
+    run: async () => ({ deleted: await jobState.pruneJobRuns(JOB_RUN_RETENTION_DAYS) })
+  }
+};
+
+const DEFAULTS = { lockMinutes: 10, maxAttempts: 3, retryMinutes: 5 };
+
+const jobNamed = name => (Object.hasOwn(JOBS, name) ? { ...DEFAULTS, ...JOBS[name] } : null);
+
+// Every job in JOBS has a row in scheduled_jobs once this resolves. Done once
+// per process, and again after a failure.
+let registered = null;
+function registerJobs() {
+  if (!registered) {
+    registered = Promise.all(Object.entries(JOBS).map(([name, job]) => jobState.registerJob(name, job)))
+      .catch(err => {
+        registered = null;
+        throw err;
+      });
+  }
+  return registered;
+}
+
+// The jobs with their schedule and state
+async function listJobs() {
+  await registerJobs();
+  const states = new Map((await jobState.listJobs()).map(state => [state.name, state]));
+  return Object.keys(JOBS).map(name => {
+    const { description, every, at, maxAttempts } = jobNamed(name);
+    return { ...states.get(name), description, every: every || null, at: at || null, max_attempts: maxAttempts };
+  });
+}
+
+// Pause or resume a job on its schedule. Resolves to its state.
+async function setJobEnabled(name, enabled) {
+  await registerJobs();
+  return jobState.setJobEnabled(name, enabled);
+}
+
+// Run a job if this server can claim it. On the schedule that is when it is
+// due; a manual run goes ahead whenever the job isn't already running.
+// Resolves to the finished run, with the job's summary or error, or null if
+// the job wasn't claimed. A job that throws is recorded as failed rather
+// than rejecting.
+async function runJob(name, { trigger = 'schedule', actor } = {}) {
+  const job = jobNamed(name);
+  await registerJobs();
+
+  const claimed = await jobState.claimJob(name, OWNER, job.lockMinutes, { due: trigger === 'schedule' });
+  if (!claimed) {
+    return null;
+  }
+
+  const run = await jobState.startRun(name, { trigger, attempt: claimed.attempts + 1, actor });
+  let outcome;
+  try {
+    outcome = { status: 'succeeded', result: await job.run() };
+  } catch (err) {
+    console.error(`Job ${name} failed:`, err);
+    outcome = { status: 'failed', error: err.message };
+  }
+  return jobState.finishRun(run, OWNER, outcome, job);
+}
+
+// Run every job that is due, one after another. Resolves to their runs.
+async function runDueJobs() {
+  const runs = [];
+  for (const name of Object.keys(JOBS)) {
+    const run = await runJob(name);
+    if (run) {
+      runs.push(run);
+    }
+  }
+  return runs;
+}
+
+// Check for due jobs every minute in a long-running server. Returns the cron
+// task.
+function startJobRunner() {
+  return cron.schedule('* * * * *', async () => {
+    try {
+      for (const run of await runDueJobs()) {
+        console.log(`Job ${run.job_name}: ${run.status}`);
+      }
+    } catch (err) {
+      console.error('Job runner failed:', err);
+    }
+  }, { name: 'job-runner', noOverlap: true });
+}
+
+module.exports = {
+  jobNamed,
+  listJobs,
+  setJobEnabled,
+  runJob,
+  runDueJobs,
+  startJobRunner
+};
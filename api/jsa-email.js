@@ -0,0 +1,118 @@
+// JSA emails: a summary of the form in the message with the printable PDF
+// attached. Sent on demand to any addresses, and once a day to the project's
+// distribution list for every JSA approved that day (or since). Each recipient gets a
+// message of their own in their language, logged in email_schedules with how
+// it went.
+const { isEmailConfigured, sendMail } = require('./mailer');
+const { loadJsaPdf, jsaPdfFileName } = require('./jsa-pdf');
+const { getEasternDate, formatDate } = require('./dates');
+const { labelsFor, normalizeLanguage } = require('./i18n');
+const email = require('./services/email');
+
+// How many days back the daily run also picks up JSAs that were approved
+// after their own day's run, or whose send failed
+const DAILY_LOOKBACK_DAYS = parseInt(process.env.EMAIL_DAILY_LOOKBACK_DAYS || '7', 10);
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Subject, plain text and HTML in language for a form as returned by
+// getFormWithDetails()
+function renderJsaEmail({ form, jobSteps, crew }, language = 'en') {
+  const labels = labelsFor(language);
+  const date = formatDate(form.date);
+  const project = form.project_name || labels.unnamedProject;
+  const status = labels.statuses[form.status] || form.status;
+  const signed = crew.filter(member => member.signed).length;
+
+  const rows = [
+    [labels.project, project],
+    [labels.date, date],
+    [labels.siteAddress, form.site_address],
+    [labels.crewSupervisor, form.crew_supervisor],
+    [labels.status, status],
+    [labels.crewSigned, labels.count(signed, crew.length)],
+    [labels.jobSteps, jobSteps.length]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  const text = [
+    `${labels.jsa} ${form.form_id}`,
+    '',
+    ...rows.map(([label, value]) => `${label}: ${value}`),
+    '',
+    labels.attached
+  ].join('\n');
+
+  const html = `<h2 style="font-family: Arial, sans-serif">${escapeHtml(labels.jsa)} ${escapeHtml(form.form_id)}</h2>
+<table style="font-family: Arial, sans-serif; border-collapse: collapse">
+${rows.map(([label, value]) => `  <tr><th style="text-align: left; padding: 4px 12px 4px 0">${escapeHtml(label)}</th><td style="padding: 4px 0">${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<p style="font-family: Arial, sans-serif">${escapeHtml(labels.attached)}</p>`;
+
+  return { subject: `JSA - ${project} - ${date}`, text, html };
+}
+
+// Send a form to each address, in language if given, otherwise in each
+// recipient's own (see getRecipientLanguages()). kind is logged with each
+// send (manual or daily). Resolves to [{ email, language, status, error }],
+// or null if the form doesn't exist.
+async function sendJsaEmail(formId, addresses, { kind = 'manual', actor, language } = {}) {
+  const languages = language ? null : await email.getRecipientLanguages(addresses);
+  const languageOf = address => language || normalizeLanguage(languages.get(address.trim().toLowerCase()));
+
+  // The PDF and message are rendered once for each language needed
+  const rendered = new Map();
+  for (const needed of new Set(addresses.map(languageOf))) {
+    const result = await loadJsaPdf(formId, needed);
+    if (!result) {
+      return null;
+    }
+    const { details, pdf } = result;
+    rendered.set(needed, {
+      message: renderJsaEmail(details, needed),
+      attachments: [{ filename: jsaPdfFileName(details.form), content: pdf, contentType: 'application/pdf' }]
+    });
+  }
+
+  const deliveries = [];
+  for (const address of addresses) {
+    const recipientLanguage = languageOf(address);
+    const { message, attachments } = rendered.get(recipientLanguage);
+    const logId = await email.logEmail({ formId, email: address, kind }, actor);
+    try {
+      const info = await sendMail({ ...message, to: address, attachments });
+      await email.recordDelivery(logId, { messageId: info.messageId });
+      deliveries.push({ email: address, language: recipientLanguage, status: 'sent' });
+    } catch (err) {
+      // The SMTP server's reply can name hosts and logins, so it is only
+      // kept in the log
+      console.error(`Failed to email JSA ${formId} to ${address}:`, err.message);
+      await email.recordDelivery(logId, { error: err.message });
+      deliveries.push({ email: address, language: recipientLanguage, status: 'failed', error: 'Delivery failed' });
+    }
+  }
+  return deliveries;
+}
+
+// Send every JSA approved for date, or for the DAILY_LOOKBACK_DAYS before
+// it, to whoever on its project's list hasn't had it yet. Resolves to
+// [{ formId, deliveries }].
+async function sendDailyJsaEmails(date = getEasternDate(), actor = null) {
+  const sent = [];
+  for (const { formId, emails } of await email.listUnsentApprovedForms(date, DAILY_LOOKBACK_DAYS)) {
+    const deliveries = await sendJsaEmail(formId, emails, { kind: 'daily', actor });
+    if (deliveries) {
+      sent.push({ formId, deliveries });
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  renderJsaEmail,
+  sendJsaEmail,
+  sendDailyJsaEmails
+};
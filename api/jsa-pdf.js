@@ -0,0 +1,278 @@
+// Printable JSA, laid out like the paper form filed with the MOL inspector:
+// header details, the job step table (operation, hazards, controls, risk),
+// tools and PPE, then the crew and supervisor sign-off with their signatures.
+// Printed in English, Spanish or Portuguese.
+const { PAGE_WIDTH, PAGE_HEIGHT, PdfDocument, loadImage } = require('./pdf');
+const { formatEasternDateTime, formatDate } = require('./dates');
+const { labelsFor } = require('./i18n');
+const forms = require('./services/forms');
+const translations = require('./services/translations');
+
+const MARGIN = 36;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const BOTTOM = PAGE_HEIGHT - 48;
+const LINE = 11;
+const PAD = 4;
+const TEXT_SIZE = 9;
+
+// Column titles are keys of the labels in i18n.js
+const STEP_COLUMNS = [
+  { title: null, width: 24 },
+  { title: 'operation', width: 134 },
+  { title: 'hazards', width: 150 },
+  { title: 'controls', width: 168 },
+  { title: 'riskLevel', width: 64 }
+];
+
+const CREW_COLUMNS = [
+  { title: 'crewMember', width: 200 },
+  { title: 'signed', width: 60 },
+  { title: 'signature', width: 170 },
+  { title: 'signedAt', width: 110 }
+];
+const CREW_ROW_HEIGHT = 40;
+
+// Hazards and controls are stored as JSON arrays, older forms sometimes as
+// a single string
+function asList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== null && item !== '').map(String);
+  }
+  return value ? [String(value)] : [];
+}
+
+// Render a form as returned by getFormWithDetails() to a PDF Buffer, with
+// the wording in language (the form's own text is translated by
+// localizeForm()). signatures maps lowercased names to { image, signedAt },
+// as returned by getFormSignatures().
+function renderJsaPdf({ form, jobSteps, tools, ppe, crew, contentHash }, signatures = new Map(), language = 'en') {
+  const labels = labelsFor(language);
+  const stepColumns = STEP_COLUMNS.map(column => ({ ...column, title: column.title ? labels[column.title] : '#' }));
+  const crewColumns = CREW_COLUMNS.map(column => ({ ...column, title: labels[column.title] }));
+  const doc = new PdfDocument({ title: `JSA ${form.form_id}` });
+  let y = MARGIN;
+
+  const newPage = () => {
+    doc.addPage();
+    y = MARGIN;
+  };
+
+  const wrap = (text, width, bold = false) => doc.wrapText(text, width - 2 * PAD, TEXT_SIZE, bold);
+  const bulleted = (items, width) => items.flatMap(item => wrap(`• ${item}`, width));
+
+  // keep: how much of what follows must fit under the title on this page
+  const sectionTitle = (title, keep = 44) => {
+    if (y + 26 + keep > BOTTOM) {
+      newPage();
+    }
+    y += 10;
+    doc.rect(MARGIN, y, CONTENT_WIDTH, 16, { fill: 0.85 });
+    doc.text(MARGIN + PAD, y + 4, title.toUpperCase(), { size: TEXT_SIZE, bold: true });
+    y += 16;
+  };
+
+  const tableHeader = columns => {
+    let x = MARGIN;
+    for (const column of columns) {
+      doc.rect(x, y, column.width, 16, { fill: 0.95 });
+      doc.text(x + PAD, y + 4, column.title, { size: 8, bold: true });
+      x += column.width;
+    }
+    y += 16;
+  };
+
+  // One table row, each cell a list of lines. A row taller than what is left
+  // of the page carries on at the top of the next one, under the header again.
+  const tableRow = (columns, cells, { bold = [] } = {}) => {
+    const total = Math.max(1, ...cells.map(lines => lines.length));
+    let offset = 0;
+
+    while (offset < total) {
+      const fits = Math.floor((BOTTOM - y - 2 * PAD) / LINE);
+      // Don't strand a line or two of a row at the foot of a page
+      if (fits < Math.min(total - offset, 3)) {
+        newPage();
+        tableHeader(columns);
+        continue;
+      }
+
+      const count = Math.min(fits, total - offset);
+      const height = count * LINE + 2 * PAD;
+      let x = MARGIN;
+      columns.forEach((column, index) => {
+        doc.rect(x, y, column.width, height);
+        cells[index].slice(offset, offset + count).forEach((line, position) => {
+          doc.text(x + PAD, y + PAD + position * LINE, line, { size: TEXT_SIZE, bold: bold[index] });
+        });
+        x += column.width;
+      });
+
+      y += height;
+      offset += count;
+      if (offset < total) {
+        newPage();
+        tableHeader(columns);
+      }
+    }
+  };
+
+  // Title
+  doc.text(MARGIN, y, form.company || 'MJR Contractors Ltd', { size: 11, bold: true });
+  doc.text(MARGIN, y, labels.title.toUpperCase(), { size: 16, bold: true, align: 'right', width: CONTENT_WIDTH });
+  y += 22;
+  doc.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { lineWidth: 1.5 });
+  y += 6;
+
+  // Header details, two to a row
+  const details = [
+    [labels.project, form.project_name],
+    [labels.date, formatDate(form.date)],
+    [labels.siteAddress, form.site_address],
+    [labels.formNo, form.revision ? `${form.form_id} (${labels.revision(form.revision, form.revision_of)})` : form.form_id],
+    [labels.crewSupervisor, form.crew_supervisor],
+    [labels.crewSafetyRep, form.crew_safety_rep],
+    [labels.weather, form.weather],
+    [labels.formwork, form.formwork]
+  ];
+  const half = CONTENT_WIDTH / 2;
+  for (let i = 0; i < details.length; i += 2) {
+    const pair = details.slice(i, i + 2).map(([label, value]) => ({ label, lines: wrap(value || '', half) }));
+    const height = 14 + Math.max(...pair.map(cell => cell.lines.length)) * LINE + PAD;
+    pair.forEach((cell, index) => {
+      const x = MARGIN + index * half;
+      doc.rect(x, y, half, height);
+      doc.text(x + PAD, y + 3, cell.label.toUpperCase(), { size: 6.5, bold: true, gray: 0.35 });
+      cell.lines.forEach((line, position) => {
+        doc.text(x + PAD, y + 13 + position * LINE, line, { size: TEXT_SIZE });
+      });
+    });
+    y += height;
+  }
+
+  // Job steps
+  sectionTitle(labels.stepsSection);
+  tableHeader(stepColumns);
+  if (jobSteps.length === 0) {
+    tableRow([{ width: CONTENT_WIDTH }], [[labels.noSteps]]);
+  }
+  jobSteps.forEach((step, index) => {
+    // Level before controls, then the residual level when it was scored
+    const risk = [step.risk_level, step.risk_score && `(${step.risk_score})`].filter(Boolean).join(' ');
+    const residual = step.residual_level ? `${labels.afterControls}: ${step.residual_level} (${step.residual_score})` : '';
+    tableRow(stepColumns, [
+      [String(step.sequence ?? index + 1)],
+      wrap(step.operation || '', STEP_COLUMNS[1].width),
+      bulleted(asList(step.hazards), STEP_COLUMNS[2].width),
+      bulleted(asList(step.safetyControls), STEP_COLUMNS[3].width),
+      [...wrap(risk, STEP_COLUMNS[4].width), ...(residual ? wrap(residual, STEP_COLUMNS[4].width) : [])]
+    ], { bold: [false, false, false, false, /high|extreme|alto|extremo/i.test(step.residual_level || step.risk_level || '')] });
+  });
+
+  // Tools and PPE side by side
+  const equipmentColumns = [
+    { title: labels.tools, width: half },
+    { title: labels.ppe, width: half }
+  ];
+  sectionTitle(labels.equipmentSection);
+  tableHeader(equipmentColumns);
+  tableRow(equipmentColumns, [
+    tools.length > 0 ? bulleted(tools, half) : [labels.noneListed],
+    ppe.length > 0 ? bulleted(ppe, half) : [labels.noneListed]
+  ]);
+
+  // Crew sign-off
+  sectionTitle(labels.crewSection, 26 + 16 + CREW_ROW_HEIGHT);
+  doc.text(MARGIN, y + 4, labels.crewNotice, { size: 8, gray: 0.35 });
+  y += 12;
+  // Signatures given through the API are for this exact content
+  doc.text(MARGIN, y + 4, `${labels.contentHash}: ${contentHash}`, { size: 6.5, gray: 0.35 });
+  y += 14;
+  tableHeader(crewColumns);
+  if (crew.length === 0) {
+    tableRow([{ width: CONTENT_WIDTH }], [[labels.noCrew]]);
+  }
+  for (const member of crew) {
+    if (y + CREW_ROW_HEIGHT > BOTTOM) {
+      newPage();
+      tableHeader(crewColumns);
+    }
+    const signature = signatures.get((member.name || '').trim().toLowerCase());
+    const image = signature && loadImage(signature.image);
+    const values = [
+      member.name,
+      member.signed ? labels.yes : labels.no,
+      null,
+      signature ? formatEasternDateTime(signature.signedAt) : ''
+    ];
+
+    let x = MARGIN;
+    crewColumns.forEach((column, index) => {
+      doc.rect(x, y, column.width, CREW_ROW_HEIGHT);
+      if (index === 2 && image) {
+        doc.image(image, x + PAD, y + PAD, column.width - 2 * PAD, CREW_ROW_HEIGHT - 2 * PAD);
+      } else if (values[index]) {
+        doc.text(x + PAD, y + (CREW_ROW_HEIGHT - TEXT_SIZE) / 2, wrap(values[index], column.width)[0], { size: TEXT_SIZE });
+      }
+      x += column.width;
+    });
+    y += CREW_ROW_HEIGHT;
+  }
+
+  // Supervisor sign-off
+  sectionTitle(labels.supervisorSection, 56);
+  const supervisor = signatures.get((form.crew_supervisor || '').trim().toLowerCase());
+  const supervisorImage = supervisor && loadImage(supervisor.image);
+  const boxes = [
+    { label: labels.crewSupervisor, width: 200, value: form.crew_supervisor },
+    { label: labels.signature, width: 220, image: supervisorImage },
+    { label: labels.signedAt, width: 120, value: supervisor ? formatEasternDateTime(supervisor.signedAt) : '' }
+  ];
+  let x = MARGIN;
+  for (const box of boxes) {
+    doc.rect(x, y, box.width, 56);
+    doc.text(x + PAD, y + 3, box.label.toUpperCase(), { size: 6.5, bold: true, gray: 0.35 });
+    if (box.image) {
+      doc.image(box.image, x + PAD, y + 12, box.width - 2 * PAD, 40);
+    } else if (box.value) {
+      doc.text(x + PAD, y + 26, wrap(box.value, box.width)[0], { size: TEXT_SIZE });
+    }
+    x += box.width;
+  }
+  y += 56;
+
+  // Footer on every page
+  const generated = formatEasternDateTime(new Date());
+  const pageCount = doc.pages.length;
+  for (let page = 1; page <= pageCount; page++) {
+    doc.switchToPage(page);
+    const top = PAGE_HEIGHT - 40;
+    const footer = { size: 7, gray: 0.35, width: CONTENT_WIDTH };
+    doc.line(MARGIN, top, MARGIN + CONTENT_WIDTH, top, { gray: 0.5 });
+    const status = labels.statuses[form.status || 'draft'] || form.status;
+    doc.text(MARGIN, top + 4, `JSA ${form.form_id} · ${status}`, footer);
+    doc.text(MARGIN, top + 4, `${labels.generated} ${generated}`, { ...footer, align: 'center' });
+    doc.text(MARGIN, top + 4, labels.page(page, pageCount), { ...footer, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+// A form rendered in language with its crew and supervisor signatures:
+// { details, pdf }, or null if the form doesn't exist. details are in
+// English whatever the language.
+async function loadJsaPdf(formId, language = 'en') {
+  const details = await forms.getFormWithDetails(formId);
+  if (!details) {
+    return null;
+  }
+  const names = [...details.crew.map(member => member.name), details.form.crew_supervisor];
+  const signatures = await forms.getFormSignatures(details.form, names);
+  const localized = await translations.localizeForm(details, language);
+  return { details, pdf: renderJsaPdf(localized, signatures, language) };
+}
+
+function jsaPdfFileName(form) {
+  return `${formatDate(form.date) || 'undated'}_${form.form_id}.pdf`.replace(/[^\w.-]/g, '_');
+}
+
+module.exports = { renderJsaPdf, loadJsaPdf, jsaPdfFileName };
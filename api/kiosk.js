@@ -0,0 +1,140 @@
+// Kiosk and QR code sign-in. A tablet in the site trailer, registered as a
+// kiosk, signs workers in or out when they scan their badge; a worker's own
+// phone does the same when it scans the site code the kiosk shows. Both
+// write the same worker_signins and attendance rows as the sign-in page.
+//
+// Codes are the text to put in a QR code; clients draw the QR themselves.
+//   badge      MJRB.<random>                    - printed, until reissued
+//   site code  MJRS.<p|a>.<id>.<window>.<hmac>  - a project (p) or work area
+//              (a), changing every SITE_CODE_SECONDS so that a photo of it
+//              is no use away from the site
+const crypto = require('crypto');
+const { sign } = require('./auth');
+const { getEasternDate } = require('./dates');
+const { unauthorized } = require('./errors');
+const signins = require('./signins');
+const attendance = require('./services/attendance');
+const auditLog = require('./services/audit');
+const kiosks = require('./services/kiosks');
+
+const SITE_CODE_SECONDS = parseInt(process.env.SITE_CODE_SECONDS || '60', 10);
+
+// The header kiosks send their device token in
+const KIOSK_TOKEN_HEADER = 'x-kiosk-token';
+
+// Device tokens and badge codes are stored as this hash, so the database
+// alone can't be used to make a working one
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+const newDeviceToken = () => crypto.randomBytes(32).toString('base64url');
+
+const newBadgeCode = () => `MJRB.${crypto.randomBytes(18).toString('base64url')}`;
+
+const currentWindow = () => Math.floor(Date.now() / 1000 / SITE_CODE_SECONDS);
+
+const siteMac = (kind, id, window) => sign(`site:${kind}:${id}:${window}`).slice(0, 22);
+
+// The site code for a site from getSite() right now, and when it stops
+// being accepted
+function siteCode({ project, workArea }) {
+  const [kind, id] = workArea ? ['a', workArea.id] : ['p', project.id];
+  const window = currentWindow();
+  return {
+    code: `MJRS.${kind}.${id}.${window}.${siteMac(kind, id, window)}`,
+    // Accepted through the next window too, for a scan just as it changes
+    expiresAt: new Date((window + 2) * SITE_CODE_SECONDS * 1000).toISOString(),
+    refreshAt: new Date((window + 1) * SITE_CODE_SECONDS * 1000).toISOString()
+  };
+}
+
+// The site a site code is for, as { projectId } or { workAreaId }, or null
+// if it isn't one, was tampered with or has expired
+function readSiteCode(code) {
+  const match = typeof code === 'string' && code.trim().match(/^MJRS\.([pa])\.([\w-]+)\.(\d+)\.([\w-]+)$/);
+  if (!match) {
+    return null;
+  }
+  const [, kind, id, windowText, mac] = match;
+  const window = Number(windowText);
+  const now = currentWindow();
+  if (window !== now && window !== now - 1) {
+    return null;
+  }
+  const expected = Buffer.from(siteMac(kind, id, window));
+  const received = Buffer.from(mac);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  return kind === 'a' ? { workAreaId: id } : { projectId: Number(id) };
+}
+
+// Resolve the kiosk's device token to its registration as req.kiosk. Kiosk
+// routes are public to the session check in auth.js and use this instead.
+async function requireKiosk(req, res, next) {
+  try {
+    const token = req.headers[KIOSK_TOKEN_HEADER];
+    const kiosk = typeof token === 'string' && token !== '' ? await kiosks.useKiosk(hashSecret(token)) : null;
+    if (!kiosk) {
+      return next(unauthorized('This kiosk is not registered or has been revoked'));
+    }
+    req.kiosk = kiosk;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Sign a worker in to a site from getSite(), or out if they are already
+// signed in today (wherever that was). method is kiosk or site_code.
+// Resolves to { action: 'signin' | 'signout', worker, site, ... }.
+async function scanSignin(worker, { project, workArea }, { method, kiosk, latitude, longitude, address }) {
+  const who = { id: worker.id, name: worker.name };
+  const site = { projectId: project.id, projectName: project.name, workAreaId: workArea ? workArea.id : null, workAreaName: workArea ? workArea.name : null };
+  const open = await attendance.findOpenSignin(worker.id, getEasternDate());
+
+  let outcome;
+  if (open) {
+    await signins.signOut(worker, { workerName: worker.name });
+    outcome = { action: 'signout', worker: who, site, signinId: open.id };
+  } else {
+    const { id, jsaFormId, geofence } = await signins.signIn(worker, {
+      workerName: worker.name,
+      projectId: project.id,
+      projectName: project.name,
+      siteAddress: project.address,
+      workAreaId: workArea ? workArea.id : null,
+      latitude,
+      longitude,
+      address
+    }, { onSite: true, kioskId: kiosk ? kiosk.id : null, method });
+    outcome = { action: 'signin', worker: who, site, signinId: id, jsaFormId, geofence };
+  }
+
+  // The change has gone through, so a failed entry is only logged
+  try {
+    await auditLog.recordChange({
+      entity: 'worker_signin',
+      entityId: outcome.signinId,
+      action: outcome.action,
+      actor: worker,
+      before: null,
+      after: { method, kioskId: kiosk ? kiosk.id : null, ...site }
+    });
+  } catch (err) {
+    console.error('Failed to write audit entry for worker_signin:', err);
+  }
+  return outcome;
+}
+
+module.exports = {
+  KIOSK_TOKEN_HEADER,
+  hashSecret,
+  newDeviceToken,
+  newBadgeCode,
+  siteCode,
+  readSiteCode,
+  requireKiosk,
+  scanSignin
+};
@@ -0,0 +1,49 @@
+// Outgoing email over SMTP, configured from the environment:
+//
+//   EMAIL_HOST     SMTP server; email is off when it isn't set
+//   EMAIL_PORT     default 587
+//   EMAIL_SECURE   "true" for TLS from the start (port 465), default only on 465
+//   EMAIL_USER     login, if the server needs one
+//   EMAIL_PASS
+//   EMAIL_FROM     sender address, default EMAIL_USER
+//   EMAIL_ALLOW_SELF_SIGNED
+//                  "true" to skip the certificate check; for a local SMTP
+//                  catcher only
+//
+// A local SMTP catcher such as Mailpit works with EMAIL_HOST=localhost,
+// EMAIL_PORT=1025 and no login.
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function isEmailConfigured() {
+  return Boolean(process.env.EMAIL_HOST);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT || '587', 10);
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+      auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined,
+      tls: process.env.EMAIL_ALLOW_SELF_SIGNED === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+  }
+  return transporter;
+}
+
+// Send one message ({ to, subject, html, text, attachments }, as nodemailer
+// takes them). Resolves to nodemailer's info; rejects when the server refuses it.
+async function sendMail(message) {
+  if (!isEmailConfigured()) {
+    throw new Error('Email is not configured (EMAIL_HOST is not set)');
+  }
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    ...message
+  });
+}
+
+module.exports = { isEmailConfigured, sendMail };
@@ -0,0 +1,418 @@
+// Minimal PDF writer for printable reports
+//
+// Only what the reports need: US Letter pages, the built-in Helvetica fonts
+// (Latin-1 text, nothing embedded), lines, boxes, and PNG or JPEG images such
+// as captured signatures. Positions are in points from the top-left corner of
+// the page; the writer flips them into PDF's bottom-up coordinates.
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Advance widths of characters 32-126 in thousandths of the font size, from
+// the standard Helvetica and Helvetica-Bold metrics
+const FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding still has, with their widths
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556],
+  '…': [0x85, 1000],
+  '‘': [0x91, 222],
+  '’': [0x92, 222],
+  '“': [0x93, 333],
+  '”': [0x94, 333],
+  '•': [0x95, 350],
+  '–': [0x96, 556],
+  '—': [0x97, 1000]
+};
+
+// Character codes for text in the fonts' WinAnsiEncoding. Control characters
+// become spaces and anything the fonts can't show becomes '?'.
+function encodeText(text) {
+  const codes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code < 32 || (code >= 127 && code < 160)) {
+      codes.push(32);
+    } else if (code <= 255) {
+      codes.push(code);
+    } else {
+      codes.push(WIN_ANSI_EXTRAS[char] ? WIN_ANSI_EXTRAS[char][0] : 63);
+    }
+  }
+  return codes;
+}
+
+function charWidth(code, widths) {
+  if (code >= 32 && code <= 126) {
+    return widths[code - 32];
+  }
+  const extra = Object.values(WIN_ANSI_EXTRAS).find(([extraCode]) => extraCode === code);
+  // Accented Latin-1 letters are close enough to the average lowercase width
+  return extra ? extra[1] : 556;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+// A PDF string in the fonts' encoding, written as hex so nothing needs escaping
+function pdfString(text) {
+  return `<${Buffer.from(encodeText(text)).toString('hex')}>`;
+}
+
+// Undo the per-row PNG filters, leaving plain 8-bit samples
+function unfilterPng(data, width, height, channels) {
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  let previous = Buffer.alloc(stride);
+
+  for (let row = 0; row < height; row++) {
+    const filter = data[row * (stride + 1)];
+    const line = data.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1));
+    const out = pixels.subarray(row * stride, (row + 1) * stride);
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? out[i - channels] : 0;
+      const up = previous[i];
+      const upLeft = i >= channels ? previous[i - channels] : 0;
+      let value;
+
+      if (filter === 0) {
+        value = line[i];
+      } else if (filter === 1) {
+        value = line[i] + left;
+      } else if (filter === 2) {
+        value = line[i] + up;
+      } else if (filter === 3) {
+        value = line[i] + ((left + up) >> 1);
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const toLeft = Math.abs(estimate - left);
+        const toUp = Math.abs(estimate - up);
+        const toUpLeft = Math.abs(estimate - upLeft);
+        value = line[i] + (toLeft <= toUp && toLeft <= toUpLeft ? left : toUp <= toUpLeft ? up : upLeft);
+      } else {
+        throw new Error(`Unknown PNG filter ${filter}`);
+      }
+      out[i] = value & 0xff;
+    }
+    previous = out;
+  }
+
+  return pixels;
+}
+
+// 8-bit, non-interlaced PNGs of any color type. Transparency becomes a soft
+// mask, so a signature drawn on a transparent canvas prints on white.
+function decodePng(buffer) {
+  const chunks = { IDAT: [] };
+  for (let pos = 8; pos + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('ascii', pos + 4, pos + 8);
+    const data = buffer.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IDAT') {
+      chunks.IDAT.push(data);
+    } else {
+      chunks[type] = data;
+    }
+    if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+
+  const header = chunks.IHDR;
+  if (!header || header[8] !== 8 || header[12] !== 0) {
+    return null;
+  }
+
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const colorType = header[9];
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || (colorType === 3 && !chunks.PLTE)) {
+    return null;
+  }
+
+  const pixels = unfilterPng(zlib.inflateSync(Buffer.concat(chunks.IDAT)), width, height, channels);
+  const image = { width, height, filter: 'FlateDecode' };
+
+  if (colorType === 4 || colorType === 6) {
+    const colorChannels = channels - 1;
+    const color = Buffer.alloc(width * height * colorChannels);
+    const alpha = Buffer.alloc(width * height);
+    for (let i = 0; i < width * height; i++) {
+      pixels.copy(color, i * colorChannels, i * channels, i * channels + colorChannels);
+      alpha[i] = pixels[i * channels + colorChannels];
+    }
+    image.colorSpace = colorType === 6 ? '/DeviceRGB' : '/DeviceGray';
+    image.data = zlib.deflateSync(color);
+    image.alpha = zlib.deflateSync(alpha);
+  } else if (colorType === 3) {
+    image.colorSpace = `[/Indexed /DeviceRGB ${chunks.PLTE.length / 3 - 1} <${chunks.PLTE.toString('hex')}>]`;
+    image.data = zlib.deflateSync(pixels);
+    if (chunks.tRNS) {
+      image.alpha = zlib.deflateSync(Buffer.from(Array.from(pixels, index => (index < chunks.tRNS.length ? chunks.tRNS[index] : 255))));
+    }
+  } else {
+    image.colorSpace = colorType === 2 ? '/DeviceRGB' : '/DeviceGray';
+    image.data = zlib.deflateSync(pixels);
+  }
+
+  return image;
+}
+
+// Baseline JPEGs go into the PDF untouched; only the size and color model
+// are read from the frame header
+function decodeJpeg(buffer) {
+  for (let pos = 2; pos + 9 < buffer.length;) {
+    if (buffer[pos] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[pos + 1];
+    const length = buffer.readUInt16BE(pos + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const components = buffer[pos + 9];
+      return {
+        width: buffer.readUInt16BE(pos + 7),
+        height: buffer.readUInt16BE(pos + 5),
+        colorSpace: { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[components],
+        filter: 'DCTDecode',
+        data: buffer
+      };
+    }
+    pos += 2 + length;
+  }
+  return null;
+}
+
+// A PNG or JPEG from a data URL, base64 string or Buffer, ready for
+// PdfDocument#image. Returns null for anything that can't be drawn.
+function loadImage(source) {
+  if (!source) {
+    return null;
+  }
+
+  let buffer = source;
+  if (typeof source === 'string') {
+    const base64 = source.startsWith('data:') ? source.slice(source.indexOf(',') + 1) : source;
+    buffer = Buffer.from(base64, 'base64');
+  }
+
+  try {
+    if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return decodePng(buffer);
+    }
+    if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      const image = decodeJpeg(buffer);
+      return image && image.colorSpace ? image : null;
+    }
+  } catch (err) {
+    console.error('Unreadable image in PDF:', err.message);
+  }
+  return null;
+}
+
+class PdfDocument {
+  constructor({ title } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.images = [];
+    this.addPage();
+  }
+
+  // Start a new page; everything drawn afterwards goes on it
+  addPage() {
+    this.page = { content: [], images: new Set() };
+    this.pages.push(this.page);
+    return this.pages.length;
+  }
+
+  // Switch back to an earlier page (1-based), e.g. to add page numbers
+  switchToPage(number) {
+    this.page = this.pages[number - 1];
+  }
+
+  textWidth(text, size = 10, bold = false) {
+    const widths = bold ? FONT_WIDTHS.bold : FONT_WIDTHS.regular;
+    return encodeText(text).reduce((total, code) => total + charWidth(code, widths), 0) * size / 1000;
+  }
+
+  // Break text into lines no wider than width, keeping its own line breaks
+  // and splitting words that don't fit on a line by themselves
+  wrapText(text, width, size = 10, bold = false) {
+    const lines = [];
+
+    for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.textWidth(candidate, size, bold) <= width) {
+          line = candidate;
+          continue;
+        }
+        if (line) {
+          lines.push(line);
+        }
+        line = '';
+        for (const char of word) {
+          if (line && this.textWidth(line + char, size, bold) > width) {
+            lines.push(line);
+            line = '';
+          }
+          line += char;
+        }
+      }
+      lines.push(line);
+    }
+
+    return lines;
+  }
+
+  // Draw one line of text with its top at y. Options: size, bold, gray (0 is
+  // black, 1 white), align ('left', 'center' or 'right' within width).
+  text(x, y, text, { size = 10, bold = false, gray = 0, align = 'left', width = 0 } = {}) {
+    let left = x;
+    if (align !== 'left') {
+      const offset = width - this.textWidth(text, size, bold);
+      left += align === 'center' ? offset / 2 : offset;
+    }
+    const baseline = PAGE_HEIGHT - y - size * 0.8;
+    this.page.content.push(
+      `BT ${formatNumber(gray)} g /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ` +
+      `${formatNumber(left)} ${formatNumber(baseline)} Td ${pdfString(text)} Tj ET`
+    );
+  }
+
+  line(x1, y1, x2, y2, { lineWidth = 0.5, gray = 0 } = {}) {
+    this.page.content.push(
+      `${formatNumber(lineWidth)} w ${formatNumber(gray)} G ` +
+      `${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+  }
+
+  // A box with its top-left corner at x, y. Options: fill (a gray level to
+  // fill with), stroke (false for no outline), lineWidth.
+  rect(x, y, width, height, { fill, stroke = true, lineWidth = 0.5 } = {}) {
+    const path = `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`;
+    if (fill !== undefined) {
+      this.page.content.push(`${formatNumber(fill)} g ${path} f`);
+    }
+    if (stroke) {
+      this.page.content.push(`${formatNumber(lineWidth)} w 0 G ${path} S`);
+    }
+  }
+
+  // Draw an image from loadImage(), scaled to fit inside the box and
+  // centred in it
+  image(image, x, y, width, height) {
+    let index = this.images.indexOf(image);
+    if (index === -1) {
+      index = this.images.push(image) - 1;
+    }
+    this.page.images.add(index);
+
+    const scale = Math.min(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    const left = x + (width - drawWidth) / 2;
+    const bottom = PAGE_HEIGHT - y - (height + drawHeight) / 2;
+    this.page.content.push(
+      `q ${formatNumber(drawWidth)} 0 0 ${formatNumber(drawHeight)} ${formatNumber(left)} ${formatNumber(bottom)} cm /Im${index} Do Q`
+    );
+  }
+
+  // The finished file
+  toBuffer() {
+    const objects = [];
+    // Object numbers start at 1, so push's new length is the number
+    const add = body => objects.push(body);
+    const stream = (dictionary, data) => Buffer.concat([
+      Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`),
+      data,
+      Buffer.from('\nendstream')
+    ]);
+
+    const catalog = add(null);
+    const pageTree = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const imageRefs = this.images.map(image => {
+      let mask = '';
+      if (image.alpha) {
+        const alpha = add(stream(
+          `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`,
+          image.alpha
+        ));
+        mask = ` /SMask ${alpha} 0 R`;
+      }
+      return add(stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace} /BitsPerComponent 8 /Filter /${image.filter}${mask}`,
+        image.data
+      ));
+    });
+
+    const pageRefs = this.pages.map(page => {
+      const content = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.content.join('\n'), 'latin1'))));
+      const xObjects = [...page.images].map(index => `/Im${index} ${imageRefs[index]} 0 R`).join(' ');
+      return add(
+        `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> /XObject << ${xObjects} >> >> /Contents ${content} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+    const info = add(`<< /Title ${pdfString(this.title || '')} /Producer (JSA Backend) >>`);
+
+    const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = parts[0].length;
+    const offsets = objects.map((body, index) => {
+      const object = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n')
+      ]);
+      parts.push(object);
+      const start = offset;
+      offset += object.length;
+      return start;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF\n'
+    ];
+    parts.push(Buffer.from(xref.join('\n')));
+
+    return Buffer.concat(parts);
+  }
+}
+
+module.exports = { PAGE_WIDTH, PAGE_HEIGHT, PdfDocument, loadImage };
@@ -0,0 +1,248 @@
+// Supervisor maintenance endpoints: the database browser
+const express = require('express');
+const { pool } = require('../db');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { badRequest, forbidden, notFound } = require('../errors');
+const { validate, string, id, array, json } = require('../validation');
+const router = express.Router();
+
+// Forbidden keywords for security
+const FORBIDDEN_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'DROP', 'CREATE', 'ALTER', 'TRUNCATE', 'GRANT', 'REVOKE'];
+
+// Read-only database query execution (restricted to SELECT only)
+router.post('/database/query', requireRole('supervisor'), validate({
+  body: {
+    query: string({ required: true, max: 10000 }),
+    params: array(json(), { max: 100 })
+  }
+}), async (req, res) => {
+  const { query, params = [] } = req.body;
+
+  // Security: Only allow SELECT queries
+  const normalizedQuery = query.toUpperCase();
+  if (!normalizedQuery.startsWith('SELECT') && !normalizedQuery.startsWith('WITH')) {
+    throw forbidden('Only SELECT queries are allowed for security reasons');
+  }
+
+  if (FORBIDDEN_KEYWORDS.some(keyword => normalizedQuery.includes(keyword))) {
+    throw forbidden('Query contains forbidden operations');
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await pool.query(query, params);
+    const executionTime = Date.now() - startTime;
+
+    res.json({
+      success: true,
+      rows: result.rows,
+      rowCount: result.rowCount,
+      fields: result.fields?.map(f => ({ name: f.name, dataType: f.dataTypeID })),
+      executionTime,
+      query: query.substring(0, 500) // Return first 500 chars of query
+    });
+  } catch (err) {
+    // The database browser is for supervisors writing SQL, so the error text is the useful part
+    console.error('Query execution error:', err);
+    throw badRequest(`Query failed: ${err.message}`);
+  }
+});
+
+// Get database statistics
+router.get('/database/stats', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    // Get table sizes
+    const tableSizes = await pool.query(`
+      SELECT
+        schemaname,
+        tablename,
+        pg_size_pretty(pg_total_relation_size(schemaname||'.'||tablename)) AS size,
+        pg_total_relation_size(schemaname||'.'||tablename) AS size_bytes
+      FROM pg_tables
+      WHERE schemaname = 'public'
+      ORDER BY pg_total_relation_size(schemaname||'.'||tablename) DESC
+    `);
+
+    // Get row counts
+    const tables = tableSizes.rows.map(t => t.tablename);
+    const rowCounts = {};
+
+    for (const table of tables) {
+      try {
+        const count = await pool.query(`SELECT COUNT(*) FROM ${table}`);
+        rowCounts[table] = parseInt(count.rows[0].count);
+      } catch (err) {
+        rowCounts[table] = 0;
+      }
+    }
+
+    // Get index information
+    const indexes = await pool.query(`
+      SELECT
+        tablename,
+        indexname,
+        indexdef
+      FROM pg_indexes
+      WHERE schemaname = 'public'
+      ORDER BY tablename, indexname
+    `);
+
+    res.json({
+      tables: tableSizes.rows.map(t => ({
+        ...t,
+        rowCount: rowCounts[t.tablename] || 0
+      })),
+      indexes: indexes.rows,
+      totalSize: tableSizes.rows.reduce((acc, t) => acc + parseInt(t.size_bytes), 0)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Analyze query performance
+router.post('/database/explain', requireRole('supervisor'), validate({
+  body: { query: string({ required: true, max: 10000 }) }
+}), async (req, res) => {
+  const { query } = req.body;
+
+  // Security check
+  const normalizedQuery = query.toUpperCase();
+  if (!normalizedQuery.startsWith('SELECT') && !normalizedQuery.startsWith('WITH')) {
+    throw forbidden('Only SELECT queries can be analyzed');
+  }
+  if (FORBIDDEN_KEYWORDS.some(keyword => normalizedQuery.includes(keyword))) {
+    throw forbidden('Query contains forbidden operations');
+  }
+
+  // EXPLAIN ANALYZE runs the query, so it runs read-only and is rolled back
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    const explainResult = await client.query(`EXPLAIN ANALYZE ${query}`);
+    const planResult = await client.query(`EXPLAIN (FORMAT JSON) ${query}`);
+
+    res.json({
+      executionPlan: explainResult.rows.map(r => r['QUERY PLAN']),
+      jsonPlan: planResult.rows[0]['QUERY PLAN'],
+      suggestions: analyzeQueryPlan(planResult.rows[0]['QUERY PLAN'])
+    });
+  } catch (err) {
+    throw badRequest(`Query failed: ${err.message}`);
+  } finally {
+    await client.query('ROLLBACK').catch(err => console.error('Error rolling back EXPLAIN:', err));
+    client.release();
+  }
+});
+
+// Helper function to analyze query plan
+function analyzeQueryPlan(plan) {
+  const suggestions = [];
+  const planStr = JSON.stringify(plan);
+
+  if (planStr.includes('Seq Scan')) {
+    suggestions.push('Consider adding indexes to avoid sequential scans');
+  }
+  if (planStr.includes('Nested Loop')) {
+    suggestions.push('Large nested loops detected - consider query optimization');
+  }
+  if (planStr.includes('Sort')) {
+    suggestions.push('Sorting detected - ensure indexes on ORDER BY columns');
+  }
+
+  return suggestions;
+}
+
+// Add sample certificates for testing
+router.post('/safety-certificates/add-samples/:workerId', requireRole('supervisor'), validate({
+  params: { workerId: id({ required: true }) }
+}), audit('safety_certificate', { action: 'add_samples', id: req => req.params.workerId }), async (req, res, next) => {
+  const { workerId } = req.params;
+
+  try {
+    // Get worker name
+    const userResult = await pool.query('SELECT name FROM users WHERE id = $1', [workerId]);
+    if (userResult.rows.length === 0) {
+      throw notFound('Worker not found');
+    }
+    const workerName = userResult.rows[0].name;
+
+    // Sample certificates
+    const samples = [
+      {
+        certificate_type: 'Safety Training',
+        certificate_name: 'OSHA 30-Hour Construction',
+        issuing_organization: 'OSHA',
+        issue_date: '2024-01-15',
+        expiry_date: '2026-01-15',
+        certificate_number: 'OSHA-2024-' + Math.random().toString(36).substr(2, 9).toUpperCase()
+      },
+      {
+        certificate_type: 'Medical',
+        certificate_name: 'First Aid & CPR',
+        issuing_organization: 'American Red Cross',
+        issue_date: '2024-06-01',
+        expiry_date: '2025-02-01', // Expiring soon
+        certificate_number: 'ARC-' + Math.random().toString(36).substr(2, 9).toUpperCase()
+      },
+      {
+        certificate_type: 'Equipment',
+        certificate_name: 'Forklift Operation',
+        issuing_organization: 'National Safety Council',
+        issue_date: '2023-03-15',
+        expiry_date: '2024-03-15', // Expired
+        certificate_number: 'NSC-FL-' + Math.random().toString(36).substr(2, 9).toUpperCase()
+      },
+      {
+        certificate_type: 'Safety Training',
+        certificate_name: 'Fall Protection',
+        issuing_organization: 'Construction Safety Institute',
+        issue_date: '2024-08-01',
+        expiry_date: '2025-08-01',
+        certificate_number: 'CSI-FP-' + Math.random().toString(36).substr(2, 9).toUpperCase()
+      }
+    ];
+
+    const inserted = [];
+    for (const cert of samples) {
+      const status = new Date(cert.expiry_date) < new Date() ? 'expired' :
+                    new Date(cert.expiry_date) <= new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) ? 'expiring_soon' :
+                    'active';
+
+      const result = await pool.query(
+        `INSERT INTO safety_certificates
+         (worker_id, worker_name, certificate_type, certificate_name, issuing_organization,
+          issue_date, expiry_date, certificate_number, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [workerId, workerName, cert.certificate_type, cert.certificate_name, cert.issuing_organization,
+         cert.issue_date, cert.expiry_date, cert.certificate_number, status]
+      );
+      if (result.rows.length > 0) {
+        inserted.push(result.rows[0]);
+      }
+    }
+
+    res.json({ message: 'Sample certificates added', certificates: inserted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Test endpoint to check database connectivity
+router.get('/test-db', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT NOW()');
+    res.json({
+      status: 'connected',
+      time: result.rows[0].now,
+      message: 'Database connection successful'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,440 @@
+// Sign-in, sign-out and attendance endpoints
+const express = require('express');
+const { requireRole, requireSelfOrRole } = require('../auth');
+const { audit } = require('../audit');
+const { getEasternDate } = require('../dates');
+const { badRequest, conflict, forbidden } = require('../errors');
+const jobs = require('../jobs');
+const { validate, string, number, id, date, boolean } = require('../validation');
+const signins = require('../signins');
+const attendance = require('../services/attendance');
+const router = express.Router();
+
+// Worker sign-in
+router.post('/worker/signin', validate({
+  body: {
+    workerName: string({ max: 255 }),
+    worker_name: string({ max: 255 }),
+    projectId: id(),
+    project_id: id(),
+    projectName: string({ max: 255 }),
+    project_name: string({ max: 255 }),
+    siteAddress: string({ max: 500 }),
+    site_address: string({ max: 500 }),
+    signature_image: string({ max: null }),
+    signatureImage: string({ max: null }),
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    address: string({ max: 500 })
+  }
+}), audit('worker_signin', { table: 'worker_signins', action: 'signin' }), async (req, res, next) => {
+  // Support both workerName and worker_name for backward compatibility
+  const input = {
+    workerName: req.body.workerName || req.body.worker_name,
+    projectId: req.body.projectId || req.body.project_id,
+    projectName: req.body.projectName || req.body.project_name,
+    siteAddress: req.body.siteAddress || req.body.site_address,
+    latitude: req.body.latitude,
+    longitude: req.body.longitude,
+    address: req.body.address
+  };
+  const signatureImage = req.body.signature_image || req.body.signatureImage;
+
+  console.log('Worker sign-in attempt:', {
+    workerName: req.user.role === 'worker' ? req.user.name : input.workerName,
+    projectName: input.projectName,
+    hasLocation: !!(input.latitude && input.longitude),
+    hasSignature: !!signatureImage
+  });
+
+  try {
+    const { id, jsaFormId, geofence } = await signins.signIn(req.user, input);
+    res.json({ success: true, id, jsaFormId, geofence });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Foreman sign-in with JSA association
+router.post('/foreman/signin', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    projectId: id(),
+    projectName: string({ max: 255 }),
+    foremanId: id(),
+    foremanName: string({ max: 255 })
+  }
+}), audit('foreman_signin', { action: 'signin', id: (req, body) => body?.formId }), async (req, res, next) => {
+  const { projectId, projectName } = req.body;
+  // Foremen sign themselves in; supervisors can sign in on behalf of a foreman
+  const foremanId = req.user.role === 'foreman' ? req.user.id : req.body.foremanId;
+  const foremanName = req.user.role === 'foreman' ? req.user.name : req.body.foremanName;
+  const signinDate = getEasternDate();
+
+  try {
+    const { formId, alreadySignedIn } = await attendance.signInForeman({
+      foremanId, foremanName, projectId, projectName, signinDate
+    });
+
+    if (alreadySignedIn) {
+      return res.json({ success: true, alreadySignedIn: true, formId });
+    }
+
+    res.json({
+      success: true,
+      formId,
+      message: `Signed in and associated with JSA form for ${signinDate}`
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get foreman sign-in history
+router.get('/foreman/signins/:foremanId', requireSelfOrRole('foremanId', 'foreman', 'supervisor'), validate({
+  params: { foremanId: id() },
+  query: { date: date() }
+}), async (req, res, next) => {
+  try {
+    res.json(await attendance.listForemanSignins(req.params.foremanId, req.query.date));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Save signature
+router.post('/signatures', validate({
+  body: {
+    worker_id: id(),
+    worker_name: string({ required: true, max: 255 }),
+    initials: string({ max: 10 }),
+    project_id: id(),
+    project_name: string({ max: 255 }),
+    date: date(),
+    signature_type: string({ max: 50 }),
+    signature_image: string({ required: true, max: null })
+  }
+}), audit('signature', { table: 'signatures' }), async (req, res, next) => {
+  const { user } = req;
+  const key = req.body.worker_name.trim().toLowerCase();
+
+  try {
+    // Workers can only sign for themselves; foremen and supervisors can
+    // record a signature for anyone
+    if (user.role === 'worker') {
+      const isSelf = [user.name, user.displayName].some(name => (name || '').trim().toLowerCase() === key);
+      if (!isSelf || (req.body.worker_id !== undefined && req.body.worker_id !== user.id)) {
+        throw forbidden('Workers can only sign for themselves');
+      }
+    }
+
+    const signature = user.role === 'worker' ? { ...req.body, worker_id: user.id, worker_name: user.name } : req.body;
+    res.json(await attendance.saveSignature(signature));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get worker sign-ins
+router.get('/worker/signins/:workerId', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: { workerId: id() },
+  query: { date: date() }
+}), async (req, res, next) => {
+  try {
+    res.json(await attendance.listWorkerSignins(req.params.workerId, req.query.date));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get project signatures
+router.get('/project-signatures', requireRole('foreman', 'supervisor'), validate({
+  query: { project: string({ max: 255 }), date: date() }
+}), async (req, res) => {
+  try {
+    res.json(await attendance.listProjectSignatures(req.query));
+  } catch (err) {
+    console.error('Error fetching project signatures:', err);
+    res.json([]);
+  }
+});
+
+// Get workers for today by project
+router.get('/worker/today/:projectName', async (req, res) => {
+  try {
+    res.json(await attendance.listProjectWorkersOnSite(req.params.projectName, getEasternDate()));
+  } catch (err) {
+    console.error('Error fetching today\'s workers:', err);
+    res.json([]);
+  }
+});
+
+// Get worker sign-ins for a date
+router.get('/worker-signins', requireRole('foreman', 'supervisor'), validate({
+  query: { date: date() }
+}), async (req, res) => {
+  try {
+    res.json(await attendance.listSignins(req.query.date));
+  } catch (err) {
+    console.error('Error fetching worker sign-ins:', err);
+    res.json([]);
+  }
+});
+
+// Get signed-in workers (currently signed in, not signed out)
+router.get('/signed-in-workers', requireRole('foreman', 'supervisor'), validate({
+  query: { date: date() }
+}), async (req, res) => {
+  try {
+    res.json(await attendance.listOpenSignins(req.query.date));
+  } catch (err) {
+    console.error('Error fetching signed-in workers:', err);
+    res.json([]);
+  }
+});
+
+// Get attendance with query parameter
+router.get('/attendance', requireRole('foreman', 'supervisor'), validate({
+  query: { date: date({ required: true }) }
+}), async (req, res, next) => {
+  const { date } = req.query;
+
+  try {
+    res.json(await attendance.getAttendanceForDate(date));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get attendance for a specific date (path parameter version)
+router.get('/attendance/:date', requireRole('foreman', 'supervisor'), validate({
+  params: { date: date() }
+}), async (req, res, next) => {
+  try {
+    res.json(await attendance.getWorkerAttendanceForDate(req.params.date));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Toggle attendance status
+router.post('/attendance/toggle', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    userName: string({ required: true, max: 255 }),
+    date: date({ required: true })
+  }
+}), audit('attendance', { table: 'attendance', action: 'toggle' }), async (req, res, next) => {
+  const { userName, date } = req.body;
+
+  try {
+    res.json(await attendance.toggleAttendance(userName, date));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get attendance location data for a specific date
+router.get('/attendance-location/:date', requireRole('foreman', 'supervisor'), validate({
+  params: { date: date() }
+}), async (req, res) => {
+  try {
+    res.json(await attendance.getAttendanceLocations(req.params.date));
+  } catch (err) {
+    console.error('Error fetching attendance location:', err);
+    res.json([]);
+  }
+});
+
+// Run the auto sign-out job now: sign-ins still open after their project's
+// shift end are closed at it
+router.post('/auto-signout', requireRole('supervisor'), audit('worker_signin', { action: 'auto_signout' }), async (req, res, next) => {
+  try {
+    const run = await jobs.runJob('auto-signout', { trigger: 'manual', actor: req.user });
+    if (!run) {
+      throw conflict('Auto sign-out is already running');
+    }
+    if (run.status === 'failed') {
+      throw new Error(`Auto sign-out failed: ${run.error}`);
+    }
+
+    res.json({
+      success: true,
+      signedOut: run.result.signedOut,
+      workers: run.result.workers
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+function signinStatus(signin) {
+  if (!signin) {
+    return { signed_in: false };
+  }
+  return {
+    signed_in: true,
+    signin_time: signin.signin_time,
+    project_name: signin.project_name,
+    site_address: signin.site_address
+  };
+}
+
+// Get worker signin status (query parameter version)
+router.get('/worker/signin-status', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  query: { workerId: id({ required: true }), date: date() }
+}), async (req, res) => {
+  const { workerId, date } = req.query;
+  const targetDate = date || getEasternDate();
+
+  try {
+    res.json(signinStatus(await attendance.findOpenSignin(workerId, targetDate)));
+  } catch (err) {
+    console.error('Error checking signin status:', err);
+    res.json({ signed_in: false });
+  }
+});
+
+// Get worker signin status (path parameter version - keep for compatibility)
+router.get('/worker/signin-status/:workerId', requireSelfOrRole('workerId', 'foreman', 'supervisor'), async (req, res) => {
+  try {
+    res.json(signinStatus(await attendance.findOpenSigninByIdOrName(req.params.workerId, getEasternDate())));
+  } catch (err) {
+    console.error('Error checking signin status:', err);
+    res.json({ signed_in: false });
+  }
+});
+
+// Manual sign-out endpoint for specific worker
+router.post('/worker/signout', validate({
+  body: { workerName: string({ max: 255 }) }
+}), audit('worker_signin', { action: 'signout' }), async (req, res, next) => {
+  try {
+    await signins.signOut(req.user, req.body);
+    res.json({ success: true, message: 'Successfully signed out' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get workers signed into a specific project
+router.get('/projects/:projectId/signed-in-workers', requireRole('foreman', 'supervisor'), validate({
+  params: { projectId: id({ required: true }) }
+}), async (req, res, next) => {
+  const { projectId } = req.params;
+
+  try {
+    res.json(await attendance.listProjectSignedInWorkers(projectId, getEasternDate()));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get vacation status for workers
+router.get('/vacations', requireRole('foreman', 'supervisor'), validate({
+  query: { date: date() }
+}), async (req, res) => {
+  const queryDate = req.query.date || getEasternDate();
+
+  try {
+    res.json(await attendance.listVacations(queryDate));
+  } catch (err) {
+    console.error('Error fetching vacations:', err);
+    res.json([]); // Return empty array instead of error
+  }
+});
+
+// Set vacation status for a worker
+router.post('/vacations', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    worker_name: string({ required: true, max: 255 }),
+    date: date(),
+    vacation_start: date(),
+    vacation_end: date(),
+    notes: string({ max: 2000 })
+  }
+}), audit('vacation', { table: 'vacation_schedule' }), async (req, res, next) => {
+  const { worker_name, date, vacation_start, vacation_end, notes } = req.body;
+
+  // Support both single date and date range
+  const startDate = vacation_start || date;
+  const endDate = vacation_end || date;
+
+  if (!startDate || !endDate) {
+    throw badRequest('A date or a vacation start and end is required', { date: 'is required' });
+  }
+  if (startDate > endDate) {
+    throw badRequest('Vacation cannot end before it starts', { vacation_end: 'must not be before vacation_start' });
+  }
+
+  try {
+    const vacation = await attendance.createVacation({ worker_name, startDate, endDate, notes });
+    res.json({ success: true, ...vacation });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark attendance status (present/absent/vacation)
+router.post('/attendance/mark', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    worker_name: string({ required: true, max: 255 }),
+    date: date(),
+    status: string({ required: true, oneOf: ['present', 'absent', 'vacation'] })
+  }
+}), audit('attendance', { action: 'mark' }), async (req, res, next) => {
+  const { worker_name, date, status } = req.body;
+
+  try {
+    await attendance.markAttendance(worker_name, date || getEasternDate(), status);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get GPS attendance data for a date (default today). Each sign-in has its
+// distance from the site fence; outside=true keeps only those outside it.
+router.get('/gps-attendance', requireRole('foreman', 'supervisor'), validate({
+  query: { date: date(), outside: boolean() }
+}), async (req, res, next) => {
+  try {
+    res.json(await attendance.listGpsSignins(req.query.date || getEasternDate(), { outsideOnly: req.query.outside === true }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get locations for a foreman
+router.get('/foreman/locations/:foremanId', requireSelfOrRole('foremanId', 'foreman', 'supervisor'), validate({
+  params: { foremanId: id() }
+}), async (req, res, next) => {
+  try {
+    res.json(await attendance.listProjectLocations());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get worker locations for today
+router.get('/foreman/worker-locations', requireRole('foreman', 'supervisor'), async (req, res, next) => {
+  try {
+    res.json(await attendance.listWorkerLocationsToday());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get attendance data with location info
+router.get('/foreman/attendance-locations', requireRole('foreman', 'supervisor'), validate({
+  query: { date: date() }
+}), async (req, res, next) => {
+  const { date } = req.query;
+  const targetDate = date || new Date().toISOString().split('T')[0];
+
+  try {
+    res.json(await attendance.listAttendanceLocations(targetDate));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// Audit trail endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { badRequest } = require('../errors');
+const { validate, string, integer, date } = require('../validation');
+const auditLog = require('../services/audit');
+const router = express.Router();
+
+// Query the audit log, newest first
+router.get('/audit', requireRole('supervisor'), validate({
+  query: {
+    entity: string({ max: 100 }),
+    id: string({ max: 100 }),
+    actor: string({ max: 255 }),
+    from: date(),
+    to: date(),
+    limit: integer({ min: 1, max: 1000 })
+  }
+}), async (req, res, next) => {
+  const { from, to } = req.query;
+
+  if (from && to && from > to) {
+    throw badRequest('The date range ends before it starts', { to: 'must not be before from' });
+  }
+
+  try {
+    res.json(await auditLog.listEntries(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
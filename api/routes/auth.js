@@ -0,0 +1,265 @@
+// Login, registration and PIN management endpoints
+const express = require('express');
+const { pool } = require('../db');
+const { PIN_LOCKOUT_MINUTES, isValidPin, generateTemporaryPin, checkPin, issueToken, loadSessionUser, requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { uploadToS3 } = require('../s3-upload');
+const { upload } = require('../upload');
+const { getEasternDate } = require('../dates');
+const { ApiError, badRequest, conflict, notFound, unauthorized } = require('../errors');
+const { nearestGeofence } = require('../geofence');
+const { validate, string, number, id, date } = require('../validation');
+const projects = require('../services/projects');
+const users = require('../services/users');
+const router = express.Router();
+
+function accountLocked() {
+  return new ApiError(429, 'ACCOUNT_LOCKED', `Too many failed attempts. Try again in ${PIN_LOCKOUT_MINUTES} minutes.`);
+}
+
+// PINs are kept as text so leading zeros survive
+const pinField = string({ required: true, max: 8 });
+
+// Authentication endpoint
+router.post('/auth/login', validate({
+  body: {
+    name: string({ required: true, max: 255 }),
+    pin: pinField,
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    address: string({ max: 500 })
+  }
+}), async (req, res, next) => {
+  const { name, pin, latitude, longitude, address } = req.body;
+
+  console.log('Login attempt:', {
+    name,
+    pin: pin ? '***' : 'empty',
+    hasLocation: !!(latitude && longitude),
+    address: address || 'No address'
+  });
+
+  try {
+    // Case-insensitive name match, PIN checked against the stored hash
+    const result = await checkPin(pool, name, pin);
+
+    if (result.locked) {
+      console.log('Login blocked, account locked:', name);
+      throw accountLocked();
+    } else if (!result.user) {
+      // Log failed attempts for debugging, but don't tell the client which part was wrong
+      console.log('Login failed for:', name);
+      throw unauthorized('Invalid name or PIN');
+    } else {
+      const { user } = result;
+      // Add displayName field for frontend use
+      user.displayName = user.display_name || user.name;
+      user.mustChangePin = user.must_change_pin;
+      delete user.must_change_pin;
+      delete user.locked;
+      delete user.pin_matches;
+
+      // If worker role, create automatic attendance record (with or without
+      // location). Logins aren't for a project, so the location is only
+      // flagged against the nearest site fence, never refused.
+      if (user.role === 'worker') {
+        try {
+          const geofence = latitude !== undefined && longitude !== undefined
+            ? nearestGeofence(await projects.listFencedProjects(), latitude, longitude)
+            : null;
+          await users.recordLoginAttendance(user, getEasternDate(), { latitude, longitude, address, geofence });
+        } catch (attendanceErr) {
+          console.error('Error creating/updating attendance for', user.name, ':', attendanceErr.message);
+          console.error('Full error:', attendanceErr);
+          // Don't fail login if attendance update fails
+        }
+      }
+
+      const { token, expiresAt } = issueToken(user);
+      res.json({ user, token, expiresAt });
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Worker registration with certificates
+router.post('/auth/register', upload.fields([
+  { name: 'workingAtHeightsCert', maxCount: 1 },
+  { name: 'whimisCert', maxCount: 1 },
+  { name: 'worker4StepCert', maxCount: 1 }
+]), validate({
+  body: {
+    firstName: string({ required: true, max: 100 }),
+    lastName: string({ required: true, max: 100 }),
+    dateOfBirth: date(),
+    address: string({ max: 500 }),
+    email: string({ max: 255 }),
+    phone: string({ max: 50 }),
+    emergencyContact: string({ max: 255 }),
+    emergencyPhone: string({ max: 50 }),
+    language: string({ max: 50 }),
+    role: string({ oneOf: ['worker', 'foreman', 'supervisor'] }),
+    pin: pinField
+  }
+}), audit('user', { table: 'users', id: (req, body) => body?.user?.id }), async (req, res, next) => {
+  try {
+    const {
+      firstName,
+      lastName,
+      dateOfBirth,
+      address,
+      email,
+      phone,
+      emergencyContact,
+      emergencyPhone,
+      language,
+      role,
+      pin
+    } = req.body;
+
+    const fullName = `${firstName} ${lastName}`;
+    const registrationDate = new Date().toISOString();
+
+    // Registration is open, so only a signed-in supervisor may pick a role
+    // other than worker
+    const registeredBy = await loadSessionUser(req);
+    const userRole = registeredBy && registeredBy.role === 'supervisor' && role ? role : 'worker';
+
+    // Workers choose their own PIN when registering
+    if (!isValidPin(pin)) {
+      throw badRequest('PIN must be 4 to 8 digits', { pin: 'must be 4 to 8 digits' });
+    }
+
+    console.log('New worker registration:', { fullName, language });
+
+    if (await users.userNameExists(fullName)) {
+      throw conflict('User with this name already exists');
+    }
+
+    // Upload certificates to S3 if provided
+    let certificateUrls = {};
+
+    if (req.files) {
+      const uploadPromises = [];
+
+      if (req.files.workingAtHeightsCert) {
+        uploadPromises.push(
+          uploadToS3(
+            req.files.workingAtHeightsCert[0].buffer,
+            req.files.workingAtHeightsCert[0].originalname,
+            req.files.workingAtHeightsCert[0].mimetype,
+            'certificates'
+          ).then(result => {
+            certificateUrls.workingAtHeights = result.fileUrl;
+          })
+        );
+      }
+
+      if (req.files.whimisCert) {
+        uploadPromises.push(
+          uploadToS3(
+            req.files.whimisCert[0].buffer,
+            req.files.whimisCert[0].originalname,
+            req.files.whimisCert[0].mimetype,
+            'certificates'
+          ).then(result => {
+            certificateUrls.whimis = result.fileUrl;
+          })
+        );
+      }
+
+      if (req.files.worker4StepCert) {
+        uploadPromises.push(
+          uploadToS3(
+            req.files.worker4StepCert[0].buffer,
+            req.files.worker4StepCert[0].originalname,
+            req.files.worker4StepCert[0].mimetype,
+            'certificates'
+          ).then(result => {
+            certificateUrls.worker4Step = result.fileUrl;
+          })
+        );
+      }
+
+      await Promise.all(uploadPromises);
+    }
+
+    const userId = await users.registerWorker({
+      fullName,
+      pin,
+      role: userRole,
+      details: {
+        firstName, lastName, dateOfBirth, address, email, phone,
+        emergencyContact, emergencyPhone, language, registrationDate
+      },
+      certificateUrls
+    });
+
+    console.log('Worker registered successfully:', fullName);
+
+    res.json({
+      success: true,
+      message: 'Registration successful',
+      user: {
+        id: userId,
+        name: fullName,
+        role: userRole
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change your own PIN (also the only route open to users on a temporary PIN)
+router.post('/auth/change-pin', validate({
+  body: { currentPin: pinField, newPin: pinField }
+}), audit('user', { action: 'change_pin', id: req => req.user.id }), async (req, res, next) => {
+  const { currentPin, newPin } = req.body;
+
+  try {
+    if (!isValidPin(newPin)) {
+      throw badRequest('PIN must be 4 to 8 digits', { newPin: 'must be 4 to 8 digits' });
+    }
+
+    const result = await checkPin(pool, req.user.name, currentPin);
+
+    if (result.locked) {
+      throw accountLocked();
+    }
+
+    if (!result.user || result.user.id !== req.user.id) {
+      throw unauthorized('Current PIN is incorrect');
+    }
+
+    await users.setPin(req.user.id, newPin);
+
+    res.json({ success: true, message: 'PIN changed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Supervisor reset: issue a temporary PIN that must be changed on next login
+router.post('/auth/users/:id/reset-pin', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), audit('user', { action: 'reset_pin' }), async (req, res, next) => {
+  const { id } = req.params;
+  const temporaryPin = generateTemporaryPin();
+
+  try {
+    const user = await users.resetPin(id, temporaryPin);
+
+    if (!user) {
+      throw notFound('User not found');
+    }
+
+    console.log(`PIN reset for ${user.name} by ${req.user.name}`);
+    res.json({ success: true, user, temporaryPin });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
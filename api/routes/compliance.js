@@ -0,0 +1,47 @@
+// JSA compliance endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { badRequest, notFound } = require('../errors');
+const { validate, id, date } = require('../validation');
+const compliance = require('../services/compliance');
+const projects = require('../services/projects');
+const router = express.Router();
+
+// Longest range one report covers
+const MAX_REPORT_DAYS = 366;
+
+// Days worked without a JSA, and JSAs not signed by the whole crew or never
+// approved, from..to (inclusive), by project and foreman
+router.get('/compliance/jsa', requireRole('foreman', 'supervisor'), validate({
+  query: {
+    from: date({ required: true }),
+    to: date({ required: true }),
+    project: id()
+  }
+}), async (req, res, next) => {
+  const { from, to, project: projectId } = req.query;
+
+  try {
+    if (from > to) {
+      throw badRequest('from must not be after to', { to: 'must be on or after from' });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_REPORT_DAYS) {
+      throw badRequest(`The report covers at most ${MAX_REPORT_DAYS} days at a time`, { to: `must be within ${MAX_REPORT_DAYS} days of from` });
+    }
+
+    let projectName = null;
+    if (projectId) {
+      const project = await projects.getProject(projectId);
+      if (!project) {
+        throw notFound('Project not found');
+      }
+      projectName = project.name;
+    }
+
+    res.json(await compliance.getJsaCompliance({ from, to, projectName }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
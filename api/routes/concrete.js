@@ -0,0 +1,185 @@
+// Concrete delivery and pour tracking endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { badRequest, notFound } = require('../errors');
+const { validate, string, number, integer, id, date, time, timestamp } = require('../validation');
+const concrete = require('../services/concrete');
+const router = express.Router();
+
+// Get concrete deliveries for a date
+router.get('/concrete-deliveries/:date', validate({
+  params: { date: date() }
+}), async (req, res) => {
+  try {
+    res.json(await concrete.listDeliveriesForDate(req.params.date));
+  } catch (err) {
+    console.error('Error fetching concrete deliveries:', err);
+    res.json([]); // Return empty array on error
+  }
+});
+
+// Add concrete delivery
+router.post('/concrete-deliveries', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    project_name: string({ max: 200 }),
+    project_id: string({ max: 50 }),
+    delivery_date: date({ required: true }),
+    delivery_time: time(),
+    truck_number: string({ max: 50 }),
+    volume_m3: number({ min: 0 }),
+    slump: string({ max: 50 }),
+    notes: string({ max: 2000 }),
+    area: string({ max: 200 }),
+    quantity: string({ max: 50 }),
+    concrete_type: string({ max: 100 }),
+    status: string({ max: 50 })
+  }
+}), audit('concrete_delivery', { table: 'concrete_deliveries' }), async (req, res, next) => {
+  try {
+    res.json(await concrete.createDelivery(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update concrete delivery
+router.put('/concrete-deliveries/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() },
+  body: {
+    delivery_time: time(),
+    truck_number: string({ max: 50 }),
+    volume_m3: number({ min: 0 }),
+    slump: string({ max: 50 }),
+    notes: string({ max: 2000 })
+  }
+}), audit('concrete_delivery', { table: 'concrete_deliveries' }), async (req, res, next) => {
+  try {
+    const delivery = await concrete.updateDelivery(req.params.id, req.body);
+    if (!delivery) {
+      throw notFound('Delivery not found');
+    }
+    res.json(delivery);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete concrete delivery
+router.delete('/concrete-deliveries/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() }
+}), audit('concrete_delivery', { table: 'concrete_deliveries' }), async (req, res, next) => {
+  try {
+    await concrete.deleteDelivery(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark concrete delivery as complete with actual data
+router.put('/concrete-deliveries/:id/complete', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() },
+  body: {
+    actual_volume: number({ min: 0 }),
+    actual_hours: number({ min: 0, max: 24 }),
+    supervisor: string({ max: 200 }),
+    status: string({ max: 50 })
+  }
+}), audit('concrete_delivery', { table: 'concrete_deliveries', action: 'complete' }), async (req, res, next) => {
+  try {
+    const delivery = await concrete.completeDelivery(req.params.id, req.body);
+    if (!delivery) {
+      throw notFound('Delivery not found');
+    }
+    res.json(delivery);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Concrete Pour Tracking
+router.get('/concrete-pours', async (req, res, next) => {
+  try {
+    res.json(await concrete.listPours());
+  } catch (err) {
+    next(err);
+  }
+});
+
+const pourFields = {
+  project_name: string({ max: 200 }),
+  pour_date: date(),
+  location: string({ max: 500 }),
+  planned_volume: number({ min: 0 }),
+  planned_start: timestamp(),
+  planned_end: timestamp(),
+  supplier: string({ max: 200 }),
+  mix_type: string({ max: 100 }),
+  crew_size: integer({ min: 0 }),
+  pump_type: string({ max: 100 }),
+  notes: string({ max: 2000 })
+};
+
+router.post('/concrete-pours', requireRole('foreman', 'supervisor'), validate({
+  body: { ...pourFields, project_name: string({ required: true, max: 200 }), pour_date: date({ required: true }) }
+}), audit('concrete_pour', { table: 'concrete_pours' }), async (req, res, next) => {
+  try {
+    res.json(await concrete.createPour(req.body, req.user.name));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a pour; the service audits each changed field
+router.patch('/concrete-pours/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() },
+  body: {
+    ...pourFields,
+    area: string({ max: 200 }),
+    actual_volume: number({ min: 0 }),
+    actual_start: timestamp(),
+    actual_end: timestamp(),
+    concrete_type: string({ max: 100 }),
+    supervisor: string({ max: 200 }),
+    slump: string({ max: 50 }),
+    weather_conditions: string({ max: 200 }),
+    temperature: number({ min: -60, max: 60 }),
+    status: string({ max: 50 }),
+    completed_by: string({ max: 200 }),
+    completion_notes: string({ max: 2000 })
+  }
+}), async (req, res, next) => {
+  const updates = req.body;
+
+  // A field sent as null is cleared, so it counts as an update
+  if (Object.keys(updates).length === 0) {
+    throw badRequest('No updates provided');
+  }
+
+  try {
+    const pour = await concrete.updatePour(req.params.id, updates, req.user);
+    if (!pour) {
+      throw notFound('Concrete pour not found');
+    }
+    res.json(pour);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/concrete-pours/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() }
+}), audit('concrete_pour', { table: 'concrete_pours' }), async (req, res, next) => {
+  try {
+    const deleted = await concrete.deletePour(req.params.id);
+    if (!deleted) {
+      throw notFound('Concrete pour not found');
+    }
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// JSA email endpoints: project distribution lists, sending JSAs and the send log
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { ApiError, badRequest, conflict, notFound } = require('../errors');
+const { validate, string, email: emailAddress, id, integer, date, array } = require('../validation');
+const { isEmailConfigured } = require('../mailer');
+const { sendJsaEmail, sendDailyJsaEmails } = require('../jsa-email');
+const { LANGUAGES } = require('../i18n');
+const forms = require('../services/forms');
+const projects = require('../services/projects');
+const email = require('../services/email');
+const router = express.Router();
+
+const projectParams = { id: id({ required: true }) };
+
+function requireEmail() {
+  if (!isEmailConfigured()) {
+    throw new ApiError(503, 'EMAIL_NOT_CONFIGURED', 'Email is not set up on the server');
+  }
+}
+
+// A project's distribution list
+router.get('/projects/:id/email-recipients', requireRole('foreman', 'supervisor'), validate({
+  params: projectParams
+}), async (req, res, next) => {
+  try {
+    if (!(await projects.getProject(req.params.id))) {
+      throw notFound('Project not found');
+    }
+    res.json(await email.listRecipients(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add an address to a project's distribution list
+router.post('/projects/:id/email-recipients', requireRole('supervisor'), validate({
+  params: projectParams,
+  body: {
+    email: emailAddress({ required: true }),
+    name: string({ max: 200 }),
+    language: string({ oneOf: LANGUAGES })
+  }
+}), audit('email_recipient', { table: 'project_email_recipients', id: (req, body) => body?.id }), async (req, res, next) => {
+  try {
+    if (!(await projects.getProject(req.params.id))) {
+      throw notFound('Project not found');
+    }
+    const recipient = await email.addRecipient(req.params.id, req.body, req.user);
+    if (!recipient) {
+      throw conflict('This address is already on the list');
+    }
+    res.json(recipient);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Take an address off a project's distribution list
+router.delete('/projects/:id/email-recipients/:recipientId', requireRole('supervisor'), validate({
+  params: { ...projectParams, recipientId: id({ required: true }) }
+}), audit('email_recipient', { table: 'project_email_recipients', id: req => req.params.recipientId }), async (req, res, next) => {
+  try {
+    if (!(await email.deleteRecipient(req.params.id, req.params.recipientId))) {
+      throw notFound('Recipient not found');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Email a JSA with its PDF, to the addresses given or else to the project's
+// distribution list. Each address gets its own message, in language or else
+// the recipient's own; the response says how each went, and fails only if
+// none went out.
+router.post('/forms/:formId/email', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    to: array(emailAddress({ required: true }), { max: 50 }),
+    language: string({ oneOf: LANGUAGES })
+  }
+}), audit('jsa_form', { id: req => req.params.formId, action: 'email' }), async (req, res, next) => {
+  try {
+    requireEmail();
+    const form = await forms.getForm(req.params.formId);
+    if (!form) {
+      throw notFound('Form not found');
+    }
+
+    const to = req.body.to && req.body.to.length > 0
+      ? [...new Set(req.body.to)]
+      : (await email.listFormRecipients(form)).map(recipient => recipient.email);
+    if (to.length === 0) {
+      throw badRequest('No recipients: send "to" or add addresses to the project\'s distribution list', { to: 'is required' });
+    }
+
+    const deliveries = await sendJsaEmail(form.form_id, to, { actor: req.user, language: req.body.language });
+    if (deliveries.every(delivery => delivery.status === 'failed')) {
+      throw new ApiError(502, 'EMAIL_FAILED', 'The email could not be sent', Object.fromEntries(
+        deliveries.map(delivery => [delivery.email, delivery.error])
+      ));
+    }
+    res.json({ deliveries });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Send the day's approved JSAs now, as the daily run does (default today).
+// Only recipients who haven't had a JSA yet are sent it.
+router.post('/email/daily-jsas', requireRole('supervisor'), validate({
+  body: { date: date() }
+}), audit('email', { action: 'send_daily' }), async (req, res, next) => {
+  try {
+    requireEmail();
+    res.json(await sendDailyJsaEmails(req.body.date, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The send log, newest first
+router.get('/email-log', requireRole('foreman', 'supervisor'), validate({
+  query: {
+    formId: string({ max: 100 }),
+    projectName: string({ max: 200 }),
+    status: string({ oneOf: ['pending', 'sent', 'failed'] }),
+    from: date(),
+    to: date(),
+    limit: integer({ min: 1, max: 1000 })
+  }
+}), async (req, res, next) => {
+  try {
+    res.json(await email.listEmailLog(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
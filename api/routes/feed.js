@@ -0,0 +1,140 @@
+// MJR community feed endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { badRequest, notFound } = require('../errors');
+const { validate, string, id, uuid } = require('../validation');
+const { uploadToS3 } = require('../s3-upload');
+const { upload } = require('../upload');
+const feed = require('../services/feed');
+const router = express.Router();
+
+// Get all community feed posts with stats
+router.get('/community-feed', validate({
+  query: { user_id: id() }
+}), async (req, res, next) => {
+  try {
+    res.json(await feed.listPosts(req.query.user_id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create a new feed post (manual post)
+router.post('/community-feed', requireRole('foreman', 'supervisor'), upload.single('photo'), validate({
+  body: {
+    foreman_id: id(),
+    foreman_name: string({ max: 255 }),
+    work_area_id: uuid(),
+    work_area_name: string({ max: 255 }),
+    caption: string({ max: 2000 })
+  }
+}), audit('feed_post', { table: 'community_feed_posts' }), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw badRequest('Photo is required');
+    }
+
+    // Upload photo to S3
+    const uploadResult = await uploadToS3(
+      req.file.buffer,
+      req.file.originalname,
+      req.file.mimetype,
+      'community-feed'
+    );
+
+    res.json(await feed.createPost(req.body, uploadResult.fileUrl));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Auto-create feed post from work area photo upload
+router.post('/community-feed/from-work-area', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    foreman_id: id(),
+    foreman_name: string({ max: 255 }),
+    work_area_id: uuid(),
+    work_area_name: string({ max: 255 }),
+    photo_url: string({ required: true, max: 2000 }),
+    task_id: id(),
+    caption: string({ max: 2000 })
+  }
+}), audit('feed_post', { table: 'community_feed_posts' }), async (req, res, next) => {
+  try {
+    res.json(await feed.createWorkAreaPost(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Like a post
+router.post('/community-feed/:postId/like', validate({
+  params: { postId: id() },
+  body: { user_id: id({ required: true }), user_name: string({ max: 255 }) }
+}), audit('feed_like', { table: 'community_feed_likes' }), async (req, res, next) => {
+  try {
+    const like = await feed.likePost(req.params.postId, req.body);
+    res.json(like || { message: 'Already liked' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Unlike a post
+router.delete('/community-feed/:postId/like', validate({
+  params: { postId: id() },
+  body: { user_id: id({ required: true }) }
+}), audit('feed_like'), async (req, res, next) => {
+  try {
+    const like = await feed.unlikePost(req.params.postId, req.body.user_id);
+    res.json(like || { message: 'Like not found' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get comments for a post
+router.get('/community-feed/:postId/comments', validate({
+  params: { postId: id() }
+}), async (req, res, next) => {
+  try {
+    res.json(await feed.listComments(req.params.postId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add a comment to a post
+router.post('/community-feed/:postId/comments', validate({
+  params: { postId: id() },
+  body: {
+    user_id: id({ required: true }),
+    user_name: string({ max: 255 }),
+    comment_text: string({ required: true, max: 2000 })
+  }
+}), audit('feed_comment', { table: 'community_feed_comments' }), async (req, res, next) => {
+  try {
+    res.json(await feed.addComment(req.params.postId, req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a comment
+router.delete('/community-feed/comments/:commentId', validate({
+  params: { commentId: id() },
+  body: { user_id: id({ required: true }) }
+}), audit('feed_comment', { table: 'community_feed_comments', id: req => req.params.commentId }), async (req, res, next) => {
+  try {
+    const deleted = await feed.deleteComment(req.params.commentId, req.body.user_id);
+    if (!deleted) {
+      throw notFound('Comment not found or unauthorized');
+    }
+    res.json(deleted);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,519 @@
+// JSA form endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { ApiError, badRequest, conflict, forbidden, notFound } = require('../errors');
+const { loadJsaPdf, jsaPdfFileName } = require('../jsa-pdf');
+const { LANGUAGES } = require('../i18n');
+const { createZip } = require('../zip');
+const { validate, string, id, number, integer, boolean, date, array, object, json } = require('../validation');
+const crew = require('../services/crew');
+const forms = require('../services/forms');
+const notifications = require('../services/notifications');
+const projects = require('../services/projects');
+const risk = require('../services/risk');
+const templates = require('../services/templates');
+const translations = require('../services/translations');
+const router = express.Router();
+
+// Most forms one export will zip; beyond that the range has to be narrowed
+const MAX_EXPORT_FORMS = 200;
+
+// Get all forms
+router.get('/forms', validate({
+  query: { date: date() }
+}), async (req, res, next) => {
+  try {
+    res.json(await forms.listForms(req.query.date));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Search forms by any of their text, dates and status, a page at a time
+router.get('/forms/search', validate({
+  query: {
+    q: string({ max: 200 }),
+    project: string({ max: 200 }),
+    supervisor: string({ max: 200 }),
+    crew: string({ max: 200 }),
+    hazard: string({ max: 200 }),
+    control: string({ max: 200 }),
+    tool: string({ max: 200 }),
+    ppe: string({ max: 200 }),
+    from: date(),
+    to: date(),
+    status: string({ oneOf: forms.FORM_STATUSES }),
+    page: integer({ min: 1 }),
+    pageSize: integer({ min: 1, max: 100 })
+  }
+}), async (req, res, next) => {
+  const { from, to } = req.query;
+
+  try {
+    if (from && to && from > to) {
+      throw badRequest('from must not be after to', { to: 'must be on or after from' });
+    }
+    res.json(await forms.searchForms(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get forms for calendar view
+router.get('/forms/calendar/:year/:month', validate({
+  params: { year: integer({ min: 2000, max: 2100 }), month: integer({ min: 1, max: 12 }) }
+}), async (req, res, next) => {
+  const { year, month } = req.params;
+
+  try {
+    res.json(await forms.getCalendarForms(year, month));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Zip the PDFs of every JSA for a project dated from..to (inclusive)
+router.get('/forms/export', requireRole('foreman', 'supervisor'), validate({
+  query: {
+    projectId: id({ required: true }),
+    from: date({ required: true }),
+    to: date({ required: true })
+  }
+}), async (req, res, next) => {
+  const { projectId, from, to } = req.query;
+
+  if (from > to) {
+    throw badRequest('from must not be after to', { to: 'must be on or after from' });
+  }
+
+  try {
+    const project = await projects.getProject(projectId);
+    if (!project) {
+      throw notFound('Project not found');
+    }
+
+    const formIds = await forms.listProjectFormIds(project.name, from, to);
+    if (formIds.length === 0) {
+      throw notFound('No JSAs for this project in that date range');
+    }
+    if (formIds.length > MAX_EXPORT_FORMS) {
+      throw badRequest(`${formIds.length} JSAs match; export at most ${MAX_EXPORT_FORMS} at a time by narrowing the dates`);
+    }
+
+    const files = [];
+    for (const formId of formIds) {
+      const { details, pdf } = await loadJsaPdf(formId);
+      files.push({ name: jsaPdfFileName(details.form), data: pdf, date: details.form.updated_at });
+    }
+
+    const fileName = `JSA_${project.name}_${from}_${to}.zip`.replace(/[^\w.-]/g, '_');
+    res.set('Content-Type', 'application/zip');
+    res.attachment(fileName);
+    res.send(createZip(files));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get specific form with details; with lang, its job steps, tools and PPE
+// are translated where there are translations
+router.get('/forms/:formId', validate({
+  query: { lang: string({ oneOf: LANGUAGES }) }
+}), async (req, res, next) => {
+  try {
+    const form = await forms.getFormWithDetails(req.params.formId);
+    if (!form) {
+      throw notFound('Form not found');
+    }
+    res.json(req.query.lang ? await translations.localizeForm(form, req.query.lang) : form);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Download a form as a PDF, laid out like the paper JSA, in lang (default English)
+router.get('/forms/:formId/pdf', validate({
+  query: { lang: string({ oneOf: LANGUAGES }) }
+}), async (req, res, next) => {
+  try {
+    const result = await loadJsaPdf(req.params.formId, req.query.lang);
+    if (!result) {
+      throw notFound('Form not found');
+    }
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(jsaPdfFileName(result.details.form));
+    res.send(result.pdf);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Forms are logged whole, with their job steps, tools, PPE and crew
+const auditForm = audit('jsa_form', {
+  load: forms.getFormWithDetails,
+  id: (req, body) => req.params.formId ?? body?.formId
+});
+
+// Create new form. It can start from a template (templateId), a copy of an
+// earlier form (cloneFormId), or a copy of the project's latest form before
+// this date (clonePrevious with projectName), e.g. yesterday's JSA. Copies
+// keep the crew, who have to sign again; header fields sent win over copied ones.
+router.post('/forms', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    date: date({ required: true }),
+    company: string({ max: 200 }),
+    siteAddress: string({ max: 500 }),
+    projectName: string({ max: 200 }),
+    templateId: id(),
+    cloneFormId: string({ max: 100 }),
+    clonePrevious: boolean()
+  }
+}), auditForm, async (req, res, next) => {
+  const { templateId, cloneFormId, clonePrevious, ...fields } = req.body;
+
+  if ([templateId !== undefined, cloneFormId !== undefined, clonePrevious === true].filter(Boolean).length > 1) {
+    throw badRequest('Start a form from one of templateId, cloneFormId or clonePrevious');
+  }
+  if (clonePrevious && !fields.projectName) {
+    throw badRequest('projectName is required to copy the previous form', { projectName: 'is required with clonePrevious' });
+  }
+
+  try {
+    let source = { formData: {}, sections: {} };
+
+    if (templateId !== undefined) {
+      const template = await templates.getTemplate(templateId);
+      if (!template) {
+        throw notFound('Template not found');
+      }
+      source = templates.copyOfTemplate(template);
+    } else if (cloneFormId || clonePrevious) {
+      const formId = cloneFormId || await forms.findPreviousFormId(fields.projectName, fields.date);
+      const original = formId && await forms.getFormWithDetails(formId);
+      if (!original) {
+        throw notFound(cloneFormId ? 'Form not found' : 'No earlier form for this project');
+      }
+      source = forms.copyOfForm(original);
+    }
+
+    const form = await forms.createForm({ ...source.formData, ...fields }, source.sections);
+    res.json({ formId: form.form_id, id: form.id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Locked forms only change through an amendment
+function lockedError() {
+  return new ApiError(409, 'FORM_LOCKED', 'This JSA is locked; amend it to make changes');
+}
+
+// Update form. Locked forms are refused; edits to the contents of a form
+// under review send it back to draft.
+router.put('/forms/:formId', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    formData: object({
+      crewSupervisor: string({ max: 200 }),
+      crewSafetyRep: string({ max: 200 }),
+      siteAddress: string({ max: 500 }),
+      company: string({ max: 200 }),
+      projectName: string({ max: 200 }),
+      date: date(),
+      weather: string({ max: 500 }),
+      formwork: string({ max: 500 })
+    }),
+    jobSteps: array(object({
+      sequence: integer({ min: 0 }),
+      operation: string({ max: 2000 }),
+      hazards: json(),
+      safetyControls: json(),
+      riskLevel: string({ max: 50 }),
+      likelihood: integer({ min: 1, max: 10 }),
+      severity: integer({ min: 1, max: 10 }),
+      residualLikelihood: integer({ min: 1, max: 10 }),
+      residualSeverity: integer({ min: 1, max: 10 })
+    })),
+    tools: array(string({ max: 200 })),
+    ppe: array(string({ max: 200 })),
+    crew: array(object({
+      name: string({ required: true, max: 200 }),
+      isMobile: boolean(),
+      workerId: id()
+    }))
+  }
+}), auditForm, async (req, res, next) => {
+  try {
+    const form = await forms.getForm(req.params.formId);
+    if (!form) {
+      throw notFound('Form not found');
+    }
+    if (form.status === 'locked') {
+      throw lockedError();
+    }
+
+    const outOfScale = risk.checkJobSteps(await risk.getRiskMatrix(), req.body.jobSteps);
+    if (Object.keys(outOfScale).length > 0) {
+      throw new ApiError(400, 'VALIDATION_FAILED', 'Some fields are missing or invalid', outOfScale);
+    }
+
+    await forms.saveFormUpdates(req.params.formId, req.body);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add everyone signed in to the form's project that day, or assigned to one
+// of its work areas, to the crew. Those with an account are asked to sign.
+// This also happens as people sign in and are assigned.
+router.post('/forms/:formId/crew/sync', requireRole('foreman', 'supervisor'), audit('jsa_form', {
+  load: forms.getFormWithDetails,
+  id: req => req.params.formId,
+  action: 'sync_crew'
+}), async (req, res, next) => {
+  try {
+    const form = await forms.getForm(req.params.formId);
+    if (!form) {
+      throw notFound('Form not found');
+    }
+    if (form.status === 'locked') {
+      throw lockedError();
+    }
+    if (!form.project_name) {
+      throw badRequest('The JSA has no project to take the crew from', { projectName: 'is required' });
+    }
+
+    const result = await crew.syncFormCrew(req.params.formId);
+    res.json({ success: true, added: result ? result.added : [] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Every signature given on a form, including those an edit invalidated, with
+// who, when and where but not the images (foremen, supervisors)
+router.get('/forms/:formId/signatures', requireRole('foreman', 'supervisor'), async (req, res, next) => {
+  try {
+    if (!(await forms.getForm(req.params.formId))) {
+      throw notFound('Form not found');
+    }
+    res.json(await forms.listFormSignatures(req.params.formId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A crew member signs the form. contentHash is the one the form was loaded
+// with, so the signature is for the version they read; if the form changed
+// since, they have to review it again. Workers sign for themselves, foremen
+// and supervisors can take anyone's signature on their device.
+router.post('/forms/:formId/signatures', validate({
+  body: {
+    name: string({ required: true, max: 200 }),
+    signatureImage: string({ required: true, max: null }),
+    contentHash: string({ required: true, max: 64 }),
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    accuracy: number({ min: 0 })
+  }
+}), audit('jsa_form_signature', { table: 'form_signatures' }), async (req, res, next) => {
+  const key = req.body.name.trim().toLowerCase();
+
+  try {
+    if (req.user.role === 'worker' && ![req.user.name, req.user.displayName].some(name => (name || '').trim().toLowerCase() === key)) {
+      throw forbidden('Workers can only sign for themselves');
+    }
+
+    const details = await forms.getFormWithDetails(req.params.formId);
+    if (!details) {
+      throw notFound('Form not found');
+    }
+    if (details.form.status === 'locked') {
+      throw lockedError();
+    }
+    const member = details.crew.find(candidate => (candidate.name || '').trim().toLowerCase() === key);
+    if (!member) {
+      throw badRequest('Not on the crew for this JSA', { name: 'is not on the crew list' });
+    }
+    if (member.signatureId) {
+      throw conflict(`${member.name} has already signed this JSA`);
+    }
+
+    const signature = await forms.signForm(req.params.formId, {
+      ...req.body,
+      name: member.name,
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    }, req.user);
+    if (!signature) {
+      throw new ApiError(409, 'FORM_CHANGED', 'The JSA has changed since it was loaded; review it again before signing');
+    }
+    if (member.workerId) {
+      await notifications.markAllRead(member.workerId, { formId: req.params.formId });
+    }
+    res.json(signature);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A supervisor accepts the risk of the steps that are still high after
+// controls, so the form can be submitted. Editing the job steps afterwards
+// withdraws the approval.
+router.post('/forms/:formId/risk-approval', requireRole('supervisor'), audit('jsa_form', {
+  load: forms.getFormWithDetails,
+  id: req => req.params.formId,
+  action: 'approve_risk'
+}), async (req, res, next) => {
+  try {
+    const details = await forms.getFormWithDetails(req.params.formId);
+    if (!details) {
+      throw notFound('Form not found');
+    }
+    if (details.form.status === 'locked') {
+      throw lockedError();
+    }
+    const matrix = await risk.getRiskMatrix();
+    if (risk.stepsNeedingApproval(matrix, details.jobSteps).length === 0) {
+      throw badRequest('No job steps on this form need approval');
+    }
+
+    const form = await forms.approveFormRisk(req.params.formId, req.user);
+    res.json({ success: true, riskApprovedAt: form.risk_approved_at });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Handler for one step of the workflow (see FORM_TRANSITIONS). Checks the
+// form is in a status the step can be taken from and, where the step needs
+// it, that everyone on the crew list has signed. Submitting is also blocked
+// while any job step is still high risk after controls and no supervisor has
+// approved it.
+function transition(name) {
+  const { from, to, crewSigned } = forms.FORM_TRANSITIONS[name];
+
+  return async (req, res, next) => {
+    try {
+      const details = await forms.getFormWithDetails(req.params.formId);
+      if (!details) {
+        throw notFound('Form not found');
+      }
+      const { form, jobSteps, crew } = details;
+
+      if (!from.includes(form.status)) {
+        throw new ApiError(409, 'INVALID_TRANSITION', `A ${form.status} JSA cannot be moved to ${to}`);
+      }
+
+      if (crewSigned) {
+        const unsigned = crew.filter(member => !member.signed);
+        if (crew.length === 0) {
+          throw new ApiError(409, 'CREW_NOT_SIGNED', 'The JSA has no crew listed');
+        }
+        if (unsigned.length > 0) {
+          throw new ApiError(409, 'CREW_NOT_SIGNED', `Not everyone on the crew has signed: ${unsigned.map(member => member.name).join(', ')}`);
+        }
+      }
+
+      if (name === 'submit' && !form.risk_approved_at) {
+        const matrix = await risk.getRiskMatrix();
+        const highRisk = risk.stepsNeedingApproval(matrix, jobSteps);
+        if (highRisk.length > 0) {
+          const fields = {};
+          for (const index of highRisk) {
+            const step = jobSteps[index];
+            fields[`jobSteps[${index}]`] = `${step.residual_level || step.risk_level} risk after controls needs a supervisor's approval`;
+          }
+          throw new ApiError(409, 'RISK_APPROVAL_REQUIRED', 'Some job steps are still high risk after controls', fields);
+        }
+      }
+
+      const updated = await forms.transitionForm(form.form_id, name);
+      if (!updated) {
+        throw new ApiError(409, 'INVALID_TRANSITION', 'The JSA changed status in the meantime; reload it and try again');
+      }
+      res.json({ success: true, status: updated.status });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const auditTransition = name => audit('jsa_form', {
+  load: forms.getForm,
+  id: req => req.params.formId,
+  action: name.replace('-', '_')
+});
+
+// Submit a draft for the crew to sign (foremen, supervisors)
+router.post('/forms/:formId/submit', requireRole(...forms.FORM_TRANSITIONS.submit.roles), auditTransition('submit'), transition('submit'));
+
+// Confirm the whole crew has signed a submitted form (foremen, supervisors)
+router.post('/forms/:formId/crew-signed', requireRole(...forms.FORM_TRANSITIONS['crew-signed'].roles), auditTransition('crew-signed'), transition('crew-signed'));
+
+// Approve a crew-signed form (supervisors)
+router.post('/forms/:formId/approve', requireRole(...forms.FORM_TRANSITIONS.approve.roles), auditTransition('approve'), transition('approve'));
+
+// Lock an approved form against any further edits (supervisors)
+router.post('/forms/:formId/lock', requireRole(...forms.FORM_TRANSITIONS.lock.roles), auditTransition('lock'), transition('lock'));
+
+// Send a form under review back to draft (supervisors)
+router.post('/forms/:formId/reopen', requireRole(...forms.FORM_TRANSITIONS.reopen.roles), auditTransition('reopen'), transition('reopen'));
+
+// Amend a locked form: starts its next revision as a draft copy linked to it.
+// Only one amendment per revision, so changes stay in a single line.
+router.post('/forms/:formId/amend', requireRole('foreman', 'supervisor'), audit('jsa_form', {
+  load: forms.getFormWithDetails,
+  id: (req, body) => body?.formId,
+  action: 'amend'
+}), async (req, res, next) => {
+  try {
+    const details = await forms.getFormWithDetails(req.params.formId);
+    if (!details) {
+      throw notFound('Form not found');
+    }
+    if (details.form.status !== 'locked') {
+      throw new ApiError(409, 'INVALID_TRANSITION', 'Only locked JSAs are amended; edit this one directly');
+    }
+    if (details.amendments.length > 0) {
+      throw conflict(`This JSA has already been amended by ${details.amendments[0].form_id}`);
+    }
+
+    const form = await forms.amendForm(details);
+    res.json({ formId: form.form_id, id: form.id, revision: form.revision });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a form to the trash
+router.delete('/forms/:formId', requireRole('supervisor'), auditForm, async (req, res, next) => {
+  try {
+    const deleted = await forms.deleteForm(req.params.formId, req.user);
+    if (!deleted) {
+      throw notFound('Form not found');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Restore a form from the trash
+router.post('/forms/:formId/restore', requireRole('supervisor'), audit('jsa_form', {
+  load: forms.getFormWithDetails,
+  id: req => req.params.formId,
+  action: 'restore'
+}), async (req, res, next) => {
+  try {
+    if (!(await forms.restoreForm(req.params.formId))) {
+      throw notFound('Form not in the trash');
+    }
+    res.json(await forms.getFormWithDetails(req.params.formId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
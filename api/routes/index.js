@@ -0,0 +1,100 @@
+// Mounts the domain routers under /api
+const admin = require('./admin');
+const auth = require('./auth');
+const projects = require('./projects');
+const forms = require('./forms');
+const attendance = require('./attendance');
+const timesheets = require('./timesheets');
+const workers = require('./workers');
+const workAreas = require('./work-areas');
+const concrete = require('./concrete');
+const rfis = require('./rfis');
+const materials = require('./materials');
+const feed = require('./feed');
+const weather = require('./weather');
+const safety = require('./safety');
+const audit = require('./audit');
+const trash = require('./trash');
+const users = require('./users');
+const templates = require('./templates');
+const translations = require('./translations');
+const risk = require('./risk');
+const notifications = require('./notifications');
+const email = require('./email');
+const compliance = require('./compliance');
+const jobs = require('./jobs');
+const sync = require('./sync');
+const kiosks = require('./kiosks');
+const musters = require('./musters');
+
+// Mount order matters where paths overlap: a fixed path such as
+// /workers/duplicates must be registered before /workers/:workerId
+const ROUTERS = [
+  admin,
+  auth,
+  projects,
+  forms,
+  attendance,
+  timesheets,
+  workers,
+  workAreas,
+  concrete,
+  rfis,
+  materials,
+  feed,
+  weather,
+  safety,
+  audit,
+  trash,
+  users,
+  templates,
+  translations,
+  risk,
+  notifications,
+  email,
+  compliance,
+  jobs,
+  sync,
+  kiosks,
+  musters
+];
+
+// "GET /work-areas/:/documents" - parameter names are dropped so that
+// /:id/documents and /:areaId/documents count as the same route
+function routeKeys(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => method !== '_all')
+      .map(method => `${method.toUpperCase()} ${layer.route.path.replace(/:\w+/g, ':')}`));
+}
+
+// Every method + path registered more than once across the routers.
+// Express only ever runs the first, so a duplicate is always a bug.
+function findDuplicateRoutes(routers) {
+  const seen = new Set();
+  const duplicates = new Set();
+
+  for (const key of routers.flatMap(routeKeys)) {
+    if (seen.has(key)) {
+      duplicates.add(key);
+    }
+    seen.add(key);
+  }
+
+  return [...duplicates];
+}
+
+function mountRoutes(app) {
+  const duplicates = findDuplicateRoutes(ROUTERS);
+  if (duplicates.length > 0) {
+    throw new Error(`Duplicate routes registered: ${duplicates.join(', ')}`);
+  }
+
+  ROUTERS.forEach(router => app.use('/api', router));
+}
+
+module.exports = {
+  findDuplicateRoutes,
+  mountRoutes
+};
@@ -0,0 +1,72 @@
+// Scheduled job endpoints: the jobs, their run history, and running or
+// pausing one by hand
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { conflict, notFound } = require('../errors');
+const { validate, string, integer, boolean } = require('../validation');
+const jobs = require('../jobs');
+const jobState = require('../services/jobs');
+const router = express.Router();
+
+const jobParams = { name: string({ required: true, max: 100 }) };
+
+function requireJob(name) {
+  if (!jobs.jobNamed(name)) {
+    throw notFound('Job not found');
+  }
+}
+
+// Every job with its schedule, when it runs next and how its last run went
+router.get('/jobs', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    res.json(await jobs.listJobs());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A job's runs, newest first
+router.get('/jobs/:name/runs', requireRole('supervisor'), validate({
+  params: jobParams,
+  query: { limit: integer({ min: 1, max: 500 }) }
+}), async (req, res, next) => {
+  try {
+    requireJob(req.params.name);
+    res.json(await jobState.listJobRuns(req.params.name, req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Run a job now, whether or not it is due or enabled. Resolves to the run,
+// which may have failed; 409 while the job is already running.
+router.post('/jobs/:name/run', requireRole('supervisor'), validate({
+  params: jobParams
+}), audit('scheduled_job', { id: req => req.params.name, action: 'run' }), async (req, res, next) => {
+  try {
+    requireJob(req.params.name);
+    const run = await jobs.runJob(req.params.name, { trigger: 'manual', actor: req.user });
+    if (!run) {
+      throw conflict('The job is already running');
+    }
+    res.json(run);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Pause or resume a job on its schedule
+router.patch('/jobs/:name', requireRole('supervisor'), validate({
+  params: jobParams,
+  body: { enabled: boolean({ required: true }) }
+}), audit('scheduled_job', { table: 'scheduled_jobs', key: 'name', id: req => req.params.name }), async (req, res, next) => {
+  try {
+    requireJob(req.params.name);
+    res.json(await jobs.setJobEnabled(req.params.name, req.body.enabled));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+// Kiosk endpoints: registering site trailer tablets, worker badges, site
+// codes, and signing in by scanning either
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { ApiError, badRequest, notFound } = require('../errors');
+const { validate, string, number, id, uuid } = require('../validation');
+const kiosk = require('../kiosk');
+const kiosks = require('../services/kiosks');
+const users = require('../services/users');
+const router = express.Router();
+
+const code = string({ required: true, max: 200 });
+
+// Registered kiosks, revoked ones last
+router.get('/kiosks', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    res.json(await kiosks.listKiosks());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Register a tablet as a kiosk for a project, or one of its work areas. The
+// response has the device token the tablet sends from then on; it is only
+// shown this once.
+router.post('/kiosks', requireRole('supervisor'), validate({
+  body: {
+    name: string({ required: true, max: 100 }),
+    projectId: id({ required: true }),
+    workAreaId: uuid()
+  }
+}), audit('kiosk', { id: (req, body) => body?.id }), async (req, res, next) => {
+  const { name, projectId, workAreaId } = req.body;
+
+  try {
+    const site = await kiosks.getSite({ projectId, workAreaId });
+    if (!site) {
+      throw notFound(workAreaId ? 'Work area not found' : 'Project not found');
+    }
+    if (site.project.id !== projectId) {
+      throw badRequest('The work area is not on this project', { workAreaId: 'is not on this project' });
+    }
+
+    const token = kiosk.newDeviceToken();
+    const created = await kiosks.createKiosk({ name, projectId, workAreaId, tokenHash: kiosk.hashSecret(token) }, req.user);
+    res.json({ ...created, token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoke a kiosk; its device token stops working at once
+router.post('/kiosks/:id/revoke', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), audit('kiosk', { action: 'revoke' }), async (req, res, next) => {
+  try {
+    const revoked = await kiosks.revokeKiosk(req.params.id, req.user);
+    if (!revoked) {
+      throw notFound('Kiosk not found');
+    }
+    res.json(revoked);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Issue a worker a new badge, revoking the one they had. The response has
+// the code to print as a QR code; it is only shown this once.
+router.post('/workers/:workerId/badge', requireRole('foreman', 'supervisor'), validate({
+  params: { workerId: id({ required: true }) }
+}), audit('worker_badge', { id: req => req.params.workerId, action: 'issue' }), async (req, res, next) => {
+  try {
+    const worker = await users.getUser(req.params.workerId);
+    if (!worker || worker.deactivated_at) {
+      throw notFound('Worker not found');
+    }
+
+    const badgeCode = kiosk.newBadgeCode();
+    const badge = await kiosks.issueBadge(worker.id, kiosk.hashSecret(badgeCode), req.user);
+    res.json({ ...badge, name: worker.name, code: badgeCode });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoke a worker's badge, e.g. when it is lost
+router.delete('/workers/:workerId/badge', requireRole('foreman', 'supervisor'), validate({
+  params: { workerId: id({ required: true }) }
+}), audit('worker_badge', { id: req => req.params.workerId, action: 'revoke' }), async (req, res, next) => {
+  try {
+    const revoked = await kiosks.revokeBadge(req.params.workerId);
+    if (!revoked) {
+      throw notFound('The worker has no badge in use');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The current site code of a project, to show on a screen other than a kiosk
+router.get('/projects/:id/site-code', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), async (req, res, next) => {
+  try {
+    const site = await kiosks.getSite({ projectId: req.params.id });
+    if (!site) {
+      throw notFound('Project not found');
+    }
+    res.json(kiosk.siteCode(site));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The current site code of a work area
+router.get('/work-areas/:id/site-code', requireRole('foreman', 'supervisor'), validate({
+  params: { id: uuid({ required: true }) }
+}), async (req, res, next) => {
+  try {
+    const site = await kiosks.getSite({ workAreaId: req.params.id });
+    if (!site) {
+      throw notFound('Work area not found');
+    }
+    res.json(kiosk.siteCode(site));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sign in or out with the site code scanned on the worker's own phone
+router.post('/site-code/scan', validate({
+  body: {
+    code,
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    address: string({ max: 500 })
+  }
+}), async (req, res, next) => {
+  const { latitude, longitude, address } = req.body;
+
+  try {
+    const siteRef = kiosk.readSiteCode(req.body.code);
+    const site = siteRef && await kiosks.getSite(siteRef);
+    if (!site) {
+      throw new ApiError(400, 'INVALID_CODE', 'This code is not a current site code; scan the code on the kiosk again', {
+        code: 'is not a current site code'
+      });
+    }
+    res.json(await kiosk.scanSignin(req.user, site, { method: 'site_code', latitude, longitude, address }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The kiosk's own registration, for its setup screen (kiosk token)
+router.get('/kiosk', kiosk.requireKiosk, (req, res) => {
+  res.json(req.kiosk);
+});
+
+// The site code for the kiosk to show, until refreshAt (kiosk token)
+router.get('/kiosk/site-code', kiosk.requireKiosk, async (req, res, next) => {
+  try {
+    const site = await kiosks.getSite({ projectId: req.kiosk.project_id, workAreaId: req.kiosk.work_area_id });
+    if (!site) {
+      throw notFound('The kiosk\'s work area no longer exists');
+    }
+    res.json(kiosk.siteCode(site));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sign a worker in or out with the badge scanned at the kiosk (kiosk token)
+router.post('/kiosk/scan', kiosk.requireKiosk, validate({
+  body: { code }
+}), async (req, res, next) => {
+  try {
+    const worker = await kiosks.findBadgeHolder(kiosk.hashSecret(req.body.code.trim()));
+    if (!worker) {
+      throw new ApiError(400, 'INVALID_CODE', 'Badge not recognised; ask your foreman for a new one', {
+        code: 'is not a badge in use'
+      });
+    }
+    const site = await kiosks.getSite({ projectId: req.kiosk.project_id, workAreaId: req.kiosk.work_area_id });
+    if (!site) {
+      throw notFound('The kiosk\'s work area no longer exists');
+    }
+    res.json(await kiosk.scanSignin(worker, site, { method: 'kiosk', kiosk: req.kiosk }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+// Material request endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { notFound } = require('../errors');
+const { validate, string, id, date, json } = require('../validation');
+const { uploadToS3 } = require('../s3-upload');
+const { upload } = require('../upload');
+const materials = require('../services/materials');
+const router = express.Router();
+
+// Get unread material requests count
+router.get('/material-requests/unread-count', requireRole('foreman', 'supervisor'), async (req, res) => {
+  try {
+    res.json({ count: await materials.countUnviewedRequests() });
+  } catch (err) {
+    console.error('Error getting unread count:', err);
+    res.json({ count: 0 });
+  }
+});
+
+// Get material requests, optionally filtered by status and urgency
+router.get('/material-requests', requireRole('foreman', 'supervisor'), validate({
+  query: { status: string({ max: 50 }), urgency: string({ max: 20 }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await materials.listMaterialRequests(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark all material requests as viewed
+router.put('/material-requests/mark-viewed', requireRole('foreman', 'supervisor'), audit('material_request', { action: 'mark_viewed' }), async (req, res, next) => {
+  try {
+    await materials.markAllViewed();
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Submit a material request with up to 5 photos
+router.post('/material-requests', upload.array('photos', 5), validate({
+  body: {
+    worker_id: id(),
+    worker_name: string({ max: 255 }),
+    project_id: id(),
+    project_name: string({ max: 255 }),
+    items: json({ required: true, fromForm: true }),
+    urgency: string({ max: 20 }),
+    delivery_date: date(),
+    notes: string({ max: 2000 })
+  }
+}), audit('material_request', { table: 'material_requests' }), async (req, res, next) => {
+  try {
+    // Upload photos to S3 if provided
+    let photoUrls = [];
+    if (req.files && req.files.length > 0) {
+      const uploadPromises = req.files.map(file =>
+        uploadToS3(file.buffer, file.originalname, file.mimetype, 'material-requests')
+      );
+      const uploadResults = await Promise.all(uploadPromises);
+      photoUrls = uploadResults.map(result => result.fileUrl);
+    }
+
+    res.json(await materials.createMaterialRequest(req.body, photoUrls));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a request's status
+router.patch('/material-requests/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() },
+  body: {
+    status: string({ max: 50 }),
+    completion_notes: string({ max: 2000 })
+  }
+}), audit('material_request', { table: 'material_requests' }), async (req, res, next) => {
+  try {
+    const request = await materials.updateMaterialRequest(req.params.id, req.body, req.user.name);
+    if (!request) {
+      throw notFound('Material request not found');
+    }
+    res.json(request);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a material request
+router.delete('/material-requests/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() }
+}), audit('material_request', { table: 'material_requests' }), async (req, res, next) => {
+  try {
+    const deleted = await materials.deleteMaterialRequest(req.params.id);
+    if (!deleted) {
+      throw notFound('Material request not found');
+    }
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
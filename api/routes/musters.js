@@ -0,0 +1,120 @@
+// Emergency muster endpoints: starting a roll call from who is signed in on
+// site, marking people accounted for, and reviewing musters afterwards
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { getEasternDate } = require('../dates');
+const { conflict, notFound } = require('../errors');
+const { validate, string, integer, id, boolean } = require('../validation');
+const musters = require('../services/musters');
+const projects = require('../services/projects');
+const router = express.Router();
+
+// How long people may stay unaccounted for before supervisors are told, when
+// the muster doesn't say
+const MUSTER_ESCALATE_MINUTES = Number(process.env.MUSTER_ESCALATE_MINUTES) || 5;
+
+const musterParams = { id: id({ required: true }) };
+
+// Musters newest first, optionally for one project or only those in progress
+router.get('/musters', requireRole('foreman', 'supervisor'), validate({
+  query: {
+    projectId: id(),
+    active: boolean(),
+    limit: integer({ min: 1, max: 500 })
+  }
+}), async (req, res, next) => {
+  try {
+    res.json(await musters.listMusters(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A muster with its roll and log. Polled while the muster is in progress,
+// so anyone due to be escalated is escalated here without waiting for the
+// job runner.
+router.get('/musters/:id', requireRole('foreman', 'supervisor'), validate({
+  params: musterParams
+}), async (req, res, next) => {
+  try {
+    await musters.escalateMusters({ musterId: req.params.id });
+    const muster = await musters.getMuster(req.params.id);
+    if (!muster) {
+      throw notFound('Muster not found');
+    }
+    res.json(muster);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start a muster, taking the roll of everyone signed in to the project now
+router.post('/projects/:projectId/musters', requireRole('foreman', 'supervisor'), validate({
+  params: { projectId: id({ required: true }) },
+  body: {
+    reason: string({ max: 500 }),
+    drill: boolean(),
+    escalateMinutes: integer({ min: 0, max: 120 })
+  }
+}), audit('muster', { table: 'musters', id: (req, body) => body?.id }), async (req, res, next) => {
+  const { projectId } = req.params;
+  const { reason, drill, escalateMinutes = MUSTER_ESCALATE_MINUTES } = req.body;
+
+  try {
+    if (!(await projects.findProject({ projectId }))) {
+      throw notFound('Project not found');
+    }
+    if (await musters.findActiveMuster(projectId)) {
+      throw conflict('A muster is already in progress on this project');
+    }
+
+    const musterId = await musters.startMuster({ projectId, reason, drill, escalateMinutes }, req.user, getEasternDate());
+    res.json(await musters.getMuster(musterId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark a person accounted for, or take the mark back
+router.put('/musters/:id/people/:personId', requireRole('foreman', 'supervisor'), validate({
+  params: { ...musterParams, personId: id({ required: true }) },
+  body: {
+    accounted: boolean({ required: true }),
+    note: string({ max: 500 })
+  }
+}), audit('muster_person', { table: 'muster_people', id: req => req.params.personId }), async (req, res, next) => {
+  const { id: musterId, personId } = req.params;
+
+  try {
+    const person = await musters.markPerson(musterId, personId, req.body, req.user);
+    if (!person) {
+      const muster = await musters.getMuster(musterId);
+      if (muster && muster.ended_at) {
+        throw conflict('This muster has ended');
+      }
+      throw notFound('Person not found on this muster');
+    }
+    res.json(person);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// End a muster; anyone still unaccounted for is escalated
+router.post('/musters/:id/end', requireRole('foreman', 'supervisor'), validate({
+  params: musterParams,
+  body: { note: string({ max: 2000 }) }
+}), audit('muster', { table: 'musters', action: 'end' }), async (req, res, next) => {
+  try {
+    if (!(await musters.endMuster(req.params.id, req.user, req.body.note))) {
+      const muster = await musters.getMuster(req.params.id);
+      throw muster ? conflict('This muster has already ended') : notFound('Muster not found');
+    }
+    res.json(await musters.getMuster(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
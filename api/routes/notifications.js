@@ -0,0 +1,55 @@
+// The signed-in user's notifications
+const express = require('express');
+const { audit } = require('../audit');
+const { notFound } = require('../errors');
+const { validate, string, id, integer, boolean } = require('../validation');
+const notifications = require('../services/notifications');
+const router = express.Router();
+
+// List my notifications, newest first
+router.get('/notifications', validate({
+  query: { unread: boolean(), limit: integer({ min: 1, max: 200 }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await notifications.listNotifications(req.user.id, req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// How many of my notifications are unread
+router.get('/notifications/unread-count', async (req, res, next) => {
+  try {
+    res.json({ count: await notifications.countUnread(req.user.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark all my notifications read, or only those about one JSA
+router.post('/notifications/read-all', validate({
+  body: { formId: string({ max: 100 }) }
+}), audit('notification', { action: 'read' }), async (req, res, next) => {
+  try {
+    res.json({ success: true, count: await notifications.markAllRead(req.user.id, req.body) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark one of my notifications read
+router.post('/notifications/:id/read', validate({
+  params: { id: id({ required: true }) }
+}), audit('notification', { table: 'notifications', action: 'read' }), async (req, res, next) => {
+  try {
+    const notification = await notifications.markRead(req.user.id, req.params.id);
+    if (!notification) {
+      throw notFound('Notification not found');
+    }
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+// Project endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { badRequest, notFound } = require('../errors');
+const { validate, string, number, id, time, array, object } = require('../validation');
+const projects = require('../services/projects');
+const router = express.Router();
+
+// Get all projects
+router.get('/projects', async (req, res, next) => {
+  try {
+    res.json(await projects.listProjects());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add new project
+router.post('/projects', requireRole('supervisor'), validate({
+  body: {
+    name: string({ required: true, max: 200 }),
+    description: string({ max: 2000 }),
+    address: string({ max: 500 })
+  }
+}), audit('project', { table: 'projects' }), async (req, res, next) => {
+  try {
+    res.json(await projects.createProject(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Set a project's site fence: a circle (latitude, longitude, radius in metres)
+// or a polygon of at least 3 corners, and whether sign-ins outside it are
+// flagged or rejected
+router.put('/projects/:id/geofence', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) },
+  body: {
+    type: string({ required: true, oneOf: ['circle', 'polygon'] }),
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    radius: number({ min: 1, max: 20000 }),
+    polygon: array(object({
+      latitude: number({ required: true, min: -90, max: 90 }),
+      longitude: number({ required: true, min: -180, max: 180 })
+    }), { max: 200 }),
+    policy: string({ oneOf: ['off', 'flag', 'reject'] })
+  }
+}), audit('project', { table: 'projects', action: 'set_geofence' }), async (req, res, next) => {
+  const { type, latitude, longitude, radius, polygon } = req.body;
+
+  try {
+    const fields = {};
+    if (type === 'circle') {
+      for (const [field, value] of Object.entries({ latitude, longitude, radius })) {
+        if (value === undefined) {
+          fields[field] = 'is required for a circle';
+        }
+      }
+    } else if (!polygon || polygon.length < 3) {
+      fields.polygon = 'must have at least 3 corners';
+    }
+    if (Object.keys(fields).length > 0) {
+      throw badRequest('The site fence is incomplete', fields);
+    }
+
+    const project = await projects.setGeofence(req.params.id, req.body);
+    if (!project) {
+      throw notFound('Project not found');
+    }
+    res.json(project);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove a project's site fence; its sign-ins are no longer checked
+router.delete('/projects/:id/geofence', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), audit('project', { table: 'projects', action: 'remove_geofence' }), async (req, res, next) => {
+  try {
+    const project = await projects.setGeofence(req.params.id, { type: null });
+    if (!project) {
+      throw notFound('Project not found');
+    }
+    res.json(project);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Set when the project's workday ends, Toronto time. Sign-ins still open
+// after it are closed at it by the auto sign-out job.
+router.put('/projects/:id/shift-end', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) },
+  body: { shiftEnd: time({ required: true }) }
+}), audit('project', { table: 'projects', action: 'set_shift_end' }), async (req, res, next) => {
+  try {
+    const project = await projects.setShiftEnd(req.params.id, req.body.shiftEnd);
+    if (!project) {
+      throw notFound('Project not found');
+    }
+    res.json(project);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Put a project back on the default shift end
+router.delete('/projects/:id/shift-end', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), audit('project', { table: 'projects', action: 'remove_shift_end' }), async (req, res, next) => {
+  try {
+    const project = await projects.setShiftEnd(req.params.id, null);
+    if (!project) {
+      throw notFound('Project not found');
+    }
+    res.json(project);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a project to the trash
+router.delete('/projects/:id', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), audit('project', { table: 'projects' }), async (req, res, next) => {
+  try {
+    const deleted = await projects.deleteProject(req.params.id, req.user);
+    if (!deleted) {
+      throw notFound('Project not found');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Restore a project from the trash
+router.post('/projects/:id/restore', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), audit('project', { table: 'projects', action: 'restore' }), async (req, res, next) => {
+  try {
+    const project = await projects.restoreProject(req.params.id);
+    if (!project) {
+      throw notFound('Project not in the trash');
+    }
+    res.json(project);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
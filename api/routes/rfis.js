@@ -0,0 +1,143 @@
+// RFI (Request for Information) endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { notFound } = require('../errors');
+const { validate, string, id, uuid, json } = require('../validation');
+const rfis = require('../services/rfis');
+const router = express.Router();
+
+// Get all project RFIs
+router.get('/rfi', async (req, res, next) => {
+  try {
+    res.json(await rfis.listRfiRequests());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Raise a project RFI
+router.post('/rfi', validate({
+  body: {
+    worker_id: id(),
+    worker_name: string({ max: 255 }),
+    project_id: id(),
+    project_name: string({ max: 255 }),
+    subject: string({ required: true, max: 255 }),
+    description: string({ required: true, max: 5000 }),
+    priority: string({ max: 20 }),
+    category: string({ max: 50 }),
+    attachments: json()
+  }
+}), audit('rfi_request', { table: 'rfi_requests' }), async (req, res, next) => {
+  try {
+    res.json(await rfis.createRfiRequest(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Respond to a project RFI
+router.put('/rfi/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() },
+  body: {
+    status: string({ required: true, max: 50 }),
+    response: string({ max: 5000 })
+  }
+}), audit('rfi_request', { table: 'rfi_requests' }), async (req, res, next) => {
+  try {
+    const rfi = await rfis.respondToRfiRequest(req.params.id, req.body, req.user.name);
+    if (!rfi) {
+      throw notFound('RFI request not found');
+    }
+    res.json(rfi);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a project RFI
+router.delete('/rfi/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() }
+}), audit('rfi_request', { table: 'rfi_requests' }), async (req, res, next) => {
+  try {
+    const deleted = await rfis.deleteRfiRequest(req.params.id);
+    if (!deleted) {
+      throw notFound('RFI request not found');
+    }
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get RFIs for a work area
+router.get('/work-areas/:workAreaId/rfis', validate({
+  params: { workAreaId: uuid() }
+}), async (req, res, next) => {
+  try {
+    res.json(await rfis.listWorkAreaRfis(req.params.workAreaId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create new RFI
+router.post('/work-areas/:workAreaId/rfis', validate({
+  params: { workAreaId: uuid() },
+  body: { question: string({ required: true, max: 5000 }) }
+}), audit('rfi', { table: 'rfis' }), async (req, res, next) => {
+  const { workAreaId } = req.params;
+
+  try {
+    const rfi = await rfis.createWorkAreaRfi(workAreaId, req.body.question, req.user.name);
+    console.log(`RFI created for work area ${workAreaId}:`, rfi);
+    res.json(rfi);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update RFI (answer)
+router.put('/work-areas/:workAreaId/rfis/:rfiId', requireRole('foreman', 'supervisor'), validate({
+  params: { workAreaId: uuid(), rfiId: id() },
+  body: {
+    answer: string({ max: 5000 }),
+    status: string({ max: 50 })
+  }
+}), audit('rfi', { table: 'rfis', id: req => req.params.rfiId }), async (req, res, next) => {
+  const { workAreaId, rfiId } = req.params;
+
+  try {
+    const rfi = await rfis.answerWorkAreaRfi(workAreaId, rfiId, req.body, req.user.name);
+    if (!rfi) {
+      throw notFound('RFI not found');
+    }
+
+    console.log(`RFI ${rfiId} updated for work area ${workAreaId}`);
+    res.json(rfi);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete RFI
+router.delete('/work-areas/:workAreaId/rfis/:rfiId', requireRole('foreman', 'supervisor'), validate({
+  params: { workAreaId: uuid(), rfiId: id() }
+}), audit('rfi', { table: 'rfis', id: req => req.params.rfiId }), async (req, res, next) => {
+  const { workAreaId, rfiId } = req.params;
+
+  try {
+    const deleted = await rfis.deleteWorkAreaRfi(workAreaId, rfiId);
+    if (!deleted) {
+      throw notFound('RFI not found');
+    }
+
+    console.log(`Deleted RFI ${rfiId} from work area ${workAreaId}`);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// Risk matrix endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { ApiError } = require('../errors');
+const { validate, string, integer, boolean, array, object } = require('../validation');
+const risk = require('../services/risk');
+const router = express.Router();
+
+// Get the matrix: likelihood and severity scales, lowest first, and the bands
+// that turn likelihood x severity into a risk level
+router.get('/risk-matrix', async (req, res, next) => {
+  try {
+    res.json(await risk.getRiskMatrix());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Replace the matrix. Steps already saved keep the level they were scored at.
+router.put('/risk-matrix', requireRole('supervisor'), validate({
+  body: {
+    likelihood: array(string({ required: true, max: 100 }), { required: true, max: 10 }),
+    severity: array(string({ required: true, max: 100 }), { required: true, max: 10 }),
+    bands: array(object({
+      level: string({ required: true, max: 50 }),
+      upTo: integer({ required: true, min: 1 }),
+      requiresApproval: boolean()
+    }), { required: true, max: 10 })
+  }
+}), audit('risk_matrix', { table: 'risk_matrix', id: () => 1 }), async (req, res, next) => {
+  const errors = risk.checkRiskMatrix(req.body);
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, 'VALIDATION_FAILED', 'The risk matrix is not usable', errors);
+  }
+
+  try {
+    res.json(await risk.saveRiskMatrix(req.body, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+// Safety procedure and certificate endpoints
+const express = require('express');
+const { requireRole, requireSelfOrRole } = require('../auth');
+const { audit } = require('../audit');
+const { badRequest, notFound } = require('../errors');
+const { generatePresignedUrl } = require('../s3-upload');
+const { validate, string, integer, id, uuid, array } = require('../validation');
+const safety = require('../services/safety');
+const router = express.Router();
+
+// Get certificates for a worker
+router.get('/safety-certificates/worker/:workerId', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: { workerId: id() }
+}), async (req, res, next) => {
+  try {
+    res.json(await safety.listWorkerCertificates(req.params.workerId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Safety Procedures endpoints
+router.get('/safety-procedures', validate({
+  query: { project_id: id(), work_area_id: uuid(), category: string({ max: 100 }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await safety.listProcedures(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get presigned URL for safety procedure upload
+router.post('/safety-procedures/presigned-url', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    fileName: string({ required: true, max: 255 }),
+    fileType: string({ required: true, max: 100 })
+  }
+}), async (req, res, next) => {
+  const { fileName, fileType } = req.body;
+
+  if (fileType !== 'application/pdf') {
+    throw badRequest('Only PDF files are allowed');
+  }
+
+  try {
+    const result = await generatePresignedUrl(fileName, fileType, 'safety-procedures');
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create safety procedure
+router.post('/safety-procedures', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    title: string({ required: true, max: 255 }),
+    description: string({ max: 2000 }),
+    category: string({ max: 100 }),
+    file_url: string({ required: true, max: 2000 }),
+    file_name: string({ max: 255 }),
+    file_size: integer({ min: 0 }),
+    version: string({ max: 50 }),
+    tags: array(string({ max: 100 })),
+    project_id: id(),
+    work_area_id: uuid(),
+    uploaded_by: string({ max: 255 })
+  }
+}), audit('safety_procedure', { table: 'safety_procedures' }), async (req, res, next) => {
+  try {
+    res.json(await safety.createProcedure(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete safety procedure
+router.delete('/safety-procedures/:id', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id() }
+}), audit('safety_procedure', { table: 'safety_procedures' }), async (req, res, next) => {
+  try {
+    const deactivated = await safety.deactivateProcedure(req.params.id);
+    if (!deactivated) {
+      throw notFound('Safety procedure not found');
+    }
+    res.json({ message: 'Safety procedure deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// Offline sync endpoint: events queued on a phone without signal
+const express = require('express');
+const { validate, string, timestamp, array, object, json } = require('../validation');
+const { EVENT_TYPES, syncEvents } = require('../sync');
+const router = express.Router();
+
+// Apply a batch of queued sign-ins, sign-outs, timesheets and photos. Each
+// event is audited as it is applied, like the endpoint it stands in for.
+router.post('/sync', validate({
+  body: {
+    deviceId: string({ max: 100 }),
+    events: array(object({
+      key: string({ required: true, max: 200 }),
+      type: string({ required: true, oneOf: EVENT_TYPES }),
+      occurredAt: timestamp({ required: true }),
+      data: json()
+    }), { required: true, max: 100 })
+  }
+}), async (req, res, next) => {
+  try {
+    res.json({ results: await syncEvents(req.user, req.body) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
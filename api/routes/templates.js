@@ -0,0 +1,195 @@
+// JSA template and hazard/control library endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { conflict, notFound } = require('../errors');
+const { LANGUAGES } = require('../i18n');
+const { validate, string, id, integer, array, object, json } = require('../validation');
+const forms = require('../services/forms');
+const templates = require('../services/templates');
+const translations = require('../services/translations');
+const router = express.Router();
+
+const templateParams = { id: id({ required: true }) };
+
+// Same shape as the job steps of PUT /forms/:formId
+const jobSteps = array(object({
+  sequence: integer({ min: 0 }),
+  operation: string({ max: 2000 }),
+  hazards: json(),
+  safetyControls: json(),
+  riskLevel: string({ max: 50 }),
+  likelihood: integer({ min: 1, max: 10 }),
+  severity: integer({ min: 1, max: 10 }),
+  residualLikelihood: integer({ min: 1, max: 10 }),
+  residualSeverity: integer({ min: 1, max: 10 })
+}));
+
+// List templates, optionally for one work type (formwork, stripping, concrete
+// pour...); with lang, their text is translated where there are translations
+router.get('/jsa-templates', validate({
+  query: { workType: string({ max: 100 }), lang: string({ oneOf: LANGUAGES }) }
+}), async (req, res, next) => {
+  const { lang } = req.query;
+
+  try {
+    const list = await templates.listTemplates(req.query);
+    res.json(lang ? await Promise.all(list.map(template => translations.localizeTemplate(template, lang))) : list);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get one template, translated as for the list
+router.get('/jsa-templates/:id', validate({
+  params: templateParams,
+  query: { lang: string({ oneOf: LANGUAGES }) }
+}), async (req, res, next) => {
+  try {
+    const template = await templates.getTemplate(req.params.id);
+    if (!template) {
+      throw notFound('Template not found');
+    }
+    res.json(req.query.lang ? await translations.localizeTemplate(template, req.query.lang) : template);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create a template. With fromFormId, the job steps, tools and PPE not given
+// are copied from that form, so a good JSA can be saved for reuse.
+router.post('/jsa-templates', requireRole('supervisor'), validate({
+  body: {
+    name: string({ required: true, max: 200 }),
+    workType: string({ required: true, max: 100 }),
+    description: string({ max: 2000 }),
+    fromFormId: string({ max: 100 }),
+    jobSteps,
+    tools: array(string({ max: 200 })),
+    ppe: array(string({ max: 200 }))
+  }
+}), audit('jsa_template', { table: 'jsa_templates' }), async (req, res, next) => {
+  const { fromFormId, ...values } = req.body;
+
+  try {
+    if (await templates.templateNameExists(values.name)) {
+      throw conflict('A template with this name already exists');
+    }
+
+    if (fromFormId) {
+      const form = await forms.getFormWithDetails(fromFormId);
+      if (!form) {
+        throw notFound('Form not found');
+      }
+      const { sections } = forms.copyOfForm(form);
+      values.jobSteps = values.jobSteps ?? sections.jobSteps;
+      values.tools = values.tools ?? sections.tools;
+      values.ppe = values.ppe ?? sections.ppe;
+    }
+
+    res.json(await templates.createTemplate(values, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change a template; only the fields sent are updated and the service audits
+// each changed field
+router.patch('/jsa-templates/:id', requireRole('supervisor'), validate({
+  params: templateParams,
+  body: {
+    name: string({ max: 200 }),
+    workType: string({ max: 100 }),
+    description: string({ max: 2000 }),
+    jobSteps,
+    tools: array(string({ max: 200 })),
+    ppe: array(string({ max: 200 }))
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    if (req.body.name && await templates.templateNameExists(req.body.name, id)) {
+      throw conflict('A template with this name already exists');
+    }
+
+    const template = await templates.updateTemplate(id, req.body, req.user);
+    if (!template) {
+      throw notFound('Template not found');
+    }
+    res.json(template);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a template; forms created from it keep their copy
+router.delete('/jsa-templates/:id', requireRole('supervisor'), validate({
+  params: templateParams
+}), audit('jsa_template', { table: 'jsa_templates' }), async (req, res, next) => {
+  try {
+    if (!(await templates.deleteTemplate(req.params.id))) {
+      throw notFound('Template not found');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Search the library of operations, hazards and controls. With lang, each
+// entry has its translation (null if it has none yet); job steps still take
+// the English text.
+router.get('/jsa-library', validate({
+  query: {
+    kind: string({ oneOf: templates.LIBRARY_KINDS }),
+    q: string({ max: 200 }),
+    workType: string({ max: 100 }),
+    limit: integer({ min: 1, max: 200 }),
+    lang: string({ oneOf: LANGUAGES })
+  }
+}), async (req, res, next) => {
+  const { lang } = req.query;
+
+  try {
+    const entries = await templates.searchLibrary(req.query);
+    res.json(lang ? await translations.withLibraryTranslations(entries, lang) : entries);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add an operation, hazard or control to the library
+router.post('/jsa-library', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    kind: string({ required: true, oneOf: templates.LIBRARY_KINDS }),
+    text: string({ required: true, max: 2000 }),
+    workType: string({ max: 100 })
+  }
+}), audit('jsa_library', { table: 'jsa_library' }), async (req, res, next) => {
+  try {
+    const entry = await templates.addLibraryEntry(req.body, req.user);
+    if (!entry) {
+      throw conflict('The library already has this entry');
+    }
+    res.json(entry);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove an entry from the library
+router.delete('/jsa-library/:id', requireRole('supervisor'), validate({
+  params: templateParams
+}), audit('jsa_library', { table: 'jsa_library' }), async (req, res, next) => {
+  try {
+    if (!(await templates.deleteLibraryEntry(req.params.id))) {
+      throw notFound('Library entry not found');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
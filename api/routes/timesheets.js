@@ -0,0 +1,182 @@
+// Timesheet endpoints
+const express = require('express');
+const { requireRole, requireSelfOrRole } = require('../auth');
+const { audit } = require('../audit');
+const { getEasternDate } = require('../dates');
+const { notFound } = require('../errors');
+const { validate, string, number, integer, id, date, time } = require('../validation');
+const timesheets = require('../services/timesheets');
+const router = express.Router();
+
+// Get worker timesheets - the latest 10, or a whole week when week and year are given
+router.get('/timesheets/worker/:workerId', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: { workerId: id() },
+  query: { week: integer({ min: 1, max: 53 }), year: integer({ min: 2000, max: 2100 }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await timesheets.listWorkerTimesheets(req.params.workerId, req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Submit timesheet
+router.post('/timesheets', validate({
+  body: {
+    worker_id: id(),
+    worker_name: string({ max: 255 }),
+    date: date({ required: true }),
+    project_name: string({ max: 255 }),
+    start_time: time(),
+    end_time: time(),
+    break_duration: number({ min: 0, max: 24 }),
+    total_hours: number({ min: 0, max: 24 }),
+    notes: string({ max: 2000 })
+  }
+}), audit('timesheet', { table: 'timesheets' }), async (req, res, next) => {
+  // Workers can only submit their own timesheets
+  const worker_id = req.user.role === 'worker' ? req.user.id : req.body.worker_id;
+  const worker_name = req.user.role === 'worker' ? req.user.name : req.body.worker_name;
+
+  try {
+    res.json(await timesheets.submitTimesheet({ ...req.body, worker_id, worker_name }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get all timesheets (admin)
+router.get('/timesheets', requireRole('foreman', 'supervisor'), validate({
+  query: { week: integer({ min: 1, max: 53 }), year: integer({ min: 2000, max: 2100 }), worker_id: id(), worker_name: string({ max: 255 }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await timesheets.listTimesheets(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get weekly timesheet summary
+router.get('/timesheets/weekly-summary', requireRole('foreman', 'supervisor'), validate({
+  query: {
+    week: integer({ required: true, min: 1, max: 53 }),
+    year: integer({ required: true, min: 2000, max: 2100 })
+  }
+}), async (req, res, next) => {
+  const { week, year } = req.query;
+
+  try {
+    res.json(await timesheets.getWeeklySummary(week, year));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Approve timesheet
+router.put('/timesheets/:id/approve', requireRole('supervisor'), validate({
+  params: { id: id() }
+}), audit('timesheet', { table: 'timesheets', action: 'approve' }), async (req, res, next) => {
+  try {
+    const timesheet = await timesheets.approveTimesheet(req.params.id, req.user.name);
+    if (!timesheet) {
+      throw notFound('Timesheet not found');
+    }
+    res.json(timesheet);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Reject timesheet
+router.put('/timesheets/:id/reject', requireRole('supervisor'), validate({
+  params: { id: id() }
+}), audit('timesheet', { table: 'timesheets', action: 'reject' }), async (req, res, next) => {
+  try {
+    const timesheet = await timesheets.rejectTimesheet(req.params.id, req.user.name);
+    if (!timesheet) {
+      throw notFound('Timesheet not found');
+    }
+    res.json(timesheet);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Edit timesheet
+router.put('/timesheets/:id/edit', requireRole('supervisor'), validate({
+  params: { id: id() },
+  body: {
+    start_time: time({ required: true }),
+    end_time: time({ required: true }),
+    break_hours: number({ min: 0, max: 24 }),
+    work_description: string({ max: 2000 })
+  }
+}), audit('timesheet', { table: 'timesheets' }), async (req, res, next) => {
+  try {
+    const timesheet = await timesheets.editTimesheet(req.params.id, req.body, req.user.name);
+    if (!timesheet) {
+      throw notFound('Timesheet not found');
+    }
+    res.json(timesheet);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete timesheet
+router.delete('/timesheets/:id', requireRole('supervisor'), validate({
+  params: { id: id() }
+}), audit('timesheet', { table: 'timesheets' }), async (req, res, next) => {
+  try {
+    const deleted = await timesheets.deleteTimesheet(req.params.id);
+    if (!deleted) {
+      throw notFound('Timesheet not found');
+    }
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get timesheet data for a worker
+router.get('/worker/timesheet-data', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  query: { workerId: id({ required: true }), date: date() }
+}), async (req, res, next) => {
+  const { workerId, date } = req.query;
+
+  try {
+    res.json(await timesheets.getSigninTimes(workerId, date || getEasternDate()));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Timesheet endpoints for fetching real worked hours
+router.get('/timesheets/weekly', requireSelfOrRole('userId', 'foreman', 'supervisor'), validate({
+  query: { userId: id(), startDate: date(), endDate: date() }
+}), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      timesheets: await timesheets.listTimesheetsForPeriod(req.query)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get previous weeks' timesheet submissions
+router.get('/timesheets/history', requireSelfOrRole('userId', 'foreman', 'supervisor'), validate({
+  query: { userId: id(), weeks: integer({ min: 1, max: 52 }) }
+}), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      history: await timesheets.getTimesheetHistory(req.query)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// JSA translation endpoints: Spanish and Portuguese for the text of the
+// hazard/control library, templates and the forms made from them
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { badRequest, notFound } = require('../errors');
+const { TRANSLATED_LANGUAGES } = require('../i18n');
+const { validate, string, id, integer, array, object } = require('../validation');
+const templates = require('../services/templates');
+const translations = require('../services/translations');
+const router = express.Router();
+
+const language = string({ required: true, oneOf: TRANSLATED_LANGUAGES });
+
+// List the translations into a language, optionally matching q in either language
+router.get('/jsa-translations', validate({
+  query: {
+    language,
+    q: string({ max: 200 }),
+    limit: integer({ min: 1, max: 1000 })
+  }
+}), async (req, res, next) => {
+  try {
+    res.json(await translations.listTranslations(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Translate a piece of English text, replacing any translation it had
+router.put('/jsa-translations', requireRole('supervisor'), validate({
+  body: {
+    language,
+    source: string({ required: true, max: 2000 }),
+    text: string({ required: true, max: 2000 })
+  }
+}), audit('jsa_translation', { table: 'jsa_translations', id: (req, body) => body?.id }), async (req, res, next) => {
+  try {
+    res.json(await translations.saveTranslation(req.body, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a translation; the text shows in English again
+router.delete('/jsa-translations/:id', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }) }
+}), audit('jsa_translation', { table: 'jsa_translations' }), async (req, res, next) => {
+  try {
+    if (!(await translations.deleteTranslation(req.params.id))) {
+      throw notFound('Translation not found');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Translate a library entry
+router.put('/jsa-library/:id/translations/:language', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }), language },
+  body: { text: string({ required: true, max: 2000 }) }
+}), audit('jsa_translation', { table: 'jsa_translations', id: (req, body) => body?.id }), async (req, res, next) => {
+  try {
+    const entry = await templates.getLibraryEntry(req.params.id);
+    if (!entry) {
+      throw notFound('Library entry not found');
+    }
+    res.json(await translations.saveTranslation({
+      language: req.params.language,
+      source: entry.text,
+      text: req.body.text
+    }, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Every piece of text on a template with its translation, null where there
+// is none yet
+router.get('/jsa-templates/:id/translations/:language', validate({
+  params: { id: id({ required: true }), language }
+}), async (req, res, next) => {
+  try {
+    const template = await templates.getTemplate(req.params.id);
+    if (!template) {
+      throw notFound('Template not found');
+    }
+    const texts = translations.templateTexts(template);
+    const found = await translations.findTranslations(req.params.language, texts);
+    res.json(texts.map(source => ({ source, text: found.get(translations.textKey(source)) || null })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Translate text on a template. Each source must be text the template has.
+router.put('/jsa-templates/:id/translations/:language', requireRole('supervisor'), validate({
+  params: { id: id({ required: true }), language },
+  body: {
+    entries: array(object({
+      source: string({ required: true, max: 2000 }),
+      text: string({ required: true, max: 2000 })
+    }), { required: true, max: 500 })
+  }
+}), audit('jsa_template', { id: req => req.params.id, action: 'translate' }), async (req, res, next) => {
+  try {
+    const template = await templates.getTemplate(req.params.id);
+    if (!template) {
+      throw notFound('Template not found');
+    }
+
+    const onTemplate = new Set(translations.templateTexts(template).map(translations.textKey));
+    const fields = {};
+    req.body.entries.forEach((entry, index) => {
+      if (!onTemplate.has(translations.textKey(entry.source))) {
+        fields[`entries[${index}].source`] = 'is not text on this template';
+      }
+    });
+    if (Object.keys(fields).length > 0) {
+      throw badRequest('Some entries are not text on this template', fields);
+    }
+
+    res.json(await translations.saveTranslations(req.params.language, req.body.entries, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
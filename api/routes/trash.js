@@ -0,0 +1,31 @@
+// Trash endpoints: deleted projects, forms, workers and work areas
+const express = require('express');
+const { requireRole } = require('../auth');
+const { validate, string } = require('../validation');
+const trash = require('../services/trash');
+const router = express.Router();
+
+// List the trash, optionally one type of record; restore through each type's /restore route
+router.get('/trash', requireRole('supervisor'), validate({
+  query: { type: string({ oneOf: Object.keys(trash.TRASH_TYPES) }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await trash.listTrash(req.query.type));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Permanently delete what has been in the trash past the retention period;
+// the service audits each purged record
+router.post('/trash/purge', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    const purged = await trash.purgeTrash(trash.TRASH_RETENTION_DAYS, req.user);
+    console.log(`Trash purged by ${req.user.name}:`, purged);
+    res.json({ retentionDays: trash.TRASH_RETENTION_DAYS, purged });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
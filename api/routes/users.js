@@ -0,0 +1,252 @@
+// User administration endpoints: accounts, roles, display names and roster import
+const express = require('express');
+const { requireRole, isValidPin, generateTemporaryPin } = require('../auth');
+const { audit } = require('../audit');
+const { readCsvTable } = require('../csv');
+const { ApiError, badRequest, conflict, notFound } = require('../errors');
+const { upload } = require('../upload');
+const { validate, check, string, id, boolean } = require('../validation');
+const users = require('../services/users');
+const router = express.Router();
+
+const userParams = { id: id({ required: true }) };
+
+// A new user, also one row of an imported roster
+const newUser = {
+  name: string({ required: true, max: 255 }),
+  displayName: string({ max: 255 }),
+  email: string({ max: 255 }),
+  role: string({ oneOf: users.ROLES }),
+  pin: string({ max: 8 })
+};
+
+// Roster CSV headers, matched ignoring case, spaces and punctuation
+const ROSTER_COLUMNS = {
+  name: 'name',
+  displayname: 'displayName',
+  email: 'email',
+  role: 'role',
+  pin: 'pin'
+};
+const MAX_ROSTER_ROWS = 500;
+
+const pinError = { pin: 'must be 4 to 8 digits' };
+
+// List users; deactivated ones too with ?includeDeactivated=true
+router.get('/users', requireRole('supervisor'), validate({
+  query: { includeDeactivated: boolean() }
+}), async (req, res, next) => {
+  try {
+    res.json(await users.listUsers(req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get one user
+router.get('/users/:id', requireRole('supervisor'), validate({
+  params: userParams
+}), async (req, res, next) => {
+  try {
+    const user = await users.getUser(req.params.id);
+    if (!user) {
+      throw notFound('User not found');
+    }
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create a user. Without a PIN a temporary one is generated and returned once;
+// either way it has to be changed on first login.
+router.post('/users', requireRole('supervisor'), validate({
+  body: newUser
+}), audit('user', { table: 'users', id: (req, body) => body?.user?.id }), async (req, res, next) => {
+  const { name, role = 'worker', pin } = req.body;
+
+  if (pin !== undefined && !isValidPin(pin)) {
+    throw badRequest('PIN must be 4 to 8 digits', pinError);
+  }
+
+  try {
+    if (await users.userNameExists(name)) {
+      throw conflict('User with this name already exists');
+    }
+
+    const temporaryPin = pin ? undefined : generateTemporaryPin();
+    const user = await users.createUser({ ...req.body, role, pin: pin || temporaryPin });
+
+    console.log(`User ${user.name} created by ${req.user.name}`);
+    res.json({ success: true, user, temporaryPin });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Rename a user, change their role, display name or email; the service
+// audits each changed field
+router.patch('/users/:id', requireRole('supervisor'), validate({
+  params: userParams,
+  body: {
+    name: string({ max: 255 }),
+    displayName: string({ max: 255 }),
+    email: string({ max: 255 }),
+    role: string({ oneOf: users.ROLES })
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { name, role } = req.body;
+
+  if (name === null) {
+    throw badRequest('Name cannot be cleared', { name: 'is required' });
+  }
+  if (role !== undefined && id === req.user.id) {
+    throw badRequest('You cannot change your own role', { role: 'cannot be changed on your own account' });
+  }
+
+  try {
+    if (!(await users.getUser(id))) {
+      throw notFound('User not found');
+    }
+    if (name && await users.userNameExists(name, id)) {
+      throw conflict('User with this name already exists');
+    }
+
+    res.json(await users.updateUser(id, req.body, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Stop a user from logging in; their history stays
+router.post('/users/:id/deactivate', requireRole('supervisor'), validate({
+  params: userParams
+}), audit('user', { table: 'users', action: 'deactivate' }), async (req, res, next) => {
+  const { id } = req.params;
+
+  if (id === req.user.id) {
+    throw badRequest('You cannot deactivate your own account');
+  }
+
+  try {
+    const user = await users.deactivateUser(id, req.user);
+    if (!user) {
+      throw notFound('No active user with this id');
+    }
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Let a deactivated user log in again
+router.post('/users/:id/reactivate', requireRole('supervisor'), validate({
+  params: userParams
+}), audit('user', { table: 'users', action: 'reactivate' }), async (req, res, next) => {
+  try {
+    const user = await users.reactivateUser(req.params.id);
+    if (!user) {
+      throw notFound('No deactivated user with this id');
+    }
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Import a crew roster from CSV, uploaded as the roster file or sent as csv
+// text. Columns: name (required), display name, email, role, pin. With
+// ?dryRun=true nothing is saved and every row reports what would happen. The
+// service audits each user created or updated.
+router.post('/users/import', requireRole('supervisor'), upload.single('roster'), validate({
+  query: { dryRun: boolean() },
+  body: { csv: string({ max: null }) }
+}), async (req, res, next) => {
+  const dryRun = req.query.dryRun === true;
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+  if (!text) {
+    throw badRequest('No roster was sent', { roster: 'upload a CSV file or send csv text' });
+  }
+
+  let table;
+  try {
+    table = readCsvTable(text);
+  } catch (err) {
+    throw badRequest(`Roster is not valid CSV: ${err.message}`);
+  }
+
+  const fieldOf = column => ROSTER_COLUMNS[column.toLowerCase().replace(/[^a-z]/g, '')];
+  const unknown = table.columns.filter(column => !fieldOf(column));
+  if (unknown.length > 0 || !table.columns.some(column => fieldOf(column) === 'name')) {
+    throw badRequest('Roster columns are not recognised', {
+      columns: `must include name, and may include display name, email, role and pin${unknown.length > 0 ? `; unknown: ${unknown.join(', ')}` : ''}`
+    });
+  }
+  if (table.rows.length === 0 || table.rows.length > MAX_ROSTER_ROWS) {
+    throw badRequest(`Roster must have between 1 and ${MAX_ROSTER_ROWS} rows`);
+  }
+
+  // Check every row before touching the database
+  const valid = [];
+  const invalid = [];
+  const seenNames = new Map();
+
+  for (const row of table.rows) {
+    // A blank cell means the column doesn't apply to this row
+    const input = {};
+    for (const column of table.columns) {
+      if (row[column] !== '') {
+        input[fieldOf(column)] = row[column];
+      }
+    }
+
+    const { values, errors } = check(newUser, input);
+    if (values.pin !== undefined && !isValidPin(values.pin)) {
+      Object.assign(errors, pinError);
+    }
+    const key = (values.name || '').toLowerCase();
+    if (key && seenNames.has(key)) {
+      errors.name = `is already on line ${seenNames.get(key)}`;
+    } else if (key) {
+      seenNames.set(key, row.line);
+    }
+
+    if (Object.keys(errors).length > 0) {
+      invalid.push({ line: row.line, name: values.name || row[table.columns[0]], action: 'error', errors });
+    } else {
+      valid.push({ line: row.line, ...values });
+    }
+  }
+
+  try {
+    // Rows that failed the checks above still get a dry run of the rest, so
+    // the report covers everything the database would reject too
+    const applied = await users.importRoster(valid, { dryRun: dryRun || invalid.length > 0, actor: req.user });
+    const rows = [...applied, ...invalid].sort((a, b) => a.line - b.line);
+    const failed = rows.filter(row => row.action === 'error');
+
+    if (!dryRun && failed.length > 0) {
+      const fields = {};
+      for (const row of failed) {
+        for (const [field, message] of Object.entries(row.errors)) {
+          fields[`line ${row.line}.${field}`] = message;
+        }
+      }
+      throw new ApiError(400, 'VALIDATION_FAILED', 'The roster has errors, nothing was imported', fields);
+    }
+
+    const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+    rows.forEach(row => summary[row.action]++);
+
+    if (!dryRun) {
+      console.log(`Roster imported by ${req.user.name}:`, summary);
+    }
+    res.json({ dryRun, imported: !dryRun, summary, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+// Weather and construction calendar endpoints
+const express = require('express');
+const { requireRole } = require('../auth');
+const { audit } = require('../audit');
+const { validate, string, number, integer, boolean, date, time, json } = require('../validation');
+const weather = require('../services/weather');
+const router = express.Router();
+
+// Get calendar events
+router.get('/calendar-events', validate({
+  query: { start_date: date(), end_date: date() }
+}), async (req, res) => {
+  const { start_date, end_date } = req.query;
+
+  try {
+    res.json(await weather.getCalendarEvents(start_date, end_date));
+  } catch (err) {
+    console.error('Error fetching calendar events:', err);
+    res.json([]);
+  }
+});
+
+// Weather for a date (fetched from Open-Meteo and cached on first request),
+// or the last 30 days when no date is given
+router.get('/weather', validate({
+  query: { date: date() }
+}), async (req, res, next) => {
+  const { date } = req.query;
+
+  try {
+    if (date) {
+      res.json(await weather.getWeatherForDate(date));
+    } else {
+      res.json(await weather.listRecentWeather());
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Save weather entered on site
+router.post('/weather', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    date: date({ required: true }),
+    temperature_high: number({ required: true, min: -60, max: 60 }),
+    temperature_low: number({ required: true, min: -60, max: 60 }),
+    humidity: integer({ min: 0, max: 100 }),
+    wind_speed_kmh: number({ min: 0 }),
+    wind_gust_kmh: number({ min: 0 }),
+    condition: string({ max: 100 }),
+    precipitation_mm: number({ min: 0 }),
+    location: string({ max: 200 }),
+    is_manual_entry: boolean()
+  }
+}), audit('weather', { table: 'weather_data', key: 'date', id: req => req.body.date }), async (req, res, next) => {
+  try {
+    res.json(await weather.saveWeather(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Weather Events endpoints (for Construction Calendar)
+router.get('/weather-events', validate({
+  query: { month: integer({ min: 1, max: 12 }), year: integer({ min: 2000, max: 2100 }) }
+}), async (req, res) => {
+  try {
+    const { month, year } = req.query;
+    res.json(await weather.listWeatherEvents(month, year));
+  } catch (err) {
+    console.error('Error fetching weather events:', err);
+    res.json([]); // Return empty array if table doesn't exist
+  }
+});
+
+router.post('/weather-events', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    date: date({ required: true }),
+    type: string({ required: true, max: 50 }),
+    start_time: time(),
+    end_time: time(),
+    hours_worked: number({ min: 0, max: 24 }),
+    description: string({ max: 2000 }),
+    affected_projects: json(),
+    crew_count: integer({ min: 0 })
+  }
+}), audit('weather_event', { table: 'weather_events', key: 'date', id: req => req.body.date }), async (req, res, next) => {
+  try {
+    res.json(await weather.saveWeatherEvent(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1161 @@
+// Work area endpoints: areas, crews, photos, documents, daily tasks and work orders
+const express = require('express');
+const { requireRole, requireSelfOrRole } = require('../auth');
+const { audit } = require('../audit');
+const { generatePresignedUrl, uploadToS3 } = require('../s3-upload');
+const { upload } = require('../upload');
+const { getEasternDate } = require('../dates');
+const { badRequest, notFound } = require('../errors');
+const { validate, string, number, integer, id, uuid, boolean, date, timestamp, array, json } = require('../validation');
+const workAreas = require('../services/work-areas');
+const crew = require('../services/crew');
+const feed = require('../services/feed');
+const router = express.Router();
+
+const areaParams = { id: uuid({ required: true }) };
+const workAreaParams = { workAreaId: uuid({ required: true }) };
+
+// Records added under /work-areas/:id are logged against their own id, not the area's
+const createdId = (req, body) => body?.id;
+
+// Add newly assigned workers to the crew of the project's JSA for that date.
+// The assignment has gone through, so a failure here is only logged.
+async function syncJsaCrew(workAreaId, date) {
+  try {
+    await crew.syncWorkAreaCrew(workAreaId, date);
+  } catch (err) {
+    console.error('Error syncing JSA crew for work area', workAreaId, ':', err);
+  }
+}
+
+const presignedUrlBody = {
+  fileName: string({ required: true, max: 255 }),
+  fileType: string({ required: true, max: 100 })
+};
+
+// Get all work areas
+router.get('/work-areas', async (req, res, next) => {
+  try {
+    res.json(await workAreas.listWorkAreas());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get single work area with details
+router.get('/work-areas/:id', validate({
+  params: areaParams
+}), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const area = await workAreas.getWorkAreaWithDetails(id);
+    if (!area) {
+      throw notFound('Work area not found');
+    }
+
+    res.json(area);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get work areas by project ID
+router.get('/projects/:id/work-areas', validate({
+  params: { id: id({ required: true }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await workAreas.listProjectWorkAreas(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create new work area
+const workAreaFields = {
+  name: string({ max: 200 }),
+  description: string({ max: 2000 }),
+  location: string({ max: 500 }),
+  status: string({ max: 50 }),
+  currentStage: string({ max: 100 }),
+  startDate: date(),
+  endDate: date(),
+  projectId: id(),
+  plannedConcreteVolume: number({ min: 0 }),
+  foremanInCharge: string({ max: 255 })
+};
+
+router.post('/work-areas', requireRole('foreman', 'supervisor'), validate({
+  body: { ...workAreaFields, name: string({ required: true, max: 200 }) }
+}), audit('work_area', { table: 'work_areas' }), async (req, res, next) => {
+  try {
+    res.json(await workAreas.createWorkArea(req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update work area; the service audits each changed field
+router.patch('/work-areas/:id', requireRole('foreman', 'supervisor'), validate({
+  params: areaParams,
+  body: workAreaFields
+}), async (req, res, next) => {
+  const updates = req.body;
+
+  if (Object.keys(updates).length === 0) {
+    throw badRequest('No updates provided');
+  }
+
+  try {
+    const area = await workAreas.updateWorkArea(req.params.id, updates, req.user);
+    if (!area) {
+      throw notFound('Work area not found');
+    }
+
+    res.json(area);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a work area to the trash
+router.delete('/work-areas/:id', requireRole('foreman', 'supervisor'), validate({
+  params: areaParams
+}), audit('work_area', { table: 'work_areas' }), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await workAreas.deleteWorkArea(id, req.user);
+    if (!deleted) {
+      throw notFound('Work area not found');
+    }
+
+    res.json({ message: 'Work area deleted successfully', deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Restore a work area from the trash
+router.post('/work-areas/:id/restore', requireRole('foreman', 'supervisor'), validate({
+  params: areaParams
+}), audit('work_area', { table: 'work_areas', action: 'restore' }), async (req, res, next) => {
+  try {
+    const area = await workAreas.restoreWorkArea(req.params.id);
+    if (!area) {
+      throw notFound('Work area not in the trash');
+    }
+
+    res.json(area);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update work area stage
+router.put('/work-areas/:id/stage', requireRole('foreman', 'supervisor'), validate({
+  params: areaParams,
+  body: { stage: string({ required: true, max: 100 }) }
+}), audit('work_area', { table: 'work_areas' }), async (req, res, next) => {
+  const { id } = req.params;
+  const { stage } = req.body;
+
+  try {
+    res.json(await workAreas.updateStage(id, stage));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Assign workers to area
+router.post('/work-areas/:id/assign-workers', requireRole('foreman', 'supervisor'), validate({
+  params: areaParams,
+  body: { workerIds: array(id({ required: true }), { required: true }), date: date() }
+}), audit('work_area', { action: 'assign_workers' }), async (req, res, next) => {
+  const { id } = req.params;
+  const { workerIds, date } = req.body;
+
+  try {
+    const assignments = await workAreas.assignWorkers(id, workerIds, date || getEasternDate());
+    await syncJsaCrew(id, date || getEasternDate());
+    res.json(assignments);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Generate presigned URL for general photo uploads
+router.post('/photos/presigned-url', validate({
+  body: presignedUrlBody
+}), async (req, res, next) => {
+  const { fileName, fileType } = req.body;
+
+  try {
+    const result = await generatePresignedUrl(fileName, fileType, 'general');
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get presigned URL for direct upload from browser
+router.post('/work-areas/:id/photos/presigned-url', validate({
+  params: areaParams,
+  body: presignedUrlBody
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { fileName, fileType } = req.body;
+
+  try {
+    const result = await generatePresignedUrl(fileName, fileType, `work-areas/${id}`);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Original endpoint for backward compatibility (accepts base64, JSON, or FormData)
+router.post('/work-areas/:id/photos', upload.single('photo'), validate({
+  params: areaParams,
+  body: {
+    photo: string({ max: null }),
+    photoUrl: string({ max: null }),
+    photo_url: string({ max: null }),
+    thumbnailUrl: string({ max: null }),
+    thumbnail_url: string({ max: null }),
+    caption: string({ max: 500 }),
+    takenBy: string({ max: 255 }),
+    taken_by_name: string({ max: 255 }),
+    taken_date: timestamp(),
+    taken_at: timestamp(),
+    date: date()
+  }
+}), audit('area_photo', { table: 'area_photos', id: createdId }), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await workAreas.workAreaExists(id))) {
+      throw notFound('Work area not found');
+    }
+
+    let photoUrl, thumbnailUrl, caption, takenBy, takenDate;
+
+    // Check if request has file upload (multipart/form-data)
+    if (req.file) {
+      // Handle file upload via multer
+      if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+        // Upload to S3
+        const s3Result = await uploadToS3(
+          req.file.buffer,
+          req.file.originalname,
+          req.file.mimetype,
+          `work-areas/${id}`
+        );
+        photoUrl = s3Result.fileUrl;
+        thumbnailUrl = s3Result.fileUrl;
+      } else {
+        // Convert to base64 if S3 not configured
+        const base64 = req.file.buffer.toString('base64');
+        photoUrl = `data:${req.file.mimetype};base64,${base64}`;
+        thumbnailUrl = photoUrl;
+      }
+
+      caption = req.body.caption || `Work area photo - ${new Date().toLocaleDateString()}`;
+      takenBy = req.body.taken_by_name || 'Field Worker';
+      takenDate = req.body.taken_at || new Date().toISOString();
+    }
+    // Check if request has base64 data
+    else if (req.body.photo && req.body.photo.startsWith('data:')) {
+      // Handle base64 image data
+      try {
+        // Check if AWS credentials are configured
+        if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+          const base64Data = req.body.photo.replace(/^data:image\/\w+;base64,/, '');
+          const buffer = Buffer.from(base64Data, 'base64');
+
+          // Upload to S3
+          const s3Result = await uploadToS3(buffer, 'photo.jpg', 'image/jpeg', `work-areas/${id}`);
+          photoUrl = s3Result.fileUrl;
+          thumbnailUrl = s3Result.fileUrl;
+        } else {
+          // No S3 configured - store as base64 data URL
+          console.log('S3 not configured, storing photo as base64 data URL');
+          photoUrl = req.body.photo;  // Keep the full base64 data URL
+          thumbnailUrl = req.body.photo;
+        }
+      } catch (uploadError) {
+        console.error('Error uploading to S3, falling back to base64:', uploadError);
+        // Fallback to storing as base64 data URL
+        photoUrl = req.body.photo;
+        thumbnailUrl = req.body.photo;
+      }
+
+      caption = req.body.caption || `Photo from ${req.body.date || getEasternDate()}`;
+      takenBy = req.body.takenBy || 'Field Worker';
+      // Convert date string to proper timestamp
+      if (req.body.date) {
+        takenDate = new Date(req.body.date + 'T12:00:00Z').toISOString();
+      } else {
+        takenDate = new Date().toISOString();
+      }
+    } else if (req.body.photoUrl || req.body.photo_url) {
+      // Handle already uploaded URL (support both camelCase and snake_case)
+      const {
+        photoUrl: pUrl,
+        photo_url,
+        thumbnailUrl: tUrl,
+        thumbnail_url,
+        caption: cap,
+        takenBy: by,
+        taken_by_name,
+        taken_date,
+        taken_at
+      } = req.body;
+
+      photoUrl = pUrl || photo_url;
+      thumbnailUrl = tUrl || thumbnail_url || photoUrl;
+      caption = cap || `Work area photo - ${new Date().toLocaleDateString()}`;
+      takenBy = by || taken_by_name || 'Field Worker';
+      takenDate = taken_date || taken_at || new Date().toISOString();
+    } else {
+      throw badRequest('No photo data provided', { photo: 'is required' });
+    }
+
+    // Log the data we're about to insert
+    console.log('Attempting to insert photo with data:', {
+      work_area_id: id,
+      photo_url: photoUrl ? photoUrl.substring(0, 100) + '...' : 'null',
+      thumbnail_url: thumbnailUrl ? thumbnailUrl.substring(0, 100) + '...' : 'null',
+      caption: caption,
+      taken_by_name: takenBy,
+      taken_at: takenDate
+    });
+
+    const photo = await workAreas.savePhoto(id, { photoUrl, thumbnailUrl, caption, takenBy, takenDate });
+
+    console.log('Photo saved successfully:', {
+      id: photo.id,
+      work_area_id: photo.work_area_id,
+      taken_at: photo.taken_at,
+      photo_url: photoUrl.substring(0, 50) + '...'
+    });
+
+    // Set explicit CORS headers for this response
+    res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+
+    res.json(photo);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Upload document for work area
+router.post('/work-areas/:id/documents', requireRole('foreman', 'supervisor'), validate({
+  params: areaParams,
+  body: {
+    name: string({ required: true, max: 255 }),
+    description: string({ max: 2000 }),
+    documentType: string({ max: 100 }),
+    document_type: string({ max: 100 }),
+    fileUrl: string({ max: 2000 }),
+    file_url: string({ max: 2000 }),
+    fileSize: integer({ min: 0 }),
+    file_size: integer({ min: 0 }),
+    fileType: string({ max: 100 }),
+    file_type: string({ max: 100 }),
+    uploadedBy: string({ max: 255 }),
+    uploaded_by_name: string({ max: 255 })
+  }
+}), audit('area_document', { table: 'area_documents', id: createdId }), async (req, res, next) => {
+  const { id } = req.params;
+  const { name, description } = req.body;
+  // Older clients send snake_case fields
+  const documentType = req.body.documentType || req.body.document_type;
+  const fileUrl = req.body.fileUrl || req.body.file_url;
+  const fileSize = req.body.fileSize || req.body.file_size;
+  const fileType = req.body.fileType || req.body.file_type;
+  const uploadedBy = req.body.uploadedBy || req.body.uploaded_by_name;
+
+  if (!fileUrl) {
+    throw badRequest('File URL is required', { fileUrl: 'is required' });
+  }
+
+  try {
+    if (!(await workAreas.workAreaExists(id))) {
+      throw notFound('Work area not found');
+    }
+
+    res.json(await workAreas.createDocument(id, {
+      documentType, name, fileUrl, fileSize, fileType, uploadedBy, description
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get daily activity for a specific date
+router.get('/work-areas/:id/daily-activity', validate({
+  params: areaParams,
+  query: { date: date() }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const activityDate = req.query.date || getEasternDate();
+
+  try {
+    if (!(await workAreas.workAreaExists(id))) {
+      throw notFound('Work area not found');
+    }
+
+    const activity = await workAreas.getDailyActivity(id, activityDate);
+    if (!activity) {
+      // Return empty activity data instead of 404 - this allows frontend to handle gracefully
+      return res.json({
+        work_area_id: id,
+        activity_date: activityDate,
+        stage: null,
+        description: null,
+        weather: null,
+        temperature: null,
+        notes: null,
+        photos: []
+      });
+    }
+
+    res.json(activity);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create or update daily activity
+router.post('/work-areas/:id/daily-activity', requireRole('foreman', 'supervisor'), validate({
+  params: areaParams,
+  body: {
+    activityDate: date(),
+    stage: string({ max: 100 }),
+    description: string({ max: 5000 }),
+    weather: string({ max: 200 }),
+    temperature: string({ max: 50 }),
+    notes: string({ max: 5000 })
+  }
+}), audit('daily_activity', { table: 'daily_activities', id: createdId }), async (req, res, next) => {
+  const { id } = req.params;
+  const { activityDate, stage, description, weather, temperature, notes } = req.body;
+
+  try {
+    if (!(await workAreas.workAreaExists(id))) {
+      throw notFound('Work area not found');
+    }
+
+    res.json(await workAreas.saveDailyActivity(id, {
+      date: activityDate || getEasternDate(),
+      stage,
+      description,
+      weather,
+      temperature,
+      notes,
+      createdBy: req.user.name
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Assign worker to work area
+router.post('/work-areas/:areaId/assign-worker', requireRole('foreman', 'supervisor'), validate({
+  params: { areaId: uuid({ required: true }) },
+  body: { workerId: id({ required: true }), date: date() }
+}), audit('work_area_worker', { table: 'work_area_workers' }), async (req, res, next) => {
+  const { areaId } = req.params;
+  const { workerId, date } = req.body;
+  const assignDate = date || getEasternDate();
+
+  try {
+    const { assignment, workerName } = await workAreas.assignWorkerForDay(areaId, workerId, assignDate);
+    if (!assignment) {
+      return res.json({ message: 'Worker already assigned to this area for today', success: true });
+    }
+    await syncJsaCrew(areaId, assignDate);
+
+    console.log(`Assigned worker ${workerName} (${workerId}) to work area ${areaId} for date ${assignDate}`);
+    res.json({ ...assignment, success: true, worker_name: workerName });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get workers assigned to a work area
+router.get('/work-areas/:areaId/workers', validate({
+  params: { areaId: uuid({ required: true }) },
+  query: { date: date() }
+}), async (req, res, next) => {
+  const workDate = req.query.date || getEasternDate();
+
+  try {
+    res.json(await workAreas.listAreaWorkers(req.params.areaId, workDate));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get work areas assigned to a foreman (MOCK DATA for Romeu)
+router.get('/foreman/work-areas/:foremanId', requireSelfOrRole('foremanId', 'foreman', 'supervisor'), async (req, res) => {
+  const { foremanId } = req.params;
+
+  // Mock data for Romeu Morim (ID: 14)
+  if (foremanId === '14') {
+    const mockWorkAreas = [
+      {
+        id: 'pc3-rs-03',
+        name: 'PC3-RS-03',
+        description: 'Primary Clarifiers - Train 3',
+        location: 'Wastewater Treatment Plant - North Section',
+        status: 'active',
+        current_stage: 'formwork',
+        start_date: new Date().toISOString(),
+        end_date: null,
+        foreman_assigned_date: new Date().toISOString(),
+        workers_today: 12,
+        total_documents: 8,
+        open_rfis: 2,
+        pending_instructions: 1,
+        pending_change_orders: 0,
+        today_concrete_volume: 125.5,
+        today_photos: 3
+      }
+    ];
+
+    res.json(mockWorkAreas);
+  } else {
+    res.json([]);
+  }
+});
+
+// Get work area details with documents, RFIs, etc. (MOCK DATA)
+router.get('/work-areas/:areaId/details', async (req, res) => {
+  const { areaId } = req.params;
+
+  // Mock data for PC3-RS-03
+  if (areaId === 'pc3-rs-03') {
+    const mockDetails = {
+      area: {
+        id: 'pc3-rs-03',
+        name: 'PC3-RS-03',
+        description: 'Primary Clarifiers - Train 3',
+        location: 'Wastewater Treatment Plant - North Section',
+        status: 'active',
+        current_stage: 'formwork'
+      },
+      documents: [
+        {
+          id: 1,
+          document_type: 'layout_submission',
+          name: 'PC3-Foundation-Layout-Rev2.pdf',
+          uploaded_by_name: 'John Smith',
+          uploaded_at: new Date('2025-01-18').toISOString()
+        },
+        {
+          id: 2,
+          document_type: 'work_order_change',
+          name: 'WOC-PC3-001-Rebar-Change.pdf',
+          uploaded_by_name: 'Project Manager',
+          uploaded_at: new Date('2025-01-17').toISOString()
+        }
+      ],
+      rfis: [
+        {
+          id: 1,
+          rfi_number: 'RFI-PC3-001',
+          title: 'Rebar Spacing Clarification',
+          description: 'Need clarification on rebar spacing for clarifier wall section 3B',
+          status: 'open',
+          priority: 'high',
+          submitted_by_name: 'Romeu Morim',
+          submitted_date: new Date('2025-01-19').toISOString(),
+          response_needed_by: new Date('2025-01-21').toISOString()
+        },
+        {
+          id: 2,
+          rfi_number: 'RFI-PC3-002',
+          title: 'Waterstop Detail at Construction Joint',
+          description: 'Please confirm waterstop type and installation method at CJ-3',
+          status: 'open',
+          priority: 'normal',
+          submitted_by_name: 'Site Engineer',
+          submitted_date: new Date('2025-01-18').toISOString()
+        }
+      ],
+      siteInstructions: [
+        {
+          id: 1,
+          instruction_number: 'SI-PC3-001',
+          title: 'Concrete Pour Sequence',
+          description: 'Follow the attached pour sequence for clarifier base slab. Pour in 3 sections as marked.',
+          instruction_type: 'method',
+          issued_by: 'Project Engineer',
+          issued_date: new Date('2025-01-19').toISOString(),
+          acknowledgement_required: true,
+          acknowledged_date: null
+        }
+      ],
+      changeOrders: [],
+      todayConcretePour: {
+        expected_volume_m3: 125.5,
+        concrete_type: '35MPa',
+        supplier: 'Ready Mix Concrete Co.',
+        start_time: '08:00',
+        notes: 'Foundation pour for clarifier base slab - Section A'
+      },
+      todayWorkers: [
+        { id: 1, worker_name: 'Mike Johnson', role: 'Concrete Foreman', check_in_time: '06:30', hours_worked: 4 },
+        { id: 2, worker_name: 'Carlos Rodriguez', role: 'Rebar Installer', check_in_time: '06:45', hours_worked: 3.5 },
+        { id: 3, worker_name: 'Tom Wilson', role: 'Formwork Carpenter', check_in_time: '07:00', hours_worked: 3 },
+        { id: 4, worker_name: 'David Chen', role: 'Concrete Finisher', check_in_time: '07:00', hours_worked: 3 },
+        { id: 5, worker_name: 'James Brown', role: 'Equipment Operator', check_in_time: '06:30', hours_worked: 4 }
+      ],
+      recentPhotos: [
+        {
+          id: 1,
+          photo_url: '/placeholder-photo-1.jpg',
+          thumbnail_url: '/placeholder-photo-1-thumb.jpg',
+          caption: 'Rebar installation progress - North wall',
+          taken_at: new Date('2025-01-19T10:30:00').toISOString()
+        },
+        {
+          id: 2,
+          photo_url: '/placeholder-photo-2.jpg',
+          thumbnail_url: '/placeholder-photo-2-thumb.jpg',
+          caption: 'Formwork setup complete - Section A',
+          taken_at: new Date('2025-01-19T09:15:00').toISOString()
+        }
+      ]
+    };
+
+    res.json(mockDetails);
+  } else {
+    throw notFound('Work area not found');
+  }
+});
+
+// Create or update concrete pour info
+router.post('/work-areas/:areaId/concrete-pour', requireRole('foreman', 'supervisor'), validate({
+  params: { areaId: uuid({ required: true }) },
+  body: {
+    pour_date: date({ required: true }),
+    expected_volume_m3: number({ min: 0 }),
+    concrete_type: string({ max: 100 }),
+    supplier: string({ max: 255 }),
+    notes: string({ max: 2000 })
+  }
+}), audit('work_area_pour_plan', { table: 'work_area_concrete_pours' }), async (req, res, next) => {
+  try {
+    res.json(await workAreas.savePourPlan(req.params.areaId, req.body, req.user.name));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get today's attendance for a work area
+router.get('/work-areas/:areaId/attendance/today', requireRole('foreman', 'supervisor'), validate({
+  params: { areaId: uuid({ required: true }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await workAreas.listTodaysAssignments(req.params.areaId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Work Orders endpoints
+router.post('/work-orders', requireRole('foreman', 'supervisor'), validate({
+  body: {
+    projectId: id(),
+    workAreaId: id(),
+    foremanId: id(),
+    foremanName: string({ max: 255 }),
+    contractor: string({ max: 255 }),
+    workType: string({ max: 100 }),
+    equipmentRental: string({ max: 100 }),
+    startDate: date(),
+    endDate: date(),
+    description: string({ max: 5000 }),
+    workers: json()
+  }
+}), audit('work_order', { table: 'work_orders', id: (req, body) => body?.workOrder?.id }), async (req, res, next) => {
+  try {
+    const workOrder = await workAreas.createWorkOrder(req.body);
+    res.json({
+      success: true,
+      workOrder
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get all work orders
+router.get('/work-orders', async (req, res, next) => {
+  try {
+    res.json(await workAreas.listWorkOrders());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get work order by ID
+router.get('/work-orders/:id', validate({
+  params: { id: id({ required: true }) }
+}), async (req, res, next) => {
+  try {
+    const workOrder = await workAreas.getWorkOrder(req.params.id);
+    if (!workOrder) {
+      throw notFound('Work order not found');
+    }
+
+    res.json(workOrder);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update work order status
+router.put('/work-orders/:id/status', requireRole('foreman', 'supervisor'), validate({
+  params: { id: id({ required: true }) },
+  body: { status: string({ required: true, max: 50 }) }
+}), audit('work_order', { table: 'work_orders' }), async (req, res, next) => {
+  try {
+    const workOrder = await workAreas.updateWorkOrderStatus(req.params.id, req.body.status);
+    if (!workOrder) {
+      throw notFound('Work order not found');
+    }
+
+    res.json(workOrder);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Photo endpoints
+router.get('/photos/work-area/:workAreaId', validate({
+  params: workAreaParams
+}), async (req, res, next) => {
+  try {
+    res.json(await workAreas.listPhotos(req.params.workAreaId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// New endpoint for EnhancedPhotoManager component
+router.post('/photos/upload', upload.array('photos', 10), validate({
+  body: {
+    workAreaId: uuid({ required: true }),
+    workAreaName: string({ max: 255 }),
+    projectId: id(),
+    userId: id(),
+    userName: string({ max: 255 }),
+    category: string({ max: 50 }),
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    address: string({ max: 500 }),
+    photoData: string({ max: null })
+  }
+}), audit('area_photo', { id: req => req.body.workAreaId }), async (req, res, next) => {
+  try {
+    const { workAreaId, workAreaName, userId, userName, category, latitude, longitude, address } = req.body;
+
+    const photoCategory = category || 'general';
+    const takenBy = userName || 'Field Worker';
+    const uploadedPhotos = [];
+
+    // Process each uploaded file
+    for (const file of req.files || []) {
+      try {
+        const s3Result = await uploadToS3(file.buffer, file.originalname, file.mimetype, `work-areas/${workAreaId}`);
+
+        const photo = await workAreas.saveCategorizedPhoto(workAreaId, {
+          photoUrl: s3Result.fileUrl,
+          caption: `${photoCategory} photo from ${workAreaName}`,
+          takenBy,
+          category: photoCategory,
+          latitude,
+          longitude,
+          address
+        });
+
+        uploadedPhotos.push({
+          id: photo.id,
+          url: s3Result.fileUrl,
+          thumbnailUrl: s3Result.fileUrl,
+          category: photoCategory,
+          tags: [],
+          description: photo.caption,
+          location: latitude && longitude ? { latitude, longitude, address } : null,
+          timestamp: photo.taken_at,
+          workAreaId,
+          workAreaName,
+          uploadedBy: takenBy
+        });
+
+        // Auto-post to community feed if category is 'progress'
+        if (category === 'progress') {
+          try {
+            await feed.createWorkAreaPost({
+              foreman_id: userId,
+              foreman_name: userName,
+              work_area_id: workAreaId,
+              work_area_name: workAreaName,
+              photo_url: s3Result.fileUrl,
+              caption: `Progress update from ${workAreaName}`
+            });
+            console.log('Auto-posted to community feed');
+          } catch (feedErr) {
+            console.error('Error posting to community feed:', feedErr);
+            // Don't fail the photo upload if feed posting fails
+          }
+        }
+      } catch (uploadErr) {
+        console.error('Error uploading individual photo:', uploadErr);
+      }
+    }
+
+    // If no files but base64 data is provided (fallback)
+    if ((!req.files || req.files.length === 0) && req.body.photoData) {
+      const base64Data = req.body.photoData.replace(/^data:image\/\w+;base64,/, '');
+      const buffer = Buffer.from(base64Data, 'base64');
+
+      const s3Result = await uploadToS3(buffer, 'photo.jpg', 'image/jpeg', `work-areas/${workAreaId}`);
+
+      const photo = await workAreas.saveCategorizedPhoto(workAreaId, {
+        photoUrl: s3Result.fileUrl,
+        caption: `${photoCategory} photo from ${workAreaName}`,
+        takenBy,
+        category: photoCategory
+      });
+
+      uploadedPhotos.push({
+        id: photo.id,
+        url: s3Result.fileUrl,
+        thumbnailUrl: s3Result.fileUrl,
+        category: photoCategory,
+        tags: [],
+        description: photo.caption,
+        timestamp: photo.taken_at,
+        workAreaId,
+        workAreaName,
+        uploadedBy: takenBy
+      });
+    }
+
+    res.json(uploadedPhotos);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get all photos for a specific area
+router.get('/area-photos/:areaId', validate({
+  params: { areaId: uuid({ required: true }) }
+}), async (req, res, next) => {
+  try {
+    res.json(await workAreas.listPhotos(req.params.areaId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get work area activities for calendar
+router.get('/work-areas/:workAreaId/activities', validate({
+  params: workAreaParams,
+  query: { start: date({ required: true }), end: date({ required: true }) }
+}), async (req, res, next) => {
+  const { start, end } = req.query;
+
+  try {
+    res.json(await workAreas.getActivityCalendar(req.params.workAreaId, start, end));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Daily tasks endpoints
+router.get('/work-areas/:workAreaId/daily-tasks', validate({
+  params: workAreaParams,
+  query: { date: date() }
+}), async (req, res, next) => {
+  try {
+    res.json(await workAreas.listDailyTasks(req.params.workAreaId, req.query.date));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get timeline of tasks for date range
+router.get('/work-areas/:workAreaId/timeline', validate({
+  params: workAreaParams,
+  query: { start: date({ required: true }), end: date({ required: true }) }
+}), async (req, res, next) => {
+  const { start, end } = req.query;
+
+  try {
+    res.json(await workAreas.getTaskTimeline(req.params.workAreaId, start, end));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/work-areas/:workAreaId/daily-tasks', requireRole('foreman', 'supervisor'), validate({
+  params: workAreaParams,
+  body: {
+    date: date({ required: true }),
+    task_type: string({ required: true, max: 100 }),
+    status: string({ max: 50 }),
+    continue_previous: boolean()
+  }
+}), audit('daily_task', { table: 'daily_tasks' }), async (req, res, next) => {
+  try {
+    res.json(await workAreas.startDailyTask(req.params.workAreaId, req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.patch('/daily-tasks/:taskId', requireRole('foreman', 'supervisor'), validate({
+  params: { taskId: id({ required: true }) },
+  body: {
+    status: string({ max: 50 }),
+    end_time: timestamp(),
+    end_date: date(),
+    duration_days: integer({ min: 0 })
+  }
+}), audit('daily_task', { table: 'daily_tasks', id: req => req.params.taskId }), async (req, res, next) => {
+  try {
+    res.json(await workAreas.updateDailyTask(req.params.taskId, req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete daily task endpoint
+router.delete('/daily-tasks/:taskId', requireRole('foreman', 'supervisor'), validate({
+  params: { taskId: id({ required: true }) }
+}), audit('daily_task', { table: 'daily_tasks', id: req => req.params.taskId }), async (req, res, next) => {
+  try {
+    const task = await workAreas.deleteDailyTask(req.params.taskId);
+    if (!task) {
+      throw notFound('Task not found');
+    }
+
+    res.json({ message: 'Task deleted successfully', task });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/work-areas/:workAreaId/workers', requireRole('foreman', 'supervisor'), validate({
+  params: workAreaParams,
+  body: { worker_id: id({ required: true }), work_date: date() }
+}), audit('work_area_worker', { table: 'work_area_workers' }), async (req, res, next) => {
+  const { workAreaId } = req.params;
+  const { worker_id, work_date } = req.body;
+
+  // Default to today in Toronto, the day sign-ins are counted on
+  const assignmentDate = work_date || getEasternDate();
+
+  try {
+    const assignment = await workAreas.upsertAreaWorker(workAreaId, worker_id, assignmentDate);
+    await syncJsaCrew(workAreaId, assignmentDate);
+
+    console.log('Worker assigned successfully:', assignment);
+    res.json(assignment);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/work-areas/:workAreaId/workers/:workerId', requireRole('foreman', 'supervisor'), validate({
+  params: workAreaParams,
+  query: { date: date({ required: true }) }
+}), audit('work_area_worker', { id: req => req.params.workAreaId }), async (req, res, next) => {
+  const { workAreaId, workerId } = req.params;
+  const { date } = req.query;
+
+  // Convert workerId to integer
+  const workerIdInt = parseInt(workerId, 10);
+  if (isNaN(workerIdInt)) {
+    console.error('WorkerId is not a valid number:', workerId);
+    // Return success even if workerId is invalid to prevent UI errors
+    return res.json({ success: true, message: 'Worker ID was not a number, no deletion performed' });
+  }
+
+  try {
+    const rowsDeleted = await workAreas.removeAreaWorker(workAreaId, workerIdInt, date);
+
+    console.log(`Removed worker ${workerIdInt} from work area ${workAreaId} for date ${date}`);
+    res.json({ success: true, rowsDeleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a photo
+router.delete('/work-areas/:workAreaId/photos/:photoId', requireRole('foreman', 'supervisor'), validate({
+  params: { ...workAreaParams, photoId: id({ required: true }) }
+}), audit('area_photo', { table: 'area_photos', id: req => req.params.photoId }), async (req, res, next) => {
+  const { workAreaId, photoId } = req.params;
+
+  try {
+    const deleted = await workAreas.deletePhoto(workAreaId, photoId);
+    if (!deleted) {
+      throw notFound('Photo not found');
+    }
+
+    console.log(`Deleted photo ${photoId} from work area ${workAreaId}`);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get photos for work area with flexible date filtering
+router.get('/work-areas/:workAreaId/photos', validate({
+  params: workAreaParams,
+  query: { date: date(), start_date: date(), end_date: date(), all: string({ max: 5 }) }
+}), async (req, res, next) => {
+  const { workAreaId } = req.params;
+  const { date, start_date, end_date, all } = req.query;
+
+  console.log('Photo fetch request:', { workAreaId, date, start_date, end_date, all });
+
+  try {
+    const photos = await workAreas.listPhotosFiltered(workAreaId, req.query);
+    console.log(`Returning ${photos.length} photos for work area ${workAreaId}`);
+    res.json(photos);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get presigned URL for uploading drawings
+router.post('/work-areas/:workAreaId/drawings/presigned-url', requireRole('foreman', 'supervisor'), validate({
+  params: workAreaParams,
+  body: presignedUrlBody
+}), async (req, res, next) => {
+  const { workAreaId } = req.params;
+  const { fileName, fileType } = req.body;
+
+  try {
+    const result = await generatePresignedUrl(fileName, fileType, `work-areas/${workAreaId}/drawings`);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Save drawing metadata
+router.post('/work-areas/:workAreaId/drawings', requireRole('foreman', 'supervisor'), validate({
+  params: workAreaParams,
+  body: {
+    title: string({ required: true, max: 255 }),
+    revision: string({ max: 50 }),
+    file_url: string({ required: true, max: 2000 }),
+    description: string({ max: 2000 }),
+    uploaded_by: string({ max: 255 })
+  }
+}), audit('drawing', { table: 'drawings' }), async (req, res, next) => {
+  const { workAreaId } = req.params;
+
+  try {
+    const drawing = await workAreas.createDrawing(workAreaId, req.body);
+
+    console.log(`Drawing saved for work area ${workAreaId}:`, drawing);
+    res.json(drawing);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get drawings for a work area
+router.get('/work-areas/:workAreaId/drawings', validate({
+  params: workAreaParams
+}), async (req, res, next) => {
+  try {
+    res.json(await workAreas.listDrawings(req.params.workAreaId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a drawing
+router.delete('/work-areas/:workAreaId/drawings/:drawingId', requireRole('foreman', 'supervisor'), validate({
+  params: { ...workAreaParams, drawingId: id({ required: true }) }
+}), audit('drawing', { table: 'drawings', id: req => req.params.drawingId }), async (req, res, next) => {
+  const { workAreaId, drawingId } = req.params;
+
+  try {
+    const deleted = await workAreas.deleteDrawing(workAreaId, drawingId);
+    if (!deleted) {
+      throw notFound('Drawing not found');
+    }
+
+    console.log(`Deleted drawing ${drawingId} from work area ${workAreaId}`);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get instructions for a work area
+router.get('/work-areas/:workAreaId/instructions', validate({
+  params: workAreaParams
+}), async (req, res, next) => {
+  try {
+    res.json(await workAreas.listInstructions(req.params.workAreaId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create new instruction
+router.post('/work-areas/:workAreaId/instructions', requireRole('foreman', 'supervisor'), validate({
+  params: workAreaParams,
+  body: {
+    title: string({ required: true, max: 255 }),
+    instruction: string({ required: true, max: 5000 })
+  }
+}), audit('site_instruction', { table: 'site_instructions' }), async (req, res, next) => {
+  const { workAreaId } = req.params;
+
+  try {
+    const instruction = await workAreas.createInstruction(workAreaId, req.body, req.user.name);
+
+    console.log(`Instruction created for work area ${workAreaId}:`, instruction);
+    res.json(instruction);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete instruction
+router.delete('/work-areas/:workAreaId/instructions/:instructionId', requireRole('foreman', 'supervisor'), validate({
+  params: { ...workAreaParams, instructionId: id({ required: true }) }
+}), audit('site_instruction', { table: 'site_instructions', id: req => req.params.instructionId }), async (req, res, next) => {
+  const { workAreaId, instructionId } = req.params;
+
+  try {
+    const deleted = await workAreas.deleteInstruction(workAreaId, instructionId);
+    if (!deleted) {
+      throw notFound('Instruction not found');
+    }
+
+    console.log(`Deleted instruction ${instructionId} from work area ${workAreaId}`);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
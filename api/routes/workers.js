@@ -0,0 +1,270 @@
+// Worker profile and roster endpoints
+const express = require('express');
+const { requireRole, requireSelfOrRole } = require('../auth');
+const { audit } = require('../audit');
+const { getEasternDate } = require('../dates');
+const { badRequest, notFound } = require('../errors');
+const { validate, string, id, date, array } = require('../validation');
+const workers = require('../services/workers');
+const router = express.Router();
+
+// Get all workers
+router.get('/workers', requireRole('foreman', 'supervisor'), async (req, res, next) => {
+  try {
+    res.json(await workers.listWorkers());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Search for specific worker across all tables
+router.get('/workers/search/:name', requireRole('supervisor'), validate({
+  params: { name: string({ required: true, max: 100 }) }
+}), async (req, res, next) => {
+  const { name } = req.params;
+
+  try {
+    const results = await workers.searchAllTables(name);
+
+    res.json({
+      search_term: name,
+      tables_with_matches: results,
+      summary: Object.keys(results).map(table => ({
+        table,
+        total_people: results[table].unique_count,
+        has_more_than_15: results[table].unique_count > 15
+      }))
+    });
+
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Debug endpoint to find all workers across all tables
+router.get('/workers/debug-all', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    res.json(await workers.collectWorkerSources());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get all workers for debugging
+router.get('/workers/all', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    const records = await workers.listAllWorkerRecords();
+
+    res.json({
+      users_table: records.users,
+      users_count: records.users.length,
+      workers_table: records.workers,
+      workers_count: records.workers.length
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get signed-in workers (for assignment dropdown)
+router.get('/workers/signed-in', requireRole('foreman', 'supervisor'), validate({
+  query: { date: date() }
+}), async (req, res, next) => {
+  const { date } = req.query;
+  const targetDate = date || getEasternDate();
+
+  try {
+    res.json(await workers.listSignedInWorkers(targetDate));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a worker to the trash
+router.delete('/workers/:id', requireRole('supervisor'), validate({
+  params: { id: id() }
+}), audit('worker', { table: 'users' }), async (req, res, next) => {
+  try {
+    const deleted = await workers.deleteWorker(req.params.id, req.user);
+    if (!deleted) {
+      throw notFound('Worker not found');
+    }
+
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get duplicate workers (same name)
+router.get('/workers/duplicates', requireRole('supervisor'), async (req, res, next) => {
+  try {
+    res.json(await workers.listDuplicateWorkers());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get available workers - MUST BE BEFORE dynamic :workerId route
+router.get('/workers/available', requireRole('foreman', 'supervisor'), async (req, res, next) => {
+  try {
+    res.json(await workers.listAvailableWorkers());
+  } catch (err) {
+    next(err);
+  }
+});
+
+const workerParams = { workerId: id() };
+
+router.get('/workers/:workerId', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: workerParams
+}), async (req, res, next) => {
+  const { workerId } = req.params;
+
+  try {
+    const workerData = await workers.getWorkerProfile(workerId);
+    if (!workerData) {
+      throw notFound('Worker not found');
+    }
+
+    res.json(workerData);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put('/workers/:workerId', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: workerParams,
+  body: {
+    name: string({ max: 255 }),
+    phone: string({ max: 50 }),
+    email: string({ max: 255 }),
+    address: string({ max: 500 }),
+    emergency_contact: string({ max: 255 }),
+    emergency_phone: string({ max: 50 }),
+    start_date: date(),
+    position: string({ max: 100 })
+  }
+}), audit('worker_info', { table: 'workers_info', id: req => req.params.workerId }), async (req, res, next) => {
+  try {
+    res.json(await workers.saveWorkerInfo(req.params.workerId, req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/workers/:workerId/attendance', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: workerParams,
+  query: { start_date: date({ required: true }), end_date: date({ required: true }) }
+}), async (req, res, next) => {
+  const { start_date, end_date } = req.query;
+
+  try {
+    const attendance = await workers.getWorkerAttendance(req.params.workerId, start_date, end_date);
+    if (!attendance) {
+      throw notFound('Worker not found');
+    }
+
+    res.json(attendance);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/workers/:workerId/timesheet-summary', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: workerParams
+}), async (req, res, next) => {
+  try {
+    res.json(await workers.getWorkerTimesheetSummary(req.params.workerId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/workers/:workerId/certifications', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: workerParams,
+  body: {
+    name: string({ required: true, max: 255 }),
+    issuer: string({ required: true, max: 255 }),
+    issue_date: date({ required: true }),
+    expiry_date: date()
+  }
+}), audit('worker_certification', { table: 'worker_certifications' }), async (req, res, next) => {
+  const { workerId } = req.params;
+  const { name, issue_date, expiry_date } = req.body;
+
+  if (expiry_date && expiry_date < issue_date) {
+    throw badRequest('Certification cannot expire before it was issued', { expiry_date: 'must not be before issue_date' });
+  }
+
+  try {
+    const certification = await workers.addCertification(workerId, req.body);
+    if (!certification) {
+      throw notFound('Worker not found');
+    }
+
+    console.log(`Added certification for worker ${workerId}: ${name}`);
+    res.json(certification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/workers/:workerId/certifications/:certId', requireSelfOrRole('workerId', 'foreman', 'supervisor'), validate({
+  params: { ...workerParams, certId: id() }
+}), audit('worker_certification', { table: 'worker_certifications', id: req => req.params.certId }), async (req, res, next) => {
+  const { workerId, certId } = req.params;
+
+  try {
+    await workers.deleteCertification(workerId, certId);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Restore a worker from the trash
+router.post('/workers/:workerId/restore', requireRole('supervisor'), validate({
+  params: workerParams
+}), audit('worker', { table: 'users', id: req => req.params.workerId, action: 'restore' }), async (req, res, next) => {
+  try {
+    const worker = await workers.restoreWorker(req.params.workerId);
+    if (!worker) {
+      throw notFound('Worker not in the trash');
+    }
+
+    res.json(worker);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Merge duplicate accounts (see /workers/duplicates) into this worker
+router.post('/workers/:workerId/merge', requireRole('supervisor'), validate({
+  params: workerParams,
+  body: { duplicateIds: array(id({ required: true }), { required: true, max: 20 }) }
+}), audit('worker', { action: 'merge', id: req => req.params.workerId }), async (req, res, next) => {
+  const { workerId } = req.params;
+  const duplicateIds = [...new Set(req.body.duplicateIds)];
+
+  if (duplicateIds.length === 0) {
+    throw badRequest('No duplicates to merge', { duplicateIds: 'must not be empty' });
+  }
+  if (duplicateIds.includes(workerId)) {
+    throw badRequest('A worker cannot be merged into itself', { duplicateIds: 'must not include the worker being kept' });
+  }
+
+  try {
+    const result = await workers.mergeWorkers(workerId, duplicateIds);
+    if (!result) {
+      throw notFound('Worker not found');
+    }
+
+    console.log(`Merged workers ${duplicateIds.join(', ')} into ${workerId}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
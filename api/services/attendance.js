@@ -0,0 +1,689 @@
+// Sign-in, sign-out and attendance queries
+const { pool } = require('../db');
+const { resolveWorker, matchesWorker } = require('./workers');
+const { addOnSiteCrew } = require('./crew');
+
+// Index attendance rows by worker_id, and by lowercased worker_name for rows
+// not linked to a user
+function indexAttendance(rows) {
+  const byId = {};
+  const byName = {};
+
+  rows.forEach(record => {
+    if (record.worker_id) {
+      byId[record.worker_id] = record;
+    } else if (record.worker_name) {
+      // Store by lowercase name for case-insensitive matching
+      byName[record.worker_name.toLowerCase()] = record;
+    }
+  });
+
+  return { byId, byName };
+}
+
+// Workers (optionally of one role) paired with their attendance record for a date
+async function loadRosterAttendance(date, role) {
+  const workersResult = role
+    ? await pool.query('SELECT id, name, role FROM users WHERE role = $1 AND deleted_at IS NULL AND deactivated_at IS NULL ORDER BY name', [role])
+    : await pool.query('SELECT id, name, role FROM users WHERE deleted_at IS NULL AND deactivated_at IS NULL ORDER BY name');
+
+  const attendanceResult = await pool.query(
+    'SELECT * FROM attendance WHERE date = $1',
+    [date]
+  );
+
+  console.log(`Found ${attendanceResult.rows.length} attendance records for ${date}`);
+
+  const { byId, byName } = indexAttendance(attendanceResult.rows);
+
+  // Try to find attendance by ID first, then by name
+  return workersResult.rows.map(worker => ({
+    worker,
+    record: byId[worker.id] || byName[worker.name.toLowerCase()]
+  }));
+}
+
+// Create or update today's attendance row for a worker who just signed in,
+// checked in at signinTime (default now)
+async function markPresentOnSignin(worker, date, { latitude, longitude, address, signinTime }) {
+  const attendanceCheck = await pool.query(
+    `SELECT * FROM attendance WHERE ${matchesWorker('$1', '$2')} AND date = $3`,
+    [worker.id, worker.name, date]
+  );
+
+  if (attendanceCheck.rows.length === 0) {
+    await pool.query(
+      `INSERT INTO attendance (worker_id, worker_name, date, status, check_in_time, sign_in_latitude, sign_in_longitude, sign_in_address)
+       VALUES ($1, $2, $3, $4, COALESCE($8::timestamptz, NOW()), $5, $6, $7)`,
+      [worker.id, worker.name, date, 'present', latitude || null, longitude || null, address || null, signinTime || null]
+    );
+    console.log('Created attendance for', worker.name);
+  } else {
+    // Update existing record to present with GPS data if available
+    await pool.query(
+      `UPDATE attendance SET status = $1, check_in_time = COALESCE(check_in_time, $8::timestamptz, NOW()),
+       sign_in_latitude = COALESCE(sign_in_latitude, $2),
+       sign_in_longitude = COALESCE(sign_in_longitude, $3),
+       sign_in_address = COALESCE(sign_in_address, $4)
+       WHERE ${matchesWorker('$5', '$6')} AND date = $7`,
+      ['present', latitude || null, longitude || null, address || null, worker.id, worker.name, date, signinTime || null]
+    );
+    console.log('Updated attendance for', worker.name);
+  }
+}
+
+// Sign a worker in for the day and mark them present. geofence is how the
+// location sits against the site fence, from checkGeofence(). signinTime is
+// when they signed in, for sign-ins made offline; default now. workAreaId,
+// kioskId and method say where and how, for kiosk and site code sign-ins.
+// Resolves to null if they are already signed in.
+async function signInWorker({
+  workerName, projectId, projectName, siteAddress, signinDate, signinTime, latitude, longitude, address, geofence,
+  workAreaId, kioskId, method
+}) {
+  // Link to the worker's account and use the capitalization stored there
+  const worker = await resolveWorker(workerName);
+
+  const existing = await pool.query(
+    `SELECT id FROM worker_signins WHERE ${matchesWorker('$1', '$2')} AND signin_date = $3 AND signout_time IS NULL`,
+    [worker.id, worker.name, signinDate]
+  );
+  if (existing.rows.length > 0) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO worker_signins (worker_id, worker_name, project_id, project_name, site_address, signin_date,
+       signin_latitude, signin_longitude, signin_address, distance_from_site_m, outside_geofence, signin_time,
+       work_area_id, kiosk_id, signin_method)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12::timestamptz, NOW()), $13, $14, $15) RETURNING id`,
+    [
+      worker.id, worker.name, projectId, projectName, siteAddress, signinDate,
+      latitude || null, longitude || null, address || null,
+      geofence ? geofence.distance : null, geofence ? geofence.outside : null,
+      signinTime || null, workAreaId || null, kioskId || null, method || null
+    ]
+  );
+
+  try {
+    await markPresentOnSignin(worker, signinDate, { latitude, longitude, address, signinTime });
+  } catch (attendanceErr) {
+    console.error('Error updating attendance for', worker.name, ':', attendanceErr.message);
+    console.error('Full attendance error:', attendanceErr);
+    // Don't fail the sign-in if attendance update fails
+  }
+
+  return { id: result.rows[0].id };
+}
+
+// Sign a foreman in to a project, creating the day's JSA form if needed and
+// adding the foreman and the workers already on site to its crew. Resolves to { formId, alreadySignedIn }.
+async function signInForeman({ foremanId, foremanName, projectId, projectName, signinDate }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id, form_id FROM foreman_signins WHERE foreman_id = $1 AND project_id = $2 AND signin_date = $3',
+      [foremanId, projectId, signinDate]
+    );
+
+    if (existing.rows.length > 0) {
+      await client.query('COMMIT');
+      return { formId: existing.rows[0].form_id, alreadySignedIn: true };
+    }
+
+    const formResult = await client.query(
+      'SELECT form_id FROM jsa_forms WHERE project_name = $1 AND date = $2 AND deleted_at IS NULL',
+      [projectName, signinDate]
+    );
+
+    let formId;
+    if (formResult.rows.length === 0) {
+      // Create new JSA form for today
+      formId = `JSA-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      await client.query(
+        'INSERT INTO jsa_forms (form_id, date, company, project_name, crew_supervisor, site_address, status) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+        [formId, signinDate, 'MJR Contractors Ltd', projectName, foremanName, '', 'draft']
+      );
+    } else {
+      formId = formResult.rows[0].form_id;
+      // Update the crew supervisor if not set
+      await client.query(
+        'UPDATE jsa_forms SET crew_supervisor = $1 WHERE form_id = $2 AND (crew_supervisor IS NULL OR crew_supervisor = \'\')',
+        [foremanName, formId]
+      );
+    }
+
+    await client.query(
+      'INSERT INTO foreman_signins (foreman_id, foreman_name, project_id, project_name, form_id, signin_date) VALUES ($1, $2, $3, $4, $5, $6)',
+      [foremanId, foremanName, projectId, projectName, formId, signinDate]
+    );
+
+    // The foreman joins the crew list; like everyone else on it, they sign
+    // the JSA itself through POST /forms/:formId/signatures
+    const crewExists = await client.query(
+      'SELECT id FROM crew_members WHERE form_id = $1 AND name = $2',
+      [formId, foremanName]
+    );
+
+    if (crewExists.rows.length === 0) {
+      await client.query(
+        'INSERT INTO crew_members (form_id, name, signed, is_mobile, worker_id, source) VALUES ($1, $2, $3, $4, $5, $6)',
+        [formId, foremanName, false, false, foremanId || null, 'signin']
+      );
+    }
+
+    // Workers already on site join the crew too
+    await addOnSiteCrew(client, formId);
+
+    await client.query('COMMIT');
+    return { formId, alreadySignedIn: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function listForemanSignins(foremanId, date) {
+  let query = 'SELECT * FROM foreman_signins WHERE foreman_id = $1';
+  const params = [foremanId];
+
+  if (date) {
+    query += ' AND signin_date = $2';
+    params.push(date);
+  }
+
+  query += ' ORDER BY signin_date DESC, signin_time DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function saveSignature({ worker_id, worker_name, initials, project_id, project_name, date, signature_type, signature_image }) {
+  const result = await pool.query(
+    'INSERT INTO signatures (worker_id, worker_name, initials, project_id, project_name, date, signature_type, signature_image) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+    [worker_id, worker_name, initials, project_id, project_name, date, signature_type || 'attendance', signature_image]
+  );
+  return result.rows[0];
+}
+
+async function listWorkerSignins(workerId, date) {
+  let query = 'SELECT * FROM worker_signins WHERE worker_id = $1';
+  const params = [workerId];
+
+  if (date) {
+    query += ' AND signin_date = $2';
+    params.push(date);
+  }
+
+  query += ' ORDER BY signin_date DESC, signin_time DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function listProjectSignatures({ project, date }) {
+  let query = 'SELECT * FROM signatures WHERE 1=1';
+  const params = [];
+
+  if (project) {
+    params.push(project);
+    query += ` AND project_name = $${params.length}`;
+  }
+
+  if (date) {
+    params.push(date);
+    query += ` AND date = $${params.length}`;
+  }
+
+  query += ' ORDER BY created_at DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Names of workers still signed in to a project on a date
+async function listProjectWorkersOnSite(projectName, date) {
+  const result = await pool.query(
+    'SELECT DISTINCT worker_name FROM worker_signins WHERE project_name = $1 AND signin_date = $2 AND signout_time IS NULL',
+    [projectName, date]
+  );
+  return result.rows;
+}
+
+async function listSignins(date) {
+  let query = 'SELECT * FROM worker_signins WHERE 1=1';
+  const params = [];
+
+  if (date) {
+    params.push(date);
+    query += ` AND signin_date = $${params.length}`;
+  }
+
+  query += ' ORDER BY signin_time DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Sign-ins without a sign-out, joined to the worker's account
+async function listOpenSignins(date) {
+  let query = `
+    SELECT
+      ws.*,
+      u.id as worker_id,
+      u.role,
+      u.phone
+    FROM worker_signins ws
+    LEFT JOIN users u ON u.id = ws.worker_id
+    WHERE ws.signout_time IS NULL
+  `;
+  const params = [];
+
+  if (date) {
+    params.push(date);
+    query += ` AND ws.signin_date = $${params.length}`;
+  }
+
+  query += ' ORDER BY ws.signin_time DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Every user with their attendance for a date, defaulting to absent
+async function getAttendanceForDate(date) {
+  const roster = await loadRosterAttendance(date);
+
+  return roster.map(({ worker, record }) => ({
+    id: worker.id,
+    worker_id: worker.id,
+    worker_name: worker.name,
+    name: worker.name,
+    role: worker.role,
+    date: date,
+    status: record ? record.status : 'absent',
+    check_in_time: record ? record.check_in_time : null,
+    check_out_time: record ? record.check_out_time : null,
+    latitude: record ? record.latitude : null,
+    longitude: record ? record.longitude : null,
+    address: record ? record.address : null,
+    sign_in_address: record ? record.address : null,
+    attendance_id: record ? record.id : null
+  }));
+}
+
+// Workers with their attendance and sign-in/out locations for a date
+async function getWorkerAttendanceForDate(date) {
+  const roster = await loadRosterAttendance(date, 'worker');
+
+  return roster.map(({ worker, record }) => ({
+    id: worker.id,
+    worker_id: worker.id,
+    worker_name: worker.name,
+    name: worker.name,
+    role: worker.role,
+    date: date,
+    status: record ? record.status : 'absent',
+    check_in_time: record?.check_in_time || null,
+    check_out_time: record?.check_out_time || null,
+    sign_in_latitude: record?.sign_in_latitude || null,
+    sign_in_longitude: record?.sign_in_longitude || null,
+    sign_in_address: record?.sign_in_address || null,
+    sign_out_latitude: record?.sign_out_latitude || null,
+    sign_out_longitude: record?.sign_out_longitude || null,
+    sign_out_address: record?.sign_out_address || null
+  }));
+}
+
+// Same as getWorkerAttendanceForDate, keyed by attendance id where one exists
+async function getAttendanceLocations(date) {
+  const roster = await loadRosterAttendance(date, 'worker');
+
+  return roster.map(({ worker, record }) => ({
+    id: record?.id || worker.id,
+    worker_id: worker.id,
+    worker_name: worker.name,
+    date: date,
+    status: record ? record.status : 'absent',
+    check_in_time: record?.check_in_time || null,
+    check_out_time: record?.check_out_time || null,
+    sign_in_latitude: record?.sign_in_latitude || null,
+    sign_in_longitude: record?.sign_in_longitude || null,
+    sign_in_address: record?.sign_in_address || null,
+    sign_out_latitude: record?.sign_out_latitude || null,
+    sign_out_longitude: record?.sign_out_longitude || null,
+    sign_out_address: record?.sign_out_address || null
+  }));
+}
+
+// Flip a worker between present and absent, creating a present record if none exists
+async function toggleAttendance(userName, date) {
+  const worker = await resolveWorker(userName);
+
+  const existingResult = await pool.query(
+    `SELECT * FROM attendance WHERE ${matchesWorker('$1', '$2')} AND date = $3`,
+    [worker.id, worker.name, date]
+  );
+
+  if (existingResult.rows.length > 0) {
+    const currentStatus = existingResult.rows[0].status;
+    const newStatus = currentStatus === 'present' ? 'absent' : 'present';
+
+    const result = await pool.query(
+      `UPDATE attendance SET status = $1, updated_at = NOW() WHERE ${matchesWorker('$2', '$3')} AND date = $4 RETURNING *`,
+      [newStatus, worker.id, worker.name, date]
+    );
+    return result.rows[0];
+  }
+
+  const result = await pool.query(
+    'INSERT INTO attendance (worker_id, worker_name, date, status, check_in_time) VALUES ($1, $2, $3, $4, CURRENT_TIME) RETURNING *',
+    [worker.id, worker.name, date, 'present']
+  );
+  return result.rows[0];
+}
+
+// When a project's workday ends if it hasn't set its own shift_end
+const DEFAULT_SHIFT_END = '17:00';
+
+// Close every sign-in still open graceMinutes after its project's shift end
+// on the day it was made, Toronto time, signing it out at the shift end. One
+// made after the shift end (an evening call-out) is signed out at midnight
+// instead. The worker's attendance for the day is checked out at the same
+// time. Resolves to the signed-out rows.
+async function autoSignOut({ graceMinutes = 60 } = {}) {
+  const result = await pool.query(
+    `WITH due AS (
+       SELECT ws.id,
+         CASE WHEN ws.signin_time > ends.shift_end THEN ends.midnight ELSE ends.shift_end END AS signout_time
+       FROM worker_signins ws
+       LEFT JOIN projects p ON p.id = ws.project_id
+         OR (ws.project_id IS NULL AND LOWER(TRIM(p.name)) = LOWER(TRIM(ws.project_name)))
+       CROSS JOIN LATERAL (
+         SELECT
+           ((ws.signin_date + COALESCE(p.shift_end, $1::time)) AT TIME ZONE 'America/Toronto')::timestamp AS shift_end,
+           ((ws.signin_date + 1)::timestamp AT TIME ZONE 'America/Toronto')::timestamp AS midnight
+       ) ends
+       WHERE ws.signout_time IS NULL AND ws.signin_date IS NOT NULL
+     ),
+     closed AS (
+       UPDATE worker_signins ws
+       SET signout_time = due.signout_time
+       FROM due
+       WHERE ws.id = due.id AND due.signout_time + make_interval(mins => $2) <= LOCALTIMESTAMP
+       RETURNING ws.id, ws.worker_id, ws.worker_name, ws.project_name, ws.signin_date, ws.signout_time
+     ),
+     -- check_out_time is a server time of day, as CURRENT_TIME sets it
+     checked_out AS (
+       UPDATE attendance a
+       SET check_out_time = latest.signout_time::time, updated_at = NOW()
+       FROM (
+         SELECT worker_id, signin_date, MAX(signout_time) AS signout_time
+         FROM closed
+         WHERE worker_id IS NOT NULL
+         GROUP BY worker_id, signin_date
+       ) latest
+       WHERE a.worker_id = latest.worker_id AND a.date = latest.signin_date AND a.check_out_time IS NULL
+     )
+     SELECT * FROM closed ORDER BY signin_date, project_name, worker_name`,
+    [DEFAULT_SHIFT_END, graceMinutes]
+  );
+  return result.rows;
+}
+
+// The worker's open sign-in for a date, or undefined if they are not signed in
+async function findOpenSignin(workerId, date) {
+  const result = await pool.query(
+    `SELECT *
+     FROM worker_signins
+     WHERE worker_id = $1
+     AND signin_date = $2
+     AND signout_time IS NULL
+     ORDER BY signin_time DESC
+     LIMIT 1`,
+    [workerId, date]
+  );
+  return result.rows[0];
+}
+
+// Like findOpenSignin, but also accepts the worker's name in place of the id
+async function findOpenSigninByIdOrName(workerIdOrName, date) {
+  if (/^\d+$/.test(workerIdOrName)) {
+    return findOpenSignin(parseInt(workerIdOrName, 10), date);
+  }
+
+  const worker = await resolveWorker(workerIdOrName);
+  const result = await pool.query(
+    `SELECT *
+     FROM worker_signins
+     WHERE ${matchesWorker('$1', '$2')}
+     AND signin_date = $3
+     AND signout_time IS NULL
+     ORDER BY signin_time DESC
+     LIMIT 1`,
+    [worker.id, worker.name, date]
+  );
+  return result.rows[0];
+}
+
+// Sign a worker out of their open sign-in for date at signoutTime (default
+// now), never before they signed in. Resolves to false if they weren't
+// signed in.
+async function signOutWorker(workerName, date, signoutTime = null) {
+  const worker = await resolveWorker(workerName);
+
+  // The day's attendance is checked out at the same time
+  const result = await pool.query(
+    `WITH signed_out AS (
+       UPDATE worker_signins
+       SET signout_time = GREATEST(signin_time, COALESCE($4::timestamptz, NOW())::timestamp)
+       WHERE ${matchesWorker('$1', '$2')}
+       AND signin_date = $3
+       AND signout_time IS NULL
+       RETURNING id, signout_time
+     ),
+     checked_out AS (
+       UPDATE attendance
+       SET check_out_time = (SELECT MAX(signout_time) FROM signed_out)::time
+       WHERE ${matchesWorker('$1', '$2')}
+       AND date = $3
+       AND EXISTS (SELECT 1 FROM signed_out)
+     )
+     SELECT id FROM signed_out`,
+    [worker.id, worker.name, date, signoutTime]
+  );
+
+  return result.rows.length > 0;
+}
+
+async function listProjectSignedInWorkers(projectId, date) {
+  const result = await pool.query(`
+    SELECT DISTINCT u.id, u.name, u.role
+    FROM users u
+    JOIN worker_signins ws ON ws.worker_id = u.id
+    WHERE ws.signin_date = $1
+      AND ws.project_id = $2
+      AND ws.signout_time IS NULL
+    ORDER BY u.name
+  `, [date, projectId]);
+  return result.rows;
+}
+
+async function listVacations(date) {
+  const result = await pool.query(
+    `SELECT worker_id, worker_name, vacation_start, vacation_end, notes
+     FROM vacation_schedule
+     WHERE $1 BETWEEN vacation_start AND vacation_end`,
+    [date]
+  );
+  return result.rows;
+}
+
+async function createVacation({ worker_name, startDate, endDate, notes }) {
+  const worker = await resolveWorker(worker_name);
+
+  const result = await pool.query(
+    `INSERT INTO vacation_schedule (worker_id, worker_name, vacation_start, vacation_end, notes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [worker.id, worker.name, startDate, endDate, notes || 'Marked as vacation']
+  );
+  return result.rows[0];
+}
+
+// Set a worker's attendance status for a date. Marking vacation also books a
+// single-day vacation unless one already covers the date.
+async function markAttendance(workerName, date, status) {
+  const worker = await resolveWorker(workerName);
+
+  const existing = await pool.query(
+    `SELECT * FROM attendance WHERE ${matchesWorker('$1', '$2')} AND date = $3`,
+    [worker.id, worker.name, date]
+  );
+
+  if (existing.rows.length === 0) {
+    await pool.query(
+      `INSERT INTO attendance (worker_id, worker_name, date, status)
+       VALUES ($1, $2, $3, $4)`,
+      [worker.id, worker.name, date, status]
+    );
+  } else {
+    await pool.query(
+      `UPDATE attendance SET status = $1
+       WHERE ${matchesWorker('$2', '$3')} AND date = $4`,
+      [status, worker.id, worker.name, date]
+    );
+  }
+
+  if (status === 'vacation') {
+    const vacationExists = await pool.query(
+      `SELECT * FROM vacation_schedule
+       WHERE ${matchesWorker('$1', '$2')} AND $3 BETWEEN vacation_start AND vacation_end`,
+      [worker.id, worker.name, date]
+    );
+
+    if (vacationExists.rows.length === 0) {
+      await pool.query(
+        `INSERT INTO vacation_schedule (worker_id, worker_name, vacation_start, vacation_end, notes)
+         VALUES ($1, $2, $3, $3, $4)
+         ON CONFLICT DO NOTHING`,
+        [worker.id, worker.name, date, 'Single day vacation']
+      );
+    }
+  }
+}
+
+// Sign-ins with GPS coordinates for a date, optionally only those made
+// outside the site fence
+async function listGpsSignins(date, { outsideOnly = false } = {}) {
+  const result = await pool.query(
+    `SELECT *,
+     signin_latitude as latitude,
+     signin_longitude as longitude,
+     signin_address as location_address
+     FROM worker_signins
+     WHERE signin_date = $1 AND signin_latitude IS NOT NULL AND signin_longitude IS NOT NULL
+       AND (NOT $2 OR outside_geofence)
+     ORDER BY signin_time DESC`,
+    [date, outsideOnly]
+  );
+  return result.rows;
+}
+
+// Every project with the number of workers currently on site
+async function listProjectLocations() {
+  const result = await pool.query(`
+    SELECT
+      p.id,
+      p.name,
+      p.address,
+      p.id as project_id,
+      p.name as project_name,
+      true as active,
+      COUNT(DISTINCT ws.worker_name) as workers_present,
+      p.created_at
+    FROM projects p
+    LEFT JOIN worker_signins ws ON p.id = ws.project_id
+      AND DATE(ws.signin_date) = CURRENT_DATE
+      AND ws.signout_time IS NULL
+    WHERE p.deleted_at IS NULL
+    GROUP BY p.id, p.name, p.address, p.created_at
+    ORDER BY p.name
+  `);
+  return result.rows;
+}
+
+// Today's sign-ins with the project each worker is at
+async function listWorkerLocationsToday() {
+  const result = await pool.query(`
+    SELECT
+      ws.worker_name,
+      ws.worker_id,
+      ws.signin_time as check_in_time,
+      ws.signout_time as check_out_time,
+      p.name as location,
+      p.address as address,
+      CASE
+        WHEN ws.signout_time IS NULL THEN 'present'
+        ELSE 'checked_out'
+      END as status
+    FROM worker_signins ws
+    JOIN projects p ON ws.project_id = p.id
+    WHERE DATE(ws.signin_date) = CURRENT_DATE
+    ORDER BY ws.signin_time DESC
+  `);
+  return result.rows;
+}
+
+// Attendance rows with sign-in/out locations for a date
+async function listAttendanceLocations(date) {
+  const result = await pool.query(`
+    SELECT
+      a.worker_name,
+      a.check_in_time,
+      a.check_out_time,
+      a.sign_in_latitude,
+      a.sign_in_longitude,
+      a.sign_in_address,
+      a.sign_out_latitude,
+      a.sign_out_longitude,
+      a.sign_out_address,
+      a.status
+    FROM attendance a
+    WHERE DATE(a.date) = $1
+    ORDER BY a.check_in_time DESC
+  `, [date]);
+  return result.rows;
+}
+
+module.exports = {
+  signInWorker,
+  signInForeman,
+  listForemanSignins,
+  saveSignature,
+  listWorkerSignins,
+  listProjectSignatures,
+  listProjectWorkersOnSite,
+  listSignins,
+  listOpenSignins,
+  getAttendanceForDate,
+  getWorkerAttendanceForDate,
+  getAttendanceLocations,
+  toggleAttendance,
+  autoSignOut,
+  findOpenSignin,
+  findOpenSigninByIdOrName,
+  signOutWorker,
+  listProjectSignedInWorkers,
+  listVacations,
+  createVacation,
+  markAttendance,
+  listGpsSignins,
+  listProjectLocations,
+  listWorkerLocationsToday,
+  listAttendanceLocations
+};
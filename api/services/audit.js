@@ -0,0 +1,182 @@
+// Audit log queries and audited partial updates
+const { pool } = require('../db');
+
+// Rows come back from pg with Date and numeric-string values, so compare
+// them by their JSON form rather than by identity
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Append one entry. before/after are JSON objects (or null); field names the
+// single column an entry is about, if any. Pass a transaction client as db to
+// keep the entry with the change.
+async function insertEntry(db, { entity, entityId, action, actor, field = null, before, after }) {
+  await db.query(`
+    INSERT INTO audit_log (entity, entity_id, action, field, before, after, actor_id, actor_name)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    entity, String(entityId ?? ''), action, field,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    actor ? actor.id : null, actor ? actor.name : null
+  ]);
+}
+
+// Write one audit_log row per column that differs between before and after
+async function recordFieldChanges(db, { entity, entityId, action, actor, before, after, columns }) {
+  const changed = columns.filter(column => !sameValue(before[column], after[column]));
+
+  for (const column of changed) {
+    await insertEntry(db, {
+      entity, entityId, action, actor,
+      field: column,
+      before: { [column]: before[column] ?? null },
+      after: { [column]: after[column] ?? null }
+    });
+  }
+
+  return changed;
+}
+
+// The keys that differ between two versions of a record, as { before, after }
+// holding only those keys. A create has no before and a delete no after, so
+// the whole record is kept on the side that exists.
+function diffRecords(before, after) {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !sameValue(before[key], after[key]));
+
+  return {
+    before: Object.fromEntries(keys.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(keys.map(key => [key, after[key] ?? null]))
+  };
+}
+
+// Write a whole-record entry with the diff between before and after.
+// Resolves to false, writing nothing, if there was no record on either side
+// or an update changed nothing.
+async function recordChange({ entity, entityId, action, actor, before, after }, db = pool) {
+  const diff = diffRecords(before, after);
+  if (!before && !after) {
+    return false;
+  }
+  if (before && after && Object.keys(diff.after).length === 0) {
+    return false;
+  }
+
+  await insertEntry(db, { entity, entityId, action, actor, ...diff });
+  return true;
+}
+
+// One row by key, for snapshotting a record around a change. table and key
+// come from code, never from the request.
+async function findRecord(table, key, value) {
+  const result = await pool.query(`SELECT * FROM ${table} WHERE ${key} = $1`, [value]);
+  return result.rows[0] || null;
+}
+
+// Newest entries first. actor is a user id or a name; from/to are inclusive dates.
+async function listEntries({ entity, id, actor, from, to, limit = 200 }) {
+  let query = 'SELECT * FROM audit_log WHERE 1=1';
+  const params = [];
+
+  if (entity) {
+    params.push(entity);
+    query += ` AND entity = $${params.length}`;
+  }
+
+  if (id) {
+    params.push(String(id));
+    query += ` AND entity_id = $${params.length}`;
+  }
+
+  if (actor) {
+    params.push(actor);
+    query += /^\d+$/.test(actor)
+      ? ` AND actor_id = $${params.length}`
+      : ` AND LOWER(actor_name) = LOWER($${params.length})`;
+  }
+
+  if (from) {
+    params.push(from);
+    query += ` AND created_at >= $${params.length}::date`;
+  }
+
+  if (to) {
+    params.push(to);
+    query += ` AND created_at < $${params.length}::date + 1`;
+  }
+
+  params.push(limit);
+  query += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length}`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Apply a partial update to one row. Only keys listed in fields (API field ->
+// column) are written, so column names in the SQL never come from the client;
+// undefined values are left alone. Stamps updated_at and audits every column
+// that actually changed. Resolves to the updated row, or undefined if there
+// is no such row.
+async function patchRecord({ table, entity, id, fields, updates, actor }) {
+  const assignments = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(fields)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      assignments.push(`${column} = $${values.length}`);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return undefined;
+    }
+
+    values.push(id);
+    const result = await client.query(`
+      UPDATE ${table}
+      SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+      WHERE id = $${values.length}
+      RETURNING *
+    `, values);
+    const updated = result.rows[0];
+
+    await recordFieldChanges(client, {
+      entity,
+      entityId: id,
+      action: 'update',
+      actor,
+      before: current.rows[0],
+      after: updated,
+      columns: Object.values(fields)
+    });
+
+    await client.query('COMMIT');
+    return updated;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  recordFieldChanges,
+  diffRecords,
+  recordChange,
+  findRecord,
+  listEntries,
+  patchRecord
+};
@@ -0,0 +1,153 @@
+// JSA compliance: days crews were on site without a JSA, and JSAs that were
+// never fully signed or approved
+const { pool } = require('../db');
+
+// Statuses a JSA has once a supervisor has approved it
+const APPROVED_STATUSES = ['supervisor_approved', 'locked'];
+
+// Every project and date someone signed in to from..to (inclusive), with the
+// foremen who signed in, how many workers did, and whether the project has a
+// JSA for that date. Sign-ins match projects on their id or, for sign-ins made
+// without one, their name; JSAs only carry the project's name.
+async function listSiteDays(from, to, projectName) {
+  const result = await pool.query(
+    `WITH on_site AS (
+       SELECT COALESCE(p.name, ws.project_name) AS project, ws.signin_date AS date,
+         ws.worker_name AS worker, NULL::text AS foreman
+       FROM worker_signins ws
+       LEFT JOIN projects p ON p.id = ws.project_id
+       WHERE ws.signin_date >= $1 AND ws.signin_date <= $2
+       UNION ALL
+       SELECT COALESCE(p.name, fs.project_name), fs.signin_date, NULL, fs.foreman_name
+       FROM foreman_signins fs
+       LEFT JOIN projects p ON p.id = fs.project_id
+       WHERE fs.signin_date >= $1 AND fs.signin_date <= $2
+     ),
+     site_days AS (
+       SELECT LOWER(TRIM(project)) AS project_key, date, MIN(TRIM(project)) AS project,
+         COUNT(DISTINCT LOWER(TRIM(worker)))::int AS workers,
+         COALESCE(ARRAY_AGG(DISTINCT TRIM(foreman)) FILTER (WHERE TRIM(foreman) <> ''), '{}') AS foremen
+       FROM on_site
+       WHERE TRIM(COALESCE(project, '')) <> '' AND ($3::text IS NULL OR LOWER(TRIM(project)) = LOWER(TRIM($3)))
+       GROUP BY LOWER(TRIM(project)), date
+     )
+     SELECT project, TO_CHAR(date, 'YYYY-MM-DD') AS date, workers, foremen,
+       EXISTS (
+         SELECT 1 FROM jsa_forms f
+         WHERE f.deleted_at IS NULL AND f.date = TO_CHAR(site_days.date, 'YYYY-MM-DD')
+           AND LOWER(TRIM(f.project_name)) = site_days.project_key
+       ) AS has_form
+     FROM site_days
+     ORDER BY date, project`,
+    [from, to, projectName || null]
+  );
+  return result.rows;
+}
+
+// JSAs dated from..to (inclusive) with their crew count and the names of crew
+// members who haven't signed
+async function listFormsWithCrew(from, to, projectName) {
+  const result = await pool.query(
+    `SELECT f.form_id, f.date, f.project_name, f.crew_supervisor, f.status, f.revision,
+       COUNT(c.id)::int AS crew,
+       COALESCE(ARRAY_AGG(c.name ORDER BY c.id) FILTER (WHERE c.id IS NOT NULL AND NOT COALESCE(c.signed, false)), '{}') AS unsigned
+     FROM jsa_forms f
+     LEFT JOIN crew_members c ON c.form_id = f.form_id
+     WHERE f.deleted_at IS NULL AND f.date >= $1 AND f.date <= $2
+       AND ($3::text IS NULL OR LOWER(TRIM(f.project_name)) = LOWER(TRIM($3)))
+     GROUP BY f.id
+     ORDER BY f.date, f.project_name, f.revision`,
+    [from, to, projectName || null]
+  );
+  return result.rows;
+}
+
+// The compliance report for from..to, optionally for one project:
+//   daysWithoutForm  days people signed in to a project that has no JSA for
+//                    the day
+//   unsignedForms    JSAs with crew members who haven't signed, or no crew
+//   unapprovedForms  JSAs a supervisor never approved
+// with totals, and the same counts by project and foreman. A day counts for
+// each foreman who signed in to it; a JSA for its crew supervisor.
+async function getJsaCompliance({ from, to, projectName }) {
+  const siteDays = await listSiteDays(from, to, projectName);
+  const formRows = await listFormsWithCrew(from, to, projectName);
+
+  const daysWithoutForm = siteDays
+    .filter(day => !day.has_form)
+    .map(day => ({ date: day.date, project: day.project, foremen: day.foremen, workers: day.workers }));
+
+  const forms = formRows.map(form => ({
+    formId: form.form_id,
+    date: form.date,
+    project: form.project_name,
+    foreman: form.crew_supervisor,
+    status: form.status,
+    revision: form.revision,
+    crew: form.crew,
+    unsigned: form.unsigned
+  }));
+  const unsignedForms = forms.filter(form => form.crew === 0 || form.unsigned.length > 0);
+  const unapprovedForms = forms.filter(form => !APPROVED_STATUSES.includes(form.status));
+
+  const groups = new Map();
+  const group = (project, foreman) => {
+    const key = `${(project || '').trim().toLowerCase()}\n${(foreman || '').trim().toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        project: project || null,
+        foreman: foreman || null,
+        siteDays: 0,
+        daysWithoutForm: 0,
+        forms: 0,
+        unsignedForms: 0,
+        unapprovedForms: 0
+      });
+    }
+    return groups.get(key);
+  };
+
+  for (const day of siteDays) {
+    for (const foreman of day.foremen.length > 0 ? day.foremen : [null]) {
+      const counts = group(day.project, foreman);
+      counts.siteDays++;
+      if (!day.has_form) {
+        counts.daysWithoutForm++;
+      }
+    }
+  }
+  for (const form of forms) {
+    const counts = group(form.project, form.foreman);
+    counts.forms++;
+    if (unsignedForms.includes(form)) {
+      counts.unsignedForms++;
+    }
+    if (unapprovedForms.includes(form)) {
+      counts.unapprovedForms++;
+    }
+  }
+
+  const byProjectAndForeman = [...groups.values()].sort((a, b) =>
+    (a.project || '').localeCompare(b.project || '') || (a.foreman || '').localeCompare(b.foreman || ''));
+
+  return {
+    from,
+    to,
+    project: projectName || null,
+    totals: {
+      siteDays: siteDays.length,
+      daysWithoutForm: daysWithoutForm.length,
+      forms: forms.length,
+      unsignedForms: unsignedForms.length,
+      unapprovedForms: unapprovedForms.length
+    },
+    byProjectAndForeman,
+    daysWithoutForm,
+    unsignedForms,
+    unapprovedForms
+  };
+}
+
+module.exports = {
+  getJsaCompliance
+};
@@ -0,0 +1,234 @@
+// Concrete delivery and pour queries
+const { pool } = require('../db');
+const { patchRecord } = require('./audit');
+
+async function listDeliveriesForDate(date) {
+  const result = await pool.query(
+    `SELECT
+      id,
+      date as delivery_date,
+      time as delivery_time,
+      project_id,
+      project_name,
+      area,
+      quantity,
+      concrete_type,
+      status,
+      actual_volume,
+      actual_hours,
+      supervisor
+     FROM concrete_deliveries
+     WHERE date = $1
+     ORDER BY time`,
+    [date]
+  );
+  return result.rows;
+}
+
+// Schedule a delivery. Accepts both the old truck/volume fields and the
+// area/quantity fields sent by the concrete schedule. delivery_time is HH:MM:SS.
+async function createDelivery({
+  project_name,
+  delivery_date,
+  delivery_time,
+  truck_number,
+  volume_m3,
+  slump,
+  notes,
+  area,
+  quantity,
+  concrete_type,
+  status,
+  project_id
+}) {
+  // Use volume_m3 or quantity for volume
+  const volumeValue = volume_m3 ? parseFloat(volume_m3) : (quantity ? parseFloat(quantity) : null);
+  const truckValue = truck_number || null;
+  // Use slump or concrete_type
+  const slumpValue = slump || concrete_type || null;
+  // Use notes or area for notes
+  const notesValue = notes || (area ? `Area: ${area}` : null);
+  const statusValue = status || 'scheduled';
+  const projectIdValue = project_id || null;
+
+  console.log('Inserting concrete delivery with values:', {
+    project_name,
+    project_id: projectIdValue,
+    delivery_date,
+    delivery_time,
+    truckValue,
+    volumeValue,
+    slumpValue,
+    notesValue,
+    area,
+    quantity,
+    concrete_type,
+    status: statusValue
+  });
+
+  const result = await pool.query(
+    `INSERT INTO concrete_deliveries (
+      project_name, project_id, date, time,
+      truck_load, slump, additives,
+      area, quantity, concrete_type, status, pour_type
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+    [
+      project_name, projectIdValue, delivery_date, delivery_time || null,
+      truckValue, slumpValue, notesValue,
+      area || null, quantity || null, concrete_type || null, statusValue, 'standard'
+    ]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the updated delivery, or undefined if there is no such delivery
+async function updateDelivery(id, { delivery_time, truck_number, volume_m3, slump, notes }) {
+  const result = await pool.query(
+    'UPDATE concrete_deliveries SET delivery_time = $1, truck_number = $2, volume_m3 = $3, slump = $4, notes = $5 WHERE id = $6 RETURNING *',
+    [delivery_time, truck_number, volume_m3, slump, notes, id]
+  );
+  return result.rows[0];
+}
+
+async function deleteDelivery(id) {
+  await pool.query('DELETE FROM concrete_deliveries WHERE id = $1', [id]);
+}
+
+// Add a completed delivery's volume to the day's pour for the same project
+// and area, creating the pour record if there isn't one yet
+async function recordPourForDelivery(delivery, { actual_volume, supervisor }) {
+  const pourCheck = await pool.query(
+    `SELECT id FROM concrete_pours
+     WHERE DATE(pour_date) = DATE($1)
+     AND project_name = $2
+     AND area = $3`,
+    [delivery.delivery_date, delivery.project_name, delivery.area]
+  );
+
+  if (pourCheck.rows.length > 0) {
+    await pool.query(
+      `UPDATE concrete_pours
+       SET actual_volume = COALESCE(actual_volume, 0) + $1,
+           actual_end = NOW(),
+           supervisor = $2,
+           status = 'completed'
+       WHERE id = $3`,
+      [actual_volume, supervisor, pourCheck.rows[0].id]
+    );
+    return;
+  }
+
+  const plannedTime = delivery.delivery_time
+    ? `${delivery.delivery_date} ${delivery.delivery_time}`
+    : `${delivery.delivery_date} 08:00:00`;
+
+  await pool.query(
+    `INSERT INTO concrete_pours
+     (project_name, pour_date, area, planned_volume, actual_volume,
+      planned_start, planned_end, actual_start, actual_end,
+      concrete_type, supplier, supervisor, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW(), $8, 'Local Supplier', $9, 'completed')`,
+    [
+      delivery.project_name,
+      delivery.delivery_date,
+      delivery.area,
+      parseFloat(delivery.quantity) || 0,
+      parseFloat(actual_volume) || 0,
+      plannedTime,
+      plannedTime, // Using same time for start and end as placeholder
+      delivery.concrete_type || '30 MPA',
+      supervisor
+    ]
+  );
+}
+
+// Record the actual volume and hours of a delivery and roll it into the pour
+// log. Resolves to the updated delivery, or undefined if there is no such delivery.
+async function completeDelivery(id, { actual_volume, actual_hours, supervisor, status }) {
+  const result = await pool.query(
+    `UPDATE concrete_deliveries
+     SET status = $1, actual_volume = $2, actual_hours = $3, supervisor = $4
+     WHERE id = $5
+     RETURNING *`,
+    [status || 'delivered', actual_volume, actual_hours, supervisor, id]
+  );
+
+  const delivery = result.rows[0];
+  if (delivery) {
+    await recordPourForDelivery(delivery, { actual_volume, supervisor });
+  }
+  return delivery;
+}
+
+async function listPours() {
+  const result = await pool.query(
+    'SELECT * FROM concrete_pours ORDER BY pour_date DESC, created_at DESC'
+  );
+  return result.rows;
+}
+
+async function createPour({
+  project_name, pour_date, location, planned_volume,
+  planned_start, planned_end, supplier, mix_type,
+  crew_size, pump_type, notes
+}, createdBy) {
+  const result = await pool.query(
+    `INSERT INTO concrete_pours (
+      project_name, pour_date, location, planned_volume,
+      planned_start, planned_end, supplier, mix_type,
+      crew_size, pump_type, notes, status, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *`,
+    [
+      project_name, pour_date, location, planned_volume,
+      planned_start, planned_end, supplier, mix_type,
+      crew_size || null, pump_type || null, notes || null,
+      'scheduled', createdBy
+    ]
+  );
+  return result.rows[0];
+}
+
+// Columns PATCH /concrete-pours/:id may change; anything else is ignored
+const POUR_COLUMNS = [
+  'project_name', 'pour_date', 'area', 'location', 'planned_volume',
+  'actual_volume', 'planned_start', 'planned_end', 'actual_start', 'actual_end',
+  'concrete_type', 'mix_type', 'supplier', 'supervisor', 'slump',
+  'weather_conditions', 'temperature', 'crew_size', 'pump_type', 'notes',
+  'status', 'completed_by', 'completion_notes'
+];
+const POUR_FIELDS = Object.fromEntries(POUR_COLUMNS.map(column => [column, column]));
+
+// Null values clear the column. Resolves to the updated pour, or undefined if
+// there is no such pour.
+async function updatePour(id, updates, actor) {
+  return patchRecord({
+    table: 'concrete_pours',
+    entity: 'concrete_pour',
+    id,
+    fields: POUR_FIELDS,
+    updates,
+    actor
+  });
+}
+
+// Resolves to the deleted pour, or undefined if there is no such pour
+async function deletePour(id) {
+  const result = await pool.query(
+    'DELETE FROM concrete_pours WHERE id = $1 RETURNING *',
+    [id]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  listDeliveriesForDate,
+  createDelivery,
+  updateDelivery,
+  deleteDelivery,
+  completeDelivery,
+  listPours,
+  createPour,
+  updatePour,
+  deletePour
+};
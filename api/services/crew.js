@@ -0,0 +1,137 @@
+// JSA crew lists kept in step with who is on site: everyone signed in to the
+// form's project that day and everyone assigned to one of its work areas is
+// added to the crew, unsigned, and asked to sign.
+const { pool } = require('../db');
+const { notify } = require('./notifications');
+
+// Statuses that say the whole crew has signed; a form in one of them goes
+// back to submitted when someone new is added
+const CREW_COMPLETE_STATUSES = ['crew_signed', 'supervisor_approved'];
+
+// People on site for a project on a date, one row per name: { worker_id,
+// name, source }. Sign-ins match on the project's id or, for sign-ins made
+// without one, its name.
+async function listOnSite(db, projectName, date) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (LOWER(TRIM(name))) worker_id, name, source
+     FROM (
+       SELECT ws.worker_id, ws.worker_name AS name, 'signin' AS source, ws.signin_time AS since
+       FROM worker_signins ws
+       LEFT JOIN projects p ON p.id = ws.project_id
+       WHERE ws.signin_date = $2 AND LOWER(TRIM(COALESCE(p.name, ws.project_name))) = LOWER(TRIM($1))
+       UNION ALL
+       SELECT waw.worker_id, COALESCE(u.name, waw.worker_name), 'work_area', waw.assigned_at
+       FROM work_area_workers waw
+       JOIN work_areas wa ON wa.id = waw.work_area_id AND wa.deleted_at IS NULL
+       JOIN projects p ON p.id = wa.project_id
+       LEFT JOIN users u ON u.id = waw.worker_id
+       WHERE waw.work_date = $2 AND LOWER(TRIM(p.name)) = LOWER(TRIM($1))
+       UNION ALL
+       SELECT awa.worker_id, COALESCE(u.name, awa.worker_name), 'work_area', awa.created_at
+       FROM area_worker_assignments awa
+       JOIN work_areas wa ON wa.id = awa.work_area_id AND wa.deleted_at IS NULL
+       JOIN projects p ON p.id = wa.project_id
+       LEFT JOIN users u ON u.id = awa.worker_id
+       WHERE awa.assignment_date = $2 AND LOWER(TRIM(p.name)) = LOWER(TRIM($1))
+     ) on_site
+     WHERE TRIM(COALESCE(name, '')) <> ''
+     ORDER BY LOWER(TRIM(name)), since`,
+    [projectName, date]
+  );
+  return result.rows;
+}
+
+// Inside the caller's transaction: add everyone on site who isn't on the
+// form's crew yet and notify those with an account. Locked forms are left as
+// they are. Resolves to the crew members added ({ name, workerId, source }),
+// or null if the form doesn't exist, is locked or has no project.
+async function addOnSiteCrew(client, formId) {
+  const formResult = await client.query(
+    'SELECT * FROM jsa_forms WHERE form_id = $1 AND deleted_at IS NULL FOR UPDATE',
+    [formId]
+  );
+  const form = formResult.rows[0];
+  if (!form || form.status === 'locked' || !form.project_name) {
+    return null;
+  }
+
+  const crew = await client.query('SELECT LOWER(TRIM(name)) AS name_key FROM crew_members WHERE form_id = $1', [formId]);
+  const listed = new Set(crew.rows.map(row => row.name_key));
+  const added = [];
+
+  for (const person of await listOnSite(client, form.project_name, form.date)) {
+    if (listed.has(person.name.trim().toLowerCase())) {
+      continue;
+    }
+    await client.query(
+      'INSERT INTO crew_members (form_id, name, signed, is_mobile, worker_id, source) VALUES ($1, $2, false, false, $3, $4)',
+      [formId, person.name, person.worker_id, person.source]
+    );
+    if (person.worker_id) {
+      await notify(client, {
+        userId: person.worker_id,
+        type: 'jsa_signature_requested',
+        title: 'Please sign the JSA',
+        message: `You have been added to the crew on the JSA for ${form.project_name}. Review it and sign before starting work.`,
+        formId
+      });
+    }
+    added.push({ name: person.name, workerId: person.worker_id, source: person.source });
+  }
+
+  if (added.length > 0 && CREW_COMPLETE_STATUSES.includes(form.status)) {
+    await client.query(
+      "UPDATE jsa_forms SET status = 'submitted', updated_at = NOW() WHERE form_id = $1",
+      [formId]
+    );
+  }
+  return added;
+}
+
+// Bring a form's crew up to date with who is on site. Resolves to
+// { formId, added }, or null as for addOnSiteCrew().
+async function syncFormCrew(formId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const added = await addOnSiteCrew(client, formId);
+    await client.query('COMMIT');
+    return added && { formId, added };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Sync the JSA for a project on a date: the latest revision that isn't
+// locked. The project is given by id, name or both. Resolves as
+// syncFormCrew() does, or null if the project has no such JSA.
+async function syncProjectCrew({ projectId, projectName }, date) {
+  const result = await pool.query(
+    `SELECT form_id FROM jsa_forms
+     WHERE date = $1 AND deleted_at IS NULL AND status <> 'locked'
+       AND LOWER(TRIM(project_name)) = LOWER(TRIM(COALESCE($2, (SELECT name FROM projects WHERE id = $3))))
+     ORDER BY revision DESC, created_at DESC
+     LIMIT 1`,
+    [date, projectName || null, projectId || null]
+  );
+  return result.rows.length > 0 ? syncFormCrew(result.rows[0].form_id) : null;
+}
+
+// Sync the JSA for the project a work area belongs to
+async function syncWorkAreaCrew(workAreaId, date) {
+  const result = await pool.query('SELECT project_id FROM work_areas WHERE id::text = $1', [workAreaId]);
+  if (result.rows.length === 0 || !result.rows[0].project_id) {
+    return null;
+  }
+  return syncProjectCrew({ projectId: result.rows[0].project_id }, date);
+}
+
+module.exports = {
+  addOnSiteCrew,
+  syncFormCrew,
+  syncProjectCrew,
+  syncWorkAreaCrew
+};
@@ -0,0 +1,162 @@
+// JSA email distribution lists and the log of JSAs sent (email_schedules)
+const { pool } = require('../db');
+
+// Statuses a JSA is sent out in automatically
+const APPROVED_STATUSES = ['supervisor_approved', 'locked'];
+
+async function listRecipients(projectId) {
+  const result = await pool.query(
+    'SELECT * FROM project_email_recipients WHERE project_id = $1 ORDER BY LOWER(email)',
+    [projectId]
+  );
+  return result.rows;
+}
+
+// Resolves to the new recipient, or undefined if the list already has the address
+async function addRecipient(projectId, { email, name, language }, actor) {
+  const result = await pool.query(
+    `INSERT INTO project_email_recipients (project_id, email, name, language, created_by) VALUES ($1, TRIM($2), $3, $4, $5)
+     ON CONFLICT DO NOTHING RETURNING *`,
+    [projectId, email, name || null, language || null, actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the removed recipient, or undefined if the project has no such recipient
+async function deleteRecipient(projectId, id) {
+  const result = await pool.query(
+    'DELETE FROM project_email_recipients WHERE id = $1 AND project_id = $2 RETURNING *',
+    [id, projectId]
+  );
+  return result.rows[0];
+}
+
+// The distribution list of the project a form is for. Forms only carry the
+// project's name, so that is what they are matched on.
+async function listFormRecipients(form) {
+  const result = await pool.query(
+    `SELECT r.* FROM project_email_recipients r
+     JOIN projects p ON p.id = r.project_id AND p.deleted_at IS NULL
+     WHERE LOWER(TRIM(p.name)) = LOWER(TRIM($1))
+     ORDER BY LOWER(r.email)`,
+    [form.project_name || '']
+  );
+  return result.rows;
+}
+
+// The language preference for each address, as a Map from the lowercased
+// address: the language set on a distribution list, else that of the worker
+// who registered with the address. Addresses with neither are left out.
+// Preferences are as entered, e.g. "es" or "Spanish".
+async function getRecipientLanguages(addresses) {
+  const result = await pool.query(
+    `SELECT address, COALESCE(
+       (SELECT r.language FROM project_email_recipients r
+        WHERE LOWER(r.email) = address AND r.language IS NOT NULL
+        ORDER BY r.created_at DESC LIMIT 1),
+       (SELECT wd.language FROM worker_details wd
+        WHERE LOWER(TRIM(wd.email)) = address AND wd.language IS NOT NULL
+        LIMIT 1)
+     ) AS language
+     FROM UNNEST($1::text[]) AS address`,
+    [addresses.map(address => address.trim().toLowerCase())]
+  );
+  return new Map(result.rows.filter(row => row.language).map(row => [row.address, row.language]));
+}
+
+// Approved JSAs dated date or up to lookbackDays before it that have
+// recipients on their project's list who haven't been sent them yet, so a
+// form approved after its day's run, or a send that failed, goes out on the
+// next one: [{ formId, emails }]
+async function listUnsentApprovedForms(date, lookbackDays = 0) {
+  const result = await pool.query(
+    `SELECT f.form_id, ARRAY_AGG(r.email ORDER BY LOWER(r.email)) AS emails
+     FROM jsa_forms f
+     JOIN projects p ON LOWER(TRIM(p.name)) = LOWER(TRIM(f.project_name)) AND p.deleted_at IS NULL
+     JOIN project_email_recipients r ON r.project_id = p.id
+     WHERE f.date <= $1::date AND f.date >= $1::date - $3::int
+       AND f.deleted_at IS NULL AND f.status = ANY($2)
+       AND NOT EXISTS (
+         SELECT 1 FROM email_schedules e
+         WHERE e.form_id = f.form_id AND LOWER(e.email) = LOWER(r.email) AND e.status = 'sent'
+       )
+     GROUP BY f.form_id
+     ORDER BY f.form_id`,
+    [date, APPROVED_STATUSES, lookbackDays]
+  );
+  return result.rows.map(row => ({ formId: row.form_id, emails: row.emails }));
+}
+
+// Log a send before it goes out. Resolves to the new row's id.
+async function logEmail({ formId, email, kind }, actor) {
+  const result = await pool.query(
+    'INSERT INTO email_schedules (form_id, email, kind, status, requested_by) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+    [formId, email, kind, 'pending', actor ? actor.id : null]
+  );
+  return result.rows[0].id;
+}
+
+// Record how a logged send went: the message id when the server took it, the
+// error when it didn't
+async function recordDelivery(id, { messageId, error }) {
+  await pool.query(
+    `UPDATE email_schedules
+     SET status = $2, message_id = $3, error = $4, sent_at = CASE WHEN $2 = 'sent' THEN NOW() END
+     WHERE id = $1`,
+    [id, error ? 'failed' : 'sent', messageId || null, error || null]
+  );
+}
+
+// The send log, newest first. projectName matches forms by the name they
+// carry; from/to are inclusive dates of when the send was logged.
+async function listEmailLog({ formId, projectName, status, from, to, limit = 200 } = {}) {
+  let query = `SELECT e.*, f.project_name, f.date AS form_date
+    FROM email_schedules e
+    LEFT JOIN jsa_forms f ON f.form_id = e.form_id
+    WHERE 1=1`;
+  const params = [];
+
+  if (formId) {
+    params.push(formId);
+    query += ` AND e.form_id = $${params.length}`;
+  }
+
+  if (projectName) {
+    params.push(projectName);
+    query += ` AND LOWER(TRIM(f.project_name)) = LOWER(TRIM($${params.length}))`;
+  }
+
+  if (status) {
+    params.push(status);
+    query += ` AND e.status = $${params.length}`;
+  }
+
+  if (from) {
+    params.push(from);
+    query += ` AND e.created_at >= $${params.length}::date`;
+  }
+
+  if (to) {
+    params.push(to);
+    query += ` AND e.created_at < $${params.length}::date + 1`;
+  }
+
+  params.push(limit);
+  query += ` ORDER BY e.created_at DESC, e.id DESC LIMIT $${params.length}`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+module.exports = {
+  APPROVED_STATUSES,
+  listRecipients,
+  addRecipient,
+  deleteRecipient,
+  listFormRecipients,
+  getRecipientLanguages,
+  listUnsentApprovedForms,
+  logEmail,
+  recordDelivery,
+  listEmailLog
+};
@@ -0,0 +1,113 @@
+// Community feed queries
+const { pool } = require('../db');
+
+// Every post with its like and comment counts, and whether userId liked it
+async function listPosts(userId) {
+  const result = await pool.query(`
+    SELECT
+      p.*,
+      COALESCE(l.like_count, 0) as like_count,
+      COALESCE(c.comment_count, 0) as comment_count,
+      COALESCE(ul.user_liked, false) as user_liked
+    FROM community_feed_posts p
+    LEFT JOIN (
+      SELECT post_id, COUNT(*) as like_count
+      FROM community_feed_likes
+      GROUP BY post_id
+    ) l ON p.id = l.post_id
+    LEFT JOIN (
+      SELECT post_id, COUNT(*) as comment_count
+      FROM community_feed_comments
+      GROUP BY post_id
+    ) c ON p.id = c.post_id
+    LEFT JOIN (
+      SELECT post_id, true as user_liked
+      FROM community_feed_likes
+      WHERE user_id = $1
+    ) ul ON p.id = ul.post_id
+    ORDER BY p.created_at DESC
+  `, [userId || 0]);
+  return result.rows;
+}
+
+async function createPost({ foreman_id, foreman_name, work_area_id, work_area_name, caption }, photoUrl) {
+  const result = await pool.query(`
+    INSERT INTO community_feed_posts
+    (foreman_id, foreman_name, work_area_id, work_area_name, photo_url, caption, post_type)
+    VALUES ($1, $2, $3, $4, $5, $6, 'manual')
+    RETURNING *
+  `, [foreman_id, foreman_name, work_area_id, work_area_name, photoUrl, caption]);
+  return result.rows[0];
+}
+
+// Post a work area progress photo that is already uploaded
+async function createWorkAreaPost({ foreman_id, foreman_name, work_area_id, work_area_name, photo_url, task_id, caption }) {
+  const result = await pool.query(`
+    INSERT INTO community_feed_posts
+    (foreman_id, foreman_name, work_area_id, work_area_name, photo_url, caption, post_type, task_id)
+    VALUES ($1, $2, $3, $4, $5, $6, 'work_area_progress', $7)
+    RETURNING *
+  `, [foreman_id, foreman_name, work_area_id, work_area_name, photo_url, caption, task_id]);
+  return result.rows[0];
+}
+
+// Resolves to the new like, or undefined if the user already liked the post
+async function likePost(postId, { user_id, user_name }) {
+  const result = await pool.query(`
+    INSERT INTO community_feed_likes (post_id, user_id, user_name)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (post_id, user_id) DO NOTHING
+    RETURNING *
+  `, [postId, user_id, user_name]);
+  return result.rows[0];
+}
+
+// Resolves to the removed like, or undefined if there was none
+async function unlikePost(postId, userId) {
+  const result = await pool.query(`
+    DELETE FROM community_feed_likes
+    WHERE post_id = $1 AND user_id = $2
+    RETURNING *
+  `, [postId, userId]);
+  return result.rows[0];
+}
+
+async function listComments(postId) {
+  const result = await pool.query(`
+    SELECT * FROM community_feed_comments
+    WHERE post_id = $1
+    ORDER BY created_at ASC
+  `, [postId]);
+  return result.rows;
+}
+
+async function addComment(postId, { user_id, user_name, comment_text }) {
+  const result = await pool.query(`
+    INSERT INTO community_feed_comments (post_id, user_id, user_name, comment_text)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [postId, user_id, user_name, comment_text]);
+  return result.rows[0];
+}
+
+// Only the author can delete a comment. Resolves to the deleted comment, or
+// undefined if it doesn't exist or belongs to someone else.
+async function deleteComment(commentId, userId) {
+  const result = await pool.query(`
+    DELETE FROM community_feed_comments
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [commentId, userId]);
+  return result.rows[0];
+}
+
+module.exports = {
+  listPosts,
+  createPost,
+  createWorkAreaPost,
+  likePost,
+  unlikePost,
+  listComments,
+  addComment,
+  deleteComment
+};
@@ -0,0 +1,623 @@
+// JSA form queries
+const crypto = require('crypto');
+const { pool } = require('../db');
+const { getRiskMatrix, scoreJobStep } = require('./risk');
+const { moveToTrash, restoreFromTrash } = require('./trash');
+
+// The JSA workflow, by the name of each step: the statuses it can be taken
+// from, the status it leads to, who may take it, and whether everyone on the
+// crew list has to have signed first. reopen sends a form back for changes.
+const FORM_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted', roles: ['foreman', 'supervisor'], crewSigned: false },
+  'crew-signed': { from: ['submitted'], to: 'crew_signed', roles: ['foreman', 'supervisor'], crewSigned: true },
+  approve: { from: ['crew_signed'], to: 'supervisor_approved', roles: ['supervisor'], crewSigned: true },
+  lock: { from: ['supervisor_approved'], to: 'locked', roles: ['supervisor'], crewSigned: true },
+  reopen: { from: ['submitted', 'crew_signed', 'supervisor_approved'], to: 'draft', roles: ['supervisor'], crewSigned: false }
+};
+
+const FORM_STATUSES = ['draft', 'submitted', 'crew_signed', 'supervisor_approved', 'locked'];
+
+// Columns a search returns for each form; the rest are in getFormWithDetails()
+const SEARCH_COLUMNS = `f.form_id, f.date, f.project_name, f.site_address, f.company, f.crew_supervisor,
+  f.crew_safety_rep, f.status, f.revision, f.revision_of, f.created_at, f.updated_at`;
+
+// Latest 50 forms, or every form for one date
+async function listForms(date) {
+  if (date) {
+    const result = await pool.query('SELECT * FROM jsa_forms WHERE date = $1 AND deleted_at IS NULL ORDER BY updated_at DESC', [date]);
+    return result.rows;
+  }
+  const result = await pool.query('SELECT * FROM jsa_forms WHERE deleted_at IS NULL ORDER BY updated_at DESC LIMIT 50');
+  return result.rows;
+}
+
+// Escape LIKE's wildcards so text is matched literally
+function likeText(text) {
+  return text.trim().replace(/[\\%_]/g, '\\$&');
+}
+
+// Forms matching every filter given, a page at a time: { total, page,
+// pageSize, statusCounts, forms }.
+//   q         full-text search of everything on the form, best matches first
+//   project, supervisor, crew
+//             part of the project name, supervisor or a crew member's name
+//   hazard, control, tool, ppe
+//             words in a job step's hazards or controls, or a tool or PPE item
+//   from, to  date range, inclusive
+//   status    workflow status
+// Text searches take web search syntax: "quoted phrases", or, -excluded.
+// statusCounts counts the matches in each status as if no status was given,
+// so the other statuses can show how many they would find.
+async function searchForms({ q, project, supervisor, crew, hazard, control, tool, ppe, from, to, status, page = 1, pageSize = 25 }) {
+  const params = [];
+  let conditions = 'f.deleted_at IS NULL';
+  let rank = '0';
+
+  if (q) {
+    params.push(q);
+    conditions += ` AND s.search_vector @@ websearch_to_tsquery('english', $${params.length})`;
+    rank = `ts_rank(s.search_vector, websearch_to_tsquery('english', $${params.length}))`;
+  }
+  if (project) {
+    params.push(likeText(project));
+    conditions += ` AND f.project_name ILIKE '%' || $${params.length} || '%'`;
+  }
+  if (supervisor) {
+    params.push(likeText(supervisor));
+    conditions += ` AND f.crew_supervisor ILIKE '%' || $${params.length} || '%'`;
+  }
+  if (crew) {
+    params.push(likeText(crew));
+    conditions += ` AND EXISTS (SELECT 1 FROM crew_members c WHERE c.form_id = f.form_id AND c.name ILIKE '%' || $${params.length} || '%')`;
+  }
+  for (const [text, table, column] of [
+    [hazard, 'job_steps', 'jsa_search_list(p.hazards)'],
+    [control, 'job_steps', 'jsa_search_list(p.safety_controls)'],
+    [tool, 'tools', 'p.tool_name'],
+    [ppe, 'ppe', 'p.ppe_name']
+  ]) {
+    if (text) {
+      params.push(text);
+      conditions += ` AND EXISTS (SELECT 1 FROM ${table} p WHERE p.form_id = f.form_id
+        AND to_tsvector('english', COALESCE(${column}, '')) @@ websearch_to_tsquery('english', $${params.length}))`;
+    }
+  }
+  if (from) {
+    params.push(from);
+    conditions += ` AND f.date >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    conditions += ` AND f.date <= $${params.length}`;
+  }
+
+  const matches = `FROM jsa_forms f LEFT JOIN jsa_form_search s ON s.form_id = f.form_id WHERE ${conditions}`;
+
+  const counts = await pool.query(`SELECT f.status, COUNT(*)::int AS count ${matches} GROUP BY f.status`, params);
+  const statusCounts = Object.fromEntries(FORM_STATUSES.map(name => [name, 0]));
+  counts.rows.forEach(row => {
+    statusCounts[row.status] = row.count;
+  });
+  const total = status
+    ? statusCounts[status] || 0
+    : Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+
+  const pageParams = [...params];
+  let query = `SELECT ${SEARCH_COLUMNS}, ${rank} AS rank ${matches}`;
+  if (status) {
+    pageParams.push(status);
+    query += ` AND f.status = $${pageParams.length}`;
+  }
+  pageParams.push(pageSize, (page - 1) * pageSize);
+  query += ` ORDER BY rank DESC, f.date DESC NULLS LAST, f.updated_at DESC
+    LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`;
+
+  const result = await pool.query(query, pageParams);
+  return { total, page, pageSize, statusCounts, forms: result.rows };
+}
+
+// Forms in a calendar month, grouped by date
+async function getCalendarForms(year, month) {
+  // Calculate date range for the month
+  const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
+  const endDate = new Date(year, month, 0).toISOString().split('T')[0]; // Last day of month
+
+  const result = await pool.query(
+    'SELECT form_id, date, site_address, crew_supervisor, status, updated_at FROM jsa_forms WHERE date >= $1 AND date <= $2 AND deleted_at IS NULL ORDER BY date, updated_at DESC',
+    [startDate, endDate]
+  );
+
+  // Group forms by date
+  const formsByDate = {};
+  result.rows.forEach(form => {
+    const dateKey = form.date;
+    if (!formsByDate[dateKey]) {
+      formsByDate[dateKey] = [];
+    }
+    formsByDate[dateKey].push(form);
+  });
+
+  return formsByDate;
+}
+
+// The form's own row, or undefined if it doesn't exist or is in the trash
+async function getForm(formId) {
+  const result = await pool.query('SELECT * FROM jsa_forms WHERE form_id = $1 AND deleted_at IS NULL', [formId]);
+  return result.rows[0];
+}
+
+// SHA-256 of what a form says: the header details, job steps, tools and PPE.
+// The crew sign this; who is on the crew, who has signed and the workflow
+// status are left out, so only a change to the JSA itself changes the hash.
+function formContentHash({ form, jobSteps, tools, ppe }) {
+  const content = {
+    date: form.date,
+    company: form.company,
+    siteAddress: form.site_address,
+    projectName: form.project_name,
+    crewSupervisor: form.crew_supervisor,
+    crewSafetyRep: form.crew_safety_rep,
+    weather: form.weather,
+    formwork: form.formwork,
+    jobSteps: jobSteps.map(step => [
+      step.sequence, step.operation, step.hazards, step.safetyControls, step.risk_level,
+      step.likelihood, step.severity, step.residual_likelihood, step.residual_severity
+    ]),
+    tools,
+    ppe
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// A form with its job steps, tools, PPE, crew, the amendments made to it and
+// the hash of its content that crew signatures are checked against, or null
+// if it doesn't exist or is in the trash. Reads through db, so a transaction
+// can see its own changes.
+async function getFormWithDetails(formId, db = pool) {
+  const formResult = await db.query('SELECT * FROM jsa_forms WHERE form_id = $1 AND deleted_at IS NULL', [formId]);
+  if (formResult.rows.length === 0) {
+    return null;
+  }
+
+  const form = formResult.rows[0];
+  const jobSteps = await db.query('SELECT * FROM job_steps WHERE form_id = $1 ORDER BY sequence, id', [formId]);
+  const tools = await db.query('SELECT tool_name FROM tools WHERE form_id = $1 ORDER BY id', [formId]);
+  const ppe = await db.query('SELECT ppe_name FROM ppe WHERE form_id = $1 ORDER BY id', [formId]);
+  const crew = await db.query(
+    `SELECT c.name, c.signed, c.is_mobile, c.worker_id, c.source, s.id AS signature_id, s.signed_at
+     FROM crew_members c
+     LEFT JOIN form_signatures s ON s.form_id = c.form_id AND LOWER(TRIM(s.crew_member)) = LOWER(TRIM(c.name))
+       AND s.invalidated_at IS NULL
+     WHERE c.form_id = $1
+     ORDER BY c.id`,
+    [formId]
+  );
+  const amendments = await db.query(
+    'SELECT form_id, revision, status, created_at FROM jsa_forms WHERE revision_of = $1 AND deleted_at IS NULL ORDER BY revision',
+    [formId]
+  );
+
+  const details = {
+    form,
+    jobSteps: jobSteps.rows.map(step => ({
+      ...step,
+      hazards: typeof step.hazards === 'string' ? JSON.parse(step.hazards) : step.hazards,
+      safetyControls: typeof step.safety_controls === 'string' ? JSON.parse(step.safety_controls) : step.safety_controls
+    })),
+    tools: tools.rows.map(t => t.tool_name),
+    ppe: ppe.rows.map(p => p.ppe_name),
+    crew: crew.rows.map(c => ({
+      name: c.name,
+      signed: c.signed,
+      isMobile: c.is_mobile || false,
+      workerId: c.worker_id,
+      source: c.source,
+      signatureStatus: c.signed ? 'signed' : 'pending',
+      signatureId: c.signature_id,
+      signedAt: c.signed_at
+    })),
+    amendments: amendments.rows
+  };
+  details.contentHash = formContentHash(details);
+  return details;
+}
+
+// Form ids for one project's JSAs dated from..to (inclusive), oldest first.
+// Forms only carry the project's name, so that is what they are matched on.
+async function listProjectFormIds(projectName, from, to) {
+  const result = await pool.query(
+    `SELECT form_id FROM jsa_forms
+     WHERE LOWER(TRIM(project_name)) = LOWER(TRIM($1)) AND date >= $2 AND date <= $3 AND deleted_at IS NULL
+     ORDER BY date, created_at`,
+    [projectName, from, to]
+  );
+  return result.rows.map(row => row.form_id);
+}
+
+// Signatures for each of the named people, keyed by lowercased name:
+// { image, signedAt }. Current signatures on the form itself come first. For
+// anyone without one, such as crew on forms from before signatures were tied
+// to the form, the signature they captured on the form's date is used; where
+// they signed more than once that day, preferring the form's project, the
+// latest one wins.
+async function getFormSignatures(form, names) {
+  const keys = [...new Set(names.filter(Boolean).map(name => name.trim().toLowerCase()))];
+  if (keys.length === 0) {
+    return new Map();
+  }
+
+  const current = await pool.query(
+    `SELECT LOWER(TRIM(crew_member)) AS name_key, signature_image, signed_at
+     FROM form_signatures
+     WHERE form_id = $1 AND invalidated_at IS NULL AND LOWER(TRIM(crew_member)) = ANY($2)`,
+    [form.form_id, keys]
+  );
+  const signatures = new Map(current.rows.map(row => [row.name_key, { image: row.signature_image, signedAt: row.signed_at }]));
+
+  const missing = keys.filter(key => !signatures.has(key));
+  if (missing.length === 0 || !form.date) {
+    return signatures;
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT ON (LOWER(TRIM(worker_name)))
+            LOWER(TRIM(worker_name)) AS name_key, signature_image, created_at
+     FROM signatures
+     WHERE LOWER(TRIM(worker_name)) = ANY($1) AND date::text = $2 AND signature_image IS NOT NULL
+     ORDER BY LOWER(TRIM(worker_name)),
+              (LOWER(TRIM(project_name)) = LOWER(TRIM($3))) DESC NULLS LAST,
+              created_at DESC`,
+    [missing, form.date, form.project_name || '']
+  );
+
+  for (const row of result.rows) {
+    signatures.set(row.name_key, { image: row.signature_image, signedAt: row.created_at });
+  }
+  return signatures;
+}
+
+// Write the sections of a form that are present in updates (formData,
+// jobSteps, tools, ppe, crew) inside the caller's transaction. Each section
+// replaces what is stored.
+async function writeFormSections(client, formId, updates) {
+  // Update main form data
+  if (updates.formData) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    const fieldMapping = {
+      crewSupervisor: 'crew_supervisor',
+      crewSafetyRep: 'crew_safety_rep',
+      siteAddress: 'site_address',
+      company: 'company',
+      projectName: 'project_name',
+      date: 'date',
+      weather: 'weather',
+      formwork: 'formwork'
+    };
+
+    for (const [key, dbField] of Object.entries(fieldMapping)) {
+      if (updates.formData[key] !== undefined) {
+        fields.push(`${dbField} = $${paramCount}`);
+        values.push(updates.formData[key]);
+        paramCount++;
+      }
+    }
+
+    if (fields.length > 0) {
+      values.push(formId);
+      const query = `UPDATE jsa_forms SET ${fields.join(', ')}, updated_at = NOW() WHERE form_id = $${paramCount}`;
+      await client.query(query, values);
+    }
+  }
+
+  // Update job steps, scored against the risk matrix. A supervisor's approval
+  // of the residual risk was for the old steps, so it no longer stands.
+  if (updates.jobSteps) {
+    const matrix = await getRiskMatrix(client);
+    await client.query('DELETE FROM job_steps WHERE form_id = $1', [formId]);
+    for (const step of updates.jobSteps.map(jobStep => scoreJobStep(matrix, jobStep))) {
+      await client.query(
+        `INSERT INTO job_steps (form_id, sequence, operation, hazards, safety_controls, risk_level,
+           likelihood, severity, risk_score, residual_likelihood, residual_severity, residual_score, residual_level)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+        [
+          formId, step.sequence, step.operation, JSON.stringify(step.hazards), JSON.stringify(step.safetyControls), step.riskLevel,
+          step.likelihood, step.severity, step.riskScore, step.residualLikelihood, step.residualSeverity, step.residualScore, step.residualLevel
+        ]
+      );
+    }
+    await client.query(
+      'UPDATE jsa_forms SET risk_approved_by = NULL, risk_approved_at = NULL WHERE form_id = $1 AND risk_approved_at IS NOT NULL',
+      [formId]
+    );
+  }
+
+  // Update tools
+  if (updates.tools) {
+    await client.query('DELETE FROM tools WHERE form_id = $1', [formId]);
+    for (const tool of updates.tools) {
+      await client.query('INSERT INTO tools (form_id, tool_name) VALUES ($1, $2)', [formId, tool]);
+    }
+  }
+
+  // Update PPE
+  if (updates.ppe) {
+    await client.query('DELETE FROM ppe WHERE form_id = $1', [formId]);
+    for (const item of updates.ppe) {
+      await client.query('INSERT INTO ppe (form_id, ppe_name) VALUES ($1, $2)', [formId, item]);
+    }
+  }
+
+  // Update crew members. Whether someone has signed isn't the client's to
+  // say: people kept on the list stay signed, anyone else signs through
+  // signForm(). They also keep their account and how they got on the list.
+  if (updates.crew) {
+    const previous = await client.query(
+      `DELETE FROM crew_members WHERE form_id = $1
+       RETURNING LOWER(TRIM(name)) AS name_key, signed, worker_id, source, added_at`,
+      [formId]
+    );
+    const kept = new Map(previous.rows.map(row => [row.name_key, row]));
+    for (const member of updates.crew) {
+      const before = kept.get((member.name || '').trim().toLowerCase());
+      await client.query(
+        `INSERT INTO crew_members (form_id, name, signed, is_mobile, worker_id, source, added_at)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()))`,
+        [
+          formId, member.name, before ? before.signed : false, member.isMobile || false,
+          member.workerId ?? (before ? before.worker_id : null), before ? before.source : 'manual', before ? before.added_at : null
+        ]
+      );
+    }
+  }
+}
+
+// After an edit, invalidate the signatures given for any other version of
+// the form than contentHash and mark everyone without a current signature,
+// including crew marked signed before signatures were tied to the form, as
+// not signed
+async function invalidateSignatures(client, formId, contentHash) {
+  await client.query(
+    `UPDATE form_signatures SET invalidated_at = NOW()
+     WHERE form_id = $1 AND invalidated_at IS NULL AND content_hash <> $2`,
+    [formId, contentHash]
+  );
+  await client.query(
+    `UPDATE crew_members c SET signed = EXISTS (
+       SELECT 1 FROM form_signatures s
+       WHERE s.form_id = c.form_id AND LOWER(TRIM(s.crew_member)) = LOWER(TRIM(c.name)) AND s.invalidated_at IS NULL
+     )
+     WHERE c.form_id = $1`,
+    [formId]
+  );
+}
+
+// Create a form from header fields as saveFormUpdates takes them (date,
+// company, siteAddress, projectName, crewSupervisor...), plus revisionOf and
+// revision for an amendment. sections optionally fills it in from the start,
+// with jobSteps, tools, ppe and crew copied from a template or an earlier form.
+async function createForm({ date, company, siteAddress, revisionOf = null, revision = 0, ...formData }, sections = {}) {
+  const formId = `JSA-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'INSERT INTO jsa_forms (form_id, date, company, site_address, revision_of, revision) VALUES ($1, $2, $3, $4, $5, $6)',
+      [formId, date, company || 'MJR Contractors Ltd', siteAddress || '', revisionOf, revision]
+    );
+    await writeFormSections(client, formId, { ...sections, formData });
+    const result = await client.query('SELECT * FROM jsa_forms WHERE form_id = $1', [formId]);
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Apply a partial update from the form editor. Each section that is present
+// (formData, jobSteps, tools, ppe, crew) replaces what is stored, in one
+// transaction. Changing what the JSA says, rather than just who is on the
+// crew, invalidates the crew's signatures and sends a form that is under
+// review back to draft. Locked forms are the caller's to refuse.
+async function saveFormUpdates(formId, updates) {
+  const changesContent = updates.formData || updates.jobSteps || updates.tools || updates.ppe;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Held until commit, so nobody signs the version being replaced
+    await client.query('SELECT form_id FROM jsa_forms WHERE form_id = $1 FOR UPDATE', [formId]);
+    const before = changesContent && await getFormWithDetails(formId, client);
+    await writeFormSections(client, formId, updates);
+
+    const after = before && await getFormWithDetails(formId, client);
+    if (after && after.contentHash !== before.contentHash) {
+      await invalidateSignatures(client, formId, after.contentHash);
+      await client.query(
+        `UPDATE jsa_forms SET status = 'draft' WHERE form_id = $1 AND status = ANY($2)`,
+        [formId, FORM_TRANSITIONS.reopen.from]
+      );
+    }
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating form:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// The latest live form for a project dated before date, e.g. yesterday's JSA
+// to start today's from. Resolves to its form_id, or undefined.
+async function findPreviousFormId(projectName, date) {
+  const result = await pool.query(
+    `SELECT form_id FROM jsa_forms
+     WHERE LOWER(TRIM(project_name)) = LOWER(TRIM($1)) AND date < $2 AND deleted_at IS NULL
+     ORDER BY date DESC, updated_at DESC
+     LIMIT 1`,
+    [projectName, date]
+  );
+  return result.rows[0]?.form_id;
+}
+
+// What a new form copies from an earlier one, as createForm takes it: the
+// header apart from the date and weather, the job steps, tools and PPE, and
+// the crew, who all have to sign again
+function copyOfForm({ form, jobSteps, tools, ppe, crew }) {
+  return {
+    formData: {
+      company: form.company,
+      siteAddress: form.site_address,
+      projectName: form.project_name,
+      crewSupervisor: form.crew_supervisor,
+      crewSafetyRep: form.crew_safety_rep,
+      formwork: form.formwork
+    },
+    sections: {
+      jobSteps: jobSteps.map(step => ({
+        sequence: step.sequence,
+        operation: step.operation,
+        hazards: step.hazards,
+        safetyControls: step.safetyControls,
+        riskLevel: step.risk_level,
+        likelihood: step.likelihood,
+        severity: step.severity,
+        residualLikelihood: step.residual_likelihood,
+        residualSeverity: step.residual_severity
+      })),
+      tools,
+      ppe,
+      crew: crew.map(member => ({ name: member.name, isMobile: member.isMobile, workerId: member.workerId }))
+    }
+  };
+}
+
+// Record a crew member's signature on the version of the form with
+// contentHash. Resolves to the signature without its image, or null if the
+// form has changed since (or no longer exists).
+async function signForm(formId, { name, signatureImage, contentHash, latitude, longitude, accuracy, userAgent, ipAddress }, actor) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT form_id FROM jsa_forms WHERE form_id = $1 FOR UPDATE', [formId]);
+    const details = await getFormWithDetails(formId, client);
+    if (!details || details.contentHash !== contentHash) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO form_signatures (form_id, crew_member, user_id, signature_image, content_hash,
+         latitude, longitude, location_accuracy, user_agent, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id, form_id, crew_member, user_id, content_hash, latitude, longitude, location_accuracy,
+         user_agent, ip_address, signed_at`,
+      [formId, name, actor ? actor.id : null, signatureImage, contentHash,
+        latitude ?? null, longitude ?? null, accuracy ?? null, userAgent || null, ipAddress || null]
+    );
+    await client.query(
+      'UPDATE crew_members SET signed = true WHERE form_id = $1 AND LOWER(TRIM(name)) = LOWER(TRIM($2))',
+      [formId, name]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Every signature given on a form, current and invalidated, newest first,
+// without the images
+async function listFormSignatures(formId) {
+  const result = await pool.query(
+    `SELECT id, form_id, crew_member, user_id, content_hash, latitude, longitude, location_accuracy,
+       user_agent, ip_address, signed_at, invalidated_at
+     FROM form_signatures WHERE form_id = $1
+     ORDER BY signed_at DESC, id DESC`,
+    [formId]
+  );
+  return result.rows;
+}
+
+// Record a supervisor's approval of the steps still high risk after controls.
+// Resolves to the form, or undefined if there is no such form.
+async function approveFormRisk(formId, actor) {
+  const result = await pool.query(
+    `UPDATE jsa_forms SET risk_approved_by = $2, risk_approved_at = NOW(), updated_at = NOW()
+     WHERE form_id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [formId, actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Take a step of the workflow (a FORM_TRANSITIONS name). Resolves to the
+// form in its new status, or undefined if it is no longer in a status the
+// step can be taken from.
+async function transitionForm(formId, transition) {
+  const { from, to } = FORM_TRANSITIONS[transition];
+  const result = await pool.query(
+    `UPDATE jsa_forms SET status = $3, updated_at = NOW()
+     WHERE form_id = $1 AND status = ANY($2) AND deleted_at IS NULL
+     RETURNING *`,
+    [formId, from, to]
+  );
+  return result.rows[0];
+}
+
+// Start the next revision of a locked form: a draft copy of it, date and
+// weather included, linked back through revision_of. The crew have to sign
+// the revision again.
+async function amendForm({ form, ...details }) {
+  const { formData, sections } = copyOfForm({ form, ...details });
+  return createForm({
+    ...formData,
+    date: form.date,
+    weather: form.weather,
+    revisionOf: form.form_id,
+    revision: form.revision + 1
+  }, sections);
+}
+
+// Forms go to the trash with their job steps and crew signatures intact.
+// Resolves to the form, or undefined if there is no such form.
+async function deleteForm(formId, actor) {
+  return moveToTrash('form', formId, actor);
+}
+
+// Resolves to the restored form, or undefined if it is not in the trash
+async function restoreForm(formId) {
+  return restoreFromTrash('form', formId);
+}
+
+module.exports = {
+  FORM_TRANSITIONS,
+  FORM_STATUSES,
+  listForms,
+  searchForms,
+  getCalendarForms,
+  getForm,
+  getFormWithDetails,
+  listProjectFormIds,
+  getFormSignatures,
+  listFormSignatures,
+  createForm,
+  saveFormUpdates,
+  findPreviousFormId,
+  copyOfForm,
+  signForm,
+  approveFormRisk,
+  transitionForm,
+  amendForm,
+  deleteForm,
+  restoreForm
+};
@@ -0,0 +1,142 @@
+// Scheduled job state and run history. A job's schedule is either every N
+// minutes or daily at a time in Toronto (see api/jobs.js); next runs are
+// worked out here in SQL so daylight saving is Postgres's to get right.
+const { pool } = require('../db');
+
+// When a job runs next after now: $every minutes from now, or the next $at
+// time of day in Toronto
+const nextRun = (every, at) => `CASE WHEN ${every}::int IS NOT NULL
+         THEN NOW() + make_interval(mins => ${every}::int)
+         ELSE scheduled_job_next_daily(${at}::time) END`;
+
+// Add a job that isn't in scheduled_jobs yet. Jobs run every N minutes are
+// due straight away, daily ones at their next time.
+async function registerJob(name, { every, at }) {
+  await pool.query(
+    `INSERT INTO scheduled_jobs (name, next_run_at)
+     VALUES ($1, CASE WHEN $2::int IS NOT NULL THEN NOW() ELSE scheduled_job_next_daily($3::time) END)
+     ON CONFLICT (name) DO NOTHING`,
+    [name, every || null, at || null]
+  );
+}
+
+async function listJobs() {
+  const result = await pool.query('SELECT * FROM scheduled_jobs ORDER BY name');
+  return result.rows;
+}
+
+async function getJob(name) {
+  const result = await pool.query('SELECT * FROM scheduled_jobs WHERE name = $1', [name]);
+  return result.rows[0];
+}
+
+// Resolves to the job, or undefined if there is no such job
+async function setJobEnabled(name, enabled) {
+  const result = await pool.query(
+    'UPDATE scheduled_jobs SET enabled = $2, updated_at = NOW() WHERE name = $1 RETURNING *',
+    [name, enabled]
+  );
+  return result.rows[0];
+}
+
+// Lock a job for owner for lockMinutes. Unless due is false, only an enabled
+// job whose next run has come is taken. The update is atomic, so of several
+// servers claiming the same job at once exactly one gets it. Resolves to the
+// job, or undefined if it wasn't claimed.
+async function claimJob(name, owner, lockMinutes, { due = true } = {}) {
+  const result = await pool.query(
+    `UPDATE scheduled_jobs
+     SET locked_by = $2, locked_until = NOW() + make_interval(mins => $3), last_run_at = NOW(), updated_at = NOW()
+     WHERE name = $1
+     AND (locked_until IS NULL OR locked_until < NOW())
+     AND (NOT $4::boolean OR (enabled AND next_run_at <= NOW()))
+     RETURNING *`,
+    [name, owner, lockMinutes, due]
+  );
+  return result.rows[0];
+}
+
+async function startRun(name, { trigger, attempt, actor }) {
+  const result = await pool.query(
+    `INSERT INTO job_runs (job_name, trigger, attempt, started_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [name, trigger, attempt, actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Record how a run went and release the job. A failed run is retried after
+// retryMinutes, doubling with each failure in a row, until maxAttempts have
+// failed; after that, and after a run that succeeds, the job waits for its
+// next scheduled time. A retry is never later than that next scheduled time.
+// Resolves to the finished run.
+async function finishRun(run, owner, { status, result, error }, { every, at, maxAttempts, retryMinutes }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const finished = await client.query(
+      `UPDATE job_runs SET finished_at = NOW(), status = $2, result = $3, error = $4
+       WHERE id = $1
+       RETURNING *`,
+      [run.id, status, result === undefined ? null : JSON.stringify(result), error || null]
+    );
+
+    await client.query(
+      `UPDATE scheduled_jobs
+       SET locked_by = NULL,
+         locked_until = NULL,
+         last_status = $3,
+         last_error = $4,
+         attempts = CASE WHEN $3::text = 'failed' AND attempts + 1 < $5::int THEN attempts + 1 ELSE 0 END,
+         next_run_at = CASE
+           WHEN $3::text = 'failed' AND attempts + 1 < $5::int
+             THEN LEAST(NOW() + make_interval(mins => ($6::int * power(2, attempts))::int), ${nextRun('$7', '$8')})
+           ELSE ${nextRun('$7', '$8')}
+         END,
+         updated_at = NOW()
+       WHERE name = $1 AND locked_by = $2`,
+      [run.job_name, owner, status, error || null, maxAttempts, retryMinutes, every || null, at || null]
+    );
+
+    await client.query('COMMIT');
+    return finished.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// A job's runs, newest first
+async function listJobRuns(name, { limit = 50 } = {}) {
+  const result = await pool.query(
+    'SELECT * FROM job_runs WHERE job_name = $1 ORDER BY started_at DESC, id DESC LIMIT $2',
+    [name, limit]
+  );
+  return result.rows;
+}
+
+// Delete finished runs that started more than retentionDays ago. Resolves
+// to how many were deleted.
+async function pruneJobRuns(retentionDays) {
+  const result = await pool.query(
+    `DELETE FROM job_runs
+     WHERE status <> 'running' AND started_at < NOW() - make_interval(days => $1)`,
+    [retentionDays]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  registerJob,
+  listJobs,
+  getJob,
+  setJobEnabled,
+  claimJob,
+  startRun,
+  finishRun,
+  listJobRuns,
+  pruneJobRuns
+};
@@ -0,0 +1,137 @@
+// Kiosk devices, worker badges and the sites they sign workers in to.
+// Device tokens and badge codes are looked up by their hash (see api/kiosk.js).
+const { pool } = require('../db');
+
+// Never sent back to a client
+const KIOSK_COLUMNS = `k.id, k.name, k.project_id, p.name AS project_name, k.work_area_id, wa.name AS work_area_name,
+  k.created_by, k.created_at, k.last_seen_at, k.revoked_at, k.revoked_by`;
+
+const KIOSK_FROM = `kiosk_devices k
+  JOIN projects p ON p.id = k.project_id
+  LEFT JOIN work_areas wa ON wa.id = k.work_area_id`;
+
+// A site to sign in to: a live project, or a live work area and its project.
+// Resolves to { project, workArea } (workArea null for a project), or
+// undefined if there is no such site.
+async function getSite({ projectId, workAreaId }) {
+  if (workAreaId) {
+    const result = await pool.query(
+      `SELECT to_jsonb(p) AS project, to_jsonb(wa) AS work_area
+       FROM work_areas wa
+       JOIN projects p ON p.id = wa.project_id AND p.deleted_at IS NULL
+       WHERE wa.id = $1 AND wa.deleted_at IS NULL`,
+      [workAreaId]
+    );
+    const row = result.rows[0];
+    return row && { project: row.project, workArea: row.work_area };
+  }
+
+  const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [projectId]);
+  return result.rows[0] && { project: result.rows[0], workArea: null };
+}
+
+async function listKiosks() {
+  const result = await pool.query(`SELECT ${KIOSK_COLUMNS} FROM ${KIOSK_FROM} ORDER BY k.revoked_at IS NOT NULL, p.name, k.name`);
+  return result.rows;
+}
+
+async function getKiosk(id) {
+  const result = await pool.query(`SELECT ${KIOSK_COLUMNS} FROM ${KIOSK_FROM} WHERE k.id = $1`, [id]);
+  return result.rows[0];
+}
+
+async function createKiosk({ name, projectId, workAreaId, tokenHash }, actor) {
+  const result = await pool.query(
+    `INSERT INTO kiosk_devices (name, project_id, work_area_id, token_hash, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [name, projectId, workAreaId || null, tokenHash, actor ? actor.id : null]
+  );
+  return getKiosk(result.rows[0].id);
+}
+
+// The kiosk holding a device token, marked as seen now, or undefined if the
+// token is unknown, the kiosk revoked or its project in the trash
+async function useKiosk(tokenHash) {
+  const result = await pool.query(
+    `UPDATE kiosk_devices k SET last_seen_at = NOW()
+     FROM projects p
+     WHERE k.token_hash = $1 AND k.revoked_at IS NULL AND p.id = k.project_id AND p.deleted_at IS NULL
+     RETURNING k.id`,
+    [tokenHash]
+  );
+  return result.rows[0] && getKiosk(result.rows[0].id);
+}
+
+// Resolves to the revoked kiosk, or undefined if there is no such kiosk.
+// Revoking one already revoked keeps the first revocation.
+async function revokeKiosk(id, actor) {
+  const result = await pool.query(
+    `UPDATE kiosk_devices
+     SET revoked_at = COALESCE(revoked_at, NOW()), revoked_by = COALESCE(revoked_by, $2)
+     WHERE id = $1
+     RETURNING id`,
+    [id, actor ? actor.id : null]
+  );
+  return result.rows[0] && getKiosk(id);
+}
+
+// Give a user a new badge, revoking the one they had. Resolves to the badge.
+async function issueBadge(userId, codeHash, actor) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE worker_badges SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+    const result = await client.query(
+      `INSERT INTO worker_badges (user_id, code_hash, issued_by)
+       VALUES ($1, $2, $3)
+       RETURNING id, user_id, issued_by, issued_at`,
+      [userId, codeHash, actor ? actor.id : null]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Resolves to the revoked badge, or undefined if the user had none in use
+async function revokeBadge(userId) {
+  const result = await pool.query(
+    `UPDATE worker_badges SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL
+     RETURNING id, user_id, issued_by, issued_at, revoked_at`,
+    [userId]
+  );
+  return result.rows[0];
+}
+
+// The active user holding a badge still in use, or undefined
+async function findBadgeHolder(codeHash) {
+  const result = await pool.query(
+    `SELECT u.id, u.name, u.role
+     FROM worker_badges b
+     JOIN users u ON u.id = b.user_id
+     WHERE b.code_hash = $1 AND b.revoked_at IS NULL AND u.deleted_at IS NULL AND u.deactivated_at IS NULL`,
+    [codeHash]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  getSite,
+  listKiosks,
+  getKiosk,
+  createKiosk,
+  useKiosk,
+  revokeKiosk,
+  issueBadge,
+  revokeBadge,
+  findBadgeHolder
+};
@@ -0,0 +1,95 @@
+// Material request queries
+const { pool } = require('../db');
+
+// Requests nobody has looked at yet
+async function countUnviewedRequests() {
+  const result = await pool.query(
+    `SELECT COUNT(*) as count
+     FROM material_requests
+     WHERE viewed = FALSE
+     AND status IN ('pending', 'approved')`
+  );
+  return parseInt(result.rows[0].count);
+}
+
+async function listMaterialRequests({ status, urgency } = {}) {
+  let query = 'SELECT * FROM material_requests WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (status && status !== 'all') {
+    query += ` AND status = $${paramIndex++}`;
+    params.push(status);
+  }
+
+  if (urgency && urgency !== 'all') {
+    query += ` AND urgency = $${paramIndex++}`;
+    params.push(urgency);
+  }
+
+  query += ' ORDER BY submitted_at DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function markAllViewed() {
+  await pool.query(
+    `UPDATE material_requests
+     SET viewed = TRUE
+     WHERE viewed = FALSE`
+  );
+}
+
+async function createMaterialRequest({
+  worker_id,
+  worker_name,
+  project_id,
+  project_name,
+  items,
+  urgency,
+  delivery_date,
+  notes
+}, photoUrls) {
+  const result = await pool.query(
+    `INSERT INTO material_requests
+     (worker_id, worker_name, project_id, project_name, items, urgency, delivery_date, notes, photo_urls)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [worker_id, worker_name, project_id, project_name, JSON.stringify(items), urgency, delivery_date, notes, photoUrls]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the updated request, or undefined if there is no such request
+async function updateMaterialRequest(id, { status, completion_notes }, updatedBy) {
+  const result = await pool.query(
+    `UPDATE material_requests
+     SET status = COALESCE($1, status),
+         completion_notes = COALESCE($2, completion_notes),
+         updated_by = COALESCE($3, updated_by),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [status, completion_notes, updatedBy, id]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the deleted request, or undefined if there is no such request
+async function deleteMaterialRequest(id) {
+  const result = await pool.query(
+    'DELETE FROM material_requests WHERE id = $1 RETURNING *',
+    [id]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  countUnviewedRequests,
+  listMaterialRequests,
+  markAllViewed,
+  createMaterialRequest,
+  updateMaterialRequest,
+  deleteMaterialRequest
+};
@@ -0,0 +1,270 @@
+// Emergency muster queries: the roll taken from live sign-ins, marking people
+// accounted for, escalating those who aren't, and the log of it all
+const { pool } = require('../db');
+const { notify } = require('./notifications');
+
+const MUSTER_COLUMNS = `m.*, p.name AS project_name,
+  starter.name AS started_by_name, ender.name AS ended_by_name,
+  (SELECT COUNT(*)::int FROM muster_people mp WHERE mp.muster_id = m.id) AS total,
+  (SELECT COUNT(*)::int FROM muster_people mp WHERE mp.muster_id = m.id AND mp.accounted_at IS NOT NULL) AS accounted,
+  (SELECT COUNT(*)::int FROM muster_people mp WHERE mp.muster_id = m.id AND mp.accounted_at IS NULL) AS unaccounted`;
+
+const MUSTER_FROM = `musters m
+  JOIN projects p ON p.id = m.project_id
+  LEFT JOIN users starter ON starter.id = m.started_by
+  LEFT JOIN users ender ON ender.id = m.ended_by`;
+
+async function addLog(db, { musterId, personId, action, actor, note }) {
+  await db.query(
+    `INSERT INTO muster_log (muster_id, person_id, action, actor_id, actor_name, note)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [musterId, personId || null, action, actor ? actor.id : null, actor ? actor.name : null, note || null]
+  );
+}
+
+// Who hears about a muster: supervisors, and the foremen signed in to the
+// project on date
+async function listRecipients(db, projectId, date) {
+  const result = await db.query(`
+    SELECT id FROM users
+    WHERE deleted_at IS NULL AND deactivated_at IS NULL
+      AND (role = 'supervisor'
+        OR id IN (SELECT foreman_id FROM foreman_signins WHERE project_id = $1 AND signin_date = $2))
+  `, [projectId, date]);
+  return result.rows.map(row => row.id);
+}
+
+// Escalate the people still unaccounted for on the musters matching
+// condition (over m), logging each and notifying supervisors and the
+// project's foremen once per muster. Resolves to the people escalated.
+async function escalateWhere(db, condition, params) {
+  const result = await db.query(`
+    UPDATE muster_people mp SET escalated_at = NOW()
+    FROM musters m
+    JOIN projects p ON p.id = m.project_id
+    WHERE m.id = mp.muster_id AND ${condition}
+      AND mp.accounted_at IS NULL AND mp.escalated_at IS NULL
+    RETURNING mp.id, mp.muster_id, mp.worker_id, mp.worker_name, m.project_id, m.signin_date, p.name AS project_name
+  `, params);
+
+  const byMuster = new Map();
+  for (const person of result.rows) {
+    await addLog(db, { musterId: person.muster_id, personId: person.id, action: 'escalated' });
+    byMuster.set(person.muster_id, [...(byMuster.get(person.muster_id) || []), person]);
+  }
+
+  for (const [musterId, people] of byMuster) {
+    const { project_id: projectId, project_name: projectName, signin_date: date } = people[0];
+    const names = people.map(person => person.worker_name).join(', ');
+    for (const userId of await listRecipients(db, projectId, date)) {
+      await notify(db, {
+        userId,
+        type: 'muster_missing',
+        title: `${people.length} unaccounted for at ${projectName}`,
+        message: `Muster ${musterId}: ${names} still not accounted for.`
+      });
+    }
+  }
+  return result.rows;
+}
+
+async function getMuster(id) {
+  const result = await pool.query(`SELECT ${MUSTER_COLUMNS} FROM ${MUSTER_FROM} WHERE m.id = $1`, [id]);
+  const muster = result.rows[0];
+  if (!muster) {
+    return undefined;
+  }
+
+  const people = await pool.query(`
+    SELECT mp.*, u.name AS accounted_by_name
+    FROM muster_people mp
+    LEFT JOIN users u ON u.id = mp.accounted_by
+    WHERE mp.muster_id = $1
+    ORDER BY mp.accounted_at IS NOT NULL, LOWER(mp.worker_name), mp.id
+  `, [id]);
+  const log = await pool.query('SELECT * FROM muster_log WHERE muster_id = $1 ORDER BY id', [id]);
+  return { ...muster, people: people.rows, log: log.rows };
+}
+
+// Musters newest first, optionally for one project or only those in progress
+async function listMusters({ projectId, active = false, limit = 100 } = {}) {
+  const result = await pool.query(`
+    SELECT ${MUSTER_COLUMNS} FROM ${MUSTER_FROM}
+    WHERE ($1::int IS NULL OR m.project_id = $1)
+      AND ($2::boolean IS NOT TRUE OR m.ended_at IS NULL)
+    ORDER BY m.started_at DESC, m.id DESC
+    LIMIT $3
+  `, [projectId || null, active, limit]);
+  return result.rows;
+}
+
+// The project's muster in progress, or undefined
+async function findActiveMuster(projectId) {
+  const result = await pool.query('SELECT id FROM musters WHERE project_id = $1 AND ended_at IS NULL', [projectId]);
+  return result.rows[0];
+}
+
+// Start a muster on a project, taking the roll of everyone signed in to it
+// on date and not signed out, and tell supervisors and the project's foremen.
+// People still unaccounted for escalateMinutes after the start are escalated.
+// Resolves to the new muster's id.
+async function startMuster({ projectId, reason, drill = false, escalateMinutes }, actor, date) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO musters (project_id, signin_date, reason, drill, started_by, escalate_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6::int))
+       RETURNING id`,
+      [projectId, date, reason || null, drill, actor ? actor.id : null, escalateMinutes]
+    );
+    const musterId = result.rows[0].id;
+
+    // One row per person, from their latest open sign-in; sign-ins not
+    // linked to an account are told apart by name. Older sign-ins made with
+    // only a project name have no project_id and are matched by the name.
+    const roll = await client.query(`
+      INSERT INTO muster_people (muster_id, worker_id, worker_name, signin_id, signin_time)
+      SELECT $1, worker_id, worker_name, id, signin_time
+      FROM (
+        SELECT DISTINCT ON (COALESCE(ws.worker_id::text, LOWER(ws.worker_name)))
+          ws.worker_id, COALESCE(u.name, ws.worker_name) AS worker_name, ws.id, ws.signin_time
+        FROM worker_signins ws
+        JOIN projects p ON p.id = $2
+          AND (ws.project_id = p.id OR (ws.project_id IS NULL AND LOWER(TRIM(ws.project_name)) = LOWER(TRIM(p.name))))
+        LEFT JOIN users u ON u.id = ws.worker_id
+        WHERE ws.signin_date = $3 AND ws.signout_time IS NULL
+        ORDER BY COALESCE(ws.worker_id::text, LOWER(ws.worker_name)), ws.signin_time DESC
+      ) on_site
+    `, [musterId, projectId, date]);
+
+    await addLog(client, { musterId, action: 'started', actor, note: reason });
+
+    const project = await client.query('SELECT name FROM projects WHERE id = $1', [projectId]);
+    for (const userId of await listRecipients(client, projectId, date)) {
+      if (actor && userId === actor.id) {
+        continue;
+      }
+      await notify(client, {
+        userId,
+        type: 'muster_started',
+        title: `${drill ? 'Muster drill' : 'Emergency muster'} at ${project.rows[0].name}`,
+        message: `${roll.rowCount} people on site to account for${reason ? `: ${reason}` : ''}.`
+      });
+    }
+
+    await client.query('COMMIT');
+    return musterId;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Mark a person on a muster in progress accounted for, or take the mark
+// back. Resolves to the person, or undefined if there is no such person on a
+// muster in progress.
+async function markPerson(musterId, personId, { accounted, note }, actor) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(`
+      SELECT mp.accounted_at FROM muster_people mp
+      JOIN musters m ON m.id = mp.muster_id AND m.ended_at IS NULL
+      WHERE mp.id = $1 AND mp.muster_id = $2
+      FOR UPDATE OF mp
+    `, [personId, musterId]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return undefined;
+    }
+
+    // Marking someone already accounted for keeps the first mark
+    const result = await client.query(`
+      UPDATE muster_people SET
+        accounted_at = CASE WHEN $2::boolean THEN COALESCE(accounted_at, NOW()) END,
+        accounted_by = CASE WHEN $2::boolean THEN COALESCE(accounted_by, $3) END,
+        note = COALESCE($4, note)
+      WHERE id = $1
+      RETURNING *
+    `, [personId, accounted, actor ? actor.id : null, note || null]);
+
+    const wasAccounted = current.rows[0].accounted_at !== null;
+    if (wasAccounted !== accounted || note) {
+      await addLog(client, { musterId, personId, action: accounted ? 'accounted' : 'unaccounted', actor, note });
+    }
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Escalate the people unaccounted for on every muster in progress that has
+// reached its escalation time, or only on musterId. Resolves to the people
+// escalated.
+async function escalateMusters({ musterId } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const escalated = await escalateWhere(
+      client,
+      'm.ended_at IS NULL AND m.escalate_at <= NOW() AND ($1::int IS NULL OR m.id = $1)',
+      [musterId || null]
+    );
+    await client.query('COMMIT');
+    return escalated;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// End a muster in progress. Anyone still unaccounted for and not yet
+// escalated is escalated now. Resolves to the muster's id, or undefined if
+// there is no such muster in progress.
+async function endMuster(id, actor, note) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE musters SET ended_at = NOW(), ended_by = $2, end_note = $3
+       WHERE id = $1 AND ended_at IS NULL
+       RETURNING id`,
+      [id, actor ? actor.id : null, note || null]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return undefined;
+    }
+
+    await escalateWhere(client, 'm.id = $1', [id]);
+    await addLog(client, { musterId: id, action: 'ended', actor, note });
+
+    await client.query('COMMIT');
+    return id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getMuster,
+  listMusters,
+  findActiveMuster,
+  startMuster,
+  markPerson,
+  escalateMusters,
+  endMuster
+};
@@ -0,0 +1,58 @@
+// In-app notifications for a user
+const { pool } = require('../db');
+
+// Send a notification. Takes db so it can go out in the caller's transaction.
+async function notify(db, { userId, type, title, message, formId }) {
+  const result = await db.query(
+    'INSERT INTO notifications (user_id, type, title, message, form_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [userId, type, title, message || null, formId || null]
+  );
+  return result.rows[0];
+}
+
+// A user's notifications, newest first, optionally only the unread ones
+async function listNotifications(userId, { unread = false, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM notifications
+     WHERE user_id = $1 AND ($2::boolean IS NOT TRUE OR read_at IS NULL)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3`,
+    [userId, unread, limit]
+  );
+  return result.rows;
+}
+
+async function countUnread(userId) {
+  const result = await pool.query('SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+// Resolves to the notification, or undefined if the user has no such notification
+async function markRead(userId, id) {
+  const result = await pool.query(
+    `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [id, userId]
+  );
+  return result.rows[0];
+}
+
+// Mark all of a user's notifications read, or only those about one form.
+// Resolves to the number marked.
+async function markAllRead(userId, { formId } = {}) {
+  const result = await pool.query(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE user_id = $1 AND read_at IS NULL AND ($2::text IS NULL OR form_id = $2)`,
+    [userId, formId || null]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  notify,
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead
+};
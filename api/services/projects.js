@@ -0,0 +1,94 @@
+// Project queries
+const { pool } = require('../db');
+const { moveToTrash, restoreFromTrash } = require('./trash');
+
+async function listProjects() {
+  const result = await pool.query('SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY name');
+  return result.rows;
+}
+
+// A live project by id, or undefined
+async function getProject(id) {
+  const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return result.rows[0];
+}
+
+async function createProject({ name, description, address }) {
+  const result = await pool.query(
+    'INSERT INTO projects (name, description, address) VALUES ($1, $2, $3) RETURNING *',
+    [name, description || '', address || '']
+  );
+  return result.rows[0];
+}
+
+// A live project by id or, failing that, by name, or undefined
+async function findProject({ projectId, projectName }) {
+  const result = await pool.query(
+    `SELECT * FROM projects
+     WHERE deleted_at IS NULL AND (id = $1 OR ($1::int IS NULL AND LOWER(TRIM(name)) = LOWER(TRIM($2))))`,
+    [projectId || null, projectName || null]
+  );
+  return result.rows[0];
+}
+
+// Live projects with a site fence that is checked
+async function listFencedProjects() {
+  const result = await pool.query(
+    "SELECT * FROM projects WHERE deleted_at IS NULL AND geofence_type IS NOT NULL AND geofence_policy <> 'off'"
+  );
+  return result.rows;
+}
+
+// Set a project's site fence and policy; type null removes the fence.
+// Resolves to the project, or undefined if there is no such project.
+async function setGeofence(id, { type, latitude, longitude, radius, polygon, policy }) {
+  const result = await pool.query(
+    `UPDATE projects SET geofence_type = $2, site_latitude = $3, site_longitude = $4, site_radius_m = $5,
+       site_polygon = $6, geofence_policy = COALESCE($7, geofence_policy)
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [
+      id,
+      type,
+      type === 'circle' ? latitude : null,
+      type === 'circle' ? longitude : null,
+      type === 'circle' ? radius : null,
+      type === 'polygon' ? JSON.stringify(polygon) : null,
+      policy || null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Set when a project's workday ends (HH:MM:SS, Toronto time); null goes back
+// to the default. Resolves to the project, or undefined if there is no such
+// project.
+async function setShiftEnd(id, shiftEnd) {
+  const result = await pool.query(
+    'UPDATE projects SET shift_end = $2 WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+    [id, shiftEnd]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the project, now in the trash, or undefined if there is no such project
+async function deleteProject(id, actor) {
+  return moveToTrash('project', id, actor);
+}
+
+// Resolves to the restored project, or undefined if it is not in the trash
+async function restoreProject(id) {
+  return restoreFromTrash('project', id);
+}
+
+module.exports = {
+  listProjects,
+  getProject,
+  findProject,
+  listFencedProjects,
+  setGeofence,
+  setShiftEnd,
+  createProject,
+  deleteProject,
+  restoreProject
+};
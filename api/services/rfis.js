@@ -0,0 +1,119 @@
+// RFI queries: project RFIs raised from the field (rfi_requests) and the
+// per-work-area question log (rfis)
+const { pool } = require('../db');
+
+// Open requests first, then by priority
+async function listRfiRequests() {
+  const result = await pool.query(`
+    SELECT * FROM rfi_requests
+    ORDER BY
+      CASE
+        WHEN status = 'pending' THEN 0
+        WHEN status = 'in_review' THEN 1
+        WHEN status = 'answered' THEN 2
+        ELSE 3
+      END,
+      CASE priority
+        WHEN 'high' THEN 0
+        WHEN 'medium' THEN 1
+        WHEN 'low' THEN 2
+        ELSE 3
+      END,
+      created_at DESC
+  `);
+  return result.rows;
+}
+
+async function createRfiRequest({
+  worker_id,
+  worker_name,
+  project_id,
+  project_name,
+  subject,
+  description,
+  priority,
+  category,
+  attachments
+}) {
+  const result = await pool.query(`
+    INSERT INTO rfi_requests (
+      worker_id, worker_name, project_id, project_name,
+      subject, description, priority, category, attachments, status
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    worker_id, worker_name, project_id, project_name,
+    subject, description, priority || 'medium', category,
+    attachments ? JSON.stringify(attachments) : null, 'pending'
+  ]);
+  return result.rows[0];
+}
+
+// The following resolve to the affected row, or undefined if there is no such RFI
+
+async function respondToRfiRequest(id, { status, response }, respondedBy) {
+  const result = await pool.query(`
+    UPDATE rfi_requests
+    SET status = $1, response = $2, responded_by = $3,
+        responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+    RETURNING *
+  `, [status, response, respondedBy, id]);
+  return result.rows[0];
+}
+
+async function deleteRfiRequest(id) {
+  const result = await pool.query(
+    'DELETE FROM rfi_requests WHERE id = $1 RETURNING *',
+    [id]
+  );
+  return result.rows[0];
+}
+
+async function listWorkAreaRfis(workAreaId) {
+  const result = await pool.query(
+    'SELECT * FROM rfis WHERE work_area_id = $1 ORDER BY created_at DESC',
+    [workAreaId]
+  );
+  return result.rows;
+}
+
+async function createWorkAreaRfi(workAreaId, question, createdBy) {
+  const result = await pool.query(
+    `INSERT INTO rfis (work_area_id, question, created_by, status)
+     VALUES ($1, $2, $3, 'pending')
+     RETURNING *`,
+    [workAreaId, question, createdBy]
+  );
+  return result.rows[0];
+}
+
+async function answerWorkAreaRfi(workAreaId, rfiId, { answer, status }, answeredBy) {
+  const result = await pool.query(
+    `UPDATE rfis
+     SET answer = $1, answered_by = $2, status = $3, answered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 AND work_area_id = $5
+     RETURNING *`,
+    [answer, answeredBy, status || 'answered', rfiId, workAreaId]
+  );
+  return result.rows[0];
+}
+
+async function deleteWorkAreaRfi(workAreaId, rfiId) {
+  const result = await pool.query(
+    'DELETE FROM rfis WHERE id = $1 AND work_area_id = $2 RETURNING *',
+    [rfiId, workAreaId]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  listRfiRequests,
+  createRfiRequest,
+  respondToRfiRequest,
+  deleteRfiRequest,
+  listWorkAreaRfis,
+  createWorkAreaRfi,
+  answerWorkAreaRfi,
+  deleteWorkAreaRfi
+};
@@ -0,0 +1,117 @@
+// Risk matrix: likelihood x severity scoring for JSA job steps
+const { pool } = require('../db');
+
+// Used if the risk_matrix settings row is missing
+const DEFAULT_MATRIX = {
+  likelihood: ['Rare', 'Unlikely', 'Possible', 'Likely', 'Almost certain'],
+  severity: ['Negligible', 'Minor', 'Moderate', 'Major', 'Catastrophic'],
+  bands: [
+    { level: 'Low', upTo: 4, requiresApproval: false },
+    { level: 'Medium', upTo: 9, requiresApproval: false },
+    { level: 'High', upTo: 25, requiresApproval: true }
+  ]
+};
+
+async function getRiskMatrix(db = pool) {
+  const result = await db.query('SELECT likelihood, severity, bands, updated_by, updated_at FROM risk_matrix WHERE id = 1');
+  return result.rows[0] || DEFAULT_MATRIX;
+}
+
+// Replace the matrix. Steps already scored keep the levels they were saved with.
+async function saveRiskMatrix({ likelihood, severity, bands }, actor) {
+  const result = await pool.query(
+    `INSERT INTO risk_matrix (id, likelihood, severity, bands, updated_by, updated_at)
+     VALUES (1, $1, $2, $3, $4, NOW())
+     ON CONFLICT (id) DO UPDATE SET likelihood = $1, severity = $2, bands = $3, updated_by = $4, updated_at = NOW()
+     RETURNING likelihood, severity, bands, updated_by, updated_at`,
+    [JSON.stringify(likelihood), JSON.stringify(severity), JSON.stringify(bands), actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Problems with a proposed matrix, keyed by field; empty when it is usable
+function checkRiskMatrix({ likelihood, severity, bands }) {
+  const errors = {};
+  if (likelihood.length < 2 || likelihood.length > 10) {
+    errors.likelihood = 'must have 2 to 10 levels';
+  }
+  if (severity.length < 2 || severity.length > 10) {
+    errors.severity = 'must have 2 to 10 levels';
+  }
+  if (bands.some((band, index) => index > 0 && band.upTo <= bands[index - 1].upTo)) {
+    errors.bands = 'must be in order of increasing upTo';
+  } else if (bands.length === 0 || bands[bands.length - 1].upTo < likelihood.length * severity.length) {
+    errors.bands = `must cover every score up to ${likelihood.length * severity.length}`;
+  }
+  return errors;
+}
+
+// The band a likelihood and severity fall in: { score, level, requiresApproval },
+// or null unless both are given
+function scoreRisk(matrix, likelihood, severity) {
+  if (!likelihood || !severity) {
+    return null;
+  }
+  const score = likelihood * severity;
+  const band = matrix.bands.find(candidate => score <= candidate.upTo) || matrix.bands[matrix.bands.length - 1];
+  return { score, level: band.level, requiresApproval: band.requiresApproval === true };
+}
+
+// Likelihood or severity values outside the matrix's scales, keyed by field
+// path like validate() reports them, e.g. "jobSteps[2].residualSeverity"
+function checkJobSteps(matrix, jobSteps = []) {
+  const errors = {};
+  jobSteps.forEach((step, index) => {
+    for (const [field, scale] of [
+      ['likelihood', matrix.likelihood],
+      ['severity', matrix.severity],
+      ['residualLikelihood', matrix.likelihood],
+      ['residualSeverity', matrix.severity]
+    ]) {
+      if (step[field] && step[field] > scale.length) {
+        errors[`jobSteps[${index}].${field}`] = `must be between 1 and ${scale.length}`;
+      }
+    }
+  });
+  return errors;
+}
+
+// A job step as saved: with likelihood and severity, the score and level are
+// worked out from the matrix and riskLevel is replaced by that level;
+// without them riskLevel stays whatever was written
+function scoreJobStep(matrix, step) {
+  const before = scoreRisk(matrix, step.likelihood, step.severity);
+  const after = scoreRisk(matrix, step.residualLikelihood, step.residualSeverity);
+  return {
+    ...step,
+    riskLevel: before ? before.level : step.riskLevel,
+    riskScore: before ? before.score : null,
+    residualScore: after ? after.score : null,
+    residualLevel: after ? after.level : null
+  };
+}
+
+// Indexes of stored job steps (rows from job_steps) whose risk after controls
+// is in a band that needs a supervisor's approval. Steps not scored after
+// controls count at their level before controls, matched by band name for
+// steps that only have a free-text level.
+function stepsNeedingApproval(matrix, jobSteps) {
+  const needsApproval = new Set(matrix.bands
+    .filter(band => band.requiresApproval)
+    .map(band => band.level.toLowerCase()));
+
+  return jobSteps
+    .map((step, index) => ({ index, level: step.residual_level || step.risk_level }))
+    .filter(({ level }) => level && needsApproval.has(level.trim().toLowerCase()))
+    .map(({ index }) => index);
+}
+
+module.exports = {
+  getRiskMatrix,
+  saveRiskMatrix,
+  checkRiskMatrix,
+  scoreRisk,
+  checkJobSteps,
+  scoreJobStep,
+  stepsNeedingApproval
+};
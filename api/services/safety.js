@@ -0,0 +1,159 @@
+// Safety procedure and certificate queries
+const { pool } = require('../db');
+const { notify } = require('./notifications');
+const { formatDate } = require('../dates');
+
+// A certificate's status as of today, from its expiry date
+const CERTIFICATE_STATUS = `CASE
+      WHEN expiry_date < CURRENT_DATE THEN 'expired'
+      WHEN expiry_date <= CURRENT_DATE + INTERVAL '30 days' THEN 'expiring_soon'
+      ELSE 'active'
+    END`;
+
+// A worker's certificates, expired and expiring first. Statuses are
+// refreshed from the expiry dates on every read.
+async function listWorkerCertificates(workerId) {
+  await pool.query(`
+    UPDATE safety_certificates
+    SET status = ${CERTIFICATE_STATUS}
+    WHERE worker_id = $1
+  `, [workerId]);
+
+  const result = await pool.query(
+    `SELECT * FROM safety_certificates
+     WHERE worker_id = $1
+     ORDER BY
+       CASE status
+         WHEN 'expired' THEN 1
+         WHEN 'expiring_soon' THEN 2
+         ELSE 3
+       END,
+       expiry_date ASC`,
+    [workerId]
+  );
+  return result.rows;
+}
+
+// Bring every certificate's status up to date and notify each worker with an
+// account about a certificate that has started expiring soon or expired
+// since they were last told. All in one transaction; resolves to the
+// certificates they were notified about.
+async function refreshCertificateStatuses() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      UPDATE safety_certificates
+      SET status = ${CERTIFICATE_STATUS}, updated_at = NOW()
+      WHERE status IS DISTINCT FROM ${CERTIFICATE_STATUS}
+    `);
+
+    const result = await client.query(`
+      UPDATE safety_certificates c
+      SET notified_status = c.status
+      FROM users u
+      WHERE u.id = c.worker_id AND u.deleted_at IS NULL
+      AND c.status IN ('expiring_soon', 'expired')
+      AND c.notified_status IS DISTINCT FROM c.status
+      RETURNING c.id, c.worker_id, c.worker_name, c.certificate_name, c.expiry_date, c.status
+    `);
+
+    for (const certificate of result.rows) {
+      const expiry = formatDate(certificate.expiry_date);
+      await notify(client, {
+        userId: certificate.worker_id,
+        type: `certificate_${certificate.status}`,
+        title: certificate.status === 'expired' ? 'Certificate expired' : 'Certificate expiring soon',
+        message: certificate.status === 'expired'
+          ? `Your ${certificate.certificate_name} expired on ${expiry}. Renew it before your next shift.`
+          : `Your ${certificate.certificate_name} expires on ${expiry}. Book the renewal now.`
+      });
+    }
+
+    await client.query('COMMIT');
+    return result.rows;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Active procedures, optionally narrowed to a project, work area or category
+async function listProcedures({ project_id, work_area_id, category } = {}) {
+  let query = `
+    SELECT * FROM safety_procedures
+    WHERE is_active = true
+  `;
+  const params = [];
+
+  if (project_id) {
+    params.push(project_id);
+    query += ` AND project_id = $${params.length}`;
+  }
+
+  if (work_area_id) {
+    params.push(work_area_id);
+    query += ` AND work_area_id = $${params.length}`;
+  }
+
+  if (category && category !== 'all') {
+    params.push(category);
+    query += ` AND category = $${params.length}`;
+  }
+
+  query += ` ORDER BY uploaded_at DESC`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function createProcedure({
+  title,
+  description,
+  category,
+  file_url,
+  file_name,
+  file_size,
+  version,
+  tags,
+  project_id,
+  work_area_id,
+  uploaded_by
+}) {
+  const result = await pool.query(
+    `INSERT INTO safety_procedures (
+      title, description, category, file_url, file_name,
+      file_size, version, tags, project_id, work_area_id,
+      uploaded_by, is_active
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true)
+    RETURNING *`,
+    [
+      title, description, category, file_url, file_name,
+      file_size, version, tags, project_id, work_area_id,
+      uploaded_by || 'Foreman'
+    ]
+  );
+  return result.rows[0];
+}
+
+// Procedures are deactivated rather than deleted. Resolves to false if there is no such procedure.
+async function deactivateProcedure(id) {
+  const result = await pool.query(
+    `UPDATE safety_procedures
+     SET is_active = false, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING id`,
+    [id]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  listWorkerCertificates,
+  refreshCertificateStatuses,
+  listProcedures,
+  createProcedure,
+  deactivateProcedure
+};
@@ -0,0 +1,53 @@
+// Offline sync event log: each event a phone sends to /api/sync, keyed by
+// the phone's idempotency key, with what it was told
+const { pool } = require('../db');
+
+// How long an event may stay processing before a request that died while
+// applying it is assumed gone and the event can be taken over
+const PROCESSING_TIMEOUT_MINUTES = 5;
+
+// Take an event to apply it. Resolves to its row, or undefined if the key has
+// already been used by this user (see getEvent()).
+async function claimEvent({ userId, key, type, deviceId, clientTime }) {
+  const result = await pool.query(
+    `INSERT INTO sync_events (user_id, idempotency_key, type, device_id, client_time)
+     VALUES ($1, $2, $3, $4, $5::timestamptz)
+     ON CONFLICT (user_id, idempotency_key) DO UPDATE
+       SET type = EXCLUDED.type, device_id = EXCLUDED.device_id, client_time = EXCLUDED.client_time,
+         received_at = NOW()
+       WHERE sync_events.status = 'processing'
+       AND sync_events.received_at < NOW() - make_interval(mins => $6)
+     RETURNING *`,
+    [userId, key, type, deviceId || null, clientTime, PROCESSING_TIMEOUT_MINUTES]
+  );
+  return result.rows[0];
+}
+
+async function getEvent(userId, key) {
+  const result = await pool.query(
+    'SELECT * FROM sync_events WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, key]
+  );
+  return result.rows[0];
+}
+
+// Record an event's outcome (applied or conflict) and the response sent
+async function finishEvent(id, status, response) {
+  await pool.query(
+    'UPDATE sync_events SET status = $2, response = $3, processed_at = NOW() WHERE id = $1',
+    [id, status, JSON.stringify(response)]
+  );
+}
+
+// Forget an event that failed on the server's side, so that sending it again
+// tries it again
+async function releaseEvent(id) {
+  await pool.query("DELETE FROM sync_events WHERE id = $1 AND status = 'processing'", [id]);
+}
+
+module.exports = {
+  claimEvent,
+  getEvent,
+  finishEvent,
+  releaseEvent
+};
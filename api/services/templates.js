@@ -0,0 +1,208 @@
+// JSA template and hazard/control library queries
+const { pool } = require('../db');
+const { patchRecord } = require('./audit');
+
+const LIBRARY_KINDS = ['operation', 'hazard', 'control'];
+
+// API field -> column for partial template updates
+const TEMPLATE_FIELDS = {
+  name: 'name',
+  workType: 'work_type',
+  description: 'description',
+  jobSteps: 'job_steps',
+  tools: 'tools',
+  ppe: 'ppe'
+};
+
+// The JSONB columns; pg would send JS arrays as Postgres arrays otherwise
+function serializeTemplate(values) {
+  const serialized = { ...values };
+  for (const key of ['jobSteps', 'tools', 'ppe']) {
+    if (serialized[key] !== undefined) {
+      serialized[key] = JSON.stringify(serialized[key]);
+    }
+  }
+  return serialized;
+}
+
+// Every template, or those for one work type, by work type then name
+async function listTemplates({ workType } = {}) {
+  const params = [];
+  let query = 'SELECT * FROM jsa_templates';
+
+  if (workType) {
+    params.push(workType);
+    query += ' WHERE LOWER(work_type) = LOWER(TRIM($1))';
+  }
+
+  query += ' ORDER BY LOWER(work_type), LOWER(name)';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function getTemplate(id) {
+  const result = await pool.query('SELECT * FROM jsa_templates WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+async function templateNameExists(name, exceptId = null) {
+  const result = await pool.query(
+    'SELECT id FROM jsa_templates WHERE LOWER(name) = LOWER(TRIM($1)) AND ($2::int IS NULL OR id <> $2)',
+    [name, exceptId]
+  );
+  return result.rows.length > 0;
+}
+
+// Add a template's operations, hazards and controls to the library, so
+// whatever goes into a template can be picked for other job steps too
+async function addTemplateToLibrary(db, { workType, jobSteps = [] }, actor) {
+  const entries = [];
+  for (const step of jobSteps) {
+    entries.push(['operation', step.operation]);
+    (Array.isArray(step.hazards) ? step.hazards : []).forEach(text => entries.push(['hazard', text]));
+    (Array.isArray(step.safetyControls) ? step.safetyControls : []).forEach(text => entries.push(['control', text]));
+  }
+
+  for (const [kind, text] of entries) {
+    if (typeof text === 'string' && text.trim() !== '') {
+      await db.query(
+        `INSERT INTO jsa_library (kind, text, work_type, created_by) VALUES ($1, TRIM($2), $3, $4)
+         ON CONFLICT DO NOTHING`,
+        [kind, text, workType, actor ? actor.id : null]
+      );
+    }
+  }
+}
+
+async function createTemplate({ name, workType, description, jobSteps = [], tools = [], ppe = [] }, actor) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO jsa_templates (name, work_type, description, job_steps, tools, ppe, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [name, workType, description || null, JSON.stringify(jobSteps), JSON.stringify(tools), JSON.stringify(ppe), actor ? actor.id : null]
+    );
+    await addTemplateToLibrary(client, { workType, jobSteps }, actor);
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Change only the fields given, auditing each one that changed. Resolves to
+// the template, or undefined if there is no such template.
+async function updateTemplate(id, updates, actor) {
+  const template = await patchRecord({
+    table: 'jsa_templates',
+    entity: 'jsa_template',
+    id,
+    fields: TEMPLATE_FIELDS,
+    updates: serializeTemplate(updates),
+    actor
+  });
+  if (template && updates.jobSteps) {
+    await addTemplateToLibrary(pool, { workType: template.work_type, jobSteps: updates.jobSteps }, actor);
+  }
+  return template;
+}
+
+// Resolves to the deleted template, or undefined if there was none
+async function deleteTemplate(id) {
+  const result = await pool.query('DELETE FROM jsa_templates WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0];
+}
+
+// What a new form takes from a template, as createForm takes it
+function copyOfTemplate(template) {
+  return {
+    formData: {},
+    sections: {
+      jobSteps: template.job_steps,
+      tools: template.tools,
+      ppe: template.ppe
+    }
+  };
+}
+
+// Library entries matching q anywhere in their text, or with lang in their
+// translation too, optionally of one kind and for one work type (entries
+// without a work type apply to all). Closest matches first: those starting
+// with q, then alphabetical.
+async function searchLibrary({ kind, q, workType, lang, limit = 50 } = {}) {
+  const params = [];
+  const conditions = [];
+
+  if (kind) {
+    params.push(kind);
+    conditions.push(`kind = $${params.length}`);
+  }
+  if (workType) {
+    params.push(workType);
+    conditions.push(`(work_type IS NULL OR LOWER(work_type) = LOWER(TRIM($${params.length})))`);
+  }
+
+  // q is matched literally, so % and _ in it are escaped
+  params.push((q || '').replace(/[\\%_]/g, '\\$&'));
+  const search = `$${params.length}`;
+  if (q && lang && lang !== 'en') {
+    params.push(lang);
+    conditions.push(`(text ILIKE '%' || ${search} || '%' OR EXISTS (
+      SELECT 1 FROM jsa_translations t
+      WHERE t.language = $${params.length} AND LOWER(TRIM(t.source_text)) = LOWER(TRIM(jsa_library.text))
+        AND t.text ILIKE '%' || ${search} || '%'
+    ))`);
+  } else {
+    conditions.push(`text ILIKE '%' || ${search} || '%'`);
+  }
+
+  params.push(limit);
+  const result = await pool.query(`
+    SELECT * FROM jsa_library
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY (text ILIKE ${search} || '%') DESC, LOWER(text)
+    LIMIT $${params.length}
+  `, params);
+  return result.rows;
+}
+
+async function getLibraryEntry(id) {
+  const result = await pool.query('SELECT * FROM jsa_library WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+// Resolves to the new entry, or undefined if the library already has it
+async function addLibraryEntry({ kind, text, workType }, actor) {
+  const result = await pool.query(
+    `INSERT INTO jsa_library (kind, text, work_type, created_by) VALUES ($1, $2, $3, $4)
+     ON CONFLICT DO NOTHING RETURNING *`,
+    [kind, text, workType || null, actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the deleted entry, or undefined if there was none
+async function deleteLibraryEntry(id) {
+  const result = await pool.query('DELETE FROM jsa_library WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0];
+}
+
+module.exports = {
+  LIBRARY_KINDS,
+  listTemplates,
+  getTemplate,
+  templateNameExists,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  copyOfTemplate,
+  searchLibrary,
+  getLibraryEntry,
+  addLibraryEntry,
+  deleteLibraryEntry
+};
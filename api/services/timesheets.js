@@ -0,0 +1,379 @@
+// Timesheet queries and hour calculations
+const { pool } = require('../db');
+const { resolveWorker, matchesWorker } = require('./workers');
+
+// Weekly hours after which time counts as overtime
+const WEEKLY_OVERTIME_THRESHOLD = 44;
+
+// First Sunday of a year; timesheet weeks run Sunday to Saturday starting from it
+function firstSundayOfYear(year) {
+  const startOfYear = new Date(year, 0, 1);
+  const startOfYearDay = startOfYear.getDay();
+  const daysToFirstSunday = startOfYearDay === 0 ? 0 : 7 - startOfYearDay;
+  return new Date(startOfYear.getTime() + daysToFirstSunday * 86400000);
+}
+
+// Sunday-based week number of a date
+function weekNumberOf(date) {
+  const timesheetDate = new Date(date);
+  const firstSunday = firstSundayOfYear(timesheetDate.getFullYear());
+  const diffDays = Math.floor((timesheetDate.getTime() - firstSunday.getTime()) / 86400000);
+  return Math.max(1, Math.floor(diffDays / 7) + 1);
+}
+
+// First and last day (YYYY-MM-DD) of a Sunday-based week
+function weekDateRange(week, year) {
+  const firstSunday = firstSundayOfYear(parseInt(year));
+  const weekStart = new Date(firstSunday.getTime() + (parseInt(week) - 1) * 7 * 86400000);
+  const weekEnd = new Date(weekStart.getTime() + 6 * 86400000);
+  return [weekStart.toISOString().split('T')[0], weekEnd.toISOString().split('T')[0]];
+}
+
+// Hours between two HH:MM times less the break (in decimal hours),
+// rounded to 2 decimal places. Overnight shifts wrap past midnight.
+function calculateTotalHours(startTime, endTime, breakDuration) {
+  const [startHour, startMin] = startTime.split(':').map(Number);
+  const [endHour, endMin] = endTime.split(':').map(Number);
+
+  let durationMinutes = (endHour * 60 + endMin) - (startHour * 60 + startMin);
+  if (durationMinutes < 0) {
+    durationMinutes += 24 * 60;
+  }
+
+  durationMinutes -= parseFloat(breakDuration || 0) * 60;
+  return Math.round((durationMinutes / 60) * 100) / 100;
+}
+
+// Split each entry's hours into regular and overtime. Overtime is weekly, so
+// it lands on the entries that take the worker's week past the threshold.
+function applyWeeklyOvertime(timesheets) {
+  const weeklyHours = {};
+  const weekKey = entry => `${entry.worker_id || entry.worker_name}-${entry.week_number}-${new Date(entry.date).getFullYear()}`;
+
+  // Group timesheets by week and worker
+  timesheets.forEach(entry => {
+    const key = weekKey(entry);
+    if (!weeklyHours[key]) {
+      weeklyHours[key] = {
+        totalHours: 0,
+        entries: []
+      };
+    }
+    weeklyHours[key].totalHours += parseFloat(entry.total_hours || 0);
+    weeklyHours[key].entries.push(entry);
+  });
+
+  return timesheets.map(entry => {
+    const weekData = weeklyHours[weekKey(entry)];
+    let entryOvertime = 0;
+    let cumulativeHours = 0;
+
+    // Find this entry's position in the week
+    const sortedEntries = weekData.entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+    for (let e of sortedEntries) {
+      const prevCumulative = cumulativeHours;
+      cumulativeHours += parseFloat(e.total_hours || 0);
+
+      if (e.id === entry.id) {
+        // This is our entry - check if it crosses the threshold
+        if (prevCumulative < WEEKLY_OVERTIME_THRESHOLD && cumulativeHours > WEEKLY_OVERTIME_THRESHOLD) {
+          entryOvertime = cumulativeHours - WEEKLY_OVERTIME_THRESHOLD;
+        } else if (prevCumulative >= WEEKLY_OVERTIME_THRESHOLD) {
+          entryOvertime = parseFloat(e.total_hours || 0);
+        }
+        break;
+      }
+    }
+
+    return {
+      ...entry,
+      regular_hours: parseFloat(entry.total_hours || 0) - entryOvertime,
+      overtime_hours: entryOvertime
+    };
+  });
+}
+
+// A worker's latest 10 timesheets, or a whole week when week and year are given
+async function listWorkerTimesheets(workerId, { week, year } = {}) {
+  let query = 'SELECT * FROM timesheets WHERE worker_id = $1';
+  let params = [workerId];
+  let paramIndex = 2;
+
+  if (week && year) {
+    query += ` AND week_number = $${paramIndex++} AND EXTRACT(YEAR FROM date) = $${paramIndex++}`;
+    params.push(week, year);
+    query += ' ORDER BY date DESC';
+  } else {
+    query += ' ORDER BY date DESC LIMIT 10';
+  }
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Timesheet submission marks the worker present for that day
+async function markPresentForTimesheet(worker, date, startTime) {
+  const timesheetDate = typeof date === 'string' ? date : new Date(date).toISOString().split('T')[0];
+
+  const attendanceCheck = await pool.query(
+    `SELECT * FROM attendance WHERE ${matchesWorker('$1', '$2')} AND date = $3`,
+    [worker.id, worker.name, timesheetDate]
+  );
+
+  if (attendanceCheck.rows.length === 0) {
+    await pool.query(
+      'INSERT INTO attendance (worker_id, worker_name, date, status, check_in_time) VALUES ($1, $2, $3, $4, $5)',
+      [worker.id, worker.name, timesheetDate, 'present', startTime]
+    );
+  } else {
+    await pool.query(
+      `UPDATE attendance SET status = $1, check_in_time = COALESCE(check_in_time, $2) WHERE ${matchesWorker('$3', '$4')} AND date = $5`,
+      ['present', startTime, worker.id, worker.name, timesheetDate]
+    );
+  }
+}
+
+// Record a day's timesheet and mark the worker present
+// A timesheet already submitted for the worker, date and project, or
+// undefined. Offline phones use it to avoid submitting the same day twice.
+async function findSubmittedTimesheet({ worker_id, worker_name, date, project_name }) {
+  const worker = worker_id ? { id: worker_id, name: worker_name } : await resolveWorker(worker_name);
+  const result = await pool.query(
+    `SELECT * FROM timesheets
+     WHERE ${matchesWorker('$1', '$2')} AND date = $3 AND COALESCE(project_name, '') = COALESCE($4, '')
+     ORDER BY id
+     LIMIT 1`,
+    [worker.id, worker.name, date, project_name || null]
+  );
+  return result.rows[0];
+}
+
+async function submitTimesheet({ worker_id, worker_name, date, project_name, start_time, end_time, break_duration, total_hours, notes }) {
+  const weekNumber = weekNumberOf(date);
+  const calculatedTotalHours = start_time && end_time
+    ? calculateTotalHours(start_time, end_time, break_duration)
+    : total_hours || 0;
+
+  // For now, just track total hours - overtime will be calculated weekly
+  const regularHours = calculatedTotalHours;
+  const overtimeHours = 0; // Overtime is calculated on weekly basis, not daily
+
+  // Supervisors may submit for a worker by name only
+  const worker = worker_id ? { id: worker_id, name: worker_name } : await resolveWorker(worker_name);
+
+  const result = await pool.query(
+    'INSERT INTO timesheets (worker_id, worker_name, date, project_name, start_time, end_time, break_duration, total_hours, regular_hours, overtime_hours, notes, week_number) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *',
+    [worker.id, worker.name, date, project_name, start_time, end_time, break_duration || 0, calculatedTotalHours, regularHours, overtimeHours, notes || '', weekNumber]
+  );
+
+  try {
+    await markPresentForTimesheet(worker, date, start_time);
+  } catch (attendanceErr) {
+    console.error('Error updating attendance:', attendanceErr);
+    // Don't fail the timesheet submission if attendance update fails
+  }
+
+  return result.rows[0];
+}
+
+// All timesheets matching the filters, with weekly overtime applied
+async function listTimesheets({ week, year, worker_id, worker_name } = {}) {
+  let query = `
+    SELECT *,
+      total_hours as regular_hours,
+      0 as overtime_hours
+    FROM timesheets
+    WHERE 1=1
+  `;
+  let params = [];
+  let paramIndex = 1;
+
+  if (worker_id) {
+    query += ` AND worker_id = $${paramIndex++}`;
+    params.push(worker_id);
+  }
+
+  if (worker_name) {
+    const worker = await resolveWorker(worker_name);
+    query += ` AND ${matchesWorker(`$${paramIndex++}`, `$${paramIndex++}`)}`;
+    params.push(worker.id, worker.name);
+  }
+
+  if (week && year) {
+    query += ` AND date >= $${paramIndex++} AND date <= $${paramIndex++}`;
+    params.push(...weekDateRange(week, year));
+  } else if (year) {
+    query += ` AND EXTRACT(YEAR FROM date) = $${paramIndex++}`;
+    params.push(year);
+  }
+
+  query += ' ORDER BY date DESC';
+
+  const result = await pool.query(query, params);
+  return applyWeeklyOvertime(result.rows);
+}
+
+// Per-worker hour totals for one week
+async function getWeeklySummary(week, year) {
+  const result = await pool.query(
+    `SELECT
+      t.worker_id,
+      COALESCE(u.name, t.worker_name) as worker_name,
+      SUM(COALESCE(t.regular_hours, LEAST(t.total_hours, 8))) as total_regular_hours,
+      SUM(COALESCE(t.overtime_hours, GREATEST(t.total_hours - 8, 0))) as total_overtime_hours,
+      SUM(t.total_hours) as total_hours,
+      COUNT(*) as days_worked
+    FROM timesheets t
+    LEFT JOIN users u ON u.id = t.worker_id
+    WHERE t.date >= $1 AND t.date <= $2
+    GROUP BY t.worker_id, COALESCE(u.name, t.worker_name)
+    ORDER BY worker_name`,
+    weekDateRange(week, year)
+  );
+  return result.rows;
+}
+
+// The following resolve to the updated row, or undefined if there is no such timesheet
+
+async function approveTimesheet(id, approvedBy) {
+  const result = await pool.query(
+    'UPDATE timesheets SET status = $1, approved_at = NOW(), approved_by = $2 WHERE id = $3 RETURNING *',
+    ['approved', approvedBy, id]
+  );
+  return result.rows[0];
+}
+
+async function rejectTimesheet(id, rejectedBy) {
+  const result = await pool.query(
+    'UPDATE timesheets SET status = $1, rejected_by = $2 WHERE id = $3 RETURNING *',
+    ['rejected', rejectedBy, id]
+  );
+  return result.rows[0];
+}
+
+async function editTimesheet(id, { start_time, end_time, break_hours, work_description }, editedBy) {
+  const result = await pool.query(
+    `UPDATE timesheets
+     SET start_time = $1, end_time = $2, break_hours = $3,
+         work_description = $4, edited_by = $5, edited_at = NOW()
+     WHERE id = $6 RETURNING *`,
+    [start_time, end_time, break_hours, work_description, editedBy, id]
+  );
+  return result.rows[0];
+}
+
+async function deleteTimesheet(id) {
+  const result = await pool.query('DELETE FROM timesheets WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0];
+}
+
+// A worker's sign-in and sign-out times for a day, used to prefill the timesheet
+async function getSigninTimes(workerId, date) {
+  const result = await pool.query(
+    `SELECT signin_time, signout_time
+     FROM worker_signins
+     WHERE worker_id = $1
+     AND signin_date = $2
+     ORDER BY signin_time DESC
+     LIMIT 1`,
+    [workerId, date]
+  );
+
+  if (result.rows.length === 0) {
+    return { signin_time: null, signout_time: null };
+  }
+
+  return {
+    signin_time: result.rows[0].signin_time,
+    signout_time: result.rows[0].signout_time
+  };
+}
+
+// Worked hours for a user over a date range
+async function listTimesheetsForPeriod({ userId, startDate, endDate }) {
+  let query = `
+    SELECT
+      date,
+      start_time as sign_in_time,
+      end_time as sign_out_time,
+      COALESCE(break_duration, break_hours * 60, 0) as break_duration,
+      COALESCE(total_hours, hours_worked, 0) as total_hours,
+      COALESCE(overtime_hours, 0) as overtime_hours,
+      project_name,
+      work_description as task_description,
+      COALESCE(status, 'pending') as status
+    FROM timesheets
+    WHERE 1=1
+  `;
+
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    query += ` AND worker_id = $1`;
+  }
+
+  if (startDate) {
+    params.push(startDate);
+    query += ` AND date >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    query += ` AND date <= $${params.length}`;
+  }
+
+  query += ' ORDER BY date DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Weekly totals for the last few weeks
+async function getTimesheetHistory({ userId, weeks = 4 }) {
+  const weeksAgo = new Date();
+  weeksAgo.setDate(weeksAgo.getDate() - (weeks * 7));
+
+  let query = `
+    SELECT
+      date_trunc('week', date) as week_start,
+      COUNT(DISTINCT date) as days_worked,
+      SUM(COALESCE(total_hours, hours_worked, 0)) as total_hours,
+      SUM(COALESCE(overtime_hours, 0)) as overtime_hours,
+      STRING_AGG(DISTINCT project_name, ', ') as projects
+    FROM timesheets
+    WHERE date >= $1
+  `;
+
+  const params = [weeksAgo];
+
+  if (userId) {
+    params.push(userId);
+    query += ` AND worker_id = $${params.length}`;
+  }
+
+  query += ` GROUP BY date_trunc('week', date)
+             ORDER BY week_start DESC`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+module.exports = {
+  weekNumberOf,
+  weekDateRange,
+  calculateTotalHours,
+  applyWeeklyOvertime,
+  listWorkerTimesheets,
+  findSubmittedTimesheet,
+  submitTimesheet,
+  listTimesheets,
+  getWeeklySummary,
+  approveTimesheet,
+  rejectTimesheet,
+  editTimesheet,
+  deleteTimesheet,
+  getSigninTimes,
+  listTimesheetsForPeriod,
+  getTimesheetHistory
+};
@@ -0,0 +1,206 @@
+// Translations of JSA text. Forms and templates keep the English they were
+// written in; each piece of text is looked up by its English wording, so one
+// translation covers every form, template and library entry that uses it.
+const { pool } = require('../db');
+
+// Lookup key for a piece of text: the same wording whatever its case or
+// surrounding spaces
+function textKey(text) {
+  return String(text).trim().toLowerCase();
+}
+
+// Hazards and controls are JSON arrays, older ones sometimes a single string
+function asList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value ? [value] : [];
+}
+
+// Translations for a language, matching q in either language, by English text
+async function listTranslations({ language, q, limit = 200 }) {
+  const params = [language];
+  let query = 'SELECT * FROM jsa_translations WHERE language = $1';
+
+  if (q) {
+    // q is matched literally, so % and _ in it are escaped
+    params.push(q.replace(/[\\%_]/g, '\\$&'));
+    query += ` AND (source_text ILIKE '%' || $${params.length} || '%' OR text ILIKE '%' || $${params.length} || '%')`;
+  }
+
+  params.push(limit);
+  query += ` ORDER BY LOWER(source_text) LIMIT $${params.length}`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function getTranslation(id) {
+  const result = await pool.query('SELECT * FROM jsa_translations WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+// Add the translation of some English text, or replace the one it has
+async function saveTranslation({ language, source, text }, actor, db = pool) {
+  const result = await db.query(
+    `INSERT INTO jsa_translations (language, source_text, text, updated_by, updated_at)
+     VALUES ($1, TRIM($2), TRIM($3), $4, NOW())
+     ON CONFLICT (language, LOWER(TRIM(source_text)))
+     DO UPDATE SET text = EXCLUDED.text, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING *`,
+    [language, source, text, actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Save several translations at once; all are saved or none
+async function saveTranslations(language, entries, actor) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = [];
+    for (const { source, text } of entries) {
+      saved.push(await saveTranslation({ language, source, text }, actor, client));
+    }
+    await client.query('COMMIT');
+    return saved;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Resolves to the deleted translation, or undefined if there was none
+async function deleteTranslation(id) {
+  const result = await pool.query('DELETE FROM jsa_translations WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0];
+}
+
+// The stored translations of texts into language, as a Map from textKey()
+// to the translated text. Texts without one are left out.
+async function findTranslations(language, texts) {
+  const keys = [...new Set(texts.filter(text => typeof text === 'string' && text.trim() !== '').map(textKey))];
+  if (keys.length === 0) {
+    return new Map();
+  }
+  const result = await pool.query(
+    'SELECT LOWER(TRIM(source_text)) AS key, text FROM jsa_translations WHERE language = $1 AND LOWER(TRIM(source_text)) = ANY($2)',
+    [language, keys]
+  );
+  return new Map(result.rows.map(row => [row.key, row.text]));
+}
+
+// A function turning a text into its translation, or leaving it as it is
+// when there isn't one
+async function translator(language, texts) {
+  const translations = await findTranslations(language, texts);
+  const translate = value => (typeof value === 'string' && translations.get(textKey(value))) || value;
+  translate.list = value => (Array.isArray(value) ? value.map(translate) : translate(value));
+  return translate;
+}
+
+// Every piece of text on a template that can be translated, once each
+function templateTexts(template) {
+  const texts = [
+    template.name,
+    template.description,
+    ...(template.job_steps || []).flatMap(step => [
+      step.operation, ...asList(step.hazards), ...asList(step.safetyControls), step.riskLevel
+    ]),
+    ...(template.tools || []),
+    ...(template.ppe || [])
+  ].filter(text => typeof text === 'string' && text.trim() !== '');
+
+  const unique = new Map();
+  for (const text of texts) {
+    if (!unique.has(textKey(text))) {
+      unique.set(textKey(text), text.trim());
+    }
+  }
+  return [...unique.values()];
+}
+
+// A form as returned by getFormWithDetails() with its job steps, risk
+// levels, tools and PPE in language. Names, the project and the site are
+// left as they are. The content hash is still that of the English, which
+// is what the crew sign.
+async function localizeForm(details, language) {
+  if (language === 'en') {
+    return { ...details, language };
+  }
+
+  const { jobSteps, tools, ppe } = details;
+  const translate = await translator(language, [
+    ...jobSteps.flatMap(step => [
+      step.operation, ...asList(step.hazards), ...asList(step.safetyControls), step.risk_level, step.residual_level
+    ]),
+    ...tools,
+    ...ppe
+  ]);
+
+  return {
+    ...details,
+    language,
+    jobSteps: jobSteps.map(step => ({
+      ...step,
+      operation: translate(step.operation),
+      hazards: translate.list(step.hazards),
+      safetyControls: translate.list(step.safetyControls),
+      safety_controls: translate.list(step.safetyControls),
+      risk_level: translate(step.risk_level),
+      residual_level: translate(step.residual_level)
+    })),
+    tools: tools.map(translate),
+    ppe: ppe.map(translate)
+  };
+}
+
+// A template with its text in language, as localizeForm() does for forms
+async function localizeTemplate(template, language) {
+  if (language === 'en') {
+    return { ...template, language };
+  }
+
+  const translate = await translator(language, templateTexts(template));
+  return {
+    ...template,
+    language,
+    name: translate(template.name),
+    description: translate(template.description),
+    job_steps: (template.job_steps || []).map(step => ({
+      ...step,
+      operation: translate(step.operation),
+      hazards: translate.list(step.hazards),
+      safetyControls: translate.list(step.safetyControls),
+      riskLevel: translate(step.riskLevel)
+    })),
+    tools: (template.tools || []).map(translate),
+    ppe: (template.ppe || []).map(translate)
+  };
+}
+
+// Library entries with a translation field: their text in language, or null
+// where it has none yet
+async function withLibraryTranslations(entries, language) {
+  if (language === 'en') {
+    return entries.map(entry => ({ ...entry, translation: entry.text }));
+  }
+  const translations = await findTranslations(language, entries.map(entry => entry.text));
+  return entries.map(entry => ({ ...entry, translation: translations.get(textKey(entry.text)) || null }));
+}
+
+module.exports = {
+  textKey,
+  listTranslations,
+  getTranslation,
+  saveTranslation,
+  saveTranslations,
+  deleteTranslation,
+  findTranslations,
+  templateTexts,
+  localizeForm,
+  localizeTemplate,
+  withLibraryTranslations
+};
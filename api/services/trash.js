@@ -0,0 +1,153 @@
+// Trash for soft-deleted projects, JSA forms, workers and work areas
+const { pool } = require('../db');
+const { recordChange } = require('./audit');
+
+// Days a deleted record can still be restored before the purge job removes it
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+// Everything that goes to the trash instead of being deleted: its table, key
+// column, audit entity, a SQL expression naming it in the trash listing, and
+// the columns handed back to routes. keep is a SQL condition for records the
+// purge never deletes. Purged in this order, so forms and work areas go
+// before the projects they belong to, and workers go last.
+const TRASH_TYPES = {
+  form: {
+    table: 'jsa_forms',
+    key: 'form_id',
+    entity: 'jsa_form',
+    label: "COALESCE(NULLIF(t.project_name, ''), NULLIF(t.site_address, ''), t.form_id)",
+    columns: '*',
+    // A signed JSA is a safety record; deleting it would take the signatures
+    // with it
+    keep: `EXISTS (SELECT 1 FROM form_signatures s WHERE s.form_id = t.form_id)
+      OR EXISTS (SELECT 1 FROM crew_members c WHERE c.form_id = t.form_id AND c.signed)`
+  },
+  work_area: { table: 'work_areas', key: 'id', entity: 'work_area', label: 't.name', columns: '*' },
+  project: { table: 'projects', key: 'id', entity: 'project', label: 't.name', columns: '*' },
+  worker: {
+    table: 'users',
+    key: 'id',
+    entity: 'worker',
+    label: 't.name',
+    columns: 'id, name, email, role, deleted_at, deleted_by'
+  }
+};
+
+// Mark a live record as deleted. Resolves to the record, or undefined if
+// there is no such record or it is already in the trash.
+async function moveToTrash(type, id, actor) {
+  const { table, key, columns } = TRASH_TYPES[type];
+  const result = await pool.query(
+    `UPDATE ${table} SET deleted_at = NOW(), deleted_by = $2
+     WHERE ${key} = $1 AND deleted_at IS NULL
+     RETURNING ${columns}`,
+    [id, actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Take a record out of the trash. Resolves to the record, or undefined if it
+// is not in the trash (never deleted, already restored, or purged).
+async function restoreFromTrash(type, id) {
+  const { table, key, columns } = TRASH_TYPES[type];
+  const result = await pool.query(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL
+     WHERE ${key} = $1 AND deleted_at IS NOT NULL
+     RETURNING ${columns}`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+// Everything in the trash (or one type of it), most recently deleted first,
+// with who deleted it and when the purge job will remove it
+async function listTrash(type) {
+  const entries = [];
+
+  for (const name of type ? [type] : Object.keys(TRASH_TYPES)) {
+    const { table, key, label } = TRASH_TYPES[name];
+    const result = await pool.query(`
+      SELECT $1::text AS type, t.${key}::text AS id, ${label} AS name,
+             t.deleted_at, t.deleted_by, u.name AS deleted_by_name,
+             t.deleted_at + make_interval(days => $2) AS purge_after
+      FROM ${table} t
+      LEFT JOIN users u ON u.id = t.deleted_by
+      WHERE t.deleted_at IS NOT NULL
+    `, [name, TRASH_RETENTION_DAYS]);
+    entries.push(...result.rows);
+  }
+
+  return entries.sort((a, b) => b.deleted_at - a.deleted_at);
+}
+
+// Permanently delete everything that has been in the trash for more than
+// retentionDays, auditing each record purged. Each row is deleted in its own
+// savepoint: one that other records still point at (a project with sign-ins,
+// a foreman with sign-in sheets) stays in the trash and is counted as kept,
+// as do records matching their type's keep condition (signed forms).
+// Resolves to { <type>: { purged, kept } }.
+async function purgeTrash(retentionDays = TRASH_RETENTION_DAYS, actor = null) {
+  const summary = {};
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const [type, { table, key, entity, keep }] of Object.entries(TRASH_TYPES)) {
+      const expired = await client.query(
+        `SELECT t.${key} AS key, t.deleted_at, t.deleted_by, ${keep ? `(${keep})` : 'false'} AS keep
+         FROM ${table} t
+         WHERE t.deleted_at < NOW() - make_interval(days => $1)
+         FOR UPDATE OF t`,
+        [retentionDays]
+      );
+      summary[type] = { purged: 0, kept: 0 };
+
+      for (const row of expired.rows) {
+        if (row.keep) {
+          summary[type].kept++;
+          continue;
+        }
+
+        await client.query('SAVEPOINT purge_record');
+        try {
+          await client.query(`DELETE FROM ${table} WHERE ${key} = $1`, [row.key]);
+          await recordChange({
+            entity,
+            entityId: row.key,
+            action: 'purge',
+            actor,
+            before: { deleted_at: row.deleted_at, deleted_by: row.deleted_by },
+            after: null
+          }, client);
+          await client.query('RELEASE SAVEPOINT purge_record');
+          summary[type].purged++;
+        } catch (err) {
+          await client.query('ROLLBACK TO SAVEPOINT purge_record');
+          // foreign_key_violation: still referenced, leave it in the trash
+          if (err.code !== '23503') {
+            throw err;
+          }
+          summary[type].kept++;
+        }
+      }
+    }
+
+    await client.query('COMMIT');
+    return summary;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  moveToTrash,
+  restoreFromTrash,
+  listTrash,
+  purgeTrash
+};
@@ -0,0 +1,335 @@
+// User account queries: registration, PIN changes, login attendance and
+// supervisor user administration
+const { pool } = require('../db');
+const { generateTemporaryPin } = require('../auth');
+const { patchRecord, recordChange } = require('./audit');
+const { matchesWorker } = require('./workers');
+
+const ROLES = ['worker', 'foreman', 'supervisor'];
+
+// What the admin API returns for a user; never the PIN hash or lockout state
+const USER_COLUMNS = 'id, name, display_name, email, role, must_change_pin, deactivated_at, deactivated_by, created_at, updated_at';
+
+// Fields an admin update may change (API field -> column)
+const USER_FIELDS = {
+  name: 'name',
+  displayName: 'display_name',
+  email: 'email',
+  role: 'role'
+};
+
+// Mark a worker present for the day when they log in, keeping any location
+// already recorded. geofence is the nearest site fence to the location, from
+// nearestGeofence().
+async function recordLoginAttendance(user, date, { latitude, longitude, address, geofence }) {
+  const checkInTime = new Date().toISOString();
+
+  const existingAttendance = await pool.query(
+    `SELECT id FROM attendance WHERE ${matchesWorker('$1', '$2')} AND date = $3`,
+    [user.id, user.name, date]
+  );
+
+  if (existingAttendance.rows.length === 0) {
+    await pool.query(`
+      INSERT INTO attendance (
+        worker_id, worker_name, date, status,
+        check_in_time, latitude, longitude, address,
+        nearest_project_id, distance_from_site_m, outside_geofence
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        user.id, user.name, date, 'present', checkInTime, latitude, longitude, address || null,
+        geofence ? geofence.project.id : null, geofence ? geofence.distance : null, geofence ? geofence.outside : null
+      ]
+    );
+    console.log('Created attendance record with GPS for:', user.name);
+  } else {
+    await pool.query(`
+      UPDATE attendance
+      SET latitude = COALESCE(latitude, $1),
+          longitude = COALESCE(longitude, $2),
+          address = COALESCE(address, $3),
+          check_in_time = COALESCE(check_in_time, $4),
+          nearest_project_id = CASE WHEN distance_from_site_m IS NULL THEN $8 ELSE nearest_project_id END,
+          outside_geofence = CASE WHEN distance_from_site_m IS NULL THEN $10 ELSE outside_geofence END,
+          distance_from_site_m = COALESCE(distance_from_site_m, $9),
+          status = 'present'
+      WHERE ${matchesWorker('$5', '$6')} AND date = $7`,
+      [
+        latitude, longitude, address || null, checkInTime, user.id, user.name, date,
+        geofence ? geofence.project.id : null, geofence ? geofence.distance : null, geofence ? geofence.outside : null
+      ]
+    );
+    console.log('Updated attendance with GPS for:', user.name);
+  }
+}
+
+// Whether a user (other than exceptId) already has this name. Users in the
+// trash don't count.
+async function userNameExists(name, exceptId = null) {
+  const result = await pool.query(
+    'SELECT id FROM users WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL AND id IS DISTINCT FROM $2',
+    [name, exceptId]
+  );
+  return result.rows.length > 0;
+}
+
+// Create the user and their worker_details row together. Resolves to the new user id.
+async function registerWorker({ fullName, pin, role, details, certificateUrls }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      "INSERT INTO users (name, pin_hash, role) VALUES ($1, crypt($2, gen_salt('bf')), $3) RETURNING id",
+      [fullName, pin, role]
+    );
+
+    const userId = userResult.rows[0].id;
+
+    await client.query(`
+      INSERT INTO worker_details (
+        user_id, first_name, last_name, date_of_birth,
+        address, email, phone, emergency_contact, emergency_phone,
+        language, registration_date,
+        working_at_heights_cert, whimis_cert, worker_4step_cert
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+      userId, details.firstName, details.lastName, details.dateOfBirth,
+      details.address, details.email || null, details.phone, details.emergencyContact, details.emergencyPhone,
+      details.language, details.registrationDate,
+      certificateUrls.workingAtHeights || null,
+      certificateUrls.whimis || null,
+      certificateUrls.worker4Step || null
+    ]);
+
+    await client.query('COMMIT');
+    return userId;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function setPin(userId, pin) {
+  await pool.query(
+    "UPDATE users SET pin_hash = crypt($1, gen_salt('bf')), must_change_pin = false WHERE id = $2",
+    [pin, userId]
+  );
+}
+
+// Replace a user's PIN with a temporary one and clear any lockout.
+// Resolves to { id, name }, or undefined if there is no such user.
+async function resetPin(userId, temporaryPin) {
+  const result = await pool.query(
+    `UPDATE users
+     SET pin_hash = crypt($1, gen_salt('bf')),
+         must_change_pin = true,
+         failed_pin_attempts = 0,
+         locked_until = NULL
+     WHERE id = $2
+     RETURNING id, name`,
+    [temporaryPin, userId]
+  );
+  return result.rows[0];
+}
+
+// Users that aren't in the trash, by name. Deactivated users are left out
+// unless includeDeactivated is set.
+async function listUsers({ includeDeactivated = false } = {}) {
+  const result = await pool.query(`
+    SELECT ${USER_COLUMNS} FROM users
+    WHERE deleted_at IS NULL
+      AND ($1 OR deactivated_at IS NULL)
+    ORDER BY LOWER(name), id
+  `, [includeDeactivated]);
+  return result.rows;
+}
+
+// Resolves to the user, or undefined if there is no such user or they are in the trash
+async function getUser(id, db = pool) {
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND deleted_at IS NULL`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+// Insert a user with a PIN they must change on first login. db may be a
+// transaction client. Resolves to the new user.
+async function insertUser(db, { name, displayName, email, role, pin }) {
+  const result = await db.query(
+    `INSERT INTO users (name, display_name, email, role, pin_hash, must_change_pin)
+     VALUES ($1, $2, $3, $4, crypt($5, gen_salt('bf')), true)
+     RETURNING ${USER_COLUMNS}`,
+    [name, displayName || null, email || null, role, pin]
+  );
+  return result.rows[0];
+}
+
+async function createUser(details) {
+  return insertUser(pool, details);
+}
+
+// Apply an admin update (name, displayName, email, role), auditing each field
+// that changed. Resolves to the updated user, or undefined if there is no such user.
+async function updateUser(id, updates, actor) {
+  const updated = await patchRecord({
+    table: 'users',
+    entity: 'user',
+    id,
+    fields: USER_FIELDS,
+    updates,
+    actor
+  });
+  return updated && getUser(id);
+}
+
+// Stop a user from logging in while keeping them and their history. Resolves
+// to the user, or undefined if there is no such active user.
+async function deactivateUser(id, actor) {
+  const result = await pool.query(
+    `UPDATE users SET deactivated_at = NOW(), deactivated_by = $2, updated_at = NOW()
+     WHERE id = $1 AND deactivated_at IS NULL AND deleted_at IS NULL
+     RETURNING ${USER_COLUMNS}`,
+    [id, actor ? actor.id : null]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the user, or undefined if there is no such deactivated user
+async function reactivateUser(id) {
+  const result = await pool.query(
+    `UPDATE users SET deactivated_at = NULL, deactivated_by = NULL, updated_at = NOW()
+     WHERE id = $1 AND deactivated_at IS NOT NULL AND deleted_at IS NULL
+     RETURNING ${USER_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+// The audited view of a user row
+function auditedUser(user) {
+  return user && {
+    name: user.name,
+    display_name: user.display_name,
+    email: user.email,
+    role: user.role
+  };
+}
+
+// Import a crew roster. Each row ({ line, name, displayName, email, role, pin })
+// has already been validated. A row whose name matches an existing user
+// (case-insensitively, ignoring the trash) updates that user's display name,
+// email and role where the row gives them; any other row creates a user with
+// the row's PIN, or a generated one, to be changed on first login. PINs of
+// existing users are never touched.
+//
+// Every row is applied in one transaction, each in its own savepoint so a row
+// the database rejects (a duplicate email, say) is reported instead of
+// aborting the rest. The transaction is rolled back on a dry run or if any row
+// failed, so an import is all or nothing. Resolves to one result per row:
+// { line, name, action: 'create' | 'update' | 'unchanged' | 'error', user?,
+// changes?, temporaryPin?, errors? }.
+async function importRoster(rows, { dryRun = false, actor = null } = {}) {
+  const results = [];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const row of rows) {
+      const result = { line: row.line, name: row.name };
+      results.push(result);
+
+      const existing = await client.query(
+        `SELECT ${USER_COLUMNS} FROM users
+         WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL
+         ORDER BY id`,
+        [row.name]
+      );
+      if (existing.rows.length > 1) {
+        result.action = 'error';
+        result.errors = { name: `matches ${existing.rows.length} users - merge them first` };
+        continue;
+      }
+
+      await client.query('SAVEPOINT roster_row');
+      try {
+        if (existing.rows.length === 0) {
+          const pin = row.pin || generateTemporaryPin();
+          const user = await insertUser(client, { ...row, role: row.role || 'worker', pin });
+          await recordChange({
+            entity: 'user', entityId: user.id, action: 'create', actor, before: null, after: auditedUser(user)
+          }, client);
+
+          Object.assign(result, { action: 'create', user });
+          if (!row.pin && !dryRun) {
+            result.temporaryPin = pin;
+          }
+        } else {
+          const before = existing.rows[0];
+          const changes = {};
+          for (const [field, column] of Object.entries(USER_FIELDS)) {
+            if (field !== 'name' && row[field] && row[field] !== before[column]) {
+              changes[field] = row[field];
+            }
+          }
+
+          if (Object.keys(changes).length === 0) {
+            Object.assign(result, { action: 'unchanged', user: before });
+          } else {
+            const assignments = Object.keys(changes).map((field, index) => `${USER_FIELDS[field]} = $${index + 2}`);
+            const updated = await client.query(
+              `UPDATE users SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+               WHERE id = $1
+               RETURNING ${USER_COLUMNS}`,
+              [before.id, ...Object.values(changes)]
+            );
+            await recordChange({
+              entity: 'user', entityId: before.id, action: 'update', actor,
+              before: auditedUser(before), after: auditedUser(updated.rows[0])
+            }, client);
+
+            Object.assign(result, { action: 'update', user: updated.rows[0], changes });
+          }
+        }
+        await client.query('RELEASE SAVEPOINT roster_row');
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT roster_row');
+        // unique_violation: the email belongs to someone else
+        if (err.code !== '23505') {
+          throw err;
+        }
+        result.action = 'error';
+        result.errors = { email: 'is already used by another user' };
+      }
+    }
+
+    const failed = results.some(result => result.action === 'error');
+    await client.query(dryRun || failed ? 'ROLLBACK' : 'COMMIT');
+    return results;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  ROLES,
+  recordLoginAttendance,
+  userNameExists,
+  registerWorker,
+  setPin,
+  resetPin,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deactivateUser,
+  reactivateUser,
+  importRoster
+};
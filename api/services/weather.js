@@ -0,0 +1,289 @@
+// Weather and construction calendar queries
+const { pool } = require('../db');
+
+// Calendar events between two dates. calendar_events has no writer in this API
+// and may not exist, in which case there are no events.
+async function getCalendarEvents(startDate, endDate) {
+  const tableCheck = await pool.query(
+    "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'calendar_events')"
+  );
+
+  if (!tableCheck.rows[0].exists) {
+    return [];
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM calendar_events WHERE event_date >= $1 AND event_date <= $2 ORDER BY event_date, event_time',
+    [startDate, endDate]
+  );
+  return result.rows;
+}
+
+// Fetch one day of weather for the Mississauga site from Open-Meteo, or null if it fails
+async function fetchOpenMeteoWeather(date) {
+  try {
+    // Mississauga, Ontario coordinates
+    const latitude = 43.5890;
+    const longitude = -79.6441;
+
+    // Format date for API
+    const dateStr = date || new Date().toISOString().split('T')[0];
+
+    // Open-Meteo API URL (free, no API key needed)
+    const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max,windgusts_10m_max,weathercode&current_weather=true&timezone=America/Toronto&start_date=${dateStr}&end_date=${dateStr}`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch weather from Open-Meteo');
+    }
+
+    const data = await response.json();
+
+    // Map weather codes to conditions
+    const weatherCodeMap = {
+      0: 'Clear',
+      1: 'Mainly Clear',
+      2: 'Partly Cloudy',
+      3: 'Overcast',
+      45: 'Fog',
+      48: 'Fog',
+      51: 'Light Drizzle',
+      53: 'Moderate Drizzle',
+      55: 'Dense Drizzle',
+      61: 'Light Rain',
+      63: 'Moderate Rain',
+      65: 'Heavy Rain',
+      71: 'Light Snow',
+      73: 'Moderate Snow',
+      75: 'Heavy Snow',
+      77: 'Snow Grains',
+      80: 'Light Showers',
+      81: 'Moderate Showers',
+      82: 'Heavy Showers',
+      85: 'Light Snow Showers',
+      86: 'Heavy Snow Showers',
+      95: 'Thunderstorm',
+      96: 'Thunderstorm with Light Hail',
+      99: 'Thunderstorm with Heavy Hail'
+    };
+
+    if (data.daily && data.daily.temperature_2m_max && data.daily.temperature_2m_max.length > 0) {
+      const weatherCode = data.daily.weathercode[0];
+      const condition = weatherCodeMap[weatherCode] || 'Unknown';
+
+      return {
+        date: dateStr,
+        temperature_high: data.daily.temperature_2m_max[0],
+        temperature_low: data.daily.temperature_2m_min[0],
+        temperature_avg: (data.daily.temperature_2m_max[0] + data.daily.temperature_2m_min[0]) / 2,
+        feels_like: data.current_weather ? data.current_weather.temperature : (data.daily.temperature_2m_max[0] + data.daily.temperature_2m_min[0]) / 2,
+        humidity: 65, // Open-Meteo doesn't provide humidity in free tier, using default
+        precipitation_mm: data.daily.precipitation_sum[0] || 0,
+        wind_speed_kmh: data.daily.windspeed_10m_max[0],
+        wind_gust_kmh: data.daily.windgusts_10m_max[0],
+        condition: condition,
+        condition_code: weatherCode.toString(),
+        location: 'Mississauga, Ontario',
+        is_manual_entry: false
+      };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error fetching from Open-Meteo:', error);
+    return null;
+  }
+}
+
+// Cache fetched weather in weather_data. Manual entries are never overwritten.
+async function cacheWeather(weatherData) {
+  const result = await pool.query(
+    `INSERT INTO weather_data (
+      date, temperature_high, temperature_low, temperature_avg, feels_like,
+      humidity, wind_speed_kmh, wind_gust_kmh, condition, condition_code,
+      precipitation_mm, location, is_manual_entry, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP)
+    ON CONFLICT (date) DO UPDATE SET
+      temperature_high = EXCLUDED.temperature_high,
+      temperature_low = EXCLUDED.temperature_low,
+      temperature_avg = EXCLUDED.temperature_avg,
+      feels_like = EXCLUDED.feels_like,
+      humidity = EXCLUDED.humidity,
+      wind_speed_kmh = EXCLUDED.wind_speed_kmh,
+      wind_gust_kmh = EXCLUDED.wind_gust_kmh,
+      condition = EXCLUDED.condition,
+      condition_code = EXCLUDED.condition_code,
+      precipitation_mm = EXCLUDED.precipitation_mm,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE weather_data.is_manual_entry = false
+    RETURNING *`,
+    [
+      weatherData.date,
+      weatherData.temperature_high,
+      weatherData.temperature_low,
+      weatherData.temperature_avg,
+      weatherData.feels_like,
+      weatherData.humidity,
+      weatherData.wind_speed_kmh,
+      weatherData.wind_gust_kmh,
+      weatherData.condition,
+      weatherData.condition_code,
+      weatherData.precipitation_mm,
+      weatherData.location,
+      weatherData.is_manual_entry
+    ]
+  );
+  return result.rows[0];
+}
+
+// Weather for one day: the stored row if there is one, otherwise fetched from
+// Open-Meteo and cached. Resolves to null when neither is available.
+async function getWeatherForDate(date) {
+  const result = await pool.query('SELECT * FROM weather_data WHERE date = $1', [date]);
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  const weatherData = await fetchOpenMeteoWeather(date);
+  if (!weatherData) {
+    return null;
+  }
+
+  try {
+    return (await cacheWeather(weatherData)) || weatherData;
+  } catch (saveErr) {
+    console.error('Error saving weather to database:', saveErr);
+    // Return the fetched data even if save fails
+    return weatherData;
+  }
+}
+
+// Stored weather for the last 30 days
+async function listRecentWeather() {
+  const result = await pool.query(
+    `SELECT * FROM weather_data
+     WHERE date >= CURRENT_DATE - INTERVAL '30 days'
+     ORDER BY date DESC`
+  );
+  return result.rows;
+}
+
+// Insert or replace a day's weather entered on site
+async function saveWeather({
+  date,
+  temperature_high,
+  temperature_low,
+  humidity,
+  wind_speed_kmh,
+  wind_gust_kmh,
+  condition,
+  precipitation_mm,
+  location,
+  is_manual_entry
+}) {
+  // Calculate temperature average
+  const temperature_avg = (temperature_high + temperature_low) / 2;
+  const feels_like = temperature_avg; // Simple approximation
+
+  const result = await pool.query(
+    `INSERT INTO weather_data (
+      date, temperature_high, temperature_low, temperature_avg, feels_like,
+      humidity, wind_speed_kmh, wind_gust_kmh, condition, precipitation_mm,
+      location, is_manual_entry, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+    ON CONFLICT (date) DO UPDATE SET
+      temperature_high = EXCLUDED.temperature_high,
+      temperature_low = EXCLUDED.temperature_low,
+      temperature_avg = EXCLUDED.temperature_avg,
+      feels_like = EXCLUDED.feels_like,
+      humidity = EXCLUDED.humidity,
+      wind_speed_kmh = EXCLUDED.wind_speed_kmh,
+      wind_gust_kmh = EXCLUDED.wind_gust_kmh,
+      condition = EXCLUDED.condition,
+      precipitation_mm = EXCLUDED.precipitation_mm,
+      location = EXCLUDED.location,
+      is_manual_entry = EXCLUDED.is_manual_entry,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *`,
+    [
+      date,
+      temperature_high,
+      temperature_low,
+      temperature_avg,
+      feels_like,
+      humidity,
+      wind_speed_kmh,
+      wind_gust_kmh,
+      condition,
+      precipitation_mm,
+      location || 'Mississauga, Ontario',
+      is_manual_entry !== undefined ? is_manual_entry : true
+    ]
+  );
+  return result.rows[0];
+}
+
+// Weather events, optionally for one month
+async function listWeatherEvents(month, year) {
+  let query = 'SELECT * FROM weather_events';
+  const params = [];
+
+  if (month && year) {
+    query += ' WHERE EXTRACT(MONTH FROM date) = $1 AND EXTRACT(YEAR FROM date) = $2';
+    params.push(month, year);
+  }
+
+  query += ' ORDER BY date DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Record a weather event, replacing any existing event on the same date
+async function saveWeatherEvent({
+  date,
+  type,
+  start_time,
+  end_time,
+  hours_worked,
+  description,
+  affected_projects,
+  crew_count
+}) {
+  const result = await pool.query(`
+    INSERT INTO weather_events (
+      date, type, start_time, end_time, hours_worked,
+      description, affected_projects, crew_count
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (date) DO UPDATE SET
+      type = EXCLUDED.type,
+      start_time = EXCLUDED.start_time,
+      end_time = EXCLUDED.end_time,
+      hours_worked = EXCLUDED.hours_worked,
+      description = EXCLUDED.description,
+      affected_projects = EXCLUDED.affected_projects,
+      crew_count = EXCLUDED.crew_count,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    date,
+    type,
+    start_time,
+    end_time,
+    hours_worked,
+    description,
+    JSON.stringify(affected_projects),
+    crew_count
+  ]);
+  return result.rows[0];
+}
+
+module.exports = {
+  getCalendarEvents,
+  fetchOpenMeteoWeather,
+  getWeatherForDate,
+  listRecentWeather,
+  saveWeather,
+  listWeatherEvents,
+  saveWeatherEvent
+};
@@ -0,0 +1,793 @@
+// Work area queries: areas, crews, photos, documents, daily tasks and work orders
+const { pool } = require('../db');
+const { patchRecord } = require('./audit');
+const { moveToTrash, restoreFromTrash } = require('./trash');
+
+async function listWorkAreas() {
+  const result = await pool.query(`
+    SELECT
+      wa.*,
+      p.name as project_name,
+      COUNT(DISTINCT awa.worker_id) as assigned_workers_count,
+      COALESCE(json_agg(DISTINCT
+        jsonb_build_object(
+          'id', u.id,
+          'name', u.name,
+          'role', u.role
+        )
+      ) FILTER (WHERE u.id IS NOT NULL), '[]'::json) as assigned_workers,
+      COUNT(DISTINCT ap.id) as photos_count,
+      COUNT(DISTINCT ad.id) as documents_count
+    FROM work_areas wa
+    LEFT JOIN projects p
+      ON wa.project_id = p.id
+    LEFT JOIN area_worker_assignments awa
+      ON wa.id = awa.work_area_id
+      AND awa.assignment_date = CURRENT_DATE
+    LEFT JOIN users u
+      ON awa.worker_id = u.id
+    LEFT JOIN area_photos ap
+      ON wa.id = ap.work_area_id
+    LEFT JOIN area_documents ad
+      ON wa.id = ad.work_area_id
+    WHERE wa.deleted_at IS NULL
+    GROUP BY wa.id, p.name
+    ORDER BY wa.created_at DESC
+  `);
+  return result.rows;
+}
+
+async function workAreaExists(id) {
+  const result = await pool.query('SELECT id FROM work_areas WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return result.rows.length > 0;
+}
+
+// A work area with its crew, documents, recent photos and daily activities,
+// or null if there is no such area or it is in the trash
+async function getWorkAreaWithDetails(id) {
+  const areaResult = await pool.query(`
+    SELECT wa.*, p.name as project_name
+    FROM work_areas wa
+    LEFT JOIN projects p ON wa.project_id = p.id
+    WHERE wa.id = $1 AND wa.deleted_at IS NULL
+  `, [id]);
+
+  if (areaResult.rows.length === 0) {
+    return null;
+  }
+
+  // Latest assignment per worker, not just today's
+  const workersResult = await pool.query(`
+    SELECT DISTINCT ON (u.id) awa.*, u.name, u.role, u.id
+    FROM area_worker_assignments awa
+    JOIN users u ON awa.worker_id = u.id
+    WHERE awa.work_area_id = $1
+    ORDER BY u.id, awa.assignment_date DESC
+  `, [id]);
+
+  const docsResult = await pool.query(
+    'SELECT * FROM area_documents WHERE work_area_id = $1 ORDER BY uploaded_at DESC',
+    [id]
+  );
+
+  const photosResult = await pool.query(
+    'SELECT * FROM area_photos WHERE work_area_id = $1 ORDER BY taken_at DESC LIMIT 50',
+    [id]
+  );
+
+  const activitiesResult = await pool.query(
+    'SELECT * FROM daily_activities WHERE work_area_id = $1 ORDER BY activity_date DESC LIMIT 30',
+    [id]
+  );
+
+  return {
+    ...areaResult.rows[0],
+    assigned_workers: workersResult.rows.map(w => ({
+      id: w.id,
+      name: w.name,
+      role: w.role
+    })),
+    documents: docsResult.rows,
+    photos: photosResult.rows,
+    dailyActivities: activitiesResult.rows
+  };
+}
+
+async function listProjectWorkAreas(projectId) {
+  const result = await pool.query(`
+    SELECT wa.*, p.name as project_name,
+      (SELECT COUNT(*) FROM area_worker_assignments
+       WHERE work_area_id = wa.id AND assignment_date = CURRENT_DATE) as workers_today,
+      0 as today_concrete_volume,
+      0 as open_rfis
+    FROM work_areas wa
+    LEFT JOIN projects p ON wa.project_id = p.id
+    WHERE wa.project_id = $1 AND wa.deleted_at IS NULL
+    ORDER BY wa.created_at DESC
+  `, [projectId]);
+  return result.rows;
+}
+
+async function createWorkArea({ name, description, location, startDate, currentStage, status, projectId, plannedConcreteVolume, foremanInCharge }) {
+  const result = await pool.query(`
+    INSERT INTO work_areas
+    (name, description, location, start_date, current_stage, status, project_id, planned_concrete_volume, foreman_in_charge)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [name, description, location, startDate, currentStage || 'initial_layout', status || 'active', projectId, plannedConcreteVolume || 0, foremanInCharge || 'N/A']);
+  return result.rows[0];
+}
+
+// API field -> column for PATCH /work-areas/:id; anything else is ignored
+const WORK_AREA_FIELDS = {
+  name: 'name',
+  description: 'description',
+  location: 'location',
+  status: 'status',
+  currentStage: 'current_stage',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  projectId: 'project_id',
+  plannedConcreteVolume: 'planned_concrete_volume',
+  foremanInCharge: 'foreman_in_charge'
+};
+
+// Apply camelCase updates to a work area, auditing each changed field.
+// Resolves to the updated row, or undefined if there is no such area.
+async function updateWorkArea(id, updates, actor) {
+  return patchRecord({
+    table: 'work_areas',
+    entity: 'work_area',
+    id,
+    fields: WORK_AREA_FIELDS,
+    updates,
+    actor
+  });
+}
+
+// The area's photos, documents, activities and assignments are kept until
+// the purge job removes it. Resolves to the area, or undefined if there is no
+// such area.
+async function deleteWorkArea(id, actor) {
+  return moveToTrash('work_area', id, actor);
+}
+
+// Resolves to the restored area, or undefined if it is not in the trash
+async function restoreWorkArea(id) {
+  return restoreFromTrash('work_area', id);
+}
+
+// Move a work area to a new stage; reaching 'stripping' finishes the area
+async function updateStage(id, stage) {
+  let result = await pool.query(`
+    UPDATE work_areas
+    SET current_stage = $1, updated_at = NOW()
+    WHERE id = $2
+    RETURNING *
+  `, [stage, id]);
+
+  if (stage === 'stripping') {
+    result = await pool.query(`
+      UPDATE work_areas
+      SET status = 'finished', end_date = CURRENT_DATE, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+  }
+
+  return result.rows[0];
+}
+
+// Replace the area's crew for a date. Resolves to the new assignments.
+async function assignWorkers(id, workerIds, assignmentDate) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'DELETE FROM area_worker_assignments WHERE work_area_id = $1 AND assignment_date = $2',
+      [id, assignmentDate]
+    );
+
+    for (const workerId of workerIds) {
+      const workerResult = await client.query(
+        'SELECT name, role FROM users WHERE id = $1',
+        [workerId]
+      );
+
+      if (workerResult.rows.length > 0) {
+        const worker = workerResult.rows[0];
+        await client.query(`
+          INSERT INTO area_worker_assignments
+          (work_area_id, worker_id, worker_name, assignment_date, role)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [id, workerId, worker.name, assignmentDate, worker.role]);
+      }
+    }
+
+    await client.query('COMMIT');
+
+    const result = await client.query(`
+      SELECT awa.*, u.name, u.role
+      FROM area_worker_assignments awa
+      JOIN users u ON awa.worker_id = u.id
+      WHERE awa.work_area_id = $1 AND awa.assignment_date = $2
+    `, [id, assignmentDate]);
+    return result.rows;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function savePhoto(workAreaId, { photoUrl, thumbnailUrl, caption, takenBy, takenDate }) {
+  const result = await pool.query(`
+    INSERT INTO area_photos
+    (work_area_id, photo_url, thumbnail_url, caption, taken_by_name, taken_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [workAreaId, photoUrl, thumbnailUrl, caption, takenBy, takenDate]);
+  return result.rows[0];
+}
+
+// Save a photo uploaded through the photo manager, with its category and location
+async function saveCategorizedPhoto(workAreaId, { photoUrl, caption, takenBy, category, latitude, longitude, address }) {
+  const result = await pool.query(`
+    INSERT INTO area_photos
+    (work_area_id, photo_url, thumbnail_url, caption, taken_by_name, taken_at, category, latitude, longitude, location_address)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    workAreaId,
+    photoUrl,
+    photoUrl, // Use same URL for thumbnail for now
+    caption,
+    takenBy,
+    new Date(),
+    category,
+    latitude || null,
+    longitude || null,
+    address || null
+  ]);
+  return result.rows[0];
+}
+
+async function listPhotos(workAreaId) {
+  const result = await pool.query(
+    `SELECT * FROM area_photos
+     WHERE work_area_id = $1
+     ORDER BY taken_at DESC`,
+    [workAreaId]
+  );
+  return result.rows;
+}
+
+// Photos for a single date, a date range, or (by default) the latest 100
+async function listPhotosFiltered(workAreaId, { date, start_date, end_date, all }) {
+  let query;
+  const params = [workAreaId];
+
+  if (all === 'true') {
+    query = 'SELECT * FROM area_photos WHERE work_area_id = $1 ORDER BY taken_at DESC';
+  } else if (start_date && end_date) {
+    query = `SELECT * FROM area_photos
+             WHERE work_area_id = $1
+             AND DATE(taken_at) >= $2
+             AND DATE(taken_at) <= $3
+             ORDER BY taken_at DESC`;
+    params.push(start_date, end_date);
+  } else if (date) {
+    query = `SELECT * FROM area_photos
+             WHERE work_area_id = $1
+             AND DATE(taken_at) = $2
+             ORDER BY taken_at DESC`;
+    params.push(date);
+  } else {
+    query = 'SELECT * FROM area_photos WHERE work_area_id = $1 ORDER BY taken_at DESC LIMIT 100';
+  }
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function deletePhoto(workAreaId, photoId) {
+  const result = await pool.query(
+    'DELETE FROM area_photos WHERE id = $1 AND work_area_id::text = $2 RETURNING *',
+    [photoId, workAreaId]
+  );
+  return result.rows[0];
+}
+
+async function createDocument(workAreaId, { documentType, name, fileUrl, fileSize, fileType, uploadedBy, description }) {
+  const result = await pool.query(`
+    INSERT INTO area_documents
+    (work_area_id, document_type, name, file_url, file_size, file_type,
+     uploaded_by_name, description)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [workAreaId, documentType, name, fileUrl, fileSize, fileType, uploadedBy, description]);
+  return result.rows[0];
+}
+
+// The day's activity with that day's photos, or undefined if nothing was logged
+async function getDailyActivity(workAreaId, date) {
+  const result = await pool.query(`
+    SELECT da.*,
+      COALESCE(json_agg(DISTINCT
+        jsonb_build_object(
+          'id', ap.id,
+          'url', ap.photo_url,
+          'thumbnailUrl', ap.thumbnail_url,
+          'caption', ap.caption,
+          'takenAt', ap.taken_at
+        )
+      ) FILTER (WHERE ap.id IS NOT NULL), '[]'::json) as photos
+    FROM daily_activities da
+    LEFT JOIN area_photos ap
+      ON da.work_area_id = ap.work_area_id
+      AND DATE(ap.taken_at) = da.activity_date
+    WHERE da.work_area_id = $1 AND da.activity_date = $2
+    GROUP BY da.id
+  `, [workAreaId, date]);
+  return result.rows[0];
+}
+
+async function saveDailyActivity(workAreaId, { date, stage, description, weather, temperature, notes, createdBy }) {
+  const result = await pool.query(`
+    INSERT INTO daily_activities
+    (work_area_id, activity_date, stage, description, weather, temperature, notes, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (work_area_id, activity_date)
+    DO UPDATE SET
+      stage = EXCLUDED.stage,
+      description = EXCLUDED.description,
+      weather = EXCLUDED.weather,
+      temperature = EXCLUDED.temperature,
+      notes = EXCLUDED.notes
+    RETURNING *
+  `, [workAreaId, date, stage, description, weather, temperature, notes, createdBy]);
+  return result.rows[0];
+}
+
+async function getUserName(userId) {
+  const result = await pool.query('SELECT name FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].name : null;
+}
+
+// Add one worker to an area's crew for a date.
+// Resolves to { assignment, workerName }, with assignment null if they were already on it.
+async function assignWorkerForDay(areaId, workerId, date) {
+  const workerName = await getUserName(workerId);
+
+  const existing = await pool.query(
+    `SELECT id FROM work_area_workers
+     WHERE work_area_id::text = $1 AND worker_id = $2 AND work_date = $3`,
+    [areaId, workerId, date]
+  );
+
+  if (existing.rows.length > 0) {
+    return { assignment: null, workerName };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO work_area_workers (work_area_id, worker_id, work_date, worker_name, assigned_at)
+     VALUES ($1::uuid, $2, $3, $4, NOW())
+     RETURNING *`,
+    [areaId, workerId, date, workerName]
+  );
+  return { assignment: result.rows[0], workerName };
+}
+
+// Add or refresh a worker on an area's crew for a date
+async function upsertAreaWorker(workAreaId, workerId, date) {
+  let workerName = null;
+  try {
+    workerName = await getUserName(workerId);
+  } catch (e) {
+    console.log('Error looking up worker name:', e.message);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO work_area_workers (work_area_id, worker_id, work_date, worker_name)
+     VALUES ($1::uuid, $2, $3, $4)
+     ON CONFLICT (work_area_id, worker_id, work_date)
+     DO UPDATE SET
+       worker_name = EXCLUDED.worker_name,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [workAreaId, workerId, date, workerName]
+  );
+  return result.rows[0];
+}
+
+// Resolves to the number of assignments removed
+async function removeAreaWorker(workAreaId, workerId, date) {
+  const result = await pool.query(
+    `DELETE FROM work_area_workers
+     WHERE work_area_id = $1 AND worker_id = $2 AND work_date = $3`,
+    [workAreaId, workerId, date]
+  );
+  return result.rowCount;
+}
+
+// An area's crew for a date with each worker's sign-in times and hours
+async function listAreaWorkers(areaId, date) {
+  const result = await pool.query(
+    `SELECT
+      u.id as worker_id,
+      u.name as worker_name,
+      u.name as user_name,
+      u.role,
+      waw.assigned_at,
+      ws.signin_time,
+      ws.signout_time,
+      CASE
+        WHEN ws.signout_time IS NOT NULL AND ws.signin_time IS NOT NULL
+        THEN EXTRACT(EPOCH FROM (ws.signout_time - ws.signin_time))/3600
+        ELSE NULL
+      END as hours_worked
+     FROM work_area_workers waw
+     JOIN users u ON waw.worker_id = u.id
+     LEFT JOIN worker_signins ws ON ws.worker_id = u.id
+       AND ws.signin_date = waw.work_date
+     WHERE waw.work_area_id::text = $1 AND waw.work_date = $2
+     ORDER BY u.name`,
+    [areaId, date]
+  );
+  return result.rows;
+}
+
+async function listTodaysAssignments(areaId) {
+  const result = await pool.query(
+    `SELECT awa.*, u.name as worker_full_name, u.role as worker_role
+     FROM area_worker_assignments awa
+     LEFT JOIN users u ON awa.worker_id = u.id
+     WHERE awa.work_area_id = $1 AND awa.assignment_date = CURRENT_DATE
+     ORDER BY awa.check_in_time`,
+    [areaId]
+  );
+  return result.rows;
+}
+
+// Create or update the planned pour for an area on a date
+async function savePourPlan(areaId, { pour_date, expected_volume_m3, concrete_type, supplier, notes }, createdBy) {
+  const result = await pool.query(
+    `INSERT INTO work_area_concrete_pours
+     (work_area_id, pour_date, expected_volume_m3, concrete_type, supplier, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (work_area_id, pour_date)
+     DO UPDATE SET
+       expected_volume_m3 = $3,
+       concrete_type = $4,
+       supplier = $5,
+       notes = $6,
+       updated_at = NOW()
+     RETURNING *`,
+    [areaId, pour_date, expected_volume_m3, concrete_type, supplier, notes, createdBy]
+  );
+  return result.rows[0];
+}
+
+// Per-day crew size, hours and photo count between two dates, for the calendar
+async function getActivityCalendar(workAreaId, start, end) {
+  // worker_signins has no work_area_id, so crews come from work_area_workers
+  const result = await pool.query(`
+    WITH daily_workers AS (
+      SELECT
+        waw.work_date as date,
+        COUNT(DISTINCT waw.worker_id) as workers_count
+      FROM work_area_workers waw
+      WHERE waw.work_area_id = $1
+        AND waw.work_date BETWEEN $2 AND $3
+      GROUP BY waw.work_date
+    ),
+    daily_signins AS (
+      SELECT
+        ws.signin_date as date,
+        COUNT(DISTINCT ws.worker_id) as workers_signed_in,
+        COALESCE(SUM(
+          CASE
+            WHEN ws.signout_time IS NOT NULL THEN
+              EXTRACT(EPOCH FROM (ws.signout_time - ws.signin_time)) / 3600
+            ELSE 0
+          END
+        ), 0) as hours_worked
+      FROM worker_signins ws
+      WHERE ws.signin_date BETWEEN $2 AND $3
+        AND EXISTS (
+          SELECT 1 FROM work_area_workers waw
+          WHERE waw.worker_id = ws.worker_id
+            AND waw.work_area_id = $1
+            AND waw.work_date = ws.signin_date
+        )
+      GROUP BY ws.signin_date
+    ),
+    photo_data AS (
+      SELECT
+        DATE(taken_at) as date,
+        COUNT(*) as photos_count
+      FROM area_photos
+      WHERE work_area_id::varchar = $1
+        AND DATE(taken_at) BETWEEN $2 AND $3
+      GROUP BY DATE(taken_at)
+    ),
+    all_dates AS (
+      SELECT generate_series($2::date, $3::date, '1 day'::interval)::date as date
+    )
+    SELECT
+      to_char(ad.date, 'YYYY-MM-DD') as date,
+      COALESCE(ds.workers_signed_in, dw.workers_count, 0) as workers_count,
+      ROUND(COALESCE(ds.hours_worked, 0)::numeric, 1) as hours_worked,
+      COALESCE(pd.photos_count, 0) as photos_count,
+      (COALESCE(ds.workers_signed_in, dw.workers_count, 0) > 0 OR COALESCE(pd.photos_count, 0) > 0) as has_activity
+    FROM all_dates ad
+    LEFT JOIN daily_workers dw ON ad.date = dw.date
+    LEFT JOIN daily_signins ds ON ad.date = ds.date
+    LEFT JOIN photo_data pd ON ad.date = pd.date
+    ORDER BY ad.date
+  `, [workAreaId, start, end]);
+  return result.rows;
+}
+
+async function listDailyTasks(workAreaId, date) {
+  const result = await pool.query(
+    `SELECT * FROM daily_tasks
+     WHERE work_area_id = $1 AND task_date = $2
+     ORDER BY updated_at DESC, created_at DESC`,
+    [workAreaId, date]
+  );
+  return result.rows;
+}
+
+// Tasks between two dates with a start/end span for the timeline view
+async function getTaskTimeline(workAreaId, start, end) {
+  const result = await pool.query(
+    `SELECT
+      dt.*,
+      dt.task_date as start_date,
+      CASE
+        WHEN dt.status = 'completed' THEN dt.task_date
+        WHEN dt.status = 'in_progress' THEN CURRENT_DATE
+        ELSE dt.task_date + INTERVAL '1 day'
+      END as end_date,
+      CASE
+        WHEN dt.status = 'completed' THEN 1
+        WHEN dt.status = 'in_progress' THEN
+          GREATEST(1, (CURRENT_DATE - dt.task_date) + 1)
+        ELSE 1
+      END as duration_days
+     FROM daily_tasks dt
+     WHERE dt.work_area_id = $1
+       AND dt.task_date BETWEEN $2 AND $3
+       AND dt.status != 'archived'
+     ORDER BY dt.task_date, dt.sequence_order`,
+    [workAreaId, start, end]
+  );
+  return result.rows;
+}
+
+// Record a task for a date, or with continue_previous return the task of the
+// same type that is still in progress
+async function startDailyTask(workAreaId, { date, task_type, status = 'in_progress', continue_previous }) {
+  if (continue_previous) {
+    const previousTask = await pool.query(
+      `SELECT * FROM daily_tasks
+       WHERE work_area_id = $1 AND task_type = $2 AND status = 'in_progress'
+       ORDER BY task_date DESC
+       LIMIT 1`,
+      [workAreaId, task_type]
+    );
+
+    if (previousTask.rows.length > 0) {
+      return previousTask.rows[0];
+    }
+  }
+
+  // Sequence order runs across the entire work area timeline
+  const sequenceResult = await pool.query(
+    `SELECT MAX(sequence_order) as max_order FROM daily_tasks
+     WHERE work_area_id = $1`,
+    [workAreaId]
+  );
+  const sequence_order = (sequenceResult.rows[0].max_order || 0) + 1;
+
+  const result = await pool.query(
+    `INSERT INTO daily_tasks (work_area_id, task_date, task_type, status, sequence_order)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (work_area_id, task_date, task_type)
+     DO UPDATE SET status = $4, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [workAreaId, date, task_type, status, sequence_order]
+  );
+  return result.rows[0];
+}
+
+async function updateDailyTask(taskId, { status, end_time, end_date, duration_days }) {
+  let query = 'UPDATE daily_tasks SET updated_at = CURRENT_TIMESTAMP';
+  const params = [];
+  let paramCount = 1;
+
+  if (status) {
+    query += `, status = $${paramCount}`;
+    params.push(status);
+    paramCount++;
+  }
+
+  if (end_time) {
+    query += `, end_time = $${paramCount}`;
+    params.push(end_time);
+    paramCount++;
+  }
+
+  if (end_date) {
+    query += `, end_date = $${paramCount}`;
+    params.push(end_date);
+    paramCount++;
+  }
+
+  if (duration_days) {
+    query += `, duration_days = $${paramCount}`;
+    params.push(duration_days);
+    paramCount++;
+  }
+
+  // If task is completed, set end_time to current time
+  if (status === 'completed' && !end_time) {
+    const now = new Date();
+    query += `, end_time = $${paramCount}`;
+    params.push(`${now.getHours()}:${now.getMinutes()}`);
+    paramCount++;
+  }
+
+  query += ` WHERE id = $${paramCount} RETURNING *`;
+  params.push(taskId);
+
+  const result = await pool.query(query, params);
+  return result.rows[0];
+}
+
+async function deleteDailyTask(taskId) {
+  const result = await pool.query(
+    'DELETE FROM daily_tasks WHERE id = $1 RETURNING *',
+    [taskId]
+  );
+  return result.rows[0];
+}
+
+async function createWorkOrder({ projectId, workAreaId, foremanId, foremanName, contractor, workType, equipmentRental, startDate, endDate, description, workers }) {
+  const result = await pool.query(
+    `INSERT INTO work_orders
+     (project_id, work_area_id, foreman_id, foreman_name, contractor, work_type,
+      equipment_rental, start_date, end_date, description, workers)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [projectId, workAreaId, foremanId, foremanName, contractor, workType,
+     equipmentRental, startDate, endDate, description, JSON.stringify(workers)]
+  );
+  return result.rows[0];
+}
+
+async function listWorkOrders() {
+  const result = await pool.query(
+    `SELECT * FROM work_orders
+     ORDER BY created_at DESC`
+  );
+  return result.rows;
+}
+
+async function getWorkOrder(id) {
+  const result = await pool.query(
+    'SELECT * FROM work_orders WHERE id = $1',
+    [id]
+  );
+  return result.rows[0];
+}
+
+async function updateWorkOrderStatus(id, status) {
+  const result = await pool.query(
+    `UPDATE work_orders
+     SET status = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [status, id]
+  );
+  return result.rows[0];
+}
+
+async function createDrawing(workAreaId, { title, revision, file_url, description, uploaded_by }) {
+  const result = await pool.query(
+    `INSERT INTO drawings
+     (work_area_id, title, revision, file_url, description, uploaded_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [workAreaId, title, revision, file_url, description, uploaded_by]
+  );
+  return result.rows[0];
+}
+
+async function listDrawings(workAreaId) {
+  const result = await pool.query(
+    'SELECT * FROM drawings WHERE work_area_id = $1 ORDER BY uploaded_at DESC',
+    [workAreaId]
+  );
+  return result.rows;
+}
+
+async function deleteDrawing(workAreaId, drawingId) {
+  const result = await pool.query(
+    'DELETE FROM drawings WHERE id = $1 AND work_area_id = $2 RETURNING *',
+    [drawingId, workAreaId]
+  );
+  return result.rows[0];
+}
+
+async function listInstructions(workAreaId) {
+  const result = await pool.query(
+    'SELECT * FROM site_instructions WHERE work_area_id = $1 ORDER BY issued_at DESC',
+    [workAreaId]
+  );
+  return result.rows;
+}
+
+async function createInstruction(workAreaId, { title, instruction }, issuedBy) {
+  const result = await pool.query(
+    `INSERT INTO site_instructions (work_area_id, title, instruction, issued_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [workAreaId, title, instruction, issuedBy]
+  );
+  return result.rows[0];
+}
+
+async function deleteInstruction(workAreaId, instructionId) {
+  const result = await pool.query(
+    'DELETE FROM site_instructions WHERE id = $1 AND work_area_id = $2 RETURNING *',
+    [instructionId, workAreaId]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  listWorkAreas,
+  workAreaExists,
+  getWorkAreaWithDetails,
+  listProjectWorkAreas,
+  createWorkArea,
+  updateWorkArea,
+  deleteWorkArea,
+  restoreWorkArea,
+  updateStage,
+  assignWorkers,
+  savePhoto,
+  saveCategorizedPhoto,
+  listPhotos,
+  listPhotosFiltered,
+  deletePhoto,
+  createDocument,
+  getDailyActivity,
+  saveDailyActivity,
+  assignWorkerForDay,
+  upsertAreaWorker,
+  removeAreaWorker,
+  listAreaWorkers,
+  listTodaysAssignments,
+  savePourPlan,
+  getActivityCalendar,
+  listDailyTasks,
+  getTaskTimeline,
+  startDailyTask,
+  updateDailyTask,
+  deleteDailyTask,
+  createWorkOrder,
+  listWorkOrders,
+  getWorkOrder,
+  updateWorkOrderStatus,
+  createDrawing,
+  listDrawings,
+  deleteDrawing,
+  listInstructions,
+  createInstruction,
+  deleteInstruction
+};
@@ -0,0 +1,86 @@
+// Worker sign-in and sign-out, as done from the sign-in page and replayed
+// from a phone's offline queue by /api/sync. Both take the signed-in user and
+// what they sent, and throw ApiErrors for anything the client should see.
+const { getEasternDate } = require('./dates');
+const { ApiError, badRequest } = require('./errors');
+const { checkGeofence, hasGeofence } = require('./geofence');
+const attendance = require('./services/attendance');
+const crew = require('./services/crew');
+const projects = require('./services/projects');
+
+// Workers can only sign themselves in and out; foremen and supervisors can
+// do it for anyone
+function workerNameFor(user, workerName) {
+  const name = user.role === 'worker' ? user.name : workerName;
+  if (!name) {
+    throw badRequest('Worker name is required', { workerName: 'is required' });
+  }
+  return name;
+}
+
+// Sign a worker in to a project at at (default now), for that day in
+// Toronto. onSite is for sign-ins that prove where they were made (a kiosk in
+// the trailer, a site code that changes every minute): the location is still
+// recorded against the fence but never refused. kioskId, workAreaId and
+// method are stored with the sign-in. Resolves to { id, jsaFormId, geofence }.
+async function signIn(user, { workerName, projectId, projectName, siteAddress, latitude, longitude, address, workAreaId }, {
+  at, onSite = false, kioskId, method
+} = {}) {
+  const name = workerNameFor(user, workerName);
+  const signinDate = getEasternDate(at);
+
+  // Check the location against the project's site fence. Projects that
+  // reject sign-ins outside it need a location to sign in at all.
+  const project = await projects.findProject({ projectId, projectName });
+  const geofence = checkGeofence(project, latitude, longitude);
+  if (!onSite && hasGeofence(project) && project.geofence_policy === 'reject') {
+    if (!geofence) {
+      throw badRequest('Your location is needed to sign in to this site', {
+        latitude: 'is required', longitude: 'is required'
+      });
+    }
+    if (geofence.outside) {
+      throw new ApiError(403, 'OUTSIDE_GEOFENCE', `You are ${geofence.distance} m outside the ${project.name} site`, {
+        location: `${geofence.distance} m outside the site`
+      });
+    }
+  }
+
+  // Store the project the sign-in resolved to, so a sign-in sent with only a
+  // project name is still found by project id (signed-in lists, musters)
+  const site = project ? { projectId: project.id, projectName: project.name } : { projectId, projectName };
+
+  const signin = await attendance.signInWorker({
+    ...site, workerName: name, siteAddress, signinDate, signinTime: at, latitude, longitude, address, geofence,
+    workAreaId, kioskId, method
+  });
+
+  if (!signin) {
+    throw new ApiError(400, 'ALREADY_SIGNED_IN', 'Already signed in today');
+  }
+
+  // Join the crew of the project's JSA if there is one yet, and get asked
+  // to sign it. The sign-in has gone through, so a failure is only logged.
+  let jsa = null;
+  try {
+    jsa = await crew.syncProjectCrew(site, signinDate);
+  } catch (crewErr) {
+    console.error('Error syncing JSA crew for', name, ':', crewErr);
+  }
+
+  return { id: signin.id, jsaFormId: jsa ? jsa.formId : null, geofence };
+}
+
+// Sign a worker out at at (default now) of the sign-in they made that day
+async function signOut(user, { workerName }, { at } = {}) {
+  const name = workerNameFor(user, workerName);
+
+  if (!(await attendance.signOutWorker(name, getEasternDate(at), at || null))) {
+    throw new ApiError(404, 'NOT_SIGNED_IN', 'No active sign-in found');
+  }
+}
+
+module.exports = {
+  signIn,
+  signOut
+};
@@ -0,0 +1,249 @@
+// Offline sync: sign-ins, sign-outs, timesheets and photos queued on a phone
+// while it had no signal, sent as one batch when it is back online. Events
+// are applied in the order they happened, each at the time it happened, and
+// each gets its own outcome so one that conflicts doesn't hold up the rest.
+// An event sent again with the same idempotency key is answered with the
+// outcome it had the first time instead of being applied twice.
+const { uploadToS3 } = require('./s3-upload');
+const { ApiError, notFound, toApiError } = require('./errors');
+const { check, string, number, id, uuid, date, time } = require('./validation');
+const signins = require('./signins');
+const auditLog = require('./services/audit');
+const syncLog = require('./services/sync');
+const timesheets = require('./services/timesheets');
+const workAreas = require('./services/work-areas');
+
+const EVENT_TYPES = ['signin', 'signout', 'timesheet', 'photo'];
+
+// How far ahead of the server a phone's clock may be, and how old a queued
+// event may get before it is refused
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_EVENT_AGE_DAYS = 30;
+
+// What each type of event carries in its data, as the matching endpoint takes
+const EVENT_DATA = {
+  signin: {
+    workerName: string({ max: 255 }),
+    projectId: id(),
+    projectName: string({ max: 255 }),
+    siteAddress: string({ max: 500 }),
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    address: string({ max: 500 })
+  },
+  signout: {
+    workerName: string({ max: 255 })
+  },
+  timesheet: {
+    worker_id: id(),
+    worker_name: string({ max: 255 }),
+    date: date({ required: true }),
+    project_name: string({ max: 255 }),
+    start_time: time(),
+    end_time: time(),
+    break_duration: number({ min: 0, max: 24 }),
+    total_hours: number({ min: 0, max: 24 }),
+    notes: string({ max: 2000 })
+  },
+  photo: {
+    workAreaId: uuid({ required: true }),
+    photo: string({ max: null }),
+    photoUrl: string({ max: null }),
+    caption: string({ max: 500 })
+  }
+};
+
+// A photo sent as a data URL goes to S3 when it is configured, as on
+// /work-areas/:id/photos, and is kept as the data URL otherwise
+async function storePhoto(workAreaId, photo) {
+  const match = photo.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+  if (!match || !process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+    return photo;
+  }
+  try {
+    const [, mimeType, data] = match;
+    const { fileUrl } = await uploadToS3(Buffer.from(data, 'base64'), `photo.${mimeType.split('/')[1]}`, mimeType, `work-areas/${workAreaId}`);
+    return fileUrl;
+  } catch (err) {
+    console.error('Error uploading synced photo to S3, keeping it as a data URL:', err);
+    return photo;
+  }
+}
+
+// Apply one event as the user at at (an ISO time). Each resolves to
+// { result, entry }: what the phone is told, and the audit entry for it.
+const APPLY = {
+  signin: async (user, data, at) => {
+    const result = await signins.signIn(user, data, { at });
+    return {
+      result,
+      entry: {
+        entity: 'worker_signin',
+        entityId: result.id,
+        action: 'signin',
+        after: await auditLog.findRecord('worker_signins', 'id', result.id)
+      }
+    };
+  },
+
+  signout: async (user, data, at) => {
+    await signins.signOut(user, data, { at });
+    return {
+      result: { signedOut: true },
+      entry: { entity: 'worker_signin', action: 'signout', after: { ...data, signedOutAt: at } }
+    };
+  },
+
+  // Workers can only submit their own timesheets, and only one per day and
+  // project, so a timesheet queued twice isn't counted twice
+  timesheet: async (user, data) => {
+    const input = user.role === 'worker' ? { ...data, worker_id: user.id, worker_name: user.name } : data;
+    const existing = await timesheets.findSubmittedTimesheet(input);
+    if (existing) {
+      throw new ApiError(409, 'TIMESHEET_EXISTS', 'A timesheet for this day and project was already submitted', {
+        date: `timesheet ${existing.id} already covers it`
+      });
+    }
+    const timesheet = await timesheets.submitTimesheet(input);
+    return {
+      result: { id: timesheet.id },
+      entry: { entity: 'timesheet', entityId: timesheet.id, action: 'create', after: timesheet }
+    };
+  },
+
+  photo: async (user, { workAreaId, photo, photoUrl, caption }, at) => {
+    if (!photo && !photoUrl) {
+      throw new ApiError(400, 'VALIDATION_FAILED', 'No photo data provided', { photo: 'is required' });
+    }
+    if (!(await workAreas.workAreaExists(workAreaId))) {
+      throw notFound('Work area not found');
+    }
+    const url = photoUrl || await storePhoto(workAreaId, photo);
+    const saved = await workAreas.savePhoto(workAreaId, {
+      photoUrl: url,
+      thumbnailUrl: url,
+      caption: caption || `Work area photo - ${at.slice(0, 10)}`,
+      takenBy: user.name,
+      takenDate: at
+    });
+    return {
+      result: { id: saved.id },
+      entry: { entity: 'area_photo', entityId: saved.id, action: 'create', after: saved }
+    };
+  }
+};
+
+// Check an event and apply it. Resolves to what the phone is told; throws an
+// ApiError for an event that can't be applied.
+async function applyEvent(user, { type, occurredAt, data }) {
+  const happened = new Date(occurredAt).getTime();
+  const now = Date.now();
+  if (happened > now + MAX_CLOCK_SKEW_MS) {
+    throw new ApiError(409, 'EVENT_IN_FUTURE', 'The event is dated in the future; check the phone\'s clock', {
+      occurredAt: 'is in the future'
+    });
+  }
+  if (happened < now - MAX_EVENT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ApiError(409, 'EVENT_TOO_OLD', `Events older than ${MAX_EVENT_AGE_DAYS} days can't be synced`, {
+      occurredAt: `is more than ${MAX_EVENT_AGE_DAYS} days ago`
+    });
+  }
+
+  const { values, errors } = check(EVENT_DATA[type], data);
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(400, 'VALIDATION_FAILED', 'Some fields are missing or invalid', errors);
+  }
+
+  // A clock a little ahead of the server's counts as now
+  const at = new Date(Math.min(happened, now)).toISOString();
+  const { result, entry } = await APPLY[type](user, values, at);
+
+  // The change has gone through, so a failed entry is only logged
+  try {
+    await auditLog.recordChange({ ...entry, actor: user, before: null });
+  } catch (err) {
+    console.error(`Failed to write audit entry for ${entry.entity}:`, err);
+  }
+  return result;
+}
+
+// Apply one event unless its key has been seen before. Resolves to
+// { key, type, status, ... }: status is applied (with result), conflict
+// (with code, message and maybe fields), error for a failure on the
+// server's side that is worth sending again, or processing while another
+// request is still applying the same key. A repeat of an applied or
+// conflicting event has its first outcome with duplicate: true.
+async function syncEvent(user, deviceId, event) {
+  const { key, type, occurredAt } = event;
+  const reply = outcome => ({ key, type, ...outcome });
+  const failed = err => {
+    console.error(`Error syncing ${type} event ${key}:`, err);
+    return reply({ status: 'error', code: 'INTERNAL_ERROR', message: 'Something went wrong. Please try again.' });
+  };
+
+  // occurredAt may be epoch milliseconds, which Postgres won't take as a time
+  let claimed;
+  let earlier;
+  try {
+    claimed = await syncLog.claimEvent({
+      userId: user.id, key, type, deviceId, clientTime: new Date(occurredAt).toISOString()
+    });
+    earlier = claimed ? null : await syncLog.getEvent(user.id, key);
+  } catch (err) {
+    return failed(err);
+  }
+
+  if (!claimed) {
+    if (!earlier || earlier.status === 'processing') {
+      return reply({ status: 'processing', message: 'This event is still being applied; send it again later' });
+    }
+    if (earlier.type !== type) {
+      return reply({ status: 'conflict', code: 'KEY_REUSED', message: 'This key was already used for a different event' });
+    }
+    return { ...earlier.response, duplicate: true };
+  }
+
+  let outcome;
+  try {
+    outcome = reply({ status: 'applied', result: await applyEvent(user, event) });
+  } catch (err) {
+    const apiError = toApiError(err);
+    if (!apiError || apiError.status >= 500) {
+      // Left processing, the key is only free again after the timeout
+      await syncLog.releaseEvent(claimed.id).catch(releaseErr => console.error(`Error releasing sync event ${key}:`, releaseErr));
+      return failed(err);
+    }
+    outcome = reply({ status: 'conflict', code: apiError.code, message: apiError.message, fields: apiError.fields });
+  }
+
+  // The event has been applied (or refused), so a failed write is only
+  // logged and the phone still gets the outcome, with no reason to send the
+  // event again. The key isn't released, as that would let a resend apply it
+  // a second time straight away.
+  try {
+    await syncLog.finishEvent(claimed.id, outcome.status, outcome);
+  } catch (err) {
+    console.error(`Error recording the outcome of sync event ${key}:`, err);
+  }
+  return outcome;
+}
+
+// Apply a batch of events in the order they happened; events at the same
+// time keep the order they were sent in. Resolves to their outcomes in that
+// order.
+async function syncEvents(user, { deviceId, events }) {
+  const ordered = events
+    .map((event, index) => ({ event, index, happened: new Date(event.occurredAt).getTime() }))
+    .sort((a, b) => a.happened - b.happened || a.index - b.index);
+
+  const results = [];
+  for (const { event } of ordered) {
+    results.push(await syncEvent(user, deviceId, event));
+  }
+  return results;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  syncEvents
+};
@@ -0,0 +1,9 @@
+// Multer instance for multipart uploads. Files stay in memory and are passed on to S3.
+const multer = require('multer');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+});
+
+module.exports = { upload };
@@ -0,0 +1,316 @@
+// Declarative request validation
+//
+// A schema maps field names to specs built with the helpers below:
+//
+//   router.post('/things', validate({
+//     body: { name: string({ required: true, max: 100 }), date: date() },
+//     query: { dryRun: boolean() }
+//   }), handler);
+//
+// Values are coerced where clients send strings (query strings, multipart
+// fields), unknown fields are dropped so handlers only ever see what the
+// schema declares, and every problem is reported at once as a
+// VALIDATION_FAILED error with a message per field.
+const { ApiError } = require('./errors');
+
+class FieldError extends Error {}
+
+// Query strings and multipart forms send '' for a blank input
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Wrap a parse function into a spec. Blank values skip parse and come out as
+// undefined (absent) or null (explicitly cleared); text fields keep ''.
+function spec(parse, { required = false, keepEmpty = false } = {}) {
+  return {
+    required,
+    parse(value) {
+      if (value === undefined || (!keepEmpty && value === '')) {
+        if (required) {
+          throw new FieldError('is required');
+        }
+        return undefined;
+      }
+      if (value === null) {
+        if (required) {
+          throw new FieldError('is required');
+        }
+        return null;
+      }
+      return parse(value);
+    }
+  };
+}
+
+// Text, trimmed. Pass max: null for unbounded fields such as data URLs.
+function string({ required = false, max = 255, oneOf } = {}) {
+  return spec(value => {
+    if (typeof value === 'number') {
+      value = String(value);
+    }
+    if (typeof value !== 'string') {
+      throw new FieldError('must be text');
+    }
+    value = value.trim();
+    if (required && value === '') {
+      throw new FieldError('is required');
+    }
+    if (max !== null && value.length > max) {
+      throw new FieldError(`must be at most ${max} characters`);
+    }
+    if (oneOf && !oneOf.includes(value)) {
+      throw new FieldError(`must be one of: ${oneOf.join(', ')}`);
+    }
+    return value;
+  }, { required, keepEmpty: true });
+}
+
+// An email address, trimmed
+function email({ required = false } = {}) {
+  const text = string({ required, max: 255 });
+  return spec(value => {
+    const address = text.parse(value);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw new FieldError('must be an email address');
+    }
+    return address;
+  }, { required });
+}
+
+function number({ required = false, min, max, integer: wholeOnly = false } = {}) {
+  return spec(value => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+      throw new FieldError(wholeOnly ? 'must be a whole number' : 'must be a number');
+    }
+    if (wholeOnly && !Number.isInteger(parsed)) {
+      throw new FieldError('must be a whole number');
+    }
+    if (min !== undefined && parsed < min) {
+      throw new FieldError(`must be at least ${min}`);
+    }
+    if (max !== undefined && parsed > max) {
+      throw new FieldError(`must be at most ${max}`);
+    }
+    return parsed;
+  }, { required });
+}
+
+function integer(options = {}) {
+  return number({ ...options, integer: true });
+}
+
+// A database id: a positive whole number, also accepted as a numeric string
+function id({ required = false } = {}) {
+  return integer({ required, min: 1 });
+}
+
+// A UUID such as a work area id
+function uuid({ required = false } = {}) {
+  return spec(value => {
+    if (typeof value !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value.trim())) {
+      throw new FieldError('must be a valid id');
+    }
+    return value.trim().toLowerCase();
+  }, { required });
+}
+
+function boolean({ required = false } = {}) {
+  return spec(value => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (value === 'true' || value === '1' || value === 1) {
+      return true;
+    }
+    if (value === 'false' || value === '0' || value === 0) {
+      return false;
+    }
+    throw new FieldError('must be true or false');
+  }, { required });
+}
+
+// A calendar date as YYYY-MM-DD. A full ISO timestamp is accepted and cut to its date.
+function date({ required = false } = {}) {
+  return spec(value => {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/);
+    if (!match) {
+      throw new FieldError('must be a date (YYYY-MM-DD)');
+    }
+    const [, year, month, day] = match.map(Number);
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+    if (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+      throw new FieldError('must be a real calendar date');
+    }
+    return match[0].slice(0, 10);
+  }, { required });
+}
+
+// A time of day as 24-hour HH:MM[:SS] or 12-hour h:mm AM/PM, normalized to HH:MM:SS
+function time({ required = false } = {}) {
+  return spec(value => {
+    const match = typeof value === 'string' &&
+      value.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+    if (!match) {
+      throw new FieldError('must be a time (HH:MM)');
+    }
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const seconds = Number(match[3] || 0);
+    const meridiem = match[4] && match[4].toUpperCase();
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) {
+        throw new FieldError('must be a time (HH:MM)');
+      }
+      hours = (hours % 12) + (meridiem === 'PM' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+      throw new FieldError('must be a time (HH:MM)');
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  }, { required });
+}
+
+// A date and time, as anything Date can parse (normally ISO 8601)
+function timestamp({ required = false } = {}) {
+  return spec(value => {
+    if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(new Date(value).getTime())) {
+      throw new FieldError('must be a date and time');
+    }
+    return value;
+  }, { required });
+}
+
+function array(item, { required = false, max = 500 } = {}) {
+  return spec(value => {
+    if (!Array.isArray(value)) {
+      throw new FieldError('must be a list');
+    }
+    if (value.length > max) {
+      throw new FieldError(`must have at most ${max} entries`);
+    }
+    return value.map((entry, index) => parseField(item, entry, `[${index}]`));
+  }, { required });
+}
+
+// A nested object checked against its own schema
+function object(schema, { required = false } = {}) {
+  return spec(value => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new FieldError('must be an object');
+    }
+    return parseObject(schema, value, '.');
+  }, { required });
+}
+
+// Free-form JSON (stored as-is, e.g. a jsonb column). Multipart forms can
+// only send text, so with fromForm a string is parsed as JSON.
+function json({ required = false, fromForm = false } = {}) {
+  return spec(value => {
+    if (fromForm && typeof value === 'string') {
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        throw new FieldError('must be valid JSON');
+      }
+    }
+    return value;
+  }, { required });
+}
+
+// Parse one value; nested failures keep their path so the client can find them
+function parseField(fieldSpec, value, path) {
+  try {
+    return fieldSpec.parse(value);
+  } catch (err) {
+    if (err instanceof FieldError) {
+      err.path = path + (err.path || '');
+    }
+    throw err;
+  }
+}
+
+// Parse every field a schema declares. Collects failures into `errors` when
+// given, otherwise throws the first one.
+function parseObject(schema, input, prefix = '', errors = null) {
+  const result = {};
+  const source = input && typeof input === 'object' ? input : {};
+
+  for (const [name, fieldSpec] of Object.entries(schema)) {
+    try {
+      const value = parseField(fieldSpec, source[name], `${prefix}${name}`);
+      if (value !== undefined) {
+        result[name] = value;
+      }
+    } catch (err) {
+      if (!(err instanceof FieldError) || !errors) {
+        throw err;
+      }
+      errors[err.path.replace(/^\./, '')] = err.message;
+    }
+  }
+
+  return result;
+}
+
+// Check a plain object that did not come from the request itself (a row of an
+// uploaded CSV file, say) against a schema. Returns { values, errors } with
+// errors keyed by field, empty when everything parsed.
+function check(schema, input) {
+  const errors = {};
+  const values = parseObject(schema, input, '', errors);
+  return { values, errors };
+}
+
+// Middleware that replaces req.params / req.query / req.body with their
+// validated, coerced versions, or fails the request with every field error
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = {};
+    const parsed = {};
+
+    for (const part of ['params', 'query', 'body']) {
+      if (schemas[part]) {
+        parsed[part] = parseObject(schemas[part], req[part], '', errors);
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return next(new ApiError(400, 'VALIDATION_FAILED', 'Some fields are missing or invalid', errors));
+    }
+
+    if (parsed.params) {
+      req.params = { ...req.params, ...parsed.params };
+    }
+    if (parsed.query) {
+      // req.query is a getter in Express 5, so shadow it on the request itself
+      Object.defineProperty(req, 'query', { value: parsed.query, writable: true, enumerable: true, configurable: true });
+    }
+    if (parsed.body) {
+      req.body = parsed.body;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  check,
+  string,
+  email,
+  number,
+  integer,
+  id,
+  uuid,
+  boolean,
+  date,
+  time,
+  timestamp,
+  array,
+  object,
+  json
+};
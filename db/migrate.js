@@ -0,0 +1,229 @@
+// Versioned schema migrations
+//
+// Migrations live in db/migrations as NNN_name.up.sql / NNN_name.down.sql pairs
+// and are applied in version order. Each applied migration is recorded in
+// schema_migrations with a checksum of its up script, so an edited migration
+// is caught instead of silently drifting from the database.
+//
+// Usage: node db/migrate.js up | down [steps] | status
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two deploys can't migrate at once
+const LOCK_KEY = 427001;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// Read the migrations directory into an ordered list of { version, name, up, down, checksum }
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const key = parseInt(version, 10);
+    const migration = migrations.get(key) || { version: key, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched names: ${migration.name} and ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(key, migration);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Fail if an applied migration's file has been edited or deleted since it ran
+function verifyChecksums(migrations, applied) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  for (const row of applied.values()) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version}_${row.name} was applied but its files are missing`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Migration ${row.version}_${row.name} has changed since it was applied`);
+    }
+  }
+}
+
+// Run fn on a dedicated client while holding the migration lock
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Apply every pending migration, each in its own transaction.
+// Resolves to the list of migrations that were applied.
+async function migrateUp(pool, migrations = loadMigrations()) {
+  return withLock(pool, async client => {
+    const applied = await getApplied(client);
+    verifyChecksums(migrations, applied);
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${migration.version}_${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+    }
+
+    return pending;
+  });
+}
+
+// Roll back the most recent applied migrations.
+// Resolves to the list of migrations that were rolled back.
+async function migrateDown(pool, steps = 1, migrations = loadMigrations()) {
+  return withLock(pool, async client => {
+    const applied = await getApplied(client);
+    verifyChecksums(migrations, applied);
+
+    const toRollBack = migrations
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRollBack) {
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Rollback of ${migration.version}_${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+    }
+
+    return toRollBack;
+  });
+}
+
+// List every migration with whether it has been applied and whether its file still matches
+async function migrationStatus(pool, migrations = loadMigrations()) {
+  return withLock(pool, async client => {
+    const applied = await getApplied(client);
+
+    return migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!row,
+        appliedAt: row ? row.applied_at : null,
+        modified: !!row && row.checksum !== migration.checksum
+      };
+    });
+  });
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function main() {
+  require('dotenv').config();
+  const { pool } = require('../api/db');
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      if (applied.length === 0) {
+        console.log('Database is up to date');
+      }
+      applied.forEach(migration => console.log(`Applied ${label(migration)}`));
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down takes a positive number of steps');
+      }
+      const rolledBack = await migrateDown(pool, steps);
+      if (rolledBack.length === 0) {
+        console.log('Nothing to roll back');
+      }
+      rolledBack.forEach(migration => console.log(`Rolled back ${label(migration)}`));
+    } else if (command === 'status') {
+      const rows = await migrationStatus(pool);
+      rows.forEach(row => {
+        const state = row.modified ? 'MODIFIED' : row.applied ? 'applied ' : 'pending ';
+        const when = row.appliedAt ? `  ${new Date(row.appliedAt).toISOString()}` : '';
+        console.log(`${state}  ${label(row)}${when}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}" - use up, down [steps] or status`);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
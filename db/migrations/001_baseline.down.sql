@@ -0,0 +1,46 @@
+-- Drops every table created by 001_baseline, children first.
+-- This deletes all application data.
+
+DROP TABLE IF EXISTS community_feed_comments;
+DROP TABLE IF EXISTS community_feed_likes;
+DROP TABLE IF EXISTS community_feed_posts;
+DROP TABLE IF EXISTS work_area_foreman_assignments;
+DROP TABLE IF EXISTS work_area_site_instructions;
+DROP TABLE IF EXISTS work_area_rfis;
+DROP TABLE IF EXISTS work_area_concrete_pours;
+DROP TABLE IF EXISTS site_instructions;
+DROP TABLE IF EXISTS rfis;
+DROP TABLE IF EXISTS drawings;
+DROP TABLE IF EXISTS daily_tasks;
+DROP TABLE IF EXISTS daily_activities;
+DROP TABLE IF EXISTS area_documents;
+DROP TABLE IF EXISTS area_photos;
+DROP TABLE IF EXISTS work_area_workers;
+DROP TABLE IF EXISTS area_worker_assignments;
+DROP TABLE IF EXISTS work_areas;
+DROP TABLE IF EXISTS safety_procedures;
+DROP TABLE IF EXISTS work_orders;
+DROP TABLE IF EXISTS rfi_requests;
+DROP TABLE IF EXISTS material_requests;
+DROP TABLE IF EXISTS weather_events;
+DROP TABLE IF EXISTS weather_data;
+DROP TABLE IF EXISTS concrete_pours;
+DROP TABLE IF EXISTS concrete_deliveries;
+DROP TABLE IF EXISTS signatures;
+DROP TABLE IF EXISTS timesheets;
+DROP TABLE IF EXISTS vacation_schedule;
+DROP TABLE IF EXISTS attendance;
+DROP TABLE IF EXISTS foreman_signins;
+DROP TABLE IF EXISTS worker_signins;
+DROP TABLE IF EXISTS email_schedules;
+DROP TABLE IF EXISTS crew_members;
+DROP TABLE IF EXISTS ppe;
+DROP TABLE IF EXISTS tools;
+DROP TABLE IF EXISTS job_steps;
+DROP TABLE IF EXISTS jsa_forms;
+DROP TABLE IF EXISTS worker_certifications;
+DROP TABLE IF EXISTS safety_certificates;
+DROP TABLE IF EXISTS workers_info;
+DROP TABLE IF EXISTS worker_details;
+DROP TABLE IF EXISTS projects;
+DROP TABLE IF EXISTS users;
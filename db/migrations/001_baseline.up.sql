@@ -0,0 +1,773 @@
+-- Baseline schema for the JSA API
+--
+-- Replaces setup-supabase.sql, update-production-database.sql, the add-sergio
+-- scripts and the CREATE TABLE / ALTER TABLE statements that used to run inside
+-- request handlers. Everything is IF NOT EXISTS so this can be applied to the
+-- existing production database as well as an empty one.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- ============================================
+-- Users and projects
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT UNIQUE,
+  pin TEXT,
+  role TEXT NOT NULL,
+  display_name TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name TEXT;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('supervisor', 'worker', 'foreman'));
+
+CREATE INDEX IF NOT EXISTS idx_users_name ON users(name);
+
+CREATE TABLE IF NOT EXISTS projects (
+  id SERIAL PRIMARY KEY,
+  name TEXT UNIQUE,
+  description TEXT,
+  address TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO projects (name, description, address) VALUES
+  ('GEBOOTH WasteWater Treatment Plant', 'Wastewater treatment facility construction', '1300 Lakeshore East, Mississauga, ON'),
+  ('Victoria Reservoir and Pumping Station', 'Water infrastructure project', '3121 King St. Inglewood, ON. L7C 0R4')
+ON CONFLICT (name) DO NOTHING;
+
+-- Default accounts, PINs are hashed by 002_hash_pins. Databases that already
+-- ran the hashing script no longer have the pin column, so bring it back for
+-- the seed and let 002 drop it again.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pin TEXT;
+
+INSERT INTO users (name, email, pin, role) VALUES
+  ('Admin Supervisor', 'admin@mjr.com', '1234', 'supervisor'),
+  ('Sergio Araujo', 'sergio@mjr.com', '1234', 'foreman')
+ON CONFLICT (email) DO NOTHING;
+
+INSERT INTO users (name, pin, role)
+SELECT seed.name, '1111', 'worker'
+FROM (VALUES
+  ('Augusto Duarte'),
+  ('Cesar Duarte'),
+  ('David Peniche'),
+  ('Migel Sanchez'),
+  ('Armando Hernandez'),
+  ('Luis Mendoza'),
+  ('Francisco Acosta'),
+  ('Luis Gustavo'),
+  ('George'),
+  ('Kevin Fuentes')
+) AS seed(name)
+WHERE NOT EXISTS (SELECT 1 FROM users WHERE users.name = seed.name);
+
+CREATE TABLE IF NOT EXISTS worker_details (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  date_of_birth DATE,
+  address TEXT,
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  emergency_contact VARCHAR(255),
+  emergency_phone VARCHAR(50),
+  language VARCHAR(10),
+  registration_date TIMESTAMP,
+  working_at_heights_cert TEXT,
+  whimis_cert TEXT,
+  worker_4step_cert TEXT,
+  UNIQUE(user_id)
+);
+
+CREATE TABLE IF NOT EXISTS workers_info (
+  id INTEGER PRIMARY KEY,
+  name TEXT,
+  phone TEXT,
+  email TEXT,
+  address TEXT,
+  emergency_contact TEXT,
+  emergency_phone TEXT,
+  start_date DATE,
+  position TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS safety_certificates (
+  id SERIAL PRIMARY KEY,
+  worker_id INTEGER,
+  worker_name TEXT NOT NULL,
+  certificate_type TEXT NOT NULL,
+  certificate_name TEXT NOT NULL,
+  issuing_organization TEXT,
+  issue_date DATE NOT NULL,
+  expiry_date DATE NOT NULL,
+  certificate_number TEXT,
+  file_url TEXT,
+  status TEXT DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_safety_certificates_worker_id ON safety_certificates(worker_id);
+CREATE INDEX IF NOT EXISTS idx_safety_certificates_expiry_date ON safety_certificates(expiry_date);
+CREATE INDEX IF NOT EXISTS idx_safety_certificates_status ON safety_certificates(status);
+
+CREATE TABLE IF NOT EXISTS worker_certifications (
+  id SERIAL PRIMARY KEY,
+  worker_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  issuer TEXT NOT NULL,
+  issue_date DATE NOT NULL,
+  expiry_date DATE,
+  file_url TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- JSA forms
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS jsa_forms (
+  id SERIAL PRIMARY KEY,
+  form_id TEXT UNIQUE,
+  crew_supervisor TEXT,
+  crew_safety_rep TEXT,
+  site_address TEXT,
+  company TEXT,
+  project_name TEXT,
+  date TEXT,
+  weather TEXT,
+  formwork TEXT,
+  status TEXT DEFAULT 'draft',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jsa_forms_date ON jsa_forms(date);
+CREATE INDEX IF NOT EXISTS idx_jsa_forms_form_id ON jsa_forms(form_id);
+
+CREATE TABLE IF NOT EXISTS job_steps (
+  id SERIAL PRIMARY KEY,
+  form_id TEXT REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  sequence INTEGER,
+  operation TEXT,
+  hazards JSONB,
+  safety_controls JSONB,
+  risk_level TEXT
+);
+
+CREATE TABLE IF NOT EXISTS tools (
+  id SERIAL PRIMARY KEY,
+  form_id TEXT REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  tool_name TEXT
+);
+
+CREATE TABLE IF NOT EXISTS ppe (
+  id SERIAL PRIMARY KEY,
+  form_id TEXT REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  ppe_name TEXT
+);
+
+CREATE TABLE IF NOT EXISTS crew_members (
+  id SERIAL PRIMARY KEY,
+  form_id TEXT REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  name TEXT,
+  signed BOOLEAN DEFAULT false,
+  is_mobile BOOLEAN DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS email_schedules (
+  id SERIAL PRIMARY KEY,
+  form_id TEXT REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  schedule_time TEXT,
+  cron_expression TEXT,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Sign-ins, attendance and timesheets
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS worker_signins (
+  id SERIAL PRIMARY KEY,
+  worker_name TEXT NOT NULL,
+  project_id INTEGER REFERENCES projects(id),
+  project_name TEXT,
+  site_address TEXT,
+  signin_date DATE,
+  signin_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  signout_time TIMESTAMP,
+  signin_latitude DECIMAL(10, 8),
+  signin_longitude DECIMAL(11, 8),
+  signin_address TEXT
+);
+
+ALTER TABLE worker_signins
+  ADD COLUMN IF NOT EXISTS signin_latitude DECIMAL(10, 8),
+  ADD COLUMN IF NOT EXISTS signin_longitude DECIMAL(11, 8),
+  ADD COLUMN IF NOT EXISTS signin_address TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_worker_signins_date ON worker_signins(signin_date);
+
+CREATE TABLE IF NOT EXISTS foreman_signins (
+  id SERIAL PRIMARY KEY,
+  foreman_id INTEGER REFERENCES users(id),
+  foreman_name TEXT NOT NULL,
+  project_id INTEGER REFERENCES projects(id),
+  project_name TEXT,
+  form_id TEXT REFERENCES jsa_forms(form_id),
+  signin_date DATE,
+  signin_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_foreman_signins_date ON foreman_signins(signin_date);
+CREATE INDEX IF NOT EXISTS idx_foreman_signins_foreman ON foreman_signins(foreman_id);
+CREATE INDEX IF NOT EXISTS idx_foreman_signins_project ON foreman_signins(project_id);
+CREATE INDEX IF NOT EXISTS idx_foreman_signins_form ON foreman_signins(form_id);
+
+CREATE TABLE IF NOT EXISTS attendance (
+  id SERIAL PRIMARY KEY,
+  worker_id INTEGER,
+  worker_name VARCHAR(255),
+  date DATE,
+  status VARCHAR(50),
+  check_in_time TIME,
+  check_out_time TIME,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  address TEXT,
+  sign_in_latitude DOUBLE PRECISION,
+  sign_in_longitude DOUBLE PRECISION,
+  sign_in_address TEXT,
+  sign_out_latitude DOUBLE PRECISION,
+  sign_out_longitude DOUBLE PRECISION,
+  sign_out_address TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE attendance
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS address TEXT;
+
+CREATE TABLE IF NOT EXISTS vacation_schedule (
+  id SERIAL PRIMARY KEY,
+  worker_name VARCHAR(255) NOT NULL,
+  vacation_start DATE NOT NULL,
+  vacation_end DATE NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS timesheets (
+  id SERIAL PRIMARY KEY,
+  worker_id INTEGER,
+  worker_name TEXT,
+  date DATE,
+  project_name TEXT,
+  start_time TIME,
+  end_time TIME,
+  break_duration INTEGER DEFAULT 0,
+  break_hours DECIMAL(5,2),
+  total_hours DECIMAL(5,2),
+  regular_hours DECIMAL(5,2),
+  overtime_hours DECIMAL(5,2),
+  week_number INTEGER,
+  work_description TEXT,
+  notes TEXT,
+  status TEXT DEFAULT 'pending',
+  approved_at TIMESTAMP,
+  approved_by TEXT,
+  rejected_by TEXT,
+  edited_by TEXT,
+  edited_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE timesheets
+  ADD COLUMN IF NOT EXISTS week_number INTEGER,
+  ADD COLUMN IF NOT EXISTS regular_hours DECIMAL(5,2),
+  ADD COLUMN IF NOT EXISTS overtime_hours DECIMAL(5,2);
+
+CREATE TABLE IF NOT EXISTS signatures (
+  id SERIAL PRIMARY KEY,
+  worker_id INTEGER,
+  worker_name TEXT,
+  initials TEXT,
+  project_id INTEGER,
+  project_name TEXT,
+  date DATE,
+  signature_type TEXT DEFAULT 'attendance',
+  signature_image TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Concrete and weather
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS concrete_deliveries (
+  id SERIAL PRIMARY KEY,
+  project_name TEXT,
+  project_id TEXT,
+  date DATE,
+  time TEXT,
+  truck_load TEXT,
+  slump TEXT,
+  additives TEXT,
+  area TEXT,
+  quantity TEXT,
+  concrete_type TEXT,
+  status TEXT,
+  pour_type TEXT,
+  confirmed BOOLEAN DEFAULT FALSE,
+  delivery_time TEXT,
+  truck_number TEXT,
+  volume_m3 DECIMAL(10,2),
+  notes TEXT,
+  actual_volume DECIMAL(10,2),
+  actual_hours DECIMAL(10,2),
+  supervisor VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE concrete_deliveries
+  ADD COLUMN IF NOT EXISTS project_id TEXT,
+  ADD COLUMN IF NOT EXISTS project_name TEXT,
+  ADD COLUMN IF NOT EXISTS area TEXT,
+  ADD COLUMN IF NOT EXISTS quantity TEXT,
+  ADD COLUMN IF NOT EXISTS concrete_type TEXT,
+  ADD COLUMN IF NOT EXISTS status TEXT,
+  ADD COLUMN IF NOT EXISTS pour_type TEXT,
+  ADD COLUMN IF NOT EXISTS delivery_time TEXT,
+  ADD COLUMN IF NOT EXISTS truck_number TEXT,
+  ADD COLUMN IF NOT EXISTS volume_m3 DECIMAL(10,2),
+  ADD COLUMN IF NOT EXISTS notes TEXT,
+  ADD COLUMN IF NOT EXISTS actual_volume DECIMAL(10,2),
+  ADD COLUMN IF NOT EXISTS actual_hours DECIMAL(10,2),
+  ADD COLUMN IF NOT EXISTS supervisor VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS concrete_pours (
+  id SERIAL PRIMARY KEY,
+  project_name VARCHAR(255),
+  pour_date DATE,
+  area VARCHAR(255),
+  location TEXT,
+  planned_volume DECIMAL(10,2),
+  actual_volume DECIMAL(10,2),
+  planned_start TIMESTAMP,
+  planned_end TIMESTAMP,
+  actual_start TIMESTAMP,
+  actual_end TIMESTAMP,
+  concrete_type VARCHAR(100),
+  mix_type TEXT,
+  supplier VARCHAR(255),
+  supervisor VARCHAR(255),
+  slump TEXT,
+  weather_conditions TEXT,
+  temperature DECIMAL(5,2),
+  crew_size INTEGER,
+  pump_type TEXT,
+  notes TEXT,
+  status VARCHAR(50) DEFAULT 'scheduled',
+  created_by TEXT,
+  completed_by TEXT,
+  completion_notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE concrete_pours
+  ADD COLUMN IF NOT EXISTS location TEXT,
+  ADD COLUMN IF NOT EXISTS mix_type TEXT,
+  ADD COLUMN IF NOT EXISTS slump TEXT,
+  ADD COLUMN IF NOT EXISTS weather_conditions TEXT,
+  ADD COLUMN IF NOT EXISTS temperature DECIMAL(5,2),
+  ADD COLUMN IF NOT EXISTS crew_size INTEGER,
+  ADD COLUMN IF NOT EXISTS pump_type TEXT,
+  ADD COLUMN IF NOT EXISTS created_by TEXT,
+  ADD COLUMN IF NOT EXISTS completed_by TEXT,
+  ADD COLUMN IF NOT EXISTS completion_notes TEXT;
+
+CREATE TABLE IF NOT EXISTS weather_data (
+  id SERIAL PRIMARY KEY,
+  date DATE UNIQUE NOT NULL,
+  temperature_high REAL,
+  temperature_low REAL,
+  temperature_avg REAL,
+  feels_like REAL,
+  humidity INTEGER,
+  precipitation_mm REAL,
+  precipitation_type TEXT,
+  wind_speed_kmh REAL,
+  wind_gust_kmh REAL,
+  wind_direction TEXT,
+  pressure_mb REAL,
+  visibility_km REAL,
+  condition TEXT,
+  condition_code TEXT,
+  uv_index INTEGER,
+  sunrise TEXT,
+  sunset TEXT,
+  location TEXT DEFAULT 'Mississauga, Ontario',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  is_manual_entry BOOLEAN DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS weather_events (
+  id SERIAL PRIMARY KEY,
+  date DATE NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  start_time VARCHAR(10),
+  end_time VARCHAR(10),
+  hours_worked DECIMAL(4,2),
+  description TEXT,
+  affected_projects JSONB,
+  crew_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(date)
+);
+
+-- ============================================
+-- Requests and work orders
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS material_requests (
+  id SERIAL PRIMARY KEY,
+  worker_id INTEGER,
+  worker_name VARCHAR(255),
+  project_id INTEGER,
+  project_name VARCHAR(255),
+  items JSONB NOT NULL,
+  urgency VARCHAR(20),
+  delivery_date DATE,
+  notes TEXT,
+  photo_urls TEXT[],
+  status VARCHAR(50) DEFAULT 'pending',
+  viewed BOOLEAN DEFAULT FALSE,
+  submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP,
+  updated_by VARCHAR(255),
+  completion_notes TEXT
+);
+
+ALTER TABLE material_requests
+  ADD COLUMN IF NOT EXISTS photo_urls TEXT[],
+  ADD COLUMN IF NOT EXISTS viewed BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS rfi_requests (
+  id SERIAL PRIMARY KEY,
+  worker_id INTEGER,
+  worker_name VARCHAR(255),
+  project_id INTEGER,
+  project_name VARCHAR(255),
+  subject VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  priority VARCHAR(20) DEFAULT 'medium',
+  category VARCHAR(50),
+  attachments JSONB,
+  response TEXT,
+  responded_by VARCHAR(255),
+  responded_at TIMESTAMP,
+  status VARCHAR(50) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS work_orders (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER,
+  work_area_id INTEGER,
+  foreman_id INTEGER,
+  foreman_name VARCHAR(255),
+  contractor VARCHAR(255),
+  work_type VARCHAR(100),
+  equipment_rental VARCHAR(100),
+  start_date DATE,
+  end_date DATE,
+  description TEXT,
+  workers JSONB,
+  status VARCHAR(50) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS safety_procedures (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT,
+  category TEXT,
+  file_url TEXT NOT NULL,
+  file_name TEXT,
+  file_size BIGINT,
+  version TEXT,
+  tags TEXT[],
+  project_id INTEGER,
+  work_area_id UUID,
+  uploaded_by TEXT,
+  is_active BOOLEAN DEFAULT true,
+  uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Work areas
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS work_areas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id INTEGER REFERENCES projects(id),
+  name TEXT NOT NULL,
+  description TEXT,
+  location TEXT,
+  status TEXT DEFAULT 'active',
+  current_stage TEXT DEFAULT 'initial_layout',
+  start_date DATE,
+  end_date DATE,
+  planned_concrete_volume DECIMAL(10,2) DEFAULT 0,
+  foreman_in_charge VARCHAR(255),
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE work_areas
+  ADD COLUMN IF NOT EXISTS planned_concrete_volume DECIMAL(10,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS foreman_in_charge VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS area_worker_assignments (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  worker_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  worker_name TEXT,
+  role TEXT,
+  assignment_date DATE DEFAULT CURRENT_DATE,
+  check_in_time TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS work_area_workers (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID NOT NULL REFERENCES work_areas(id) ON DELETE CASCADE,
+  worker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  work_date DATE DEFAULT CURRENT_DATE,
+  worker_name VARCHAR(255),
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  hours_worked DECIMAL(4,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_work_area_workers_area_id ON work_area_workers(work_area_id);
+CREATE INDEX IF NOT EXISTS idx_work_area_workers_worker_id ON work_area_workers(worker_id);
+CREATE INDEX IF NOT EXISTS idx_work_area_workers_date ON work_area_workers(work_date);
+CREATE UNIQUE INDEX IF NOT EXISTS unique_work_area_worker_date
+  ON work_area_workers(work_area_id, worker_id, work_date);
+
+CREATE TABLE IF NOT EXISTS area_photos (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  photo_url TEXT NOT NULL,
+  thumbnail_url TEXT,
+  caption TEXT,
+  taken_by_name VARCHAR(255),
+  taken_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  category VARCHAR(50) DEFAULT 'general',
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  location_address TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE area_photos
+  ADD COLUMN IF NOT EXISTS category VARCHAR(50) DEFAULT 'general',
+  ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8),
+  ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8),
+  ADD COLUMN IF NOT EXISTS location_address TEXT;
+
+CREATE TABLE IF NOT EXISTS area_documents (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  document_type TEXT,
+  name TEXT NOT NULL,
+  file_url TEXT NOT NULL,
+  file_size BIGINT,
+  file_type TEXT,
+  uploaded_by INTEGER,
+  uploaded_by_name TEXT,
+  description TEXT,
+  uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS daily_activities (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  activity_date DATE NOT NULL,
+  stage TEXT,
+  description TEXT,
+  weather TEXT,
+  temperature TEXT,
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(work_area_id, activity_date)
+);
+
+CREATE TABLE IF NOT EXISTS daily_tasks (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  task_date DATE NOT NULL,
+  task_type TEXT NOT NULL,
+  status TEXT DEFAULT 'in_progress',
+  sequence_order INTEGER,
+  end_time TIMESTAMP,
+  end_date DATE,
+  duration_days INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(work_area_id, task_date, task_type)
+);
+
+CREATE TABLE IF NOT EXISTS drawings (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  revision VARCHAR(50),
+  file_url TEXT NOT NULL,
+  description TEXT,
+  uploaded_by VARCHAR(255),
+  uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  file_size BIGINT,
+  file_type VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS rfis (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID NOT NULL,
+  question TEXT NOT NULL,
+  answer TEXT,
+  status VARCHAR(50) DEFAULT 'pending',
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  answered_by VARCHAR(255),
+  answered_at TIMESTAMP,
+  attachments TEXT[],
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_instructions (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  instruction TEXT NOT NULL,
+  issued_by VARCHAR(255),
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  acknowledged BOOLEAN DEFAULT false,
+  acknowledged_by VARCHAR(255),
+  acknowledged_at TIMESTAMP,
+  attachments TEXT[],
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS work_area_concrete_pours (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  pour_date DATE NOT NULL,
+  expected_volume_m3 DECIMAL(10,2),
+  concrete_type TEXT,
+  supplier TEXT,
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(work_area_id, pour_date)
+);
+
+CREATE TABLE IF NOT EXISTS work_area_rfis (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  rfi_number TEXT,
+  title TEXT,
+  description TEXT,
+  status TEXT DEFAULT 'open',
+  priority TEXT,
+  submitted_by INTEGER,
+  submitted_by_name TEXT,
+  submitted_date DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS work_area_site_instructions (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  instruction_number TEXT,
+  title TEXT,
+  description TEXT,
+  instruction_type TEXT,
+  issued_by TEXT,
+  issued_date DATE,
+  acknowledgement_required BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS work_area_foreman_assignments (
+  id SERIAL PRIMARY KEY,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE CASCADE,
+  foreman_id INTEGER,
+  foreman_name TEXT,
+  assigned_date DATE,
+  is_active BOOLEAN DEFAULT true,
+  assigned_by INTEGER,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Community feed
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS community_feed_posts (
+  id SERIAL PRIMARY KEY,
+  foreman_id INTEGER,
+  foreman_name TEXT,
+  work_area_id UUID,
+  work_area_name TEXT,
+  photo_url TEXT,
+  caption TEXT,
+  post_type TEXT DEFAULT 'manual',
+  task_id INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS community_feed_likes (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER REFERENCES community_feed_posts(id) ON DELETE CASCADE,
+  user_id INTEGER,
+  user_name TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(post_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS community_feed_comments (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER REFERENCES community_feed_posts(id) ON DELETE CASCADE,
+  user_id INTEGER,
+  user_name TEXT,
+  comment_text TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
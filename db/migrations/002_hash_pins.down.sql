@@ -0,0 +1,9 @@
+-- Hashes can't be reversed, so the plaintext column comes back empty and
+-- every user needs a supervisor PIN reset after rolling back.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pin TEXT;
+
+ALTER TABLE users DROP COLUMN IF EXISTS must_change_pin;
+ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE users DROP COLUMN IF EXISTS failed_pin_attempts;
+ALTER TABLE users DROP COLUMN IF EXISTS pin_hash;
@@ -0,0 +1,17 @@
+-- Hash stored PINs with bcrypt and add the login lockout columns
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_hash TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_pin_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_pin BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE users
+SET pin_hash = crypt(pin, gen_salt('bf'))
+WHERE pin IS NOT NULL AND pin_hash IS NULL;
+
+-- Anyone still on one of the seeded defaults has to pick their own PIN
+UPDATE users
+SET must_change_pin = true
+WHERE pin IN ('1111', '1234');
+
+ALTER TABLE users DROP COLUMN IF EXISTS pin;
@@ -0,0 +1,2 @@
+-- Data backfill only, nothing to undo
+SELECT 1;
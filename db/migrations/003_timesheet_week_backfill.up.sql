@@ -0,0 +1,19 @@
+-- Fill in week_number and regular/overtime hours on timesheets submitted
+-- before those columns existed. This used to run on every GET /api/timesheets.
+
+UPDATE timesheets
+SET week_number = (
+  CASE
+    WHEN EXTRACT(DOW FROM date) = 0 THEN
+      EXTRACT(WEEK FROM date - INTERVAL '1 day')
+    ELSE
+      EXTRACT(WEEK FROM date)
+  END
+)::INTEGER
+WHERE week_number IS NULL;
+
+UPDATE timesheets
+SET
+  regular_hours = LEAST(total_hours, 8),
+  overtime_hours = GREATEST(total_hours - 8, 0)
+WHERE regular_hours IS NULL OR overtime_hours IS NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE concrete_pours DROP COLUMN IF EXISTS updated_at;
+
+DROP TABLE IF EXISTS audit_log;
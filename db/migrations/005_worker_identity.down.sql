@@ -0,0 +1,13 @@
+DROP INDEX IF EXISTS idx_timesheets_worker_date;
+DROP INDEX IF EXISTS idx_vacation_schedule_worker;
+DROP INDEX IF EXISTS idx_worker_signins_worker_date;
+DROP INDEX IF EXISTS idx_attendance_worker_date;
+
+ALTER TABLE timesheets DROP CONSTRAINT IF EXISTS timesheets_worker_id_fkey;
+ALTER TABLE vacation_schedule DROP CONSTRAINT IF EXISTS vacation_schedule_worker_id_fkey;
+ALTER TABLE worker_signins DROP CONSTRAINT IF EXISTS worker_signins_worker_id_fkey;
+ALTER TABLE attendance DROP CONSTRAINT IF EXISTS attendance_worker_id_fkey;
+
+-- attendance and timesheets had worker_id before this migration
+ALTER TABLE vacation_schedule DROP COLUMN IF EXISTS worker_id;
+ALTER TABLE worker_signins DROP COLUMN IF EXISTS worker_id;
@@ -0,0 +1,52 @@
+-- Link attendance, sign-ins, vacations and timesheets to users by id instead
+-- of by worker_name, and backfill the link for existing rows by name.
+-- worker_name stays as the name the row was recorded under.
+
+ALTER TABLE worker_signins ADD COLUMN IF NOT EXISTS worker_id INTEGER;
+ALTER TABLE vacation_schedule ADD COLUMN IF NOT EXISTS worker_id INTEGER;
+
+-- attendance and timesheets already had an unenforced worker_id; drop any
+-- that don't point at a user so the name match below can fill them in
+UPDATE attendance SET worker_id = NULL
+WHERE worker_id IS NOT NULL AND worker_id NOT IN (SELECT id FROM users);
+
+UPDATE timesheets SET worker_id = NULL
+WHERE worker_id IS NOT NULL AND worker_id NOT IN (SELECT id FROM users);
+
+-- Where several users share a name the oldest account wins; the rest can be
+-- folded into it with POST /api/workers/:workerId/merge
+UPDATE attendance t SET worker_id = (
+  SELECT MIN(u.id) FROM users u WHERE LOWER(TRIM(u.name)) = LOWER(TRIM(t.worker_name))
+)
+WHERE t.worker_id IS NULL AND t.worker_name IS NOT NULL;
+
+UPDATE worker_signins t SET worker_id = (
+  SELECT MIN(u.id) FROM users u WHERE LOWER(TRIM(u.name)) = LOWER(TRIM(t.worker_name))
+)
+WHERE t.worker_id IS NULL;
+
+UPDATE vacation_schedule t SET worker_id = (
+  SELECT MIN(u.id) FROM users u WHERE LOWER(TRIM(u.name)) = LOWER(TRIM(t.worker_name))
+)
+WHERE t.worker_id IS NULL;
+
+UPDATE timesheets t SET worker_id = (
+  SELECT MIN(u.id) FROM users u WHERE LOWER(TRIM(u.name)) = LOWER(TRIM(t.worker_name))
+)
+WHERE t.worker_id IS NULL AND t.worker_name IS NOT NULL;
+
+-- Rows for people without an account keep a NULL worker_id and are still
+-- matched by name. Deleting a user keeps their history under the old name.
+ALTER TABLE attendance
+  ADD CONSTRAINT attendance_worker_id_fkey FOREIGN KEY (worker_id) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE worker_signins
+  ADD CONSTRAINT worker_signins_worker_id_fkey FOREIGN KEY (worker_id) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE vacation_schedule
+  ADD CONSTRAINT vacation_schedule_worker_id_fkey FOREIGN KEY (worker_id) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE timesheets
+  ADD CONSTRAINT timesheets_worker_id_fkey FOREIGN KEY (worker_id) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_worker_date ON attendance(worker_id, date);
+CREATE INDEX IF NOT EXISTS idx_worker_signins_worker_date ON worker_signins(worker_id, signin_date);
+CREATE INDEX IF NOT EXISTS idx_vacation_schedule_worker ON vacation_schedule(worker_id);
+CREATE INDEX IF NOT EXISTS idx_timesheets_worker_date ON timesheets(worker_id, date);
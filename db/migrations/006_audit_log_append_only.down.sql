@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_audit_log_actor;
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
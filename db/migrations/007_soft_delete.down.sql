@@ -0,0 +1,14 @@
+-- Rows still in the trash come back as live rows
+DROP INDEX IF EXISTS idx_work_areas_deleted_at;
+DROP INDEX IF EXISTS idx_users_deleted_at;
+DROP INDEX IF EXISTS idx_jsa_forms_deleted_at;
+DROP INDEX IF EXISTS idx_projects_deleted_at;
+
+ALTER TABLE work_areas DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE work_areas DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE jsa_forms DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE jsa_forms DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE projects DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE projects DROP COLUMN IF EXISTS deleted_at;
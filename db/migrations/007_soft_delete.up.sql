@@ -0,0 +1,21 @@
+-- Soft delete for projects, JSA forms, workers and work areas: deleting sets
+-- deleted_at/deleted_by and the row stays in the trash until it is restored
+-- or purged
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE jsa_forms ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE jsa_forms ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE work_areas ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE work_areas ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- The trash listing and the purge job only ever look at deleted rows
+CREATE INDEX IF NOT EXISTS idx_projects_deleted_at ON projects(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jsa_forms_deleted_at ON jsa_forms(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_work_areas_deleted_at ON work_areas(deleted_at) WHERE deleted_at IS NOT NULL;
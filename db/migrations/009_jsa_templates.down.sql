@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS jsa_library;
+DROP TABLE IF EXISTS jsa_templates;
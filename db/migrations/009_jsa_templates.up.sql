@@ -0,0 +1,51 @@
+-- Reusable JSA templates per work type, and a library of operations, hazards
+-- and controls to pick from when filling in job steps
+
+CREATE TABLE IF NOT EXISTS jsa_templates (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  work_type TEXT NOT NULL,
+  description TEXT,
+  job_steps JSONB NOT NULL DEFAULT '[]',
+  tools JSONB NOT NULL DEFAULT '[]',
+  ppe JSONB NOT NULL DEFAULT '[]',
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jsa_templates_name ON jsa_templates(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_jsa_templates_work_type ON jsa_templates(LOWER(work_type));
+
+CREATE TABLE IF NOT EXISTS jsa_library (
+  id SERIAL PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('operation', 'hazard', 'control')),
+  text TEXT NOT NULL,
+  work_type TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jsa_library_text ON jsa_library(kind, LOWER(text));
+
+-- Start the library off with what crews have already written on their JSAs.
+-- Some older steps hold a single string instead of an array; those are skipped.
+INSERT INTO jsa_library (kind, text)
+SELECT DISTINCT ON (LOWER(TRIM(operation))) 'operation', TRIM(operation)
+FROM job_steps
+WHERE TRIM(COALESCE(operation, '')) <> ''
+ON CONFLICT DO NOTHING;
+
+INSERT INTO jsa_library (kind, text)
+SELECT DISTINCT ON (LOWER(TRIM(item))) 'hazard', TRIM(item)
+FROM job_steps,
+  jsonb_array_elements_text(CASE WHEN jsonb_typeof(hazards) = 'array' THEN hazards ELSE '[]' END) AS item
+WHERE TRIM(item) <> ''
+ON CONFLICT DO NOTHING;
+
+INSERT INTO jsa_library (kind, text)
+SELECT DISTINCT ON (LOWER(TRIM(item))) 'control', TRIM(item)
+FROM job_steps,
+  jsonb_array_elements_text(CASE WHEN jsonb_typeof(safety_controls) = 'array' THEN safety_controls ELSE '[]' END) AS item
+WHERE TRIM(item) <> ''
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,12 @@
+DROP TABLE IF EXISTS risk_matrix;
+
+ALTER TABLE jsa_forms DROP COLUMN IF EXISTS risk_approved_at;
+ALTER TABLE jsa_forms DROP COLUMN IF EXISTS risk_approved_by;
+
+ALTER TABLE job_steps DROP COLUMN IF EXISTS residual_level;
+ALTER TABLE job_steps DROP COLUMN IF EXISTS residual_score;
+ALTER TABLE job_steps DROP COLUMN IF EXISTS residual_severity;
+ALTER TABLE job_steps DROP COLUMN IF EXISTS residual_likelihood;
+ALTER TABLE job_steps DROP COLUMN IF EXISTS risk_score;
+ALTER TABLE job_steps DROP COLUMN IF EXISTS severity;
+ALTER TABLE job_steps DROP COLUMN IF EXISTS likelihood;
@@ -0,0 +1,37 @@
+-- Likelihood x severity scoring for job steps, before controls and after
+-- (residual risk), and the matrix that turns a score into a risk level.
+-- risk_level keeps holding the level before controls, so forms scored before
+-- this keep their free-text level.
+
+ALTER TABLE job_steps ADD COLUMN IF NOT EXISTS likelihood SMALLINT;
+ALTER TABLE job_steps ADD COLUMN IF NOT EXISTS severity SMALLINT;
+ALTER TABLE job_steps ADD COLUMN IF NOT EXISTS risk_score SMALLINT;
+ALTER TABLE job_steps ADD COLUMN IF NOT EXISTS residual_likelihood SMALLINT;
+ALTER TABLE job_steps ADD COLUMN IF NOT EXISTS residual_severity SMALLINT;
+ALTER TABLE job_steps ADD COLUMN IF NOT EXISTS residual_score SMALLINT;
+ALTER TABLE job_steps ADD COLUMN IF NOT EXISTS residual_level TEXT;
+
+-- A supervisor's sign-off on steps that are still high risk after controls
+ALTER TABLE jsa_forms ADD COLUMN IF NOT EXISTS risk_approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE jsa_forms ADD COLUMN IF NOT EXISTS risk_approved_at TIMESTAMP;
+
+-- One row: the likelihood and severity scales, lowest first, and the bands
+-- of likelihood x severity, each covering scores up to upTo
+CREATE TABLE IF NOT EXISTS risk_matrix (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  likelihood JSONB NOT NULL,
+  severity JSONB NOT NULL,
+  bands JSONB NOT NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO risk_matrix (id, likelihood, severity, bands) VALUES (
+  1,
+  '["Rare", "Unlikely", "Possible", "Likely", "Almost certain"]',
+  '["Negligible", "Minor", "Moderate", "Major", "Catastrophic"]',
+  '[{"level": "Low", "upTo": 4, "requiresApproval": false},
+    {"level": "Medium", "upTo": 9, "requiresApproval": false},
+    {"level": "High", "upTo": 25, "requiresApproval": true}]'
+)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_jsa_forms_revision_of;
+
+ALTER TABLE jsa_forms DROP COLUMN IF EXISTS revision_of;
+ALTER TABLE jsa_forms DROP COLUMN IF EXISTS revision;
+
+ALTER TABLE jsa_forms DROP CONSTRAINT IF EXISTS jsa_forms_status_check;
+ALTER TABLE jsa_forms ALTER COLUMN status DROP NOT NULL;
@@ -0,0 +1,19 @@
+-- JSA workflow: draft -> submitted -> crew_signed -> supervisor_approved ->
+-- locked. A locked form is only changed through an amendment, a new form
+-- linked to it as its next revision.
+
+-- Forms marked complete under the risk gate were what is now submitted;
+-- anything else unrecognised starts over as a draft
+UPDATE jsa_forms SET status = 'submitted' WHERE status IN ('complete', 'completed');
+UPDATE jsa_forms SET status = 'draft'
+WHERE status IS NULL OR status NOT IN ('draft', 'submitted', 'crew_signed', 'supervisor_approved', 'locked');
+
+ALTER TABLE jsa_forms ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE jsa_forms ALTER COLUMN status SET NOT NULL;
+ALTER TABLE jsa_forms ADD CONSTRAINT jsa_forms_status_check
+  CHECK (status IN ('draft', 'submitted', 'crew_signed', 'supervisor_approved', 'locked'));
+
+ALTER TABLE jsa_forms ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jsa_forms ADD COLUMN IF NOT EXISTS revision_of TEXT REFERENCES jsa_forms(form_id);
+
+CREATE INDEX IF NOT EXISTS idx_jsa_forms_revision_of ON jsa_forms(revision_of);
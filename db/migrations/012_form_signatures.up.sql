@@ -0,0 +1,27 @@
+-- Crew signatures on a JSA, each given for one version of the form: the
+-- signature image, the account it was given under, when and where, and a hash
+-- of the form's content at the time. Editing the form invalidates signatures
+-- given for an earlier version; they are kept as evidence, not deleted.
+-- crew_members.signed stays as the current state, kept in step by the API.
+CREATE TABLE IF NOT EXISTS form_signatures (
+  id SERIAL PRIMARY KEY,
+  form_id TEXT NOT NULL REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  crew_member TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  signature_image TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  location_accuracy DOUBLE PRECISION,
+  user_agent TEXT,
+  ip_address TEXT,
+  signed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  invalidated_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_form_signatures_form_id ON form_signatures(form_id);
+
+-- One current signature per crew member and form
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_signatures_current
+  ON form_signatures(form_id, LOWER(TRIM(crew_member)))
+  WHERE invalidated_at IS NULL;
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS notifications;
+
+DROP INDEX IF EXISTS idx_crew_members_form_id;
+
+ALTER TABLE crew_members DROP COLUMN IF EXISTS added_at;
+ALTER TABLE crew_members DROP COLUMN IF EXISTS source;
+ALTER TABLE crew_members DROP COLUMN IF EXISTS worker_id;
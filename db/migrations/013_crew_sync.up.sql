@@ -0,0 +1,30 @@
+-- JSA crew lists filled in from who is on site: crew members link to the
+-- worker's account and record how they got on the list. Workers added to a
+-- form get a notification asking them to sign it.
+
+ALTER TABLE crew_members ADD COLUMN IF NOT EXISTS worker_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+-- manual (typed in on the form), signin or work_area
+ALTER TABLE crew_members ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual';
+ALTER TABLE crew_members ADD COLUMN IF NOT EXISTS added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_crew_members_form_id ON crew_members(form_id);
+
+-- Link existing crew members to the only account with their name
+UPDATE crew_members c SET worker_id = (
+  SELECT MIN(u.id) FROM users u WHERE LOWER(TRIM(u.name)) = LOWER(TRIM(c.name))
+)
+WHERE c.worker_id IS NULL
+  AND (SELECT COUNT(*) FROM users u WHERE LOWER(TRIM(u.name)) = LOWER(TRIM(c.name))) = 1;
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  message TEXT,
+  form_id TEXT REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  read_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at);
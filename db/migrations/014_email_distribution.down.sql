@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS idx_email_schedules_created_at;
+DROP INDEX IF EXISTS idx_email_schedules_form_id;
+
+ALTER TABLE email_schedules DROP COLUMN IF EXISTS requested_by;
+ALTER TABLE email_schedules DROP COLUMN IF EXISTS message_id;
+ALTER TABLE email_schedules DROP COLUMN IF EXISTS error;
+ALTER TABLE email_schedules DROP COLUMN IF EXISTS status;
+ALTER TABLE email_schedules DROP COLUMN IF EXISTS kind;
+
+DROP TABLE IF EXISTS project_email_recipients;
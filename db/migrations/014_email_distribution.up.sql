@@ -0,0 +1,28 @@
+-- JSA email distribution: who gets each project's JSAs, and a log of every
+-- JSA sent (email_schedules, from the legacy server) with its delivery status
+
+CREATE TABLE IF NOT EXISTS project_email_recipients (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  name TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_email_recipients_email
+  ON project_email_recipients(project_id, LOWER(email));
+
+-- One row per JSA and recipient. kind is manual (sent from the API) or daily
+-- (the automatic send of approved JSAs); status is pending, sent or failed.
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'manual';
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS error TEXT;
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS message_id TEXT;
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Rows from the legacy server with a sent_at went out
+UPDATE email_schedules SET status = 'sent' WHERE sent_at IS NOT NULL AND status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_email_schedules_form_id ON email_schedules(form_id);
+CREATE INDEX IF NOT EXISTS idx_email_schedules_created_at ON email_schedules(created_at);
@@ -0,0 +1,13 @@
+DROP TRIGGER IF EXISTS crew_members_search ON crew_members;
+DROP TRIGGER IF EXISTS ppe_search ON ppe;
+DROP TRIGGER IF EXISTS tools_search ON tools;
+DROP TRIGGER IF EXISTS job_steps_search ON job_steps;
+DROP TRIGGER IF EXISTS jsa_forms_search ON jsa_forms;
+
+DROP FUNCTION IF EXISTS jsa_form_changed();
+DROP FUNCTION IF EXISTS jsa_refresh_search(TEXT);
+DROP FUNCTION IF EXISTS jsa_search_vector(jsa_forms);
+DROP FUNCTION IF EXISTS jsa_search_list(JSONB);
+
+DROP INDEX IF EXISTS idx_jsa_forms_status;
+DROP TABLE IF EXISTS jsa_form_search;
@@ -0,0 +1,91 @@
+-- Full-text search over JSA forms. jsa_form_search keeps a tsvector of
+-- everything each form says, weighted so a match on the project or
+-- supervisor ranks above one in a job step, which ranks above the crew,
+-- tools and PPE:
+--   A  project, supervisor, safety rep, site address, form no.
+--   B  job step operations, hazards and controls
+--   C  crew, tools, PPE
+--   D  company, weather, formwork
+-- Triggers keep it current as the form or any of its parts change.
+
+CREATE TABLE IF NOT EXISTS jsa_form_search (
+  form_id TEXT PRIMARY KEY REFERENCES jsa_forms(form_id) ON DELETE CASCADE,
+  search_vector TSVECTOR NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_jsa_form_search_vector ON jsa_form_search USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_jsa_forms_status ON jsa_forms(status);
+
+-- Hazards and controls are JSON arrays of strings, on some older steps a
+-- single string
+CREATE OR REPLACE FUNCTION jsa_search_list(value JSONB) RETURNS TEXT AS $$
+  SELECT CASE jsonb_typeof(value)
+    WHEN 'array' THEN (SELECT string_agg(item, ' ') FROM jsonb_array_elements_text(value) AS item)
+    WHEN 'string' THEN value #>> '{}'
+    ELSE ''
+  END
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION jsa_search_vector(f jsa_forms) RETURNS TSVECTOR AS $$
+  SELECT
+    setweight(to_tsvector('english', concat_ws(' ',
+      f.project_name, f.crew_supervisor, f.crew_safety_rep, f.site_address, f.form_id)), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ',
+      (SELECT string_agg(concat_ws(' ', operation, jsa_search_list(hazards), jsa_search_list(safety_controls)), ' ')
+       FROM job_steps WHERE form_id = f.form_id))), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ',
+      (SELECT string_agg(name, ' ') FROM crew_members WHERE form_id = f.form_id),
+      (SELECT string_agg(tool_name, ' ') FROM tools WHERE form_id = f.form_id),
+      (SELECT string_agg(ppe_name, ' ') FROM ppe WHERE form_id = f.form_id))), 'C') ||
+    setweight(to_tsvector('english', concat_ws(' ', f.company, f.weather, f.formwork)), 'D')
+$$ LANGUAGE sql STABLE;
+
+-- Work a form's vector out again; nothing happens once the form is deleted
+CREATE OR REPLACE FUNCTION jsa_refresh_search(changed_form_id TEXT) RETURNS VOID AS $$
+  INSERT INTO jsa_form_search (form_id, search_vector)
+  SELECT f.form_id, jsa_search_vector(f) FROM jsa_forms f WHERE f.form_id = changed_form_id
+  ON CONFLICT (form_id) DO UPDATE SET search_vector = EXCLUDED.search_vector
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION jsa_form_changed() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM jsa_refresh_search(OLD.form_id);
+  END IF;
+  IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.form_id IS DISTINCT FROM OLD.form_id) THEN
+    PERFORM jsa_refresh_search(NEW.form_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS jsa_forms_search ON jsa_forms;
+CREATE TRIGGER jsa_forms_search
+  AFTER INSERT OR UPDATE OF form_id, project_name, crew_supervisor, crew_safety_rep, site_address, company, weather, formwork
+  ON jsa_forms
+  FOR EACH ROW EXECUTE FUNCTION jsa_form_changed();
+
+DROP TRIGGER IF EXISTS job_steps_search ON job_steps;
+CREATE TRIGGER job_steps_search
+  AFTER INSERT OR DELETE OR UPDATE OF form_id, operation, hazards, safety_controls ON job_steps
+  FOR EACH ROW EXECUTE FUNCTION jsa_form_changed();
+
+DROP TRIGGER IF EXISTS tools_search ON tools;
+CREATE TRIGGER tools_search
+  AFTER INSERT OR DELETE OR UPDATE OF form_id, tool_name ON tools
+  FOR EACH ROW EXECUTE FUNCTION jsa_form_changed();
+
+DROP TRIGGER IF EXISTS ppe_search ON ppe;
+CREATE TRIGGER ppe_search
+  AFTER INSERT OR DELETE OR UPDATE OF form_id, ppe_name ON ppe
+  FOR EACH ROW EXECUTE FUNCTION jsa_form_changed();
+
+DROP TRIGGER IF EXISTS crew_members_search ON crew_members;
+CREATE TRIGGER crew_members_search
+  AFTER INSERT OR DELETE OR UPDATE OF form_id, name ON crew_members
+  FOR EACH ROW EXECUTE FUNCTION jsa_form_changed();
+
+-- Forms already on file
+INSERT INTO jsa_form_search (form_id, search_vector)
+SELECT f.form_id, jsa_search_vector(f) FROM jsa_forms f WHERE f.form_id IS NOT NULL
+ON CONFLICT (form_id) DO UPDATE SET search_vector = EXCLUDED.search_vector;
@@ -0,0 +1,3 @@
+ALTER TABLE project_email_recipients DROP COLUMN IF EXISTS language;
+
+DROP TABLE IF EXISTS jsa_translations;
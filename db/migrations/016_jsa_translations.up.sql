@@ -0,0 +1,20 @@
+-- Translations of JSA text for Spanish and Portuguese speaking crews. Forms
+-- keep the English they were written in; any operation, hazard, control,
+-- tool or PPE item, and any template name or description, is shown in
+-- another language by looking its text up here.
+
+CREATE TABLE IF NOT EXISTS jsa_translations (
+  id SERIAL PRIMARY KEY,
+  language TEXT NOT NULL CHECK (language IN ('es', 'pt')),
+  source_text TEXT NOT NULL,
+  text TEXT NOT NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jsa_translations_source
+  ON jsa_translations(language, LOWER(TRIM(source_text)));
+
+-- The language JSAs are emailed in to an address; when not set, that of the
+-- worker registered with the address, else English
+ALTER TABLE project_email_recipients ADD COLUMN IF NOT EXISTS language TEXT;
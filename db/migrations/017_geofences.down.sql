@@ -0,0 +1,15 @@
+DROP INDEX IF EXISTS idx_worker_signins_outside_geofence;
+
+ALTER TABLE attendance DROP COLUMN IF EXISTS outside_geofence;
+ALTER TABLE attendance DROP COLUMN IF EXISTS distance_from_site_m;
+ALTER TABLE attendance DROP COLUMN IF EXISTS nearest_project_id;
+
+ALTER TABLE worker_signins DROP COLUMN IF EXISTS outside_geofence;
+ALTER TABLE worker_signins DROP COLUMN IF EXISTS distance_from_site_m;
+
+ALTER TABLE projects DROP COLUMN IF EXISTS geofence_policy;
+ALTER TABLE projects DROP COLUMN IF EXISTS site_polygon;
+ALTER TABLE projects DROP COLUMN IF EXISTS site_radius_m;
+ALTER TABLE projects DROP COLUMN IF EXISTS site_longitude;
+ALTER TABLE projects DROP COLUMN IF EXISTS site_latitude;
+ALTER TABLE projects DROP COLUMN IF EXISTS geofence_type;
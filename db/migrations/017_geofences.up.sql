@@ -0,0 +1,27 @@
+-- Site boundaries. A project's fence is a circle (site_latitude,
+-- site_longitude, site_radius_m) or a polygon (site_polygon, a JSON array of
+-- { latitude, longitude } corners). geofence_policy says what happens to a
+-- sign-in outside it: flag lets it through marked as outside, reject refuses
+-- it, off ignores the fence.
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS geofence_type TEXT
+  CHECK (geofence_type IN ('circle', 'polygon'));
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS site_latitude DOUBLE PRECISION;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS site_longitude DOUBLE PRECISION;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS site_radius_m DOUBLE PRECISION;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS site_polygon JSONB;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS geofence_policy TEXT NOT NULL DEFAULT 'flag'
+  CHECK (geofence_policy IN ('off', 'flag', 'reject'));
+
+-- How far from the site fence a sign-in was made, 0 inside it. Both are NULL
+-- when the project has no fence or the sign-in came without a location.
+ALTER TABLE worker_signins ADD COLUMN IF NOT EXISTS distance_from_site_m DOUBLE PRECISION;
+ALTER TABLE worker_signins ADD COLUMN IF NOT EXISTS outside_geofence BOOLEAN;
+
+-- Logins aren't for a project, so they are checked against the nearest fence
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS nearest_project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS distance_from_site_m DOUBLE PRECISION;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS outside_geofence BOOLEAN;
+
+CREATE INDEX IF NOT EXISTS idx_worker_signins_outside_geofence
+  ON worker_signins(signin_date) WHERE outside_geofence;
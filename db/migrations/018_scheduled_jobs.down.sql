@@ -0,0 +1,6 @@
+ALTER TABLE safety_certificates DROP COLUMN IF EXISTS notified_status;
+ALTER TABLE projects DROP COLUMN IF EXISTS shift_end;
+
+DROP FUNCTION IF EXISTS scheduled_job_next_daily(TIME);
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS scheduled_jobs;
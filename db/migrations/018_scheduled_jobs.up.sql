@@ -0,0 +1,54 @@
+-- Scheduled jobs run by the API itself. What each job does and how often is
+-- in api/jobs.js; scheduled_jobs holds when it is next due and who is running
+-- it, so only one server runs a job at a time, and job_runs is the history of
+-- every run.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name TEXT PRIMARY KEY,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- The server running the job and until when it may; a lock past
+  -- locked_until was left by a server that died and is taken over
+  locked_by TEXT,
+  locked_until TIMESTAMP,
+  -- Failed attempts in a row, cleared by a run that succeeds
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_run_at TIMESTAMP,
+  last_status TEXT,
+  last_error TEXT,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- status is running, succeeded or failed; trigger is schedule or manual
+CREATE TABLE IF NOT EXISTS job_runs (
+  id SERIAL PRIMARY KEY,
+  job_name TEXT NOT NULL REFERENCES scheduled_jobs(name) ON DELETE CASCADE,
+  trigger TEXT NOT NULL DEFAULT 'schedule',
+  attempt INTEGER NOT NULL DEFAULT 1,
+  started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP,
+  status TEXT NOT NULL DEFAULT 'running',
+  result JSONB,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs(job_name, started_at DESC);
+
+-- The next time it is at in Toronto, today if that is still to come,
+-- otherwise tomorrow. Daylight saving is left to Postgres.
+CREATE OR REPLACE FUNCTION scheduled_job_next_daily(at TIME) RETURNS TIMESTAMP AS $$
+  SELECT CASE
+    WHEN ((NOW() AT TIME ZONE 'America/Toronto')::date + at) AT TIME ZONE 'America/Toronto' > NOW()
+      THEN (((NOW() AT TIME ZONE 'America/Toronto')::date + at) AT TIME ZONE 'America/Toronto')::timestamp
+    ELSE (((NOW() AT TIME ZONE 'America/Toronto')::date + 1 + at) AT TIME ZONE 'America/Toronto')::timestamp
+  END
+$$ LANGUAGE sql STABLE;
+
+-- When the project's workday ends, Toronto time. Sign-ins still open then are
+-- closed at it by the auto sign-out job; NULL uses the default of 17:00.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS shift_end TIME;
+
+-- The certificate status the worker was last told about, so the expiry job
+-- notifies them once when it starts expiring soon and once when it expires
+ALTER TABLE safety_certificates ADD COLUMN IF NOT EXISTS notified_status TEXT;
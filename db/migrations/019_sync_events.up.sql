@@ -0,0 +1,21 @@
+-- Events queued on a phone while it had no signal and sent later to
+-- /api/sync. Each carries an idempotency key chosen by the phone, unique per
+-- user, so an event sent again after a dropped connection is answered from
+-- here instead of being applied twice. status is processing while it is
+-- being applied, then applied or conflict; response is what the phone was
+-- told.
+
+CREATE TABLE IF NOT EXISTS sync_events (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL,
+  type TEXT NOT NULL,
+  device_id TEXT,
+  client_time TIMESTAMP NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing',
+  response JSONB,
+  received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_events_key ON sync_events(user_id, idempotency_key);
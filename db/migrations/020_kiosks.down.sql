@@ -0,0 +1,6 @@
+ALTER TABLE worker_signins DROP COLUMN IF EXISTS signin_method;
+ALTER TABLE worker_signins DROP COLUMN IF EXISTS kiosk_id;
+ALTER TABLE worker_signins DROP COLUMN IF EXISTS work_area_id;
+
+DROP TABLE IF EXISTS worker_badges;
+DROP TABLE IF EXISTS kiosk_devices;
@@ -0,0 +1,37 @@
+-- Kiosk sign-in. A kiosk is a tablet in a site trailer registered to a
+-- project (and optionally one of its work areas); it authenticates with a
+-- device token of its own, kept here only as a SHA-256 hash, until it is
+-- revoked. Workers sign in at a kiosk by scanning their badge, whose code is
+-- likewise only kept hashed. Each worker has at most one badge in use;
+-- issuing a new one revokes the old.
+
+CREATE TABLE IF NOT EXISTS kiosk_devices (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  work_area_id UUID REFERENCES work_areas(id) ON DELETE SET NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS worker_badges (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL UNIQUE,
+  issued_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_worker_badges_in_use ON worker_badges(user_id) WHERE revoked_at IS NULL;
+
+-- Where and how a sign-in was made. signin_method is kiosk (a badge scanned
+-- at a kiosk) or site_code (the site's QR code scanned with the worker's
+-- phone); NULL for sign-ins from the sign-in page.
+ALTER TABLE worker_signins ADD COLUMN IF NOT EXISTS work_area_id UUID REFERENCES work_areas(id) ON DELETE SET NULL;
+ALTER TABLE worker_signins ADD COLUMN IF NOT EXISTS kiosk_id INTEGER REFERENCES kiosk_devices(id) ON DELETE SET NULL;
+ALTER TABLE worker_signins ADD COLUMN IF NOT EXISTS signin_method TEXT;
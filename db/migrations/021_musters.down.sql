@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS muster_log;
+DROP TABLE IF EXISTS muster_people;
+DROP TABLE IF EXISTS musters;
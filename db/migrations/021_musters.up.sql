@@ -0,0 +1,59 @@
+-- Emergency musters. Starting one takes the roll of everyone signed in to
+-- the project at that moment (muster_people); foremen then mark each person
+-- accounted for. People still unaccounted for after the escalation time are
+-- escalated to supervisors. Every step is kept in muster_log, so an ended
+-- muster is a complete record of what happened and when.
+
+CREATE TABLE IF NOT EXISTS musters (
+  id SERIAL PRIMARY KEY,
+  -- A safety record: a project with musters is never purged from the trash
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE RESTRICT,
+  -- The day, in Toronto, whose open sign-ins the roll was taken from
+  signin_date DATE NOT NULL,
+  reason TEXT,
+  -- Drills are run and recorded the same way, but flagged for review
+  drill BOOLEAN NOT NULL DEFAULT false,
+  started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- People unaccounted for this long after the start are escalated
+  escalate_at TIMESTAMP NOT NULL,
+  ended_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ended_at TIMESTAMP,
+  end_note TEXT
+);
+
+-- One muster in progress per project
+CREATE UNIQUE INDEX IF NOT EXISTS idx_musters_in_progress ON musters(project_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_musters_started_at ON musters(started_at DESC);
+
+-- The roll: one row per person on site when the muster started. worker_id is
+-- NULL for sign-ins not linked to an account.
+CREATE TABLE IF NOT EXISTS muster_people (
+  id SERIAL PRIMARY KEY,
+  muster_id INTEGER NOT NULL REFERENCES musters(id) ON DELETE CASCADE,
+  worker_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  worker_name TEXT NOT NULL,
+  signin_id INTEGER REFERENCES worker_signins(id) ON DELETE SET NULL,
+  signin_time TIMESTAMP,
+  accounted_at TIMESTAMP,
+  accounted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  escalated_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_muster_people_muster_id ON muster_people(muster_id);
+
+-- What happened during a muster, in order. action is started, accounted,
+-- unaccounted (a mark taken back), escalated or ended.
+CREATE TABLE IF NOT EXISTS muster_log (
+  id SERIAL PRIMARY KEY,
+  muster_id INTEGER NOT NULL REFERENCES musters(id) ON DELETE CASCADE,
+  person_id INTEGER REFERENCES muster_people(id) ON DELETE CASCADE,
+  action TEXT NOT NULL,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  actor_name TEXT,
+  note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_muster_log_muster_id ON muster_log(muster_id, id);
@@ -0,0 +1,2 @@
+-- The default PINs are not put back
+SELECT 1;
@@ -0,0 +1,14 @@
+-- The baseline seeds its accounts with the well-known PINs 1234 and 1111.
+-- Anyone still on one of them gets a random secret that no PIN can match,
+-- and has to be given a temporary PIN by a supervisor (or, for the first
+-- supervisor, by db/reset-pin.js) before they can log in. This runs in the
+-- same migrate as the baseline on a new database, so the defaults never
+-- work there.
+
+UPDATE users
+SET pin_hash = crypt(encode(gen_random_bytes(16), 'hex'), gen_salt('bf')),
+    must_change_pin = true,
+    failed_pin_attempts = 0,
+    locked_until = NULL
+WHERE pin_hash IS NOT NULL
+  AND (pin_hash = crypt('1234', pin_hash) OR pin_hash = crypt('1111', pin_hash));
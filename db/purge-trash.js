@@ -0,0 +1,29 @@
+// Retention job for the trash
+//
+// Permanently deletes projects, JSA forms, workers and work areas that have
+// been in the trash for longer than TRASH_RETENTION_DAYS (default 30). Run it
+// daily from the host's scheduler; POST /api/trash/purge does the same on demand.
+//
+// Usage: node db/purge-trash.js
+async function main() {
+  require('dotenv').config();
+  const { pool } = require('../api/db');
+  const { TRASH_RETENTION_DAYS, purgeTrash } = require('../api/services/trash');
+
+  try {
+    const summary = await purgeTrash(TRASH_RETENTION_DAYS);
+    for (const [type, { purged, kept }] of Object.entries(summary)) {
+      const note = kept > 0 ? ` (${kept} kept: signed or still referenced)` : '';
+      console.log(`${type}: purged ${purged}${note}`);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,42 @@
+// Give a user a temporary PIN from the command line, for the first
+// supervisor on a new database (nobody can log in to reset it through
+// POST /api/auth/users/:id/reset-pin yet). The PIN is printed once and must
+// be changed at the next login.
+//
+// Usage: node db/reset-pin.js "<user name>"
+async function main() {
+  require('dotenv').config();
+  const { pool } = require('../api/db');
+  const { generateTemporaryPin } = require('../api/auth');
+  const users = require('../api/services/users');
+
+  const name = process.argv[2];
+  if (!name) {
+    console.error('Usage: node db/reset-pin.js "<user name>"');
+    process.exitCode = 1;
+    return pool.end();
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id FROM users WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL',
+      [name]
+    );
+    if (result.rows.length !== 1) {
+      throw new Error(result.rows.length === 0 ? `No user named ${name}` : `More than one user is named ${name}`);
+    }
+
+    const temporaryPin = generateTemporaryPin();
+    const user = await users.resetPin(result.rows[0].id, temporaryPin);
+    console.log(`Temporary PIN for ${user.name}: ${temporaryPin}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
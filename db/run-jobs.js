@@ -0,0 +1,32 @@
+// Scheduled job runner
+//
+// Runs every scheduled job that is due (auto sign-out, daily JSA emails...),
+// for hosts without a long-running server to check for them every minute.
+// Run it from the host's scheduler every few minutes; runs that overlap with
+// another server's are skipped, as the jobs are locked in the database.
+//
+// Usage: node db/run-jobs.js
+async function main() {
+  require('dotenv').config();
+  const { pool } = require('../api/db');
+  const { runDueJobs } = require('../api/jobs');
+
+  try {
+    for (const run of await runDueJobs()) {
+      const note = run.error ? ` (${run.error})` : '';
+      console.log(`${run.job_name}: ${run.status}${note}`);
+      if (run.status === 'failed') {
+        process.exitCode = 1;
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,31 @@
+// Daily JSA email job
+//
+// Emails every JSA approved on a day (default today), and any from the week
+// before not sent yet, to its project's distribution list. The
+// daily-jsa-emails scheduled job does this at 17:00; this is for sending a
+// day by hand, as POST /api/email/daily-jsas does.
+//
+// Usage: node db/send-daily-jsas.js [YYYY-MM-DD]
+async function main() {
+  require('dotenv').config();
+  const { pool } = require('../api/db');
+  const { sendDailyJsaEmails } = require('../api/jsa-email');
+
+  try {
+    for (const { formId, deliveries } of await sendDailyJsaEmails(process.argv[2])) {
+      for (const delivery of deliveries) {
+        const note = delivery.error ? ` (${delivery.error})` : '';
+        console.log(`${formId} -> ${delivery.email}: ${delivery.status}${note}`);
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -1,17 +1,15 @@
 const nodemailer = require('nodemailer');
 
-// Email configuration for MJR Contractors work email
+// Email configuration for the legacy server, from the same environment
+// variables as the API's mailer (api/mailer.js)
 const EMAIL_CONFIG = {
-  host: 'mail.mjrcontractors.com', // Your cPanel mail server
-  port: 587, // Use 465 if SSL is required
-  secure: false, // true for 465, false for 587
-  auth: {
-    user: 'pavel@mjrcontractors.com',
-    pass: 'GEBooth2025'
-  },
-  tls: {
-    rejectUnauthorized: false // Accept self-signed certificates
-  }
+  host: process.env.EMAIL_HOST,
+  port: parseInt(process.env.EMAIL_PORT || '587', 10),
+  secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for 587
+  auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined,
+  // Certificates are checked unless EMAIL_ALLOW_SELF_SIGNED is set, for a
+  // local SMTP catcher
+  tls: process.env.EMAIL_ALLOW_SELF_SIGNED === 'true' ? { rejectUnauthorized: false } : undefined
 };
 
 // Create reusable transporter
@@ -89,7 +87,7 @@ function generateJSAEmailHTML(jsa) {
 // Send JSA email
 async function sendJSAEmail(to, jsa, subject = null) {
   const mailOptions = {
-    from: 'pavel@mjrcontractors.com',
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
     to: to,
     subject: subject || `JSA Report - ${jsa.projectName || 'Project'} - ${new Date().toLocaleDateString()}`,
     html: generateJSAEmailHTML(jsa)
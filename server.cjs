@@ -63,6 +63,13 @@ db.serialize(() => {
     }
   });
 
+  // Add supervisor_signature column if it doesn't exist (for existing databases)
+  db.run(`ALTER TABLE jsa_forms ADD COLUMN supervisor_signature TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.log('Column supervisor_signature already exists or error:', err.message);
+    }
+  });
+
   // Job Steps table
   db.run(`
     CREATE TABLE IF NOT EXISTS job_steps (
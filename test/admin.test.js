@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb, queriesMatching, startApp, supervisor } = require('./helpers');
+
+describe('database browser', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const explain = query => app.request('POST', '/api/database/explain', { as: supervisor, body: { query } });
+
+  it('refuses to explain a query that changes data', async () => {
+    const queries = fakeDb();
+
+    const { status, body } = await explain('WITH d AS (DELETE FROM users RETURNING 1) SELECT * FROM d');
+
+    assert.equal(status, 403);
+    assert.equal(body.message, 'Query contains forbidden operations');
+    assert.equal(queriesMatching(queries, /EXPLAIN/).length, 0);
+  });
+
+  it('explains a query in a read-only transaction that is rolled back', async () => {
+    const queries = fakeDb([
+      [/^EXPLAIN ANALYZE /, [{ 'QUERY PLAN': 'Seq Scan on projects' }]],
+      [/^EXPLAIN \(FORMAT JSON\) /, [{ 'QUERY PLAN': [{ Plan: { 'Node Type': 'Seq Scan' } }] }]]
+    ]);
+
+    const { status, body } = await explain('SELECT * FROM projects');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.executionPlan, ['Seq Scan on projects']);
+    // After the session lookup
+    assert.deepEqual(queries.slice(1).map(({ sql }) => sql), [
+      'BEGIN READ ONLY',
+      'EXPLAIN ANALYZE SELECT * FROM projects',
+      'EXPLAIN (FORMAT JSON) SELECT * FROM projects',
+      'ROLLBACK'
+    ]);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { fakeDb, queriesMatching, startApp, supervisor, worker } = require('./helpers');
+const users = require('../api/services/users');
+
+const LOGIN_LOOKUP = /FROM users WHERE LOWER\(name\) = LOWER\(\$1\)/;
+const COUNT_FAILURE = /SET failed_pin_attempts = CASE/;
+
+describe('login and PINs', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const foremanRow = { id: 2, name: 'Fay Foreman', role: 'foreman', display_name: null, must_change_pin: false };
+
+  it('refuses a wrong PIN without saying which part was wrong', async () => {
+    const queries = fakeDb([
+      [LOGIN_LOOKUP, [{ ...foremanRow, locked: false, pin_matches: false }]],
+      [COUNT_FAILURE, [{ locked: false }]]
+    ]);
+
+    const { status, body } = await app.request('POST', '/api/auth/login', { body: { name: 'Fay Foreman', pin: '0000' } });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHENTICATED');
+    assert.equal(body.message, 'Invalid name or PIN');
+    assert.equal(queriesMatching(queries, COUNT_FAILURE).length, 1);
+  });
+
+  it('locks the account on the failure that reaches the limit', async () => {
+    fakeDb([
+      [LOGIN_LOOKUP, [{ ...foremanRow, locked: false, pin_matches: false }]],
+      [COUNT_FAILURE, [{ locked: true }]]
+    ]);
+
+    const { status, body } = await app.request('POST', '/api/auth/login', { body: { name: 'Fay Foreman', pin: '0000' } });
+
+    assert.equal(status, 429);
+    assert.equal(body.code, 'ACCOUNT_LOCKED');
+  });
+
+  it('refuses the right PIN while the account is locked', async () => {
+    const queries = fakeDb([
+      [LOGIN_LOOKUP, [{ ...foremanRow, locked: true, pin_matches: true }]]
+    ]);
+
+    const { status, body } = await app.request('POST', '/api/auth/login', { body: { name: 'Fay Foreman', pin: '1234' } });
+
+    assert.equal(status, 429);
+    assert.equal(body.code, 'ACCOUNT_LOCKED');
+    assert.equal(queriesMatching(queries, /SET failed_pin_attempts = 0/).length, 0);
+  });
+
+  it('signs in with the right PIN and does not log the user row', async () => {
+    fakeDb([[LOGIN_LOOKUP, [{ ...foremanRow, locked: false, pin_matches: true }]]]);
+    const log = mock.method(console, 'log', () => {});
+
+    try {
+      const { status, body } = await app.request('POST', '/api/auth/login', { body: { name: 'Fay Foreman', pin: '2468' } });
+
+      assert.equal(status, 200);
+      assert.equal(typeof body.token, 'string');
+      assert.equal(body.user.locked, undefined);
+      assert.equal(body.user.pin_matches, undefined);
+      const loggedRow = log.mock.calls.some(call => call.arguments.some(arg => arg && typeof arg === 'object' && arg.id === foremanRow.id));
+      assert.equal(loggedRow, false);
+    } finally {
+      log.mock.restore();
+    }
+  });
+
+  it('needs a session for everything else', async () => {
+    fakeDb();
+    const { status, body } = await app.request('GET', '/api/projects');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHENTICATED');
+  });
+
+  it('only lets a user on a temporary PIN change it', async () => {
+    fakeDb();
+    const tempUser = { ...worker, id: 30, must_change_pin: true };
+
+    const blocked = await app.request('GET', '/api/projects', { as: tempUser });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'PIN_CHANGE_REQUIRED');
+
+    const change = await app.request('POST', '/api/auth/change-pin', { as: tempUser, body: { currentPin: '123456', newPin: '12ab' } });
+    assert.equal(change.status, 400);
+    assert.deepEqual(change.body.fields, { newPin: 'must be 4 to 8 digits' });
+  });
+
+  it('rejects a wrong current PIN when changing it', async () => {
+    fakeDb([
+      [LOGIN_LOOKUP, [{ ...worker, display_name: null, must_change_pin: false, locked: false, pin_matches: false }]],
+      [COUNT_FAILURE, [{ locked: false }]]
+    ]);
+    const setPin = mock.method(users, 'setPin', async () => {});
+
+    try {
+      const { status } = await app.request('POST', '/api/auth/change-pin', { as: worker, body: { currentPin: '9999', newPin: '4321' } });
+      assert.equal(status, 401);
+      assert.equal(setPin.mock.callCount(), 0);
+    } finally {
+      setPin.mock.restore();
+    }
+  });
+
+  it('only lets supervisors reset a PIN', async () => {
+    fakeDb();
+    const forbidden = await app.request('POST', '/api/auth/users/5/reset-pin', { as: worker });
+    assert.equal(forbidden.status, 403);
+
+    const missing = await app.request('POST', '/api/auth/users/5/reset-pin', { as: supervisor });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('session secret', () => {
+  // Load api/auth.js in a process of its own with env
+  const loadAuth = env => spawnSync(process.execPath, ['-e', "require('./api/auth')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ...env },
+    encoding: 'utf8'
+  });
+
+  it('refuses to start in production without one', () => {
+    const { status, stderr } = loadAuth({ NODE_ENV: 'production', SESSION_SECRET: '' });
+
+    assert.notEqual(status, 0);
+    assert.match(stderr, /SESSION_SECRET must be set in production/);
+  });
+
+  it('falls back to a random one outside production', () => {
+    const { status, stderr } = loadAuth({ NODE_ENV: 'development', SESSION_SECRET: '' });
+
+    assert.equal(status, 0);
+    assert.match(stderr, /SESSION_SECRET is not set/);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, readCsvTable } = require('../api/csv');
+
+describe('CSV reading', () => {
+  it('gives each record the line of the file it starts on', () => {
+    const text = 'name,notes\r\nAnn,"first\r\nsecond\nthird"\r\n\r\nBob,plain\nCy,"x"\n';
+
+    assert.deepEqual(readCsvTable(text).rows.map(({ line, name }) => [line, name]), [[2, 'Ann'], [6, 'Bob'], [7, 'Cy']]);
+  });
+
+  it('keeps quoted commas, quotes and line breaks in the field', () => {
+    const [, record] = parseCsv('a,b\n"one, two","say ""hi""\nbye"\n');
+
+    assert.deepEqual(record.fields, ['one, two', 'say "hi"\nbye']);
+  });
+
+  it('skips a byte order mark and reads a last line with no line break', () => {
+    const { columns, rows } = readCsvTable('\uFEFFname , role\nAnn,worker');
+
+    assert.deepEqual(columns, ['name', 'role']);
+    assert.deepEqual(rows, [{ line: 2, name: 'Ann', role: 'worker' }]);
+  });
+
+  it('fills in missing trailing fields', () => {
+    assert.deepEqual(readCsvTable('name,role\nAnn\n').rows, [{ line: 2, name: 'Ann', role: '' }]);
+  });
+
+  it('refuses a quoted field that is never closed', () => {
+    assert.throws(() => parseCsv('name\n"Ann\n'), /never closed/);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { sendJsaEmail } = require('../api/jsa-email');
+const email = require('../api/services/email');
+const forms = require('../api/services/forms');
+const translations = require('../api/services/translations');
+
+describe('JSA email', () => {
+  const saved = {};
+  before(() => {
+    // Nothing listens on port 1, so every send fails with the socket's error
+    for (const [name, value] of Object.entries({ EMAIL_HOST: '127.0.0.1', EMAIL_PORT: '1', EMAIL_SECURE: 'false' })) {
+      saved[name] = process.env[name];
+      process.env[name] = value;
+    }
+  });
+  after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    mock.restoreAll();
+  });
+
+  it('logs why a delivery failed but only tells the client that it did', async () => {
+    const details = {
+      form: { form_id: 'JSA-1', date: '2026-10-19', project_name: 'Tower A', status: 'locked' },
+      jobSteps: [],
+      crew: [],
+      tools: [],
+      ppe: []
+    };
+    mock.method(forms, 'getFormWithDetails', async () => details);
+    mock.method(forms, 'getFormSignatures', async () => new Map());
+    mock.method(translations, 'localizeForm', async form => form);
+    mock.method(email, 'getRecipientLanguages', async () => new Map());
+    mock.method(email, 'logEmail', async () => 21);
+    const recordDelivery = mock.method(email, 'recordDelivery', async () => {});
+    const logged = mock.method(console, 'error', () => {});
+
+    const deliveries = await sendJsaEmail('JSA-1', ['site@example.com']);
+
+    assert.deepEqual(deliveries, [{ email: 'site@example.com', language: 'en', status: 'failed', error: 'Delivery failed' }]);
+    const [logId, { error }] = recordDelivery.mock.calls[0].arguments;
+    assert.equal(logId, 21);
+    assert.match(error, /127\.0\.0\.1/);
+    assert.ok(logged.mock.calls.some(call => call.arguments.some(arg => /127\.0\.0\.1/.test(String(arg)))));
+  });
+});
@@ -0,0 +1,225 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb, startApp, supervisor, foreman, worker } = require('./helpers');
+const attendance = require('../api/services/attendance');
+const forms = require('../api/services/forms');
+const risk = require('../api/services/risk');
+
+// A form as getFormWithDetails() returns it
+function formDetails({ status = 'draft', crew = [], jobSteps = [], riskApprovedAt = null } = {}) {
+  return {
+    form: { form_id: 'JSA-1', status, risk_approved_at: riskApprovedAt },
+    jobSteps,
+    crew
+  };
+}
+
+describe('JSA workflow and signatures', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  beforeEach(() => {
+    fakeDb();
+  });
+  afterEach(() => mock.restoreAll());
+
+  describe('transitions', () => {
+    it('refuses a step the form is not in a status for', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({ status: 'locked' }));
+      const transitionForm = mock.method(forms, 'transitionForm', async () => ({ status: 'draft' }));
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/reopen', { as: supervisor });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'INVALID_TRANSITION');
+      assert.equal(transitionForm.mock.callCount(), 0);
+    });
+
+    it('refuses a form with no crew listed', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({ status: 'submitted' }));
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/crew-signed', { as: foreman });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'CREW_NOT_SIGNED');
+    });
+
+    it('names the crew who have not signed', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({
+        status: 'submitted',
+        crew: [{ name: 'Ann', signed: true }, { name: 'Bob', signed: false }]
+      }));
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/crew-signed', { as: foreman });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'CREW_NOT_SIGNED');
+      assert.match(body.message, /Bob/);
+      assert.doesNotMatch(body.message, /Ann/);
+    });
+
+    it('holds back a high-risk draft until a supervisor approves it', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({
+        jobSteps: [{ operation: 'Strip forms', risk_level: 'low' }, { operation: 'Lift panels', residual_level: 'high' }]
+      }));
+      mock.method(risk, 'getRiskMatrix', async () => ({}));
+      mock.method(risk, 'stepsNeedingApproval', () => [1]);
+      const transitionForm = mock.method(forms, 'transitionForm', async () => ({ status: 'submitted' }));
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/submit', { as: foreman });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'RISK_APPROVAL_REQUIRED');
+      assert.deepEqual(Object.keys(body.fields), ['jobSteps[1]']);
+      assert.equal(transitionForm.mock.callCount(), 0);
+    });
+
+    it('reports a form that changed status in the meantime', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({ riskApprovedAt: '2026-10-19T12:00:00Z' }));
+      mock.method(forms, 'transitionForm', async () => undefined);
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/submit', { as: foreman });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'INVALID_TRANSITION');
+    });
+
+    it('keeps workers and foremen to their own steps', async () => {
+      const getFormWithDetails = mock.method(forms, 'getFormWithDetails', async () => formDetails());
+
+      assert.equal((await app.request('POST', '/api/forms/JSA-1/submit', { as: worker })).status, 403);
+      assert.equal((await app.request('POST', '/api/forms/JSA-1/approve', { as: foreman })).status, 403);
+      assert.equal(getFormWithDetails.mock.callCount(), 0);
+    });
+
+    it('answers 404 for an unknown form', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => undefined);
+
+      const { status } = await app.request('POST', '/api/forms/JSA-404/lock', { as: supervisor });
+
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('editing', () => {
+    it('does not let workers edit a form', async () => {
+      const saveFormUpdates = mock.method(forms, 'saveFormUpdates', async () => {});
+
+      const { status } = await app.request('PUT', '/api/forms/JSA-1', { as: worker, body: { tools: ['Saw'] } });
+
+      assert.equal(status, 403);
+      assert.equal(saveFormUpdates.mock.callCount(), 0);
+    });
+
+    it('refuses edits to a locked form', async () => {
+      mock.method(forms, 'getForm', async () => ({ form_id: 'JSA-1', status: 'locked' }));
+      const saveFormUpdates = mock.method(forms, 'saveFormUpdates', async () => {});
+
+      const { status, body } = await app.request('PUT', '/api/forms/JSA-1', { as: foreman, body: { tools: ['Saw'] } });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'FORM_LOCKED');
+      assert.equal(saveFormUpdates.mock.callCount(), 0);
+    });
+  });
+
+  describe('signing a form', () => {
+    const signature = { signatureImage: 'data:image/png;base64,AAAA', contentHash: 'abc123' };
+    const crew = [
+      { name: 'Wes Worker', workerId: 3, signatureId: null },
+      { name: 'Ann', workerId: 4, signatureId: null },
+      { name: 'Bob', workerId: 5, signatureId: 9 }
+    ];
+
+    it('does not let a worker sign for someone else', async () => {
+      const getFormWithDetails = mock.method(forms, 'getFormWithDetails', async () => formDetails({ status: 'submitted', crew }));
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/signatures', { as: worker, body: { ...signature, name: 'Ann' } });
+
+      assert.equal(status, 403);
+      assert.equal(body.code, 'FORBIDDEN');
+      assert.equal(getFormWithDetails.mock.callCount(), 0);
+    });
+
+    it('refuses people who are not on the crew', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({ status: 'submitted', crew }));
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/signatures', { as: foreman, body: { ...signature, name: 'Zed' } });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields, { name: 'is not on the crew list' });
+    });
+
+    it('refuses a second signature', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({ status: 'submitted', crew }));
+
+      const { status } = await app.request('POST', '/api/forms/JSA-1/signatures', { as: foreman, body: { ...signature, name: 'bob' } });
+
+      assert.equal(status, 409);
+    });
+
+    it('refuses a signature for a version of the form that has changed', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({ status: 'submitted', crew }));
+      mock.method(forms, 'signForm', async () => undefined);
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/signatures', { as: worker, body: { ...signature, name: 'Wes Worker' } });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'FORM_CHANGED');
+    });
+
+    it('refuses signatures on a locked form', async () => {
+      mock.method(forms, 'getFormWithDetails', async () => formDetails({ status: 'locked', crew }));
+
+      const { status, body } = await app.request('POST', '/api/forms/JSA-1/signatures', { as: foreman, body: { ...signature, name: 'Ann' } });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'FORM_LOCKED');
+    });
+  });
+
+  describe('attendance signatures', () => {
+    const signature = { signature_image: 'data:image/png;base64,AAAA', date: '2026-10-19' };
+
+    it('does not let a worker sign under someone else\'s name', async () => {
+      const saveSignature = mock.method(attendance, 'saveSignature', async row => row);
+
+      const { status } = await app.request('POST', '/api/signatures', { as: worker, body: { ...signature, worker_name: 'Ann' } });
+
+      assert.equal(status, 403);
+      assert.equal(saveSignature.mock.callCount(), 0);
+    });
+
+    it('does not let a worker sign under someone else\'s id', async () => {
+      const saveSignature = mock.method(attendance, 'saveSignature', async row => row);
+
+      const { status } = await app.request('POST', '/api/signatures', { as: worker, body: { ...signature, worker_name: 'Wes Worker', worker_id: 4 } });
+
+      assert.equal(status, 403);
+      assert.equal(saveSignature.mock.callCount(), 0);
+    });
+
+    it('stores a worker\'s own signature under their account', async () => {
+      const saveSignature = mock.method(attendance, 'saveSignature', async row => ({ id: 1, ...row }));
+
+      const { status } = await app.request('POST', '/api/signatures', { as: worker, body: { ...signature, worker_name: ' wes worker ' } });
+
+      assert.equal(status, 200);
+      const [saved] = saveSignature.mock.calls[0].arguments;
+      assert.equal(saved.worker_id, worker.id);
+      assert.equal(saved.worker_name, worker.name);
+    });
+
+    it('lets a foreman record anyone\'s signature', async () => {
+      const saveSignature = mock.method(attendance, 'saveSignature', async row => ({ id: 1, ...row }));
+
+      const { status } = await app.request('POST', '/api/signatures', { as: foreman, body: { ...signature, worker_name: 'Ann', worker_id: 4 } });
+
+      assert.equal(status, 200);
+      assert.equal(saveSignature.mock.calls[0].arguments[0].worker_id, 4);
+    });
+  });
+});
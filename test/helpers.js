@@ -0,0 +1,87 @@
+// Test helpers: a stand-in for the Postgres pool and the app running on a
+// free port. Nothing here talks to a real database; tests either answer the
+// pool's queries themselves or mock the service functions a route calls.
+process.env.VERCEL = '1'; // no listening or scheduled jobs on require
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+
+const { pool } = require('../api/db');
+
+// Users that session tokens resolve to, by id
+const sessionUsers = new Map();
+
+const SESSION_QUERY = /FROM users WHERE id = \$1 AND deleted_at IS NULL AND deactivated_at IS NULL/;
+
+// Answer the pool's queries with handlers, [pattern, answer] pairs matched
+// against the SQL with its whitespace collapsed, first match wins. answer is
+// rows, or (params, sql) => rows | { rows, rowCount }, and may throw. Queries
+// nothing matches get no rows. Returns the list every query is recorded in
+// as { sql, params }.
+function fakeDb(handlers = []) {
+  const queries = [];
+
+  async function query(text, params = []) {
+    const sql = String(text).replace(/\s+/g, ' ').trim();
+    queries.push({ sql, params });
+
+    if (SESSION_QUERY.test(sql)) {
+      const user = sessionUsers.get(Number(params[0]));
+      return { rows: user ? [user] : [], rowCount: user ? 1 : 0 };
+    }
+
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    if (!handler) {
+      return { rows: [], rowCount: 0 };
+    }
+    const answer = typeof handler[1] === 'function' ? await handler[1](params, sql) : handler[1];
+    return Array.isArray(answer) ? { rows: answer, rowCount: answer.length } : answer;
+  }
+
+  pool.query = query;
+  pool.connect = async () => ({ query, release() {} });
+  return queries;
+}
+
+// The queries in a list recorded by fakeDb() whose SQL matches pattern
+const queriesMatching = (queries, pattern) => queries.filter(({ sql }) => pattern.test(sql));
+
+// Start the app. Resolves to { request, close }; request(method, path,
+// { as, body, headers }) sends a request as the user as (a users row: id,
+// name, role), or without a session, and resolves to { status, body }.
+async function startApp() {
+  const app = require('../api/index');
+  const { issueToken } = require('../api/auth');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { as, body, headers = {} } = {}) {
+    const sent = { 'Content-Type': 'application/json', ...headers };
+    if (as) {
+      sessionUsers.set(as.id, { display_name: null, must_change_pin: false, ...as });
+      sent.Authorization = `Bearer ${issueToken(as).token}`;
+    }
+    const response = await fetch(base + path, {
+      method,
+      headers: sent,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : undefined };
+  }
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const supervisor = { id: 1, name: 'Sam Supervisor', role: 'supervisor' };
+const foreman = { id: 2, name: 'Fay Foreman', role: 'foreman' };
+const worker = { id: 3, name: 'Wes Worker', role: 'worker' };
+
+module.exports = {
+  fakeDb,
+  queriesMatching,
+  startApp,
+  supervisor,
+  foreman,
+  worker
+};
@@ -0,0 +1,213 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb, queriesMatching } = require('./helpers');
+const jobs = require('../api/jobs');
+const attendance = require('../api/services/attendance');
+const jobState = require('../api/services/jobs');
+const musters = require('../api/services/musters');
+const safety = require('../api/services/safety');
+
+const CLAIM = /^UPDATE scheduled_jobs SET locked_by = \$2/;
+const START = /^INSERT INTO job_runs/;
+const FINISH_RUN = /^UPDATE job_runs SET finished_at/;
+const RELEASE = /^UPDATE scheduled_jobs SET locked_by = NULL/;
+
+// Answers for one run of jobName: claimed with attempts failures so far, or
+// not claimed at all
+function jobDb(jobName, { claimed = true, attempts = 0, handlers = [] } = {}) {
+  return fakeDb([
+    ...handlers,
+    [CLAIM, claimed ? [{ name: jobName, attempts }] : []],
+    [START, params => [{ id: 40, job_name: params[0], attempt: params[2] }]],
+    [FINISH_RUN, params => [{ id: params[0], job_name: jobName, status: params[1], result: params[2], error: params[3] }]]
+  ]);
+}
+
+describe('job runner', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('the jobs', () => {
+    it('gives every job one schedule and a retry no later than its interval', () => {
+      for (const { name, every, at } of [
+        { name: 'auto-signout', every: 15 },
+        { name: 'muster-escalation', every: 1 },
+        { name: 'certificate-expiry', at: '06:00' },
+        { name: 'daily-jsa-emails', at: '17:00' },
+        { name: 'job-run-retention', at: '03:00' }
+      ]) {
+        const job = jobs.jobNamed(name);
+        assert.ok(job, name);
+        assert.equal(job.every, every, name);
+        assert.equal(job.at, at, name);
+        assert.ok(job.lockMinutes > 0 && job.maxAttempts > 0, name);
+        if (every) {
+          assert.ok(job.retryMinutes <= every, `${name} retries after its next run`);
+        }
+      }
+      assert.equal(jobs.jobNamed('muster-escalation').retryMinutes, 1);
+    });
+
+    it('knows no jobs but its own', () => {
+      assert.equal(jobs.jobNamed('constructor'), null);
+      assert.equal(jobs.jobNamed('send-everything'), null);
+    });
+
+    it('lists each job with its schedule and state', async () => {
+      fakeDb([[/^SELECT \* FROM scheduled_jobs ORDER BY name/, [{ name: 'auto-signout', enabled: false, attempts: 2 }]]]);
+
+      const listed = await jobs.listJobs();
+
+      const autoSignout = listed.find(job => job.name === 'auto-signout');
+      assert.deepEqual(
+        { enabled: autoSignout.enabled, every: autoSignout.every, at: autoSignout.at, max_attempts: autoSignout.max_attempts },
+        { enabled: false, every: 15, at: null, max_attempts: 3 }
+      );
+      assert.ok(listed.some(job => job.description.includes('JSAs') && job.at === '17:00'));
+    });
+  });
+
+  describe('claiming a job', () => {
+    it('only takes a job that is unlocked, or whose lock has run out', async () => {
+      const queries = fakeDb([[CLAIM, [{ name: 'auto-signout', attempts: 0 }]]]);
+
+      assert.deepEqual(await jobState.claimJob('auto-signout', 'host:1', 10), { name: 'auto-signout', attempts: 0 });
+
+      const [claim] = queriesMatching(queries, CLAIM);
+      assert.deepEqual(claim.params, ['auto-signout', 'host:1', 10, true]);
+      assert.match(claim.sql, /locked_until = NOW\(\) \+ make_interval\(mins => \$3\)/);
+      assert.match(claim.sql, /AND \(locked_until IS NULL OR locked_until < NOW\(\)\)/);
+      assert.match(claim.sql, /AND \(NOT \$4::boolean OR \(enabled AND next_run_at <= NOW\(\)\)\)/);
+    });
+
+    it('resolves to nothing when another server holds the job', async () => {
+      fakeDb([[CLAIM, []]]);
+
+      assert.equal(await jobState.claimJob('auto-signout', 'host:2', 10), undefined);
+    });
+
+    it('skips a job it can\'t claim without starting a run', async () => {
+      const queries = jobDb('auto-signout', { claimed: false });
+      const autoSignOut = mock.method(attendance, 'autoSignOut', async () => []);
+
+      assert.equal(await jobs.runJob('auto-signout'), null);
+      assert.equal(autoSignOut.mock.callCount(), 0);
+      assert.equal(queriesMatching(queries, START).length, 0);
+    });
+
+    it('runs a job by hand whether or not it is due', async () => {
+      const queries = jobDb('auto-signout');
+      mock.method(attendance, 'autoSignOut', async () => []);
+
+      const run = await jobs.runJob('auto-signout', { trigger: 'manual', actor: { id: 1 } });
+
+      assert.equal(run.status, 'succeeded');
+      const [claim] = queriesMatching(queries, CLAIM);
+      assert.equal(claim.params[2], jobs.jobNamed('auto-signout').lockMinutes);
+      assert.equal(claim.params[3], false);
+      assert.deepEqual(queriesMatching(queries, START)[0].params, ['auto-signout', 'manual', 1, 1]);
+    });
+  });
+
+  describe('finishing a run', () => {
+    it('records a success and puts the job back on its schedule', async () => {
+      const queries = jobDb('auto-signout', { attempts: 2 });
+      mock.method(attendance, 'autoSignOut', async () => [{ id: 5 }]);
+
+      const run = await jobs.runJob('auto-signout');
+
+      assert.equal(run.status, 'succeeded');
+      assert.deepEqual(JSON.parse(run.result), { signedOut: 1, workers: [{ id: 5 }] });
+      assert.equal(queriesMatching(queries, START)[0].params[2], 3);
+      const [release] = queriesMatching(queries, RELEASE);
+      assert.deepEqual(release.params.slice(2), ['succeeded', null, 3, 5, 15, null]);
+      assert.match(release.sql, /THEN attempts \+ 1 ELSE 0 END/);
+      assert.match(release.sql, /WHERE name = \$1 AND locked_by = \$2$/);
+      assert.equal(queriesMatching(queries, /^COMMIT$/).length, 1);
+    });
+
+    it('records a failure for a retry with backoff, no later than the next run', async () => {
+      const queries = jobDb('muster-escalation');
+      mock.method(console, 'error', () => {});
+      mock.method(musters, 'escalateMusters', async () => {
+        throw new Error('deadlock detected');
+      });
+
+      const run = await jobs.runJob('muster-escalation');
+
+      assert.equal(run.status, 'failed');
+      assert.equal(run.error, 'deadlock detected');
+      const [release] = queriesMatching(queries, RELEASE);
+      assert.deepEqual(release.params.slice(2), ['failed', 'deadlock detected', 3, 1, 1, null]);
+      assert.match(release.sql, /WHEN \$3::text = 'failed' AND attempts \+ 1 < \$5::int THEN LEAST\(NOW\(\) \+ make_interval\(mins => \(\$6::int \* power\(2, attempts\)\)::int\), CASE WHEN \$7::int IS NOT NULL/);
+    });
+
+    it('passes a daily job\'s time for its next run', async () => {
+      const queries = jobDb('certificate-expiry');
+      mock.method(safety, 'refreshCertificateStatuses', async () => []);
+
+      await jobs.runJob('certificate-expiry');
+
+      const [release] = queriesMatching(queries, RELEASE);
+      assert.deepEqual(release.params.slice(6), [null, '06:00']);
+      assert.match(release.sql, /ELSE scheduled_job_next_daily\(\$8::time\) END/);
+    });
+
+    it('rolls back when the run can\'t be recorded', async () => {
+      const queries = jobDb('auto-signout', {
+        handlers: [[RELEASE, () => {
+          throw new Error('connection reset');
+        }]]
+      });
+      mock.method(attendance, 'autoSignOut', async () => []);
+
+      await assert.rejects(jobs.runJob('auto-signout'), /connection reset/);
+      assert.equal(queriesMatching(queries, /^ROLLBACK$/).length, 1);
+      assert.equal(queriesMatching(queries, /^COMMIT$/).length, 0);
+    });
+  });
+
+  describe('daily JSA emails', () => {
+    it('does nothing while email is not configured', async () => {
+      const host = process.env.EMAIL_HOST;
+      delete process.env.EMAIL_HOST;
+      const queries = jobDb('daily-jsa-emails');
+
+      try {
+        const run = await jobs.runJob('daily-jsa-emails');
+
+        assert.equal(run.status, 'succeeded');
+        assert.deepEqual(JSON.parse(run.result), { skipped: 'EMAIL_HOST is not set' });
+        assert.equal(queriesMatching(queries, /email_schedules|project_email_recipients/).length, 0);
+      } finally {
+        if (host !== undefined) {
+          process.env.EMAIL_HOST = host;
+        }
+      }
+    });
+  });
+
+  describe('auto sign-out', () => {
+    it('signs out at the project\'s shift end in Toronto, or midnight for late sign-ins', async () => {
+      const queries = fakeDb([[/^WITH due AS/, [{ id: 5, worker_id: 3 }]]]);
+
+      assert.deepEqual(await attendance.autoSignOut({ graceMinutes: 45 }), [{ id: 5, worker_id: 3 }]);
+
+      const [query] = queriesMatching(queries, /^WITH due AS/);
+      assert.deepEqual(query.params, ['17:00', 45]);
+      assert.match(query.sql, /\(\(ws\.signin_date \+ COALESCE\(p\.shift_end, \$1::time\)\) AT TIME ZONE 'America\/Toronto'\)::timestamp AS shift_end/);
+      assert.match(query.sql, /\(\(ws\.signin_date \+ 1\)::timestamp AT TIME ZONE 'America\/Toronto'\)::timestamp AS midnight/);
+      assert.match(query.sql, /CASE WHEN ws\.signin_time > ends\.shift_end THEN ends\.midnight ELSE ends\.shift_end END/);
+      assert.match(query.sql, /due\.signout_time \+ make_interval\(mins => \$2\) <= LOCALTIMESTAMP/);
+      assert.match(query.sql, /WHERE ws\.signout_time IS NULL/);
+    });
+
+    it('uses the grace period from the environment, an hour by default', async () => {
+      jobDb('auto-signout');
+      const autoSignOut = mock.method(attendance, 'autoSignOut', async () => []);
+
+      await jobs.runJob('auto-signout');
+
+      assert.deepEqual(autoSignOut.mock.calls[0].arguments, [{ graceMinutes: Number(process.env.AUTO_SIGNOUT_GRACE_MINUTES) || 60 }]);
+    });
+  });
+});
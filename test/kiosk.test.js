@@ -0,0 +1,142 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb, startApp, worker } = require('./helpers');
+const kiosk = require('../api/kiosk');
+const signins = require('../api/signins');
+const attendance = require('../api/services/attendance');
+const auditLog = require('../api/services/audit');
+const kiosks = require('../api/services/kiosks');
+
+const project = { id: 12, name: 'Tower A', address: '1 Main St' };
+const workArea = { id: '6f1c2a8e-4b7d-4c3e-9a51-0d2e8f7b6c41', name: 'Level 3' };
+
+describe('site codes', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reads back the project or work area it was made for', () => {
+    assert.deepEqual(kiosk.readSiteCode(kiosk.siteCode({ project }).code), { projectId: 12 });
+    assert.deepEqual(kiosk.readSiteCode(kiosk.siteCode({ project, workArea }).code), { workAreaId: workArea.id });
+  });
+
+  it('refuses a code that was tampered with', () => {
+    const { code } = kiosk.siteCode({ project });
+    assert.equal(kiosk.readSiteCode(code.replace('.p.12.', '.p.13.')), null);
+    assert.equal(kiosk.readSiteCode(`${code.slice(0, -1)}${code.endsWith('A') ? 'B' : 'A'}`), null);
+    assert.equal(kiosk.readSiteCode('MJRB.not-a-site-code'), null);
+    assert.equal(kiosk.readSiteCode(undefined), null);
+  });
+
+  it('accepts a code through the next window, then refuses it', () => {
+    const start = Date.now();
+    mock.method(Date, 'now', () => start);
+    const { code, refreshAt, expiresAt } = kiosk.siteCode({ project });
+
+    mock.method(Date, 'now', () => new Date(refreshAt).getTime());
+    assert.deepEqual(kiosk.readSiteCode(code), { projectId: 12 });
+
+    mock.method(Date, 'now', () => new Date(expiresAt).getTime());
+    assert.equal(kiosk.readSiteCode(code), null);
+  });
+});
+
+describe('kiosk endpoints', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  beforeEach(() => {
+    fakeDb();
+    mock.method(auditLog, 'recordChange', async () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  const registered = { id: 4, name: 'Trailer tablet', project_id: project.id, work_area_id: null };
+  const asKiosk = { [kiosk.KIOSK_TOKEN_HEADER]: 'device-token' };
+
+  it('refuses a tablet without a device token', async () => {
+    const useKiosk = mock.method(kiosks, 'useKiosk', async () => registered);
+
+    const { status, body } = await app.request('POST', '/api/kiosk/scan', { body: { code: 'MJRB.abc' } });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHENTICATED');
+    assert.equal(useKiosk.mock.callCount(), 0);
+  });
+
+  it('refuses a revoked or unknown device token', async () => {
+    const useKiosk = mock.method(kiosks, 'useKiosk', async () => undefined);
+
+    const { status } = await app.request('GET', '/api/kiosk/site-code', { headers: asKiosk });
+
+    assert.equal(status, 401);
+    assert.equal(useKiosk.mock.calls[0].arguments[0], kiosk.hashSecret('device-token'));
+  });
+
+  it('refuses a badge that is not in use', async () => {
+    mock.method(kiosks, 'useKiosk', async () => registered);
+    mock.method(kiosks, 'findBadgeHolder', async () => undefined);
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 1 }));
+
+    const { status, body } = await app.request('POST', '/api/kiosk/scan', { headers: asKiosk, body: { code: 'MJRB.lost' } });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_CODE');
+    assert.equal(signIn.mock.callCount(), 0);
+  });
+
+  it('signs a badge holder in at the kiosk\'s site', async () => {
+    mock.method(kiosks, 'useKiosk', async () => registered);
+    const findBadgeHolder = mock.method(kiosks, 'findBadgeHolder', async () => worker);
+    mock.method(kiosks, 'getSite', async () => ({ project, workArea: null }));
+    mock.method(attendance, 'findOpenSignin', async () => undefined);
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 31, jsaFormId: null, geofence: null }));
+
+    const { status, body } = await app.request('POST', '/api/kiosk/scan', { headers: asKiosk, body: { code: ' MJRB.good ' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.action, 'signin');
+    assert.equal(findBadgeHolder.mock.calls[0].arguments[0], kiosk.hashSecret('MJRB.good'));
+    const [, data, options] = signIn.mock.calls[0].arguments;
+    assert.equal(data.projectId, project.id);
+    assert.equal(options.kioskId, registered.id);
+  });
+
+  it('needs a session to scan a site code', async () => {
+    const { status } = await app.request('POST', '/api/site-code/scan', { body: { code: kiosk.siteCode({ project }).code } });
+
+    assert.equal(status, 401);
+  });
+
+  it('refuses a site code that has expired', async () => {
+    const { code } = kiosk.siteCode({ project });
+    const realNow = Date.now;
+    mock.method(Date, 'now', () => realNow() + 10 * 60 * 1000);
+    const getSite = mock.method(kiosks, 'getSite', async () => ({ project, workArea: null }));
+
+    const { status, body } = await app.request('POST', '/api/site-code/scan', { as: worker, body: { code } });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_CODE');
+    assert.equal(getSite.mock.callCount(), 0);
+  });
+
+  it('refuses a site code for a site that no longer exists', async () => {
+    mock.method(kiosks, 'getSite', async () => undefined);
+
+    const { status, body } = await app.request('POST', '/api/site-code/scan', { as: worker, body: { code: kiosk.siteCode({ project }).code } });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_CODE');
+  });
+
+  it('only lets supervisors register kiosks', async () => {
+    const createKiosk = mock.method(kiosks, 'createKiosk', async () => registered);
+
+    const { status } = await app.request('POST', '/api/kiosks', { as: worker, body: { name: 'Tablet', projectId: project.id } });
+
+    assert.equal(status, 403);
+    assert.equal(createKiosk.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb, queriesMatching, startApp, foreman, supervisor, worker } = require('./helpers');
+const musters = require('../api/services/musters');
+const projects = require('../api/services/projects');
+
+const project = { id: 12, name: 'Tower A', address: '1 Main St', geofence_type: null, geofence_policy: 'off' };
+
+describe('musters', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  beforeEach(() => {
+    fakeDb();
+    mock.method(console, 'log', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  describe('sign-ins on the roll', () => {
+    it('stores the project id of a sign-in sent with only a project name', async () => {
+      const queries = fakeDb([
+        [/FROM projects WHERE deleted_at IS NULL AND \(id = \$1/, params => (params[1].trim().toLowerCase() === 'tower a' ? [project] : [])],
+        [/SELECT id, name FROM users WHERE LOWER\(TRIM\(name\)\)/, [{ id: worker.id, name: worker.name }]],
+        [/INSERT INTO worker_signins/, [{ id: 50 }]]
+      ]);
+
+      const { status, body } = await app.request('POST', '/api/worker/signin', { as: worker, body: { projectName: 'tower a ' } });
+
+      assert.equal(status, 200);
+      assert.equal(body.id, 50);
+      const [insert] = queriesMatching(queries, /INSERT INTO worker_signins/);
+      assert.equal(insert.params[2], project.id);
+      assert.equal(insert.params[3], project.name);
+      const [crewLookup] = queriesMatching(queries, /SELECT form_id FROM jsa_forms/);
+      assert.ok(crewLookup.params.includes(project.id));
+    });
+
+    it('keeps what was sent for a project it can\'t find', async () => {
+      const queries = fakeDb([
+        [/INSERT INTO worker_signins/, [{ id: 51 }]]
+      ]);
+
+      const { status } = await app.request('POST', '/api/worker/signin', { as: worker, body: { projectName: 'Somewhere New' } });
+
+      assert.equal(status, 200);
+      const [insert] = queriesMatching(queries, /INSERT INTO worker_signins/);
+      assert.equal(insert.params[2], undefined);
+      assert.equal(insert.params[3], 'Somewhere New');
+    });
+
+    it('takes the roll from sign-ins matched by project id, or by name when they have none', async () => {
+      const queries = fakeDb([
+        [/INSERT INTO musters/, [{ id: 7 }]],
+        [/INSERT INTO muster_people/, { rows: [], rowCount: 2 }],
+        [/SELECT name FROM projects WHERE id = \$1/, [{ name: project.name }]]
+      ]);
+
+      assert.equal(await musters.startMuster({ projectId: project.id, escalateMinutes: 5 }, foreman, '2026-10-19'), 7);
+
+      const [roll] = queriesMatching(queries, /INSERT INTO muster_people/);
+      assert.deepEqual(roll.params, [7, project.id, '2026-10-19']);
+      assert.match(roll.sql, /ws\.project_id = p\.id OR \(ws\.project_id IS NULL AND LOWER\(TRIM\(ws\.project_name\)\) = LOWER\(TRIM\(p\.name\)\)\)/);
+      assert.equal(queriesMatching(queries, /^COMMIT$/).length, 1);
+    });
+
+    it('rolls back a muster whose roll could not be taken', async () => {
+      const queries = fakeDb([
+        [/INSERT INTO musters/, [{ id: 7 }]],
+        [/INSERT INTO muster_people/, () => {
+          throw new Error('connection reset');
+        }]
+      ]);
+
+      await assert.rejects(musters.startMuster({ projectId: project.id, escalateMinutes: 5 }, foreman, '2026-10-19'), /connection reset/);
+      assert.equal(queriesMatching(queries, /^ROLLBACK$/).length, 1);
+      assert.equal(queriesMatching(queries, /^COMMIT$/).length, 0);
+    });
+  });
+
+  describe('starting a muster', () => {
+    it('only lets foremen and supervisors start one', async () => {
+      const startMuster = mock.method(musters, 'startMuster', async () => 7);
+
+      const { status } = await app.request('POST', '/api/projects/12/musters', { as: worker, body: {} });
+
+      assert.equal(status, 403);
+      assert.equal(startMuster.mock.callCount(), 0);
+    });
+
+    it('answers 404 for an unknown project', async () => {
+      mock.method(projects, 'findProject', async () => undefined);
+      const startMuster = mock.method(musters, 'startMuster', async () => 7);
+
+      const { status } = await app.request('POST', '/api/projects/99/musters', { as: foreman, body: {} });
+
+      assert.equal(status, 404);
+      assert.equal(startMuster.mock.callCount(), 0);
+    });
+
+    it('refuses a second muster while one is in progress', async () => {
+      mock.method(projects, 'findProject', async () => project);
+      mock.method(musters, 'findActiveMuster', async () => ({ id: 6 }));
+      const startMuster = mock.method(musters, 'startMuster', async () => 7);
+
+      const { status, body } = await app.request('POST', '/api/projects/12/musters', { as: foreman, body: { reason: 'Gas leak' } });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'CONFLICT');
+      assert.equal(startMuster.mock.callCount(), 0);
+    });
+  });
+
+  describe('marking people', () => {
+    it('refuses marks on a muster that has ended', async () => {
+      mock.method(musters, 'markPerson', async () => undefined);
+      mock.method(musters, 'getMuster', async () => ({ id: 7, ended_at: '2026-10-19T15:00:00Z' }));
+
+      const { status, body } = await app.request('PUT', '/api/musters/7/people/3', { as: foreman, body: { accounted: true } });
+
+      assert.equal(status, 409);
+      assert.equal(body.message, 'This muster has ended');
+    });
+
+    it('answers 404 for someone not on the muster', async () => {
+      mock.method(musters, 'markPerson', async () => undefined);
+      mock.method(musters, 'getMuster', async () => ({ id: 7, ended_at: null }));
+
+      const { status } = await app.request('PUT', '/api/musters/7/people/99', { as: foreman, body: { accounted: true } });
+
+      assert.equal(status, 404);
+    });
+
+    it('needs to be told whether the person is accounted for', async () => {
+      const markPerson = mock.method(musters, 'markPerson', async () => ({ id: 3 }));
+
+      const { status, body } = await app.request('PUT', '/api/musters/7/people/3', { as: foreman, body: { note: 'Seen at gate' } });
+
+      assert.equal(status, 400);
+      assert.ok(body.fields.accounted);
+      assert.equal(markPerson.mock.callCount(), 0);
+    });
+
+    it('does not change anyone on a muster that has ended', async () => {
+      const queries = fakeDb();
+
+      assert.equal(await musters.markPerson(7, 3, { accounted: true }, foreman), undefined);
+      assert.equal(queriesMatching(queries, /UPDATE muster_people/).length, 0);
+      assert.equal(queriesMatching(queries, /^ROLLBACK$/).length, 1);
+    });
+  });
+
+  describe('ending a muster', () => {
+    it('refuses to end one that has already ended', async () => {
+      mock.method(musters, 'endMuster', async () => undefined);
+      mock.method(musters, 'getMuster', async () => ({ id: 7, ended_at: '2026-10-19T15:00:00Z' }));
+
+      const { status, body } = await app.request('POST', '/api/musters/7/end', { as: supervisor, body: {} });
+
+      assert.equal(status, 409);
+      assert.equal(body.message, 'This muster has already ended');
+    });
+
+    it('answers 404 for an unknown muster', async () => {
+      mock.method(musters, 'endMuster', async () => undefined);
+      mock.method(musters, 'getMuster', async () => undefined);
+
+      const { status } = await app.request('POST', '/api/musters/70/end', { as: supervisor, body: {} });
+
+      assert.equal(status, 404);
+    });
+  });
+});
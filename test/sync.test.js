@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb, startApp, worker } = require('./helpers');
+const signins = require('../api/signins');
+const auditLog = require('../api/services/audit');
+const syncLog = require('../api/services/sync');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('offline sync', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  let claims;
+  let finished;
+  beforeEach(() => {
+    fakeDb();
+    claims = [];
+    finished = [];
+    mock.method(syncLog, 'claimEvent', async claim => {
+      claims.push(claim);
+      return { id: claims.length };
+    });
+    mock.method(syncLog, 'finishEvent', async (id, status, response) => {
+      finished.push({ id, status, response });
+    });
+    mock.method(syncLog, 'releaseEvent', async () => {});
+    mock.method(auditLog, 'findRecord', async () => null);
+    mock.method(auditLog, 'recordChange', async () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  const sync = events => app.request('POST', '/api/sync', { as: worker, body: { deviceId: 'phone-1', events } });
+  const signinEvent = (key, occurredAt) => ({ key, type: 'signin', occurredAt, data: { projectName: 'Tower A' } });
+
+  it('answers a replayed event with its first outcome instead of applying it again', async () => {
+    const first = { key: 'k1', type: 'signin', status: 'applied', result: { id: 7 } };
+    mock.method(syncLog, 'claimEvent', async () => undefined);
+    mock.method(syncLog, 'getEvent', async () => ({ type: 'signin', status: 'applied', response: first }));
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 8 }));
+
+    const { status, body } = await sync([signinEvent('k1', new Date().toISOString())]);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results, [{ ...first, duplicate: true }]);
+    assert.equal(signIn.mock.callCount(), 0);
+  });
+
+  it('refuses a key reused for a different type of event', async () => {
+    mock.method(syncLog, 'claimEvent', async () => undefined);
+    mock.method(syncLog, 'getEvent', async () => ({ type: 'signout', status: 'applied', response: {} }));
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 8 }));
+
+    const { body } = await sync([signinEvent('k1', new Date().toISOString())]);
+
+    assert.equal(body.results[0].status, 'conflict');
+    assert.equal(body.results[0].code, 'KEY_REUSED');
+    assert.equal(signIn.mock.callCount(), 0);
+  });
+
+  it('tells the phone to wait while the same key is still being applied', async () => {
+    mock.method(syncLog, 'claimEvent', async () => undefined);
+    mock.method(syncLog, 'getEvent', async () => ({ type: 'signin', status: 'processing' }));
+
+    const { body } = await sync([signinEvent('k1', new Date().toISOString())]);
+
+    assert.equal(body.results[0].status, 'processing');
+  });
+
+  it('refuses events dated in the future or too long ago', async () => {
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 8 }));
+
+    const { body } = await sync([
+      signinEvent('future', new Date(Date.now() + 10 * MINUTE).toISOString()),
+      signinEvent('old', new Date(Date.now() - 31 * DAY).toISOString())
+    ]);
+
+    const codes = Object.fromEntries(body.results.map(result => [result.key, result.code]));
+    assert.deepEqual(codes, { old: 'EVENT_TOO_OLD', future: 'EVENT_IN_FUTURE' });
+    assert.equal(signIn.mock.callCount(), 0);
+    assert.deepEqual(finished.map(({ status }) => status), ['conflict', 'conflict']);
+  });
+
+  it('takes epoch milliseconds and claims the event with an ISO time', async () => {
+    const occurredAt = Date.now() - 5 * MINUTE;
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 8 }));
+
+    const { body } = await sync([signinEvent('k1', occurredAt)]);
+
+    assert.equal(body.results[0].status, 'applied');
+    assert.equal(claims[0].clientTime, new Date(occurredAt).toISOString());
+    assert.equal(signIn.mock.calls[0].arguments[2].at, new Date(occurredAt).toISOString());
+  });
+
+  it('applies events in the order they happened', async () => {
+    const now = Date.now();
+    const order = [];
+    mock.method(signins, 'signIn', async () => {
+      order.push('signin');
+      return { id: 8 };
+    });
+    mock.method(signins, 'signOut', async () => {
+      order.push('signout');
+    });
+
+    const { body } = await sync([
+      { key: 'out', type: 'signout', occurredAt: new Date(now - MINUTE).toISOString(), data: {} },
+      signinEvent('in', new Date(now - 60 * MINUTE).toISOString())
+    ]);
+
+    assert.deepEqual(order, ['signin', 'signout']);
+    assert.deepEqual(body.results.map(result => result.key), ['in', 'out']);
+  });
+
+  it('reports a failed claim as that event\'s error and still applies the rest', async () => {
+    mock.method(syncLog, 'claimEvent', async claim => {
+      if (claim.key === 'broken') {
+        throw new Error('connection reset');
+      }
+      return { id: 2 };
+    });
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 8 }));
+    mock.method(console, 'error', () => {});
+
+    const now = Date.now();
+    const { status, body } = await sync([
+      signinEvent('broken', new Date(now - 2 * MINUTE).toISOString()),
+      signinEvent('fine', new Date(now - MINUTE).toISOString())
+    ]);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(({ key, status: outcome }) => [key, outcome]), [['broken', 'error'], ['fine', 'applied']]);
+    assert.equal(body.results[0].code, 'INTERNAL_ERROR');
+    assert.doesNotMatch(body.results[0].message, /connection reset/);
+    assert.equal(signIn.mock.callCount(), 1);
+  });
+
+  it('frees the key of an event that failed on the server\'s side', async () => {
+    mock.method(signins, 'signIn', async () => {
+      throw new Error('deadlock detected');
+    });
+    const releaseEvent = mock.method(syncLog, 'releaseEvent', async () => {});
+    mock.method(console, 'error', () => {});
+
+    const { body } = await sync([signinEvent('k1', new Date().toISOString())]);
+
+    assert.equal(body.results[0].status, 'error');
+    assert.equal(releaseEvent.mock.callCount(), 1);
+    assert.equal(finished.length, 0);
+  });
+
+  it('still reports an applied event whose outcome could not be recorded', async () => {
+    mock.method(syncLog, 'finishEvent', async () => {
+      throw new Error('connection reset');
+    });
+    const releaseEvent = mock.method(syncLog, 'releaseEvent', async () => {});
+    const signIn = mock.method(signins, 'signIn', async () => ({ id: 8 }));
+    mock.method(console, 'error', () => {});
+
+    const now = Date.now();
+    const { status, body } = await sync([
+      signinEvent('first', new Date(now - 2 * MINUTE).toISOString()),
+      signinEvent('second', new Date(now - MINUTE).toISOString())
+    ]);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(({ key, status: outcome }) => [key, outcome]), [['first', 'applied'], ['second', 'applied']]);
+    assert.equal(signIn.mock.callCount(), 2);
+    assert.equal(releaseEvent.mock.callCount(), 0);
+  });
+
+  it('refuses an event whose data is invalid', async () => {
+    const { body } = await sync([{ key: 'k1', type: 'timesheet', occurredAt: new Date().toISOString(), data: {} }]);
+
+    assert.equal(body.results[0].status, 'conflict');
+    assert.equal(body.results[0].code, 'VALIDATION_FAILED');
+    assert.ok(body.results[0].fields.date);
+  });
+});
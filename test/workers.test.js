@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb, queriesMatching } = require('./helpers');
+const workers = require('../api/services/workers');
+
+const USERS = /^SELECT id, name, role FROM users WHERE id = ANY/;
+
+describe('merging workers', () => {
+  it('moves the duplicate onto the kept worker\'s muster records before deleting it', async () => {
+    const queries = fakeDb([
+      [USERS, [{ id: 3, name: 'Wes Worker', role: 'worker' }, { id: 8, name: 'wes worker', role: 'worker' }]],
+      [/^UPDATE muster_people SET worker_id/, { rows: [], rowCount: 2 }]
+    ]);
+
+    const merged = await workers.mergeWorkers(3, [8]);
+
+    assert.equal(merged.moved.muster_people, 2);
+    for (const [table, column] of [
+      ['musters', 'started_by'],
+      ['musters', 'ended_by'],
+      ['muster_people', 'worker_id'],
+      ['muster_people', 'accounted_by'],
+      ['muster_log', 'actor_id']
+    ]) {
+      const [update] = queriesMatching(queries, new RegExp(`^UPDATE ${table} SET ${column} = \\$1 WHERE ${column} = \\$2$`));
+      assert.deepEqual(update && update.params, [3, 8], `${table}.${column}`);
+    }
+    const deleted = queries.findIndex(({ sql }) => /^DELETE FROM users/.test(sql));
+    const lastMove = queries.findLastIndex(({ sql }) => /^UPDATE /.test(sql));
+    assert.ok(deleted > lastMove);
+  });
+
+  it('moves the duplicate\'s badges, dropping its badge in use only if the kept worker has one', async () => {
+    const queries = fakeDb([
+      [USERS, [{ id: 3, name: 'Wes Worker', role: 'worker' }, { id: 8, name: 'wes worker', role: 'worker' }]]
+    ]);
+
+    await workers.mergeWorkers(3, [8]);
+
+    const [drop] = queriesMatching(queries, /^DELETE FROM worker_badges/);
+    assert.deepEqual(drop.params, [3, 8]);
+    assert.match(drop.sql, /WHERE dup\.user_id = \$2 AND dup\.revoked_at IS NULL AND EXISTS \(SELECT 1 FROM worker_badges kept WHERE kept\.user_id = \$1 AND kept\.revoked_at IS NULL\)/);
+    const [move] = queriesMatching(queries, /^UPDATE worker_badges SET user_id = \$1 WHERE user_id = \$2$/);
+    assert.deepEqual(move.params, [3, 8]);
+    assert.ok(queries.indexOf(drop) < queries.indexOf(move));
+  });
+
+  it('merges nothing when one of the users does not exist', async () => {
+    const queries = fakeDb([[USERS, [{ id: 3, name: 'Wes Worker', role: 'worker' }]]]);
+
+    assert.equal(await workers.mergeWorkers(3, [8]), null);
+    assert.equal(queriesMatching(queries, /^UPDATE /).length, 0);
+    assert.equal(queriesMatching(queries, /^ROLLBACK$/).length, 1);
+  });
+});